@@ -3,6 +3,8 @@
   const shopEl = document.getElementById('shop');
   const saveMsgEl = document.getElementById('saveMsg');
   const hpResultEl = document.getElementById('hpResult');
+  const settingsForm = document.getElementById('rgSettings');
+  const settingsFields = settingsForm.elements;
 
   // --- Load shop context (whoami) ---
   async function loadWhoami() {
@@ -26,7 +28,15 @@
         const s = json.settings;
         if (s.merchantId) document.getElementById('merchantId').value = s.merchantId;
         if (s.merchantKey) document.getElementById('merchantKey').value = '********';
+        if (s.testMerchantId) settingsFields.testMerchantId.value = s.testMerchantId;
+        if (s.testMerchantKey) settingsFields.testMerchantKey.value = '********';
         if (s.mode) document.getElementById('mode').value = s.mode;
+        if (s.paymentType) settingsFields.paymentType.value = s.paymentType;
+        if (s.signingProfile) settingsFields.signingProfile.value = s.signingProfile;
+        settingsFields.descriptor.value = s.descriptor || '';
+        settingsFields.locale.value = s.locale || '';
+        settingsFields.pageStyle.value = s.pageStyle || '';
+        settingsFields.prefillBuyer.value = s.prefillBuyer === false ? '0' : '1';
         if (s.returnUrl) document.getElementById('returnUrl').value = s.returnUrl;
         if (s.cancelUrl) document.getElementById('cancelUrl').value = s.cancelUrl;
       }
@@ -36,7 +46,7 @@
   }
 
   // --- Handle save settings ---
-  document.getElementById('rgSettings').addEventListener('submit', async (e) => {
+  settingsForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     const data = Object.fromEntries(new FormData(e.target).entries());
     try {
@@ -0,0 +1,57 @@
+// scripts/migrate.js
+/**
+ * Schema migrations CLI (uses DB_CLIENT / DB_URL from the environment or .env).
+ *
+ *   npm run db:migrate            apply every pending migration
+ *   npm run db:rollback [-- N]    undo the last N applied migrations (default 1)
+ *   npm run db:status             list migrations and when each was applied
+ */
+
+import 'dotenv/config';
+
+import { closeDb, migrationStatus, rollbackMigrations, runMigrations } from '../src/db/index.js';
+
+const USAGE = 'Usage: node scripts/migrate.js <up|down [steps]|status>';
+
+async function main([command, arg]) {
+  switch (command) {
+    case 'up': {
+      const { applied } = await runMigrations();
+      console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Already up to date.');
+      return 0;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        console.error(`Invalid step count: ${arg}\n${USAGE}`);
+        return 1;
+      }
+      const { rolledBack } = await rollbackMigrations({ steps });
+      console.log(
+        rolledBack.length ? `Rolled back: ${rolledBack.join(', ')}` : 'Nothing to roll back.'
+      );
+      return 0;
+    }
+    case 'status': {
+      for (const { name, executedAt } of await migrationStatus()) {
+        const when = executedAt ? new Date(executedAt).toISOString() : 'pending';
+        console.log(`${executedAt ? '✔' : '·'} ${name.padEnd(32)} ${when}`);
+      }
+      return 0;
+    }
+    default:
+      console.error(USAGE);
+      return 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    if (err.cause) console.error(err.cause);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -0,0 +1,46 @@
+// scripts/rotate-keys.js
+/**
+ * Re-encrypt stored secrets (RocketGate merchant keys, Shoplazza app client
+ * secrets) under the active master key (the first entry of SECRETS_MASTER_KEYS).
+ * Safe to run while the app is up.
+ *
+ *   1. Put the new key first in SECRETS_MASTER_KEYS, keep the old one after it
+ *   2. Deploy, then: npm run keys:rotate
+ *   3. Once a re-run reports only unchanged rows, remove the old key
+ */
+
+import 'dotenv/config';
+
+import { closeDb, reencryptAppSecrets, reencryptMerchantKeys } from '../src/db/index.js';
+import { activeKeyId } from '../src/utils/secretBox.js';
+
+const TARGETS = {
+  'rg_settings.merchant_key': reencryptMerchantKeys,
+  'rg_settings.test_merchant_key': () => reencryptMerchantKeys({ set: 'test' }),
+  'shoplazza_apps.client_secret': reencryptAppSecrets,
+};
+
+async function main() {
+  if (!activeKeyId()) {
+    console.error('SECRETS_MASTER_KEYS is not set; nothing to encrypt with.');
+    return 1;
+  }
+  console.log(`Master key ${activeKeyId()}:`);
+  for (const [name, reencrypt] of Object.entries(TARGETS)) {
+    const { rewrapped, encrypted, unchanged } = await reencrypt();
+    console.log(
+      `  ${name.padEnd(30)} ${rewrapped} re-wrapped, ${encrypted} encrypted, ${unchanged} unchanged`
+    );
+  }
+  return 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
@@ -0,0 +1,46 @@
+// scripts/sync-webhooks.js
+/**
+ * Resync every installed shop's Shoplazza webhook subscriptions with the
+ * manifest in src/utils/shoplazzaWebhooks.js: creates missing topics and
+ * deletes stale ones pointing at APP_BASE_URL. Safe to re-run.
+ *
+ *   npm run webhooks:sync
+ */
+
+import 'dotenv/config';
+
+import { closeDb } from '../src/db/index.js';
+import { syncAllShopWebhooks } from '../src/utils/shoplazzaWebhooks.js';
+
+async function main() {
+  if (!process.env.APP_BASE_URL) {
+    console.error('APP_BASE_URL is not set; webhook addresses would be wrong.');
+    return 1;
+  }
+  const results = await syncAllShopWebhooks();
+  let failures = 0;
+  for (const r of results) {
+    if (r.error) {
+      failures += 1;
+      console.log(`  ${r.shop.padEnd(40)} error: ${r.error}`);
+      continue;
+    }
+    if (r.failed.length) failures += 1;
+    console.log(
+      `  ${r.shop.padEnd(40)} ${r.created.length} created, ${r.queued.length} queued, ` +
+        `${r.deleted.length} deleted, ${r.unchanged.length} unchanged, ${r.failed.length} failed`
+    );
+  }
+  console.log(`${results.length} shop(s) synced`);
+  return failures ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDb);
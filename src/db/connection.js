@@ -1,17 +1,13 @@
 // src/db/connection.js
 import { createRequire } from 'node:module';
 
-import { Kysely, SqliteDialect, PostgresDialect, MysqlDialect, sql } from 'kysely';
+import { Kysely, SqliteDialect, PostgresDialect, MysqlDialect } from 'kysely';
 
 const require = createRequire(import.meta.url);
 
 export const DB_CLIENT = (process.env.DB_CLIENT || 'sqlite').toLowerCase();
 const DB_URL = process.env.DB_URL || './data/dev.db';
 
-// Allow destructive reset of payments during dev only if explicitly set.
-const RESET_PAYMENTS_ON_BOOT =
-  String(process.env.RESET_PAYMENTS_ON_BOOT || 'false').toLowerCase() === 'true';
-
 // 🔸 Keep a handle to the native sqlite DB for legacy APIs
 let sqliteNative = null;
 
@@ -126,137 +122,3 @@ export async function closeDb() {
     /* ignore close errors */
   }
 }
-
-/**
- * Idempotent, portable migrations.
- */
-export async function runMigrations() {
-  const isPg = DB_CLIENT === 'postgres';
-  const isMy = DB_CLIENT === 'mysql';
-
-  // --- shops (idempotent) ---
-  await db.schema
-    .createTable('shops')
-    .ifNotExists()
-    .addColumn('shop', 'varchar(191)', (col) => col.primaryKey())
-    .addColumn('access_token', 'text')
-    .addColumn('scope', 'text')
-    .addColumn('installed_at', isPg ? 'timestamptz' : 'text', (col) =>
-      col.defaultTo(sql`CURRENT_TIMESTAMP`)
-    )
-    .addColumn('updated_at', isPg ? 'timestamptz' : 'text', (col) =>
-      col.defaultTo(sql`CURRENT_TIMESTAMP`)
-    )
-    .execute();
-
-  // --- webhook_logs (idempotent) ---
-  await db.schema
-    .createTable('webhook_logs')
-    .ifNotExists()
-    .addColumn('id', isPg ? 'serial' : 'integer', (col) =>
-      isPg ? col.primaryKey() : col.primaryKey().autoIncrement()
-    )
-    .addColumn('source', 'varchar(32)')
-    .addColumn('topic', 'varchar(128)')
-    .addColumn('idempotency_key', 'varchar(191)')
-    .addColumn('headers', 'text')
-    .addColumn('payload_json', 'text')
-    .addColumn('received_at', isPg ? 'timestamptz' : 'text', (col) =>
-      col.defaultTo(sql`CURRENT_TIMESTAMP`)
-    )
-    .execute();
-
-  // --- rg_settings (idempotent) ---
-  await db.schema
-    .createTable('rg_settings')
-    .ifNotExists()
-    .addColumn('shop_domain', 'varchar(191)', (col) => col.primaryKey())
-    .addColumn('merchant_id', 'varchar(191)')
-    .addColumn('merchant_key', 'varchar(191)')
-    .addColumn('mode', 'varchar(16)', (col) => col.defaultTo('test'))
-    .addColumn('return_url', 'text')
-    .addColumn('cancel_url', 'text')
-    .addColumn('updated_at', isPg ? 'timestamptz' : 'text', (col) =>
-      col.defaultTo(sql`CURRENT_TIMESTAMP`)
-    )
-    .execute();
-
-  // --- payments (reset only if explicitly allowed) ---
-  if (RESET_PAYMENTS_ON_BOOT) {
-    await db.schema.dropTable('payments').ifExists().execute();
-  }
-
-  // Create if missing
-  await db.schema
-    .createTable('payments')
-    .ifNotExists()
-    .addColumn('id', isPg ? 'serial' : 'integer', (col) =>
-      isPg ? col.primaryKey() : col.primaryKey().autoIncrement()
-    )
-
-    // Keys & identity
-    .addColumn('shop_domain', 'varchar(191)', (col) => col.notNull())
-    .addColumn('order_id', 'varchar(191)', (col) => col.notNull())
-    .addColumn('payment_id', 'varchar(191)', (col) => col.notNull())
-    .addColumn('customer_id', 'varchar(191)')
-
-    // Money
-    .addColumn('amount', isMy ? 'decimal(18,2)' : isPg ? 'numeric' : 'real')
-    .addColumn('currency', 'varchar(8)')
-
-    // State
-    .addColumn('status', 'varchar(64)', (col) => col.notNull())
-
-    // RocketGate linkage
-    .addColumn('rocketgate_txn', 'varchar(191)')
-
-    // Debug / traceability
-    .addColumn('status_history', 'text')
-    .addColumn('rg_raw_notify', 'text')
-    .addColumn('spz_raw_complete', 'text')
-
-    // Timestamps
-    .addColumn('created_at', isPg ? 'timestamptz' : 'text', (col) =>
-      col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull()
-    )
-    .addColumn('updated_at', isPg ? 'timestamptz' : 'text', (col) =>
-      col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull()
-    )
-
-    // Uniqueness
-    .addUniqueConstraint('ux_payments_shop_order_payment', [
-      'shop_domain',
-      'order_id',
-      'payment_id',
-    ])
-    .execute();
-
-  // Helpful indexes (all guarded with ifNotExists)
-  await db.schema
-    .createIndex('idx_payments_order_id')
-    .ifNotExists()
-    .on('payments')
-    .column('order_id')
-    .execute();
-
-  await db.schema
-    .createIndex('idx_payments_payment_id')
-    .ifNotExists()
-    .on('payments')
-    .column('payment_id')
-    .execute();
-
-  await db.schema
-    .createIndex('idx_payments_shop_domain')
-    .ifNotExists()
-    .on('payments')
-    .column('shop_domain')
-    .execute();
-
-  await db.schema
-    .createIndex('idx_payments_status_updated_at')
-    .ifNotExists()
-    .on('payments')
-    .columns(['status', 'updated_at'])
-    .execute();
-}
@@ -1,16 +1,100 @@
 // src/db/index.js
 // Single import/export hub for all DB access.
 
-export { db, runMigrations } from './connection.js';
+export { db, closeDb } from './connection.js';
 
-// Shops (SQLite)
-export { upsertShop, getShop, listShops, resetShops } from './shops.js';
+// Schema migrations (src/db/migrations/, ledger table schema_migrations)
+export { runMigrations, rollbackMigrations, migrationStatus } from './migrate.js';
 
-// Payments (SQLite) — forward-only state machine preserved
-export { createOrUpdatePayment, getPayment, setPaymentStatus, resetPayments } from './payments.js';
+// Shops (SQLite; install lifecycle: installed -> uninstalled -> purged)
+export {
+  upsertShop,
+  getShop,
+  listShops,
+  listInstalledShops,
+  markShopUninstalled,
+  isShopUninstalled,
+  purgeUninstalledShops,
+  startShopPurgeSweeper,
+  resetShops,
+} from './shops.js';
+
+// Payments (SQLite) — transitions follow src/utils/paymentStates.js
+export {
+  createOrUpdatePayment,
+  getPayment,
+  getPaymentByPaymentId,
+  listPaymentAttempts,
+  setPaymentStatus,
+  canPaymentTransition,
+  summarizePayments,
+  paymentMode,
+  resetPayments,
+} from './payments.js';
+
+// Payment events (append-only status transitions; the payment timeline)
+export { appendPaymentEvent, listPaymentEvents, resetPaymentEvents } from './paymentEvents.js';
+
+// Payment ledger (refunds/voids/captures we initiate)
+export {
+  insertLedgerEntry,
+  reserveLedgerEntry,
+  updateLedgerEntry,
+  listLedgerEntries,
+  sumLedgerAmount,
+  resetPaymentLedger,
+} from './paymentLedger.js';
+
+// Outbox (outbound Shoplazza calls awaiting delivery/retry)
+export {
+  enqueueOutbox,
+  getOutboxItem,
+  listOutbox,
+  listDueOutbox,
+  claimOutboxItem,
+  markOutboxDelivered,
+  markOutboxFailed,
+  redriveOutbox,
+  resetOutbox,
+} from './outbox.js';
+
+// Webhook logs (inbound deliveries; idempotency keys + stored responses)
+export {
+  saveWebhookLog,
+  claimWebhookLog,
+  getWebhookLog,
+  getWebhookLogByKey,
+  recordWebhookResponse,
+  releaseWebhookLog,
+  resetWebhookLogs,
+} from './webhookLogs.js';
+
+// OAuth states (pending installs; one-time, expiring)
+export {
+  createOAuthState,
+  consumeOAuthState,
+  pruneOAuthStates,
+  startOAuthStateSweeper,
+  resetOAuthStates,
+} from './oauthStates.js';
+
+// Shoplazza app registry (app listings; shops bind to one via shops.client_id)
+export {
+  upsertShoplazzaApp,
+  getShoplazzaApp,
+  getShoplazzaAppByClientId,
+  listShoplazzaApps,
+  reencryptAppSecrets,
+  resetShoplazzaApps,
+} from './shoplazzaApps.js';
 
 // Orders (SQLite)
 export { createOrder, getOrder, listOrders, updateOrder, resetOrders } from './orders.js';
 
-// RocketGate settings (SQLite)
-export { getRgSettings, upsertRgSettings } from './rgSettings.js';
+// RocketGate settings (SQLite; merchant keys encrypted with SECRETS_MASTER_KEYS)
+export {
+  credentialsForMode,
+  getRgSettings,
+  upsertRgSettings,
+  reencryptMerchantKeys,
+} from './rgSettings.js';
@@ -0,0 +1,73 @@
+// src/db/migrate.js
+/**
+ * Versioned schema migrations (Kysely Migrator; sqlite, postgres, mysql).
+ * API:
+ *   - runMigrations({ db? })               -> { applied: [name] }  (apply everything pending)
+ *   - rollbackMigrations({ db?, steps? })  -> { rolledBack: [name] } (undo the last `steps`, default 1)
+ *   - migrationStatus({ db? })             -> [{ name, executedAt|null }]
+ *
+ * Applied migrations are recorded in `schema_migrations` (lock row in
+ * `schema_migrations_lock`). Migrations live in src/db/migrations/; `db`
+ * defaults to the app connection. CLI: scripts/migrate.js (npm run db:*).
+ */
+
+import { Migrator } from 'kysely';
+
+import { db as appDb } from './connection.js';
+import { MIGRATIONS } from './migrations/index.js';
+
+export const MIGRATION_TABLE = 'schema_migrations';
+
+// Allow destructive reset of payments during dev only if explicitly set.
+const RESET_PAYMENTS_ON_BOOT =
+  String(process.env.RESET_PAYMENTS_ON_BOOT || 'false').toLowerCase() === 'true';
+
+function migratorFor(db) {
+  return new Migrator({
+    db,
+    provider: { getMigrations: async () => MIGRATIONS },
+    migrationTableName: MIGRATION_TABLE,
+    migrationLockTableName: `${MIGRATION_TABLE}_lock`,
+  });
+}
+
+/** Throw the migrator's error, naming the migration that failed. */
+function unwrap({ error, results = [] }) {
+  if (!error) return results;
+  const failed = results.find((r) => r.status === 'Error');
+  const err = new Error(
+    `Migration ${failed ? `"${failed.migrationName}" ` : ''}failed: ${error.message || error}`
+  );
+  err.code = 'MIGRATION_FAILED';
+  err.cause = error;
+  throw err;
+}
+
+export async function runMigrations({ db = appDb } = {}) {
+  const results = unwrap(await migratorFor(db).migrateToLatest());
+
+  if (RESET_PAYMENTS_ON_BOOT && db === appDb) {
+    await db.deleteFrom('payment_ledger').execute();
+    await db.deleteFrom('payments').execute();
+  }
+
+  return { applied: results.map((r) => r.migrationName) };
+}
+
+export async function rollbackMigrations({ db = appDb, steps = 1 } = {}) {
+  const migrator = migratorFor(db);
+  const rolledBack = [];
+  for (let i = 0; i < steps; i++) {
+    const results = unwrap(await migrator.migrateDown());
+    if (!results.length) break; // nothing left to undo
+    rolledBack.push(...results.map((r) => r.migrationName));
+  }
+  return { rolledBack };
+}
+
+export async function migrationStatus({ db = appDb } = {}) {
+  const migrations = await migratorFor(db).getMigrations();
+  return migrations.map((m) => ({ name: m.name, executedAt: m.executedAt ?? null }));
+}
+
+export default { runMigrations, rollbackMigrations, migrationStatus };
@@ -0,0 +1,235 @@
+// src/db/migrations/0001_baseline.js
+/**
+ * Baseline: the schema as the old ad-hoc bootstrap (runMigrations) left it.
+ *
+ * Everything here is guarded (ifNotExists / addColumnIfMissing) so a database
+ * created before versioned migrations is adopted in place: existing tables are
+ * kept, missing columns and indexes are added, and the run is recorded in
+ * schema_migrations like on a fresh database.
+ */
+
+import { sql } from 'kysely';
+
+import { addColumnIfMissing, ID, idColumn, MONEY, TS } from './helpers.js';
+
+export async function up(db) {
+  // --- shops (legacy shape; reshaped in 0002_shops_identity) ---
+  await db.schema
+    .createTable('shops')
+    .ifNotExists()
+    .addColumn('shop', 'varchar(191)', (col) => col.primaryKey())
+    .addColumn('access_token', 'text')
+    .addColumn('scope', 'text')
+    .addColumn('installed_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .execute();
+
+  // --- webhook_logs ---
+  await db.schema
+    .createTable('webhook_logs')
+    .ifNotExists()
+    .addColumn('id', ID, idColumn)
+    .addColumn('source', 'varchar(32)')
+    .addColumn('topic', 'varchar(128)')
+    .addColumn('idempotency_key', 'varchar(191)')
+    .addColumn('headers', 'text')
+    .addColumn('payload_json', 'text')
+    .addColumn('response_status', 'integer') // what we answered (replayed for duplicates)
+    .addColumn('response_json', 'text')
+    .addColumn('claim_expires_at', 'varchar(32)') // lease on an unanswered claim (ISO-8601 UTC)
+    .addColumn('received_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .execute();
+
+  await addColumnIfMissing(db, 'webhook_logs', 'response_status', 'integer');
+  await addColumnIfMissing(db, 'webhook_logs', 'response_json', 'text');
+  await addColumnIfMissing(db, 'webhook_logs', 'claim_expires_at', 'varchar(32)');
+
+  // One row per (source, idempotency_key). Older rows logged "no key" as '';
+  // turn those into NULL so they don't collide under the unique index.
+  await db
+    .updateTable('webhook_logs')
+    .set({ idempotency_key: null })
+    .where('idempotency_key', '=', '')
+    .execute();
+
+  await db.schema
+    .createIndex('ux_webhook_logs_source_key')
+    .ifNotExists()
+    .unique()
+    .on('webhook_logs')
+    .columns(['source', 'idempotency_key'])
+    .execute();
+
+  // --- rg_settings ---
+  await db.schema
+    .createTable('rg_settings')
+    .ifNotExists()
+    .addColumn('shop_domain', 'varchar(191)', (col) => col.primaryKey())
+    .addColumn('merchant_id', 'varchar(191)')
+    .addColumn('merchant_key', 'varchar(191)')
+    .addColumn('mode', 'varchar(16)', (col) => col.defaultTo('test'))
+    .addColumn('payment_type', 'varchar(16)', (col) => col.defaultTo('sale')) // sale | authorization
+    .addColumn('return_url', 'text')
+    .addColumn('cancel_url', 'text')
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .execute();
+
+  await addColumnIfMissing(db, 'rg_settings', 'payment_type', 'varchar(16)', (col) =>
+    col.defaultTo('sale')
+  );
+
+  // --- payments ---
+  await db.schema
+    .createTable('payments')
+    .ifNotExists()
+    .addColumn('id', ID, idColumn)
+
+    // Keys & identity
+    .addColumn('shop_domain', 'varchar(191)', (col) => col.notNull())
+    .addColumn('order_id', 'varchar(191)', (col) => col.notNull())
+    .addColumn('payment_id', 'varchar(191)', (col) => col.notNull())
+    .addColumn('customer_id', 'varchar(191)')
+
+    // Money
+    .addColumn('amount', MONEY)
+    .addColumn('currency', 'varchar(8)')
+
+    // State
+    .addColumn('status', 'varchar(64)', (col) => col.notNull())
+
+    // RocketGate linkage
+    .addColumn('rocketgate_txn', 'varchar(191)')
+
+    // Shoplazza linkage: async Notify Payment endpoint + checkout test flag (0/1)
+    .addColumn('callback_url', 'text')
+    .addColumn('test_mode', 'integer', (col) => col.defaultTo(0))
+
+    // Debug / traceability
+    .addColumn('status_history', 'text')
+    .addColumn('rg_raw_notify', 'text')
+    .addColumn('spz_raw_complete', 'text')
+
+    // Timestamps
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+
+    // Uniqueness
+    .addUniqueConstraint('ux_payments_shop_order_payment', [
+      'shop_domain',
+      'order_id',
+      'payment_id',
+    ])
+    .execute();
+
+  await addColumnIfMissing(db, 'payments', 'callback_url', 'text');
+  await addColumnIfMissing(db, 'payments', 'test_mode', 'integer', (col) => col.defaultTo(0));
+
+  await db.schema
+    .createIndex('idx_payments_order_id')
+    .ifNotExists()
+    .on('payments')
+    .column('order_id')
+    .execute();
+
+  await db.schema
+    .createIndex('idx_payments_payment_id')
+    .ifNotExists()
+    .on('payments')
+    .column('payment_id')
+    .execute();
+
+  await db.schema
+    .createIndex('idx_payments_shop_domain')
+    .ifNotExists()
+    .on('payments')
+    .column('shop_domain')
+    .execute();
+
+  await db.schema
+    .createIndex('idx_payments_status_updated_at')
+    .ifNotExists()
+    .on('payments')
+    .columns(['status', 'updated_at'])
+    .execute();
+
+  // --- payment_ledger (refunds/voids/captures issued from the app; one row per gateway call) ---
+  await db.schema
+    .createTable('payment_ledger')
+    .ifNotExists()
+    .addColumn('id', ID, idColumn)
+    .addColumn('payment_row_id', 'integer', (col) =>
+      col.notNull().references('payments.id').onDelete('cascade')
+    )
+    .addColumn('shop_domain', 'varchar(191)')
+    .addColumn('order_id', 'varchar(191)', (col) => col.notNull())
+    .addColumn('kind', 'varchar(32)', (col) => col.notNull()) // refund | void | capture | release
+    .addColumn('amount', MONEY)
+    .addColumn('currency', 'varchar(8)')
+    .addColumn('status', 'varchar(32)', (col) => col.notNull()) // pending | succeeded | failed
+    .addColumn('rocketgate_txn', 'varchar(191)')
+    .addColumn('reason', 'text')
+    .addColumn('error', 'text')
+    .addColumn('raw_response', 'text')
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .execute();
+
+  await db.schema
+    .createIndex('idx_payment_ledger_payment_row_id')
+    .ifNotExists()
+    .on('payment_ledger')
+    .column('payment_row_id')
+    .execute();
+
+  // --- outbox (outbound Shoplazza calls, retried by src/utils/outbox.js) ---
+  // Timestamps used for scheduling are ISO-8601 UTC strings so they compare the
+  // same way on every dialect.
+  await db.schema
+    .createTable('outbox')
+    .ifNotExists()
+    .addColumn('id', ID, idColumn)
+    .addColumn('shop_domain', 'varchar(191)')
+    .addColumn('kind', 'varchar(32)', (col) => col.notNull()) // complete | notify | webhook_register
+    .addColumn('dedupe_key', 'varchar(191)')
+    .addColumn('url', 'text', (col) => col.notNull())
+    .addColumn('body', 'text', (col) => col.notNull())
+    .addColumn('status', 'varchar(16)', (col) => col.notNull()) // pending | sending | delivered | dead
+    .addColumn('attempts', 'integer', (col) => col.notNull().defaultTo(0))
+    .addColumn('max_attempts', 'integer', (col) => col.notNull())
+    .addColumn('next_attempt_at', 'varchar(32)')
+    .addColumn('last_http_status', 'integer')
+    .addColumn('last_error', 'text')
+    .addColumn('last_response', 'text')
+    .addColumn('delivered_at', 'varchar(32)')
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .execute();
+
+  await db.schema
+    .createIndex('ux_outbox_dedupe_key')
+    .ifNotExists()
+    .unique()
+    .on('outbox')
+    .column('dedupe_key')
+    .execute();
+
+  await db.schema
+    .createIndex('idx_outbox_status_next_attempt')
+    .ifNotExists()
+    .on('outbox')
+    .columns(['status', 'next_attempt_at'])
+    .execute();
+}
+
+export async function down(db) {
+  for (const table of [
+    'outbox',
+    'payment_ledger',
+    'payments',
+    'rg_settings',
+    'webhook_logs',
+    'shops',
+  ]) {
+    await db.schema.dropTable(table).ifExists().execute();
+  }
+}
@@ -0,0 +1,68 @@
+// src/db/migrations/0002_shops_identity.js
+/**
+ * Reshape `shops` to what src/db/shops.js reads and writes:
+ *   shop -> shop_domain (unique), scope -> scopes, plus a surrogate `id`
+ *   (listShops orders by it) and `uninstalled_at`.
+ *
+ * Rebuilt through a copy table (create, copy, drop, rename) because sqlite
+ * can't change a primary key in place. Existing installs keep their tokens.
+ */
+
+import { sql } from 'kysely';
+
+import { ID, idColumn, tableColumns, TS } from './helpers.js';
+
+const COPIED = ['access_token', 'installed_at', 'updated_at'];
+
+export async function up(db) {
+  const columns = await tableColumns(db, 'shops');
+  if (columns?.includes('shop_domain')) return; // already reshaped by hand
+
+  await db.schema
+    .createTable('shops_next')
+    .addColumn('id', ID, idColumn)
+    .addColumn('shop_domain', 'varchar(191)', (col) => col.notNull())
+    .addColumn('access_token', 'text')
+    .addColumn('scopes', 'text')
+    .addColumn('installed_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .addColumn('uninstalled_at', TS)
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .addUniqueConstraint('ux_shops_shop_domain', ['shop_domain'])
+    .execute();
+
+  if (columns) {
+    await db
+      .insertInto('shops_next')
+      .columns(['shop_domain', 'scopes', ...COPIED])
+      .expression(
+        db
+          .selectFrom('shops')
+          .select(['shop', 'scope', ...COPIED])
+          .orderBy('shop')
+      )
+      .execute();
+    await db.schema.dropTable('shops').execute();
+  }
+
+  await db.schema.alterTable('shops_next').renameTo('shops').execute();
+}
+
+export async function down(db) {
+  await db.schema
+    .createTable('shops_prev')
+    .addColumn('shop', 'varchar(191)', (col) => col.primaryKey())
+    .addColumn('access_token', 'text')
+    .addColumn('scope', 'text')
+    .addColumn('installed_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .execute();
+
+  await db
+    .insertInto('shops_prev')
+    .columns(['shop', 'scope', ...COPIED])
+    .expression(db.selectFrom('shops').select(['shop_domain', 'scopes', ...COPIED]))
+    .execute();
+
+  await db.schema.dropTable('shops').execute();
+  await db.schema.alterTable('shops_prev').renameTo('shops').execute();
+}
@@ -0,0 +1,28 @@
+// src/db/migrations/0003_orders.js
+/**
+ * `orders` (src/db/orders.js). It used to be created with a top-level await when
+ * that module was first imported; ifNotExists adopts tables created that way.
+ */
+
+import { sql } from 'kysely';
+
+import { MONEY, TS } from './helpers.js';
+
+export async function up(db) {
+  await db.schema
+    .createTable('orders')
+    .ifNotExists()
+    .addColumn('order_id', 'varchar(191)', (col) => col.primaryKey())
+    .addColumn('amount', MONEY)
+    .addColumn('currency', 'varchar(8)')
+    .addColumn('customer_json', 'text')
+    .addColumn('status', 'varchar(64)') // e.g., pending | paid | refunded | voided | ...
+    .addColumn('rocketgate_txn', 'varchar(191)')
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`))
+    .execute();
+}
+
+export async function down(db) {
+  await db.schema.dropTable('orders').ifExists().execute();
+}
@@ -0,0 +1,87 @@
+// src/db/migrations/0004_payment_events.js
+/**
+ * Append-only `payment_events`: one row per status transition of a payment.
+ * payments.status is the `to_status` of the latest event for the row (kept in
+ * step by src/db/payments.js inside one transaction).
+ *
+ * Existing payments are backfilled from their legacy `status_history` JSON
+ * (source "reconcile", actor "backfill"); rows without usable history get a
+ * single null -> current status event.
+ */
+
+import { sql } from 'kysely';
+
+import { ID, idColumn, TS } from './helpers.js';
+
+/** Legacy status_history -> [{ status, ts }] with repeated statuses collapsed. */
+function historySteps(text, current) {
+  let entries = [];
+  try {
+    entries = JSON.parse(text || '[]');
+  } catch {
+    /* malformed history: fall back to the current status */
+  }
+  const steps = [];
+  for (const e of Array.isArray(entries) ? entries : []) {
+    if (!e?.status || steps.at(-1)?.status === e.status) continue;
+    steps.push({ status: String(e.status), ts: e.ts || null });
+  }
+  if (steps.at(-1)?.status !== current) steps.push({ status: current, ts: null });
+  return steps;
+}
+
+export async function up(db) {
+  await db.schema
+    .createTable('payment_events')
+    .addColumn('id', ID, idColumn)
+    .addColumn('payment_row_id', 'integer', (col) =>
+      col.notNull().references('payments.id').onDelete('cascade')
+    )
+    .addColumn('shop_domain', 'varchar(191)')
+    .addColumn('order_id', 'varchar(191)', (col) => col.notNull())
+    .addColumn('source', 'varchar(16)', (col) => col.notNull()) // init | return | notify | admin | reconcile
+    .addColumn('from_status', 'varchar(64)') // null for the row's first event
+    .addColumn('to_status', 'varchar(64)', (col) => col.notNull())
+    .addColumn('rocketgate_txn', 'varchar(191)')
+    .addColumn('payload_ref', 'varchar(191)') // e.g. "webhook_logs:42"
+    .addColumn('actor', 'varchar(191)') // who caused it: rocketgate, buyer, app:<shop>, ...
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .execute();
+
+  await db.schema
+    .createIndex('idx_payment_events_payment_row_id')
+    .on('payment_events')
+    .columns(['payment_row_id', 'id'])
+    .execute();
+
+  const payments = await db
+    .selectFrom('payments')
+    .select(['id', 'shop_domain', 'order_id', 'status', 'rocketgate_txn', 'status_history'])
+    .orderBy('id')
+    .execute();
+
+  for (const p of payments) {
+    let from = null;
+    for (const { status, ts } of historySteps(p.status_history, p.status)) {
+      await db
+        .insertInto('payment_events')
+        .values({
+          payment_row_id: p.id,
+          shop_domain: p.shop_domain,
+          order_id: p.order_id,
+          source: 'reconcile',
+          from_status: from,
+          to_status: status,
+          rocketgate_txn: p.rocketgate_txn,
+          actor: 'backfill',
+          ...(ts ? { created_at: ts } : {}),
+        })
+        .execute();
+      from = status;
+    }
+  }
+}
+
+export async function down(db) {
+  await db.schema.dropTable('payment_events').execute();
+}
@@ -0,0 +1,19 @@
+// src/db/migrations/0005_payment_event_rejections.js
+/**
+ * Record rejected status changes in payment_events: `rejected` (0/1) marks an
+ * event whose transition the state machine refused (payments.status untouched),
+ * `reason` says why (terminal_state, illegal_transition, unknown_status).
+ */
+
+export async function up(db) {
+  await db.schema
+    .alterTable('payment_events')
+    .addColumn('rejected', 'integer', (col) => col.notNull().defaultTo(0))
+    .execute();
+  await db.schema.alterTable('payment_events').addColumn('reason', 'varchar(64)').execute();
+}
+
+export async function down(db) {
+  await db.schema.alterTable('payment_events').dropColumn('reason').execute();
+  await db.schema.alterTable('payment_events').dropColumn('rejected').execute();
+}
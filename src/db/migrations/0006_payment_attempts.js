@@ -0,0 +1,26 @@
+// src/db/migrations/0006_payment_attempts.js
+/**
+ * Payment attempts: every Shoplazza payment_id for an order is its own payments
+ * row. When a new attempt starts, the order's older attempts are marked
+ * superseded (when, and by which payment_id) instead of being overwritten.
+ */
+
+import { isMy, TS } from './helpers.js';
+
+export async function up(db) {
+  await db.schema.alterTable('payments').addColumn('superseded_at', TS).execute();
+  await db.schema.alterTable('payments').addColumn('superseded_by', 'varchar(191)').execute();
+
+  await db.schema
+    .createIndex('idx_payments_shop_order')
+    .on('payments')
+    .columns(['shop_domain', 'order_id'])
+    .execute();
+}
+
+export async function down(db) {
+  const drop = db.schema.dropIndex('idx_payments_shop_order');
+  await (isMy ? drop.on('payments') : drop).execute(); // mysql indexes are per table
+  await db.schema.alterTable('payments').dropColumn('superseded_by').execute();
+  await db.schema.alterTable('payments').dropColumn('superseded_at').execute();
+}
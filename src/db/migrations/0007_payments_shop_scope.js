@@ -0,0 +1,104 @@
+// src/db/migrations/0007_payments_shop_scope.js
+/**
+ * Backfill payments.shop_domain with the canonical shop host that every payment
+ * lookup is now scoped by. Older rows may hold an empty value, a slug or a
+ * double-z host; those take the shop from their own value if it canonicalizes,
+ * else from their Shoplazza URLs (callback_url, then spz_raw_complete).
+ * Rows with nothing to go on are adopted by SHOPLAZZA_DEFAULT_SHOP, the shop
+ * single-tenant installs have always used. payment_events and payment_ledger rows
+ * then copy their payment's shop.
+ *
+ * The migration fails and lists the rows when a row's shop already has that attempt
+ * (the two need merging by hand; neither is moved into another shop), or when rows
+ * without a shop meet a missing SHOPLAZZA_DEFAULT_SHOP. Fix them, then migrate again.
+ * Data-only: down() has nothing to undo.
+ */
+
+import { canonicalShopHost, defaultShopHost } from '../../utils/shopHost.js';
+
+const SHOP_IN_TEXT = /[a-z0-9-]+\.myshoplazz?a\.com/i;
+
+/** The canonical shop a stored value or URL (or text containing one) points at. */
+function shopFrom(value) {
+  if (!value) return null;
+  return canonicalShopHost(value) || canonicalShopHost(String(value).match(SHOP_IN_TEXT)?.[0]);
+}
+
+const describeRows = (rows) =>
+  rows.map((p) => `#${p.id} (order ${p.order_id}, shop_domain ${JSON.stringify(p.shop_domain)})`);
+
+export async function up(db) {
+  const payments = await db
+    .selectFrom('payments')
+    .select(['id', 'shop_domain', 'order_id', 'payment_id', 'callback_url', 'spz_raw_complete'])
+    .orderBy('id')
+    .execute();
+
+  // Plan every move before writing any: sqlite runs migrations outside a transaction
+  const keyOf = (shop, p) => JSON.stringify([shop, p.order_id, p.payment_id]);
+  const current = new Set(payments.map((p) => keyOf(p.shop_domain, p)));
+  const moves = new Map(); // payments.id -> shop
+  const claim = (shop, p) => {
+    const key = keyOf(shop, p);
+    if (current.has(key)) return false;
+    current.add(key);
+    moves.set(p.id, shop);
+    return true;
+  };
+
+  const orphans = [];
+  const clashes = [];
+  for (const p of payments) {
+    const shop =
+      canonicalShopHost(p.shop_domain) || shopFrom(p.callback_url) || shopFrom(p.spz_raw_complete);
+    if (shop === p.shop_domain) continue;
+    if (!shop) orphans.push(p);
+    else if (!claim(shop, p)) clashes.push(p);
+  }
+  if (clashes.length) {
+    throw new Error(
+      `payments whose shop already has their attempt: ${describeRows(clashes).join(', ')}. ` +
+        'Merge or remove the duplicates by hand and migrate again.'
+    );
+  }
+
+  if (orphans.length) {
+    const shop = defaultShopHost();
+    if (!shop) {
+      throw new Error(
+        `payments without a shop: ${describeRows(orphans).join(', ')}. ` +
+          'Set SHOPLAZZA_DEFAULT_SHOP to adopt them, or set their shop_domain, and migrate again.'
+      );
+    }
+    const taken = orphans.filter((p) => !claim(shop, p));
+    if (taken.length) {
+      throw new Error(
+        `${shop} already has these payments' attempts: ${describeRows(taken).join(', ')}. ` +
+          'Set their shop_domain by hand (or remove the duplicates) and migrate again.'
+      );
+    }
+    console.warn(
+      `[migrate] ${describeRows(orphans).join(', ')}: no shop of their own; moved to ${shop}`
+    );
+  }
+
+  for (const [id, shop] of moves) {
+    await db.updateTable('payments').set({ shop_domain: shop }).where('id', '=', id).execute();
+  }
+
+  for (const table of ['payment_events', 'payment_ledger']) {
+    await db
+      .updateTable(table)
+      .set((eb) => ({
+        shop_domain: eb
+          .selectFrom('payments')
+          .select('payments.shop_domain')
+          .whereRef('payments.id', '=', `${table}.payment_row_id`),
+      }))
+      .execute();
+  }
+}
+
+export async function down() {
+  // Canonical hosts are a valid shape for every reader; nothing to restore
+}
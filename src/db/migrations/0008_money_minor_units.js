@@ -0,0 +1,62 @@
+// src/db/migrations/0008_money_minor_units.js
+/**
+ * Money as integer minor units: payments, payment_ledger and orders swap their
+ * decimal `amount` for `amount_minor`, scaled by each row's currency exponent
+ * (src/utils/money.js) so JPY and KWD amounts aren't forced into two decimals.
+ *
+ * Old sqlite `real` values may carry float noise (9.990000000000002); those are
+ * rounded to the nearest minor unit. An `orders` table adopted from the old
+ * bootstrap may predate `currency`; it gets the column (rows convert as USD-like,
+ * two decimals). down() converts back to decimals.
+ */
+
+import { currencyExponent, formatMinorUnits, toMinorUnits } from '../../utils/money.js';
+
+import { addColumnIfMissing, MINOR_UNITS, MONEY } from './helpers.js';
+
+// table -> primary key
+const TABLES = { payments: 'id', payment_ledger: 'id', orders: 'order_id' };
+
+function minorFromStored(amount, currency) {
+  if (amount == null) return null;
+  const exact = toMinorUnits(String(amount), currency);
+  return exact ?? Math.round(Number(amount) * 10 ** currencyExponent(currency));
+}
+
+export async function up(db) {
+  for (const [table, key] of Object.entries(TABLES)) {
+    await addColumnIfMissing(db, table, 'currency', 'varchar(8)');
+    await db.schema.alterTable(table).addColumn('amount_minor', MINOR_UNITS).execute();
+
+    const rows = await db
+      .selectFrom(table)
+      .select([key, 'amount', 'currency'])
+      .where('amount', 'is not', null)
+      .execute();
+    for (const row of rows) {
+      const minor = minorFromStored(row.amount, row.currency);
+      if (!Number.isSafeInteger(minor)) continue;
+      await db.updateTable(table).set({ amount_minor: minor }).where(key, '=', row[key]).execute();
+    }
+
+    await db.schema.alterTable(table).dropColumn('amount').execute();
+  }
+}
+
+export async function down(db) {
+  for (const [table, key] of Object.entries(TABLES)) {
+    await db.schema.alterTable(table).addColumn('amount', MONEY).execute();
+
+    const rows = await db
+      .selectFrom(table)
+      .select([key, 'amount_minor', 'currency'])
+      .where('amount_minor', 'is not', null)
+      .execute();
+    for (const row of rows) {
+      const amount = formatMinorUnits(row.amount_minor, row.currency);
+      await db.updateTable(table).set({ amount }).where(key, '=', row[key]).execute();
+    }
+
+    await db.schema.alterTable(table).dropColumn('amount_minor').execute();
+  }
+}
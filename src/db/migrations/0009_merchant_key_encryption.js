@@ -0,0 +1,61 @@
+// src/db/migrations/0009_merchant_key_encryption.js
+/**
+ * Encrypted RocketGate merchant keys (src/utils/secretBox.js): rg_settings gets
+ * merchant_key_enc (envelope ciphertext) and merchant_key_kid (master key id).
+ *
+ * When SECRETS_MASTER_KEYS is set, existing plaintext keys are encrypted and the
+ * plaintext column is cleared. Without it, rows stay plaintext and
+ * `npm run keys:rotate` encrypts them once a key is configured. down() puts the
+ * plaintext back, which needs the master keys that encrypted the rows.
+ */
+
+import { decryptSecret, encryptSecret, hasMasterKeys } from '../../utils/secretBox.js';
+
+export async function up(db) {
+  await db.schema.alterTable('rg_settings').addColumn('merchant_key_enc', 'text').execute();
+  await db.schema.alterTable('rg_settings').addColumn('merchant_key_kid', 'varchar(64)').execute();
+
+  const rows = await db
+    .selectFrom('rg_settings')
+    .select(['shop_domain', 'merchant_key'])
+    .where('merchant_key', 'is not', null)
+    .where('merchant_key', '!=', '')
+    .execute();
+  if (!rows.length) return;
+  if (!hasMasterKeys()) {
+    console.warn(`[migrate] rg_settings: ${rows.length} merchant key(s) left in plaintext`);
+    return;
+  }
+
+  for (const row of rows) {
+    const { ciphertext, keyId } = encryptSecret(row.merchant_key, { aad: row.shop_domain });
+    await db
+      .updateTable('rg_settings')
+      .set({ merchant_key: null, merchant_key_enc: ciphertext, merchant_key_kid: keyId })
+      .where('shop_domain', '=', row.shop_domain)
+      .execute();
+  }
+}
+
+export async function down(db) {
+  const rows = await db
+    .selectFrom('rg_settings')
+    .select(['shop_domain', 'merchant_key_enc', 'merchant_key_kid'])
+    .where('merchant_key_enc', 'is not', null)
+    .execute();
+
+  for (const row of rows) {
+    const merchantKey = decryptSecret(
+      { ciphertext: row.merchant_key_enc, keyId: row.merchant_key_kid },
+      { aad: row.shop_domain }
+    );
+    await db
+      .updateTable('rg_settings')
+      .set({ merchant_key: merchantKey })
+      .where('shop_domain', '=', row.shop_domain)
+      .execute();
+  }
+
+  await db.schema.alterTable('rg_settings').dropColumn('merchant_key_kid').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('merchant_key_enc').execute();
+}
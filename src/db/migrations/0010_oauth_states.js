@@ -0,0 +1,34 @@
+// src/db/migrations/0010_oauth_states.js
+/**
+ * `oauth_states` (src/db/oauthStates.js): pending Shoplazza OAuth installs, so
+ * the callback validates on whichever instance it lands. expires_at is an
+ * ISO-8601 UTC string (like outbox.next_attempt_at) so it compares the same way
+ * on every dialect.
+ */
+
+import { sql } from 'kysely';
+
+import { isMy, TS } from './helpers.js';
+
+export async function up(db) {
+  await db.schema
+    .createTable('oauth_states')
+    .addColumn('state', 'varchar(191)', (col) => col.primaryKey())
+    .addColumn('shop_domain', 'varchar(191)', (col) => col.notNull())
+    .addColumn('verifier_hash', 'varchar(64)') // sha256 hex of the cookie verifier, if bound
+    .addColumn('expires_at', 'varchar(32)', (col) => col.notNull())
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .execute();
+
+  await db.schema
+    .createIndex('idx_oauth_states_expires_at')
+    .on('oauth_states')
+    .column('expires_at')
+    .execute();
+}
+
+export async function down(db) {
+  const drop = db.schema.dropIndex('idx_oauth_states_expires_at');
+  await (isMy ? drop.on('oauth_states') : drop).execute(); // mysql indexes are per table
+  await db.schema.dropTable('oauth_states').execute();
+}
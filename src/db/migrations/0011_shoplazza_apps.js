@@ -0,0 +1,43 @@
+// src/db/migrations/0011_shoplazza_apps.js
+/**
+ * Registry of Shoplazza app listings (public, private, staging, ...) in
+ * `shoplazza_apps` (src/db/shoplazzaApps.js). The client secret is stored like
+ * rg_settings.merchant_key: envelope ciphertext + master key id, or plaintext
+ * outside production when no master key is configured.
+ *
+ * shops.client_id and oauth_states.client_id bind a shop (and a pending install)
+ * to the app it installed through. Existing shops stay unbound and keep using
+ * the env credentials (SHOPLAZZA_APP_MAP / SHOPLAZZA_CLIENT_ID).
+ */
+
+import { sql } from 'kysely';
+
+import { ID, idColumn, TS } from './helpers.js';
+
+export async function up(db) {
+  await db.schema
+    .createTable('shoplazza_apps')
+    .addColumn('id', ID, idColumn)
+    .addColumn('app_key', 'varchar(64)', (col) => col.notNull()) // e.g. public | private | staging
+    .addColumn('client_id', 'varchar(191)', (col) => col.notNull())
+    .addColumn('client_secret', 'text') // plaintext fallback only (no master key, not production)
+    .addColumn('client_secret_enc', 'text')
+    .addColumn('client_secret_kid', 'varchar(64)')
+    .addColumn('redirect_url', 'text')
+    .addColumn('scopes', 'text') // space-separated
+    .addColumn('api_version', 'varchar(16)')
+    .addColumn('created_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .addColumn('updated_at', TS, (col) => col.defaultTo(sql`CURRENT_TIMESTAMP`).notNull())
+    .addUniqueConstraint('ux_shoplazza_apps_app_key', ['app_key'])
+    .addUniqueConstraint('ux_shoplazza_apps_client_id', ['client_id'])
+    .execute();
+
+  await db.schema.alterTable('shops').addColumn('client_id', 'varchar(191)').execute();
+  await db.schema.alterTable('oauth_states').addColumn('client_id', 'varchar(191)').execute();
+}
+
+export async function down(db) {
+  await db.schema.alterTable('oauth_states').dropColumn('client_id').execute();
+  await db.schema.alterTable('shops').dropColumn('client_id').execute();
+  await db.schema.dropTable('shoplazza_apps').execute();
+}
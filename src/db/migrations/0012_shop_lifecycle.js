@@ -0,0 +1,35 @@
+// src/db/migrations/0012_shop_lifecycle.js
+/**
+ * Shop lifecycle on `shops` (src/db/shops.js):
+ *   - status: installed | uninstalled | purged
+ *   - purge_after: when an uninstalled shop's payment history is purged
+ *     (ISO-8601 UTC string, like oauth_states.expires_at, so it compares the same
+ *     way on every dialect)
+ *   - purged_at
+ *
+ * Shops already carrying uninstalled_at become `uninstalled` with no purge date:
+ * their history is kept until they are purged by hand or reinstall.
+ */
+
+import { TS } from './helpers.js';
+
+export async function up(db) {
+  await db.schema
+    .alterTable('shops')
+    .addColumn('status', 'varchar(16)', (col) => col.defaultTo('installed').notNull())
+    .execute();
+  await db.schema.alterTable('shops').addColumn('purge_after', 'varchar(32)').execute();
+  await db.schema.alterTable('shops').addColumn('purged_at', TS).execute();
+
+  await db
+    .updateTable('shops')
+    .set({ status: 'uninstalled' })
+    .where('uninstalled_at', 'is not', null)
+    .execute();
+}
+
+export async function down(db) {
+  await db.schema.alterTable('shops').dropColumn('purged_at').execute();
+  await db.schema.alterTable('shops').dropColumn('purge_after').execute();
+  await db.schema.alterTable('shops').dropColumn('status').execute();
+}
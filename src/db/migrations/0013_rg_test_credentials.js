@@ -0,0 +1,30 @@
+// src/db/migrations/0013_rg_test_credentials.js
+/**
+ * Separate RocketGate test credentials on `rg_settings` (src/db/rgSettings.js):
+ *   - test_merchant_id
+ *   - test_merchant_key / _enc / _kid (same envelope scheme as merchant_key, 0009)
+ *
+ * A shop in test mode signs with this set when it has one, otherwise with the
+ * existing merchant_id/merchant_key, which stay the live set. Existing rows
+ * need no backfill: they keep working exactly as before.
+ */
+
+export async function up(db) {
+  await db.schema.alterTable('rg_settings').addColumn('test_merchant_id', 'varchar(191)').execute();
+  await db.schema
+    .alterTable('rg_settings')
+    .addColumn('test_merchant_key', 'varchar(191)')
+    .execute();
+  await db.schema.alterTable('rg_settings').addColumn('test_merchant_key_enc', 'text').execute();
+  await db.schema
+    .alterTable('rg_settings')
+    .addColumn('test_merchant_key_kid', 'varchar(64)')
+    .execute();
+}
+
+export async function down(db) {
+  await db.schema.alterTable('rg_settings').dropColumn('test_merchant_key_kid').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('test_merchant_key_enc').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('test_merchant_key').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('test_merchant_id').execute();
+}
@@ -0,0 +1,30 @@
+// src/db/migrations/0014_rg_signing_profile.js
+/**
+ * rg_settings.signing_profile: the Hosted Page signing profile a shop's links are
+ * signed with (src/utils/hostedPageSigning.js). Existing shops get `default`, the
+ * id/merch/amount/purchase/time set they have always been signed with.
+ *
+ * payments.signing_profile: the profile the payment's own link was signed with, so
+ * its buyer return is verified against it after the shop switches profiles. Existing
+ * payments of shops with settings get `default` too; the rest (env-signed /pay/init
+ * links) stay NULL and are checked with ROCKETGATE_SIGNING_PROFILE.
+ */
+
+export async function up(db) {
+  await db.schema
+    .alterTable('rg_settings')
+    .addColumn('signing_profile', 'varchar(32)', (col) => col.defaultTo('default').notNull())
+    .execute();
+
+  await db.schema.alterTable('payments').addColumn('signing_profile', 'varchar(32)').execute();
+  await db
+    .updateTable('payments')
+    .set({ signing_profile: 'default' })
+    .where('shop_domain', 'in', db.selectFrom('rg_settings').select('shop_domain'))
+    .execute();
+}
+
+export async function down(db) {
+  await db.schema.alterTable('payments').dropColumn('signing_profile').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('signing_profile').execute();
+}
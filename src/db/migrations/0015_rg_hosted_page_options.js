@@ -0,0 +1,28 @@
+// src/db/migrations/0015_rg_hosted_page_options.js
+/**
+ * Per-shop Hosted Page options on `rg_settings` (src/utils/hostedPageOptions.js):
+ *   - descriptor     statement descriptor
+ *   - locale         Hosted Page language (e.g. fr, pt-BR)
+ *   - page_style     Hosted Page style/template id
+ *   - prefill_buyer  1 = prefill email/name/billing address from the Shoplazza payload
+ *
+ * All unset for existing shops except prefill_buyer (on), so links only gain the
+ * buyer fields Shoplazza already sends.
+ */
+
+export async function up(db) {
+  await db.schema.alterTable('rg_settings').addColumn('descriptor', 'varchar(32)').execute();
+  await db.schema.alterTable('rg_settings').addColumn('locale', 'varchar(16)').execute();
+  await db.schema.alterTable('rg_settings').addColumn('page_style', 'varchar(64)').execute();
+  await db.schema
+    .alterTable('rg_settings')
+    .addColumn('prefill_buyer', 'integer', (col) => col.defaultTo(1).notNull())
+    .execute();
+}
+
+export async function down(db) {
+  await db.schema.alterTable('rg_settings').dropColumn('prefill_buyer').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('page_style').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('locale').execute();
+  await db.schema.alterTable('rg_settings').dropColumn('descriptor').execute();
+}
@@ -0,0 +1,44 @@
+// src/db/migrations/helpers.js
+/**
+ * Shared bits for migration files.
+ *
+ * Migrations run inside the migrator's transaction, so always use the `db`
+ * handed to up()/down() — never the singleton from connection.js (on sqlite
+ * that would wait on the connection the transaction is holding).
+ */
+
+import { DB_CLIENT } from '../connection.js';
+
+export const isPg = DB_CLIENT === 'postgres';
+export const isMy = DB_CLIENT === 'mysql';
+
+/** Column type for timestamps (timestamptz on postgres, ISO text elsewhere). */
+export const TS = isPg ? 'timestamptz' : 'text';
+
+/** Column type for the old decimal money columns (replaced by MINOR_UNITS in 0008). */
+export const MONEY = isMy ? 'decimal(18,2)' : isPg ? 'numeric' : 'real';
+
+/** Column type for money as integer minor units (see src/utils/money.js). */
+export const MINOR_UNITS = 'bigint';
+
+/** Auto-increment integer primary key: `.addColumn('id', ID, idColumn)`. */
+export const ID = isPg ? 'serial' : 'integer';
+export const idColumn = (col) => (isPg ? col.primaryKey() : col.primaryKey().autoIncrement());
+
+/** Column names of `table`, or null when the table doesn't exist. */
+export async function tableColumns(db, table) {
+  const tables = await db.introspection.getTables();
+  const found = tables.find((t) => t.name === table);
+  return found ? found.columns.map((c) => c.name) : null;
+}
+
+/**
+ * Add a column when it is missing. Databases bootstrapped before versioned
+ * migrations may carry an older shape of a table, so the baseline migration
+ * tops them up through here.
+ */
+export async function addColumnIfMissing(db, table, column, type, build = (col) => col) {
+  const columns = await tableColumns(db, table);
+  if (!columns || columns.includes(column)) return;
+  await db.schema.alterTable(table).addColumn(column, type, build).execute();
+}
@@ -0,0 +1,40 @@
+// src/db/migrations/index.js
+/**
+ * Ordered list of schema migrations, keyed by name. Names are recorded in
+ * schema_migrations once applied, so never rename or edit a shipped migration —
+ * add the next number instead. Each module exports up(db) and down(db).
+ */
+
+import * as m0001 from './0001_baseline.js';
+import * as m0002 from './0002_shops_identity.js';
+import * as m0003 from './0003_orders.js';
+import * as m0004 from './0004_payment_events.js';
+import * as m0005 from './0005_payment_event_rejections.js';
+import * as m0006 from './0006_payment_attempts.js';
+import * as m0007 from './0007_payments_shop_scope.js';
+import * as m0008 from './0008_money_minor_units.js';
+import * as m0009 from './0009_merchant_key_encryption.js';
+import * as m0010 from './0010_oauth_states.js';
+import * as m0011 from './0011_shoplazza_apps.js';
+import * as m0012 from './0012_shop_lifecycle.js';
+import * as m0013 from './0013_rg_test_credentials.js';
+import * as m0014 from './0014_rg_signing_profile.js';
+import * as m0015 from './0015_rg_hosted_page_options.js';
+
+export const MIGRATIONS = {
+  '0001_baseline': m0001,
+  '0002_shops_identity': m0002,
+  '0003_orders': m0003,
+  '0004_payment_events': m0004,
+  '0005_payment_event_rejections': m0005,
+  '0006_payment_attempts': m0006,
+  '0007_payments_shop_scope': m0007,
+  '0008_money_minor_units': m0008,
+  '0009_merchant_key_encryption': m0009,
+  '0010_oauth_states': m0010,
+  '0011_shoplazza_apps': m0011,
+  '0012_shop_lifecycle': m0012,
+  '0013_rg_test_credentials': m0013,
+  '0014_rg_signing_profile': m0014,
+  '0015_rg_hosted_page_options': m0015,
+};
@@ -0,0 +1,134 @@
+// src/db/oauthStates.js
+/**
+ * Kysely-backed store for pending Shoplazza OAuth installs (the `state` param).
+ * Table: oauth_states (created by src/db/migrations/0010_oauth_states.js)
+ *
+ * A state is issued by /auth/start and consumed once by /auth/callback, on any
+ * instance. Consumption deletes the row, and the delete's row count decides the
+ * winner, so a replayed or concurrent callback gets nothing back. Expired rows
+ * are never returned and are swept periodically.
+ *
+ * Optionally a state is bound to a verifier (PKCE-style): only its sha256 is
+ * stored, and the callback must present the verifier itself (kept in a cookie).
+ *
+ * API:
+ *   - createOAuthState({ shop, clientId?, verifier?, ttlSeconds? })   // -> { state, expiresAt }
+ *   - consumeOAuthState(state, { shop, verifier?, requireVerifier? })
+ *       // -> { shop, clientId } once, or null (unknown, expired, used, wrong shop/verifier)
+ *   - pruneOAuthStates({ now? })                          // -> number of expired rows removed
+ *   - startOAuthStateSweeper({ intervalMs? })             // -> stop()
+ *   - resetOAuthStates()
+ */
+
+import crypto from 'node:crypto';
+
+import { db } from './connection.js';
+
+const DEFAULT_TTL_SECONDS = () => Number(process.env.OAUTH_STATE_TTL_SECONDS || 600);
+
+function iso(d = new Date()) {
+  return new Date(d).toISOString();
+}
+
+function hashVerifier(verifier) {
+  return crypto.createHash('sha256').update(String(verifier)).digest('hex');
+}
+
+function sameHash(a, b) {
+  const ab = Buffer.from(String(a), 'utf8');
+  const bb = Buffer.from(String(b), 'utf8');
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+export async function createOAuthState({
+  shop,
+  clientId,
+  verifier,
+  ttlSeconds = DEFAULT_TTL_SECONDS(),
+}) {
+  if (!shop) throw new Error('createOAuthState: "shop" is required');
+  const state = crypto.randomUUID();
+  const expiresAt = iso(Date.now() + ttlSeconds * 1000);
+
+  await db
+    .insertInto('oauth_states')
+    .values({
+      state,
+      shop_domain: String(shop),
+      client_id: clientId ?? null, // registered app the install goes through (null: env app)
+      verifier_hash: verifier ? hashVerifier(verifier) : null,
+      expires_at: expiresAt,
+    })
+    .execute();
+
+  return { state, expiresAt };
+}
+
+/**
+ * One-time consumption. The row is deleted whether or not the shop/verifier
+ * match, so a state can't be probed more than once.
+ */
+export async function consumeOAuthState(state, { shop, verifier, requireVerifier = false } = {}) {
+  if (!state) return null;
+  const now = iso();
+
+  const row = await db
+    .selectFrom('oauth_states')
+    .select(['shop_domain', 'client_id', 'verifier_hash'])
+    .where('state', '=', String(state))
+    .where('expires_at', '>', now)
+    .executeTakeFirst();
+  if (!row) return null;
+
+  const result = await db
+    .deleteFrom('oauth_states')
+    .where('state', '=', String(state))
+    .where('expires_at', '>', now)
+    .executeTakeFirst();
+  if (Number(result.numDeletedRows) !== 1) return null; // consumed elsewhere meanwhile
+
+  if (shop && row.shop_domain !== shop) return null;
+  if (row.verifier_hash) {
+    if (verifier ? !sameHash(row.verifier_hash, hashVerifier(verifier)) : requireVerifier) {
+      return null;
+    }
+  }
+  return { shop: row.shop_domain, clientId: row.client_id ?? null };
+}
+
+export async function pruneOAuthStates({ now = new Date() } = {}) {
+  const result = await db
+    .deleteFrom('oauth_states')
+    .where('expires_at', '<=', iso(now))
+    .executeTakeFirst();
+  return Number(result.numDeletedRows);
+}
+
+/** Background sweep of expired states (started from src/index.js outside tests). */
+export function startOAuthStateSweeper({
+  intervalMs = Number(process.env.OAUTH_STATE_SWEEP_MS || 10 * 60_000),
+} = {}) {
+  const timer = setInterval(async () => {
+    try {
+      const removed = await pruneOAuthStates();
+      if (removed) console.log(`[oauth] pruned ${removed} expired state(s)`);
+    } catch (err) {
+      console.error('[oauth] state sweep failed:', err);
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+/** Danger: development helper to clear the table. */
+export async function resetOAuthStates() {
+  await db.deleteFrom('oauth_states').execute();
+}
+
+export default {
+  createOAuthState,
+  consumeOAuthState,
+  pruneOAuthStates,
+  startOAuthStateSweeper,
+  resetOAuthStates,
+};
@@ -1,48 +1,27 @@
 // src/db/orders.js
 // Kysely-based orders store.
 // API:
-//   - createOrder({ orderId, amount, currency, customer })
+//   - createOrder({ orderId, amountMinor, currency, customer })
 //   - getOrder(orderId)
 //   - listOrders()
 //   - updateOrder(orderId, { status?, rocketgateTxnId? })
 //   - resetOrders()
+// Table: orders (created by src/db/migrations/0003_orders.js)
 
 import { sql } from 'kysely';
 
-import { db } from './connection.js';
+import { formatMinorUnits, normalizeCurrency, parseMinorUnits } from '../utils/money.js';
 
-const DB_CLIENT = (process.env.DB_CLIENT || 'sqlite').toLowerCase();
-const isPg = DB_CLIENT === 'postgres';
-const isMy = DB_CLIENT === 'mysql';
-
-// --- Minimal, idempotent schema bootstrap (safe to keep until we add it to runMigrations) ---
-await db.schema
-  .createTable('orders')
-  .ifNotExists()
-  .addColumn('order_id', 'varchar(191)', (col) => col.primaryKey())
-  .addColumn('amount', isMy ? 'decimal(18,2)' : isPg ? 'numeric' : 'real')
-  .addColumn('currency', 'varchar(8)')
-  .addColumn('customer_json', 'text')
-  .addColumn('status', 'varchar(64)') // e.g., pending | paid | refunded | voided | ...
-  .addColumn('rocketgate_txn', 'varchar(191)')
-  .addColumn('created_at', isPg ? 'timestamptz' : 'text', (col) =>
-    col.defaultTo(sql`CURRENT_TIMESTAMP`)
-  )
-  .addColumn('updated_at', isPg ? 'timestamptz' : 'text', (col) =>
-    col.defaultTo(sql`CURRENT_TIMESTAMP`)
-  )
-  .execute();
+import { db } from './connection.js';
 
 // --- Row ↔ public model helpers ---
 function rowToPublic(row) {
   if (!row) return null;
   return {
     orderId: row.order_id,
-    amount:
-      row.amount == null
-        ? null
-        : // keep amount as string to avoid float surprises across dialects
-          String(row.amount),
+    // stored as integer minor units; `amount` is the major-unit string for the currency
+    amountMinor: parseMinorUnits(row.amount_minor),
+    amount: formatMinorUnits(row.amount_minor, row.currency),
     currency: row.currency || null,
     customer: row.customer_json ? safeParse(row.customer_json) : null,
     status: row.status || null,
@@ -62,15 +41,15 @@ function safeParse(s) {
 
 // --- Public API ---
 
-export async function createOrder({ orderId, amount, currency, customer }) {
-  if (!orderId || amount == null || !currency) {
-    throw new Error('createOrder: orderId, amount, currency are required');
+export async function createOrder({ orderId, amountMinor, currency, customer }) {
+  if (!orderId || parseMinorUnits(amountMinor) == null || !normalizeCurrency(currency)) {
+    throw new Error('createOrder: orderId, amountMinor, currency are required');
   }
 
   const toInsert = {
     order_id: String(orderId),
-    amount: typeof amount === 'number' ? amount : String(amount),
-    currency: String(currency).toUpperCase(),
+    amount_minor: parseMinorUnits(amountMinor),
+    currency: normalizeCurrency(currency),
     customer_json: customer ? JSON.stringify(customer) : null,
     status: 'pending',
     rocketgate_txn: null,
@@ -0,0 +1,247 @@
+// src/db/outbox.js
+/**
+ * Kysely-backed outbox for outbound Shoplazza calls (complete, notify, webhook registration).
+ * Rows are written before the first attempt and retried by the dispatcher in src/utils/outbox.js.
+ * Table: outbox (created by src/db/migrations/0001_baseline.js)
+ *
+ * Lifecycle:
+ *   pending --claim--> sending --ok--> delivered
+ *                         |--retryable failure--> pending (next_attempt_at pushed out)
+ *                         '--permanent failure / out of attempts--> dead
+ *   dead --redrive--> pending
+ * A `sending` row whose lease (next_attempt_at) has expired is claimable again,
+ * so a crash mid-delivery doesn't strand it.
+ *
+ * API:
+ *   - enqueueOutbox({ shopDomain?, kind, url, body, dedupeKey?, maxAttempts? })
+ *   - getOutboxItem(id)
+ *   - listOutbox({ status?, kind?, shop?, limit? })
+ *   - listDueOutbox({ now?, limit? })
+ *   - claimOutboxItem(id, { now?, leaseMs? })   // true if this caller won the claim
+ *   - markOutboxDelivered(id, { httpStatus?, response? })
+ *   - markOutboxFailed(id, { httpStatus?, error?, response?, nextAttemptAt? })  // null nextAttemptAt = dead
+ *   - redriveOutbox(id)
+ *   - resetOutbox()
+ */
+
+import { sql } from 'kysely';
+
+import { db, DB_CLIENT } from './connection.js';
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = () => Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const RESPONSE_MAX_CHARS = 2000;
+
+function iso(d = new Date()) {
+  return new Date(d).toISOString();
+}
+
+function isUniqueViolation(err) {
+  return (
+    err?.code === 'SQLITE_CONSTRAINT_UNIQUE' ||
+    err?.code === '23505' ||
+    err?.code === 'ER_DUP_ENTRY'
+  );
+}
+
+function clip(v) {
+  if (v == null) return null;
+  return String(v).slice(0, RESPONSE_MAX_CHARS);
+}
+
+// ------------------------------ Reads ----------------------------------
+
+export async function getOutboxItem(id) {
+  const row = await db
+    .selectFrom('outbox')
+    .selectAll()
+    .where('id', '=', Number(id))
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+async function getOutboxByDedupeKey(dedupeKey) {
+  const row = await db
+    .selectFrom('outbox')
+    .selectAll()
+    .where('dedupe_key', '=', String(dedupeKey))
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/**
+ * Newest first; optional filters on status, kind and shop.
+ */
+export async function listOutbox({ status, kind, shop, limit = 50 } = {}) {
+  let q = db.selectFrom('outbox').selectAll();
+  if (status) q = q.where('status', '=', String(status));
+  if (kind) q = q.where('kind', '=', String(kind));
+  if (shop) q = q.where('shop_domain', '=', String(shop));
+  return await q
+    .orderBy('id', 'desc')
+    .limit(Math.max(1, Math.min(500, Number(limit) || 50)))
+    .execute();
+}
+
+/**
+ * Rows ready for an attempt: pending and due, or sending with an expired lease.
+ */
+export async function listDueOutbox({ now = new Date(), limit = 20 } = {}) {
+  return await db
+    .selectFrom('outbox')
+    .selectAll()
+    .where('status', 'in', ['pending', 'sending'])
+    .where('next_attempt_at', '<=', iso(now))
+    .orderBy('next_attempt_at', 'asc')
+    .limit(Number(limit))
+    .execute();
+}
+
+// ------------------------------ Writes ---------------------------------
+
+/**
+ * Insert a pending row due now. With a dedupeKey, an existing row for the same
+ * key is returned instead of queueing the call twice (also when a concurrent
+ * enqueue of the same key wins the insert).
+ */
+export async function enqueueOutbox({
+  shopDomain = null,
+  kind,
+  url,
+  body,
+  dedupeKey = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS(),
+}) {
+  if (!kind) throw new Error('enqueueOutbox: kind is required');
+  if (!url) throw new Error('enqueueOutbox: url is required');
+
+  if (dedupeKey) {
+    const existing = await getOutboxByDedupeKey(dedupeKey);
+    if (existing) return existing;
+  }
+
+  const insert = db.insertInto('outbox').values({
+    shop_domain: shopDomain ?? null,
+    kind,
+    dedupe_key: dedupeKey ?? null,
+    url: String(url),
+    body: typeof body === 'string' ? body : JSON.stringify(body ?? {}),
+    status: 'pending',
+    attempts: 0,
+    max_attempts: Number(maxAttempts),
+    next_attempt_at: iso(),
+  });
+
+  // postgres has no insertId; ask for the key back instead
+  let id;
+  try {
+    id =
+      DB_CLIENT === 'postgres'
+        ? (await insert.returning('id').executeTakeFirst()).id
+        : Number((await insert.executeTakeFirst()).insertId);
+  } catch (err) {
+    // ux_outbox_dedupe_key: someone else queued this call first
+    if (!dedupeKey || !isUniqueViolation(err)) throw err;
+    return await getOutboxByDedupeKey(dedupeKey);
+  }
+
+  return await getOutboxItem(id);
+}
+
+/**
+ * Take a due row for delivery: moves it to `sending`, counts the attempt and
+ * leases it for leaseMs. The WHERE on status/next_attempt_at makes the claim
+ * atomic, so two dispatchers never send the same row.
+ */
+export async function claimOutboxItem(id, { now = new Date(), leaseMs = 5 * 60_000 } = {}) {
+  const result = await db
+    .updateTable('outbox')
+    .set({
+      status: 'sending',
+      attempts: sql`attempts + 1`,
+      next_attempt_at: iso(new Date(now).getTime() + leaseMs),
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('id', '=', Number(id))
+    .where('status', 'in', ['pending', 'sending'])
+    .where('next_attempt_at', '<=', iso(now))
+    .executeTakeFirst();
+  return Number(result.numUpdatedRows) === 1;
+}
+
+export async function markOutboxDelivered(id, { httpStatus = null, response = null } = {}) {
+  await db
+    .updateTable('outbox')
+    .set({
+      status: 'delivered',
+      next_attempt_at: null,
+      last_http_status: httpStatus,
+      last_error: null,
+      last_response: clip(response),
+      delivered_at: iso(),
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('id', '=', Number(id))
+    .execute();
+  return await getOutboxItem(id);
+}
+
+/**
+ * Record a failed attempt. Pass the next attempt time to retry, or null to dead-letter.
+ */
+export async function markOutboxFailed(
+  id,
+  { httpStatus = null, error = null, response = null, nextAttemptAt = null } = {}
+) {
+  await db
+    .updateTable('outbox')
+    .set({
+      status: nextAttemptAt ? 'pending' : 'dead',
+      next_attempt_at: nextAttemptAt ? iso(nextAttemptAt) : null,
+      last_http_status: httpStatus,
+      last_error: clip(error),
+      last_response: clip(response),
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('id', '=', Number(id))
+    .execute();
+  return await getOutboxItem(id);
+}
+
+/**
+ * Put a dead (or stuck) row back in the queue, due now, with a fresh attempt budget.
+ * Delivered rows are left alone. Returns the row, or null if it doesn't exist.
+ */
+export async function redriveOutbox(id) {
+  await db
+    .updateTable('outbox')
+    .set({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: iso(),
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('id', '=', Number(id))
+    .where('status', '!=', 'delivered')
+    .execute();
+  return await getOutboxItem(id);
+}
+
+// ------------------------------ Utilities ------------------------------
+
+export async function resetOutbox() {
+  await db.deleteFrom('outbox').execute();
+}
+
+export default {
+  enqueueOutbox,
+  getOutboxItem,
+  listOutbox,
+  listDueOutbox,
+  claimOutboxItem,
+  markOutboxDelivered,
+  markOutboxFailed,
+  redriveOutbox,
+  resetOutbox,
+};
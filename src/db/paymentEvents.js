@@ -0,0 +1,86 @@
+// src/db/paymentEvents.js
+/**
+ * Kysely-backed, append-only log of payment status transitions.
+ * Table: payment_events (created by src/db/migrations/0004_payment_events.js)
+ *
+ * Columns:
+ *   id, payment_row_id, shop_domain, order_id,
+ *   source (init | return | notify | admin | reconcile),
+ *   from_status, to_status, rocketgate_txn, payload_ref, actor,
+ *   rejected (0/1), reason, created_at
+ *
+ * API:
+ *   - appendPaymentEvent({ payment, source, from, to, rocketgateTxnId?, payloadRef?, actor?, rejected?, reason? }, executor?)
+ *   - listPaymentEvents(paymentRowId)        // oldest first (the payment's timeline)
+ *   - resetPaymentEvents()
+ *
+ * Rows are never updated or deleted (outside dev resets). Status changes go
+ * through src/db/payments.js, which appends here in the same transaction.
+ * Rejected rows (rejected=1) are transitions the state machine refused; the
+ * payment's status is the to_status of its latest non-rejected event.
+ */
+
+import { db } from './connection.js';
+
+export const PAYMENT_EVENT_SOURCES = ['init', 'return', 'notify', 'admin', 'reconcile'];
+
+/**
+ * Append one transition. Pass the transaction as `executor` when the payments
+ * row is being updated in the same unit of work.
+ */
+export async function appendPaymentEvent(
+  {
+    payment,
+    source,
+    from = null,
+    to,
+    rocketgateTxnId = null,
+    payloadRef = null,
+    actor = null,
+    rejected = false,
+    reason = null,
+  },
+  executor = db
+) {
+  if (!PAYMENT_EVENT_SOURCES.includes(source)) {
+    const err = new Error(`appendPaymentEvent: unknown source "${source}"`);
+    err.code = 'INVALID_EVENT_SOURCE';
+    throw err;
+  }
+  if (!payment?.id || !to) throw new Error('appendPaymentEvent: payment and "to" are required');
+
+  await executor
+    .insertInto('payment_events')
+    .values({
+      payment_row_id: payment.id,
+      shop_domain: payment.shop_domain ?? null,
+      order_id: String(payment.order_id),
+      source,
+      from_status: from,
+      to_status: to,
+      rocketgate_txn: rocketgateTxnId ?? payment.rocketgate_txn ?? null,
+      payload_ref: payloadRef,
+      actor,
+      rejected: rejected ? 1 : 0,
+      reason,
+    })
+    .execute();
+}
+
+export async function listPaymentEvents(paymentRowId) {
+  return await db
+    .selectFrom('payment_events')
+    .selectAll()
+    .where('payment_row_id', '=', Number(paymentRowId))
+    .orderBy('id', 'asc')
+    .execute();
+}
+
+/**
+ * Dev-only: clear table.
+ */
+export async function resetPaymentEvents() {
+  await db.deleteFrom('payment_events').execute();
+}
+
+export default { appendPaymentEvent, listPaymentEvents, resetPaymentEvents };
@@ -0,0 +1,182 @@
+// src/db/paymentLedger.js
+/**
+ * Kysely-backed ledger of money movements we initiate against a payment
+ * (refunds, voids, captures and authorization releases). One row per gateway call, linked to payments.id.
+ * Table: payment_ledger (created by src/db/migrations/0001_baseline.js)
+ *
+ * Columns:
+ *   id, payment_row_id, shop_domain, order_id, kind, amount_minor, currency,
+ *   status (pending | succeeded | failed), rocketgate_txn, reason, error,
+ *   raw_response (text JSON), created_at, updated_at
+ *
+ * API:
+ *   - insertLedgerEntry({ payment, kind, amountMinor, currency, reason? })
+ *   - reserveLedgerEntry({ payment, kind, amountMinor, limitMinor?, exclusiveOf?, currency, reason? })  // -> { entry | null, remaining, conflict? }
+ *   - updateLedgerEntry(id, { status, rocketgateTxnId?, error?, rawResponse? })
+ *   - getLedgerEntry(id)
+ *   - listLedgerEntries(paymentRowId)
+ *   - sumLedgerAmount(paymentRowId, kind, { includePending? })  // succeeded (+ pending) entries, in minor units
+ *   - resetPaymentLedger()
+ */
+
+import { sql } from 'kysely';
+
+import { db, DB_CLIENT } from './connection.js';
+
+// ------------------------------ Reads ----------------------------------
+
+export async function getLedgerEntry(id) {
+  return await findEntry(db, id);
+}
+
+async function findEntry(ex, id) {
+  const row = await ex
+    .selectFrom('payment_ledger')
+    .selectAll()
+    .where('id', '=', Number(id))
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+export async function listLedgerEntries(paymentRowId) {
+  return await db
+    .selectFrom('payment_ledger')
+    .selectAll()
+    .where('payment_row_id', '=', Number(paymentRowId))
+    .orderBy('id', 'asc')
+    .execute();
+}
+
+/**
+ * Sum of succeeded entries of one kind, in integer minor units. `includePending` also
+ * counts entries whose gateway call is in flight (or never settled).
+ */
+export async function sumLedgerAmount(paymentRowId, kind, { includePending = false } = {}) {
+  return await sumEntries(db, paymentRowId, kind, includePending);
+}
+
+async function sumEntries(ex, paymentRowId, kind, includePending) {
+  const rows = await ex
+    .selectFrom('payment_ledger')
+    .select(['amount_minor'])
+    .where('payment_row_id', '=', Number(paymentRowId))
+    .where('kind', '=', kind)
+    .where('status', 'in', includePending ? ['succeeded', 'pending'] : ['succeeded'])
+    .execute();
+  return rows.reduce((acc, r) => acc + Number(r.amount_minor ?? 0), 0);
+}
+
+// ------------------------------ Writes ---------------------------------
+
+/**
+ * Record a pending ledger entry before calling the gateway, so a crash
+ * mid-call still leaves a trace to reconcile.
+ */
+export async function insertLedgerEntry({ payment, kind, amountMinor, currency, reason = null }) {
+  if (!payment?.id) throw new Error('insertLedgerEntry: payment row is required');
+  if (!kind) throw new Error('insertLedgerEntry: kind is required');
+
+  return await insertPending(db, { payment, kind, amountMinor, currency, reason });
+}
+
+/**
+ * Insert a pending entry only if it fits: succeeded plus pending entries of `kind`
+ * plus `amountMinor` must stay within `limitMinor` (when given), and no succeeded or
+ * pending entry of the kinds in `exclusiveOf` may exist. The checks and the insert
+ * run in one transaction holding the payment row, so concurrent or retried requests
+ * can't both take the same remainder, or both void/capture the same transaction.
+ * Returns { entry, remaining } (remaining before this entry, null without a limit);
+ * entry is null when the amount doesn't fit, or with { conflict } (the blocking entry).
+ */
+export async function reserveLedgerEntry({
+  payment,
+  kind,
+  amountMinor,
+  limitMinor = null,
+  exclusiveOf = [],
+  currency,
+  reason = null,
+}) {
+  if (!payment?.id) throw new Error('reserveLedgerEntry: payment row is required');
+  if (!kind) throw new Error('reserveLedgerEntry: kind is required');
+
+  return await db.transaction().execute(async (trx) => {
+    // sqlite serializes transactions already; elsewhere lock the payment row
+    const lock = trx.selectFrom('payments').select('id').where('id', '=', payment.id);
+    await (DB_CLIENT === 'sqlite' ? lock : lock.forUpdate()).executeTakeFirst();
+
+    if (exclusiveOf.length) {
+      const conflict = await trx
+        .selectFrom('payment_ledger')
+        .selectAll()
+        .where('payment_row_id', '=', payment.id)
+        .where('kind', 'in', exclusiveOf)
+        .where('status', 'in', ['succeeded', 'pending'])
+        .executeTakeFirst();
+      if (conflict) return { entry: null, remaining: null, conflict };
+    }
+
+    const remaining =
+      limitMinor == null ? null : limitMinor - (await sumEntries(trx, payment.id, kind, true));
+    if (remaining != null && amountMinor > remaining) return { entry: null, remaining };
+
+    const entry = await insertPending(trx, { payment, kind, amountMinor, currency, reason });
+    return { entry, remaining };
+  });
+}
+
+async function insertPending(ex, { payment, kind, amountMinor, currency, reason }) {
+  const insert = ex.insertInto('payment_ledger').values({
+    payment_row_id: payment.id,
+    shop_domain: payment.shop_domain ?? null,
+    order_id: String(payment.order_id),
+    kind,
+    amount_minor: amountMinor ?? null,
+    currency: currency ?? payment.currency ?? null,
+    status: 'pending',
+    reason: reason ?? null,
+  });
+
+  // postgres has no insertId; ask for the key back instead
+  const id =
+    DB_CLIENT === 'postgres'
+      ? (await insert.returning('id').executeTakeFirst()).id
+      : Number((await insert.executeTakeFirst()).insertId);
+
+  return await findEntry(ex, id);
+}
+
+export async function updateLedgerEntry(
+  id,
+  { status, rocketgateTxnId = null, error = null, rawResponse = null }
+) {
+  await db
+    .updateTable('payment_ledger')
+    .set({
+      status,
+      ...(rocketgateTxnId != null ? { rocketgate_txn: String(rocketgateTxnId) } : {}),
+      ...(error != null ? { error: String(error) } : {}),
+      ...(rawResponse != null ? { raw_response: JSON.stringify(rawResponse) } : {}),
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('id', '=', Number(id))
+    .execute();
+
+  return await getLedgerEntry(id);
+}
+
+// ------------------------------ Utilities ------------------------------
+
+export async function resetPaymentLedger() {
+  await db.deleteFrom('payment_ledger').execute();
+}
+
+export default {
+  getLedgerEntry,
+  listLedgerEntries,
+  sumLedgerAmount,
+  insertLedgerEntry,
+  reserveLedgerEntry,
+  updateLedgerEntry,
+  resetPaymentLedger,
+};
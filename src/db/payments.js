@@ -1,220 +1,440 @@
 // src/db/payments.js
 /**
  * Kysely-backed payments store.
- * Table: payments (created by runMigrations in src/db/connection.js)
+ * Table: payments (created by src/db/migrations/0001_baseline.js)
  *
- * Columns (see connection.js):
+ * Columns:
  *   id, shop_domain, order_id, payment_id, customer_id,
- *   amount, currency, status, rocketgate_txn,
- *   status_history (text JSON), rg_raw_notify (text), spz_raw_complete (text),
- *   created_at, updated_at
+ *   amount_minor (integer minor units, see src/utils/money.js), currency, status, rocketgate_txn, callback_url, test_mode,
+ *   signing_profile,
+ *   status_history (legacy, no longer written), rg_raw_notify (text), spz_raw_complete (text),
+ *   superseded_at, superseded_by, created_at, updated_at
  *
  * API:
- *   - createOrUpdatePayment({ shopDomain, orderId, paymentId?, customerId?, amount?, currency?, status?, rocketgateTxnId?, appendHistory? })
- *   - getPayment(orderId)                       // by Shoplazza order id (legacy-friendly)
- *   - getPaymentByPaymentId(paymentId)          // by Shoplazza payment attempt id
- *   - setPaymentStatus({ orderId, status, rocketgateTxnId?, appendHistory? })
+ *   - createOrUpdatePayment({ shopDomain, orderId, paymentId?, customerId?, amountMinor?, currency?, status?, rocketgateTxnId?, callbackUrl?, testMode?, signingProfile?, source?, actor?, payloadRef? })
+ *   - getPayment(orderId, { shop, paymentId? })        // current attempt, or that attempt
+ *   - getPaymentByPaymentId(paymentId, { shop })       // by Shoplazza payment attempt id
+ *   - listPaymentAttempts(orderId, { shop })           // all attempts, oldest first
+ *   - setPaymentStatus({ shopDomain, orderId, paymentId?, status, rocketgateTxnId?, rawNotify?, source?, actor?, payloadRef? })
+ *   - canPaymentTransition(orderId, status, { shop, paymentId? })   // { ok, from, to, reason? } | null
+ *   - summarizePayments({ shop, includeTest? })      // count/amount per status+currency (live only by default)
+ *   - paymentMode(payment)                             // 'test' | 'live'
  *   - resetPayments()
  *
  * Notes:
- * - Status is "forward-only" via rank precedence to avoid accidental downgrades.
- * - Status history is stored as a JSON array in `status_history`.
+ * - Every read and write is scoped to one shop (canonical host, see canonicalShopHost).
+ *   Order ids are only unique per shop, so there is no unscoped lookup; a missing or
+ *   invalid shop throws 400 SHOP_REQUIRED.
+ * - One row per Shoplazza payment attempt (payment_id). Starting a new attempt marks
+ *   the order's older attempts superseded; without a payment id, calls address the
+ *   current (newest) attempt.
+ * - Status changes follow the transition graph in src/utils/paymentStates.js. Illegal
+ *   ones leave the status alone and are recorded as rejected payment_events.
+ * - Every status change appends to payment_events (src/db/paymentEvents.js) in the
+ *   same transaction that updates payments.status; that log is the payment's history.
+ * - test_mode is set from the shop's RocketGate mode when the payment starts (see
+ *   rg_settings.mode). Test payments never count in reporting unless asked for.
+ * - signing_profile is the Hosted Page signing profile the payment's link was signed
+ *   with (the buyer return is verified against it); NULL means the env default.
  */
 
 import { sql } from 'kysely';
 
+import { parseMinorUnits } from '../utils/money.js';
+import { checkTransition } from '../utils/paymentStates.js';
+import { canonicalShopHost } from '../utils/shopHost.js';
+
 import { db } from './connection.js';
+import { appendPaymentEvent } from './paymentEvents.js';
 
-// -------------------------- Forward-only rank ---------------------------
-
-const RANK = new Map([
-  ['initiated', 0],
-  ['pending', 1],
-  ['returned_fail', 2],
-  ['returned_success', 3],
-  ['paid', 4],
-  ['refunded', 5],
-  ['voided', 6],
-  ['chargeback', 7],
-  ['error', 8],
-  ['declined', 9],
-]);
-
-function canAdvance(oldStatus, newStatus) {
-  if (!oldStatus) return true;
-  const oldR = RANK.has(oldStatus) ? RANK.get(oldStatus) : 0;
-  const newR = RANK.has(newStatus) ? RANK.get(newStatus) : 0;
-  return newR >= oldR;
-}
+// Attempts before setPaymentStatus gives up on a row that keeps changing.
+const MAX_TRANSITION_TRIES = 3;
 
-function nowIso() {
-  // Use ISO for history entries; updated_at uses DB CURRENT_TIMESTAMP
-  return new Date().toISOString();
-}
+// --------------------------- Event helpers -----------------------------
 
 /**
- * Internal: append a history entry to an existing JSON array (stored as TEXT).
+ * Internal: the canonical shop host a payment call is scoped to.
+ * Throws 400 SHOP_REQUIRED when it is missing or not a Shoplazza host.
  */
-function appendHistoryText(prevText, entry) {
-  try {
-    const arr = prevText ? JSON.parse(prevText) : [];
-    arr.push(entry);
-    return JSON.stringify(arr);
-  } catch {
-    // If existing is malformed, start fresh with current entry.
-    return JSON.stringify([entry]);
-  }
+function requireShop(shop, fn) {
+  const host = canonicalShopHost(shop);
+  if (host) return host;
+  const err = new Error(`${fn}: a valid shop is required`);
+  err.status = 400;
+  err.code = 'SHOP_REQUIRED';
+  throw err;
 }
 
-// ------------------------------ Reads ----------------------------------
+/**
+ * Internal: one attempt of a shop's order — the given payment_id, else the newest
+ * attempt (the current one; older attempts are superseded when a new one starts).
+ */
+async function findAttempt(executor, shop, orderId, paymentId = null) {
+  let q = executor
+    .selectFrom('payments')
+    .selectAll()
+    .where('shop_domain', '=', shop)
+    .where('order_id', '=', String(orderId));
+  if (paymentId) q = q.where('payment_id', '=', String(paymentId));
+  const row = await q.orderBy('id', 'desc').executeTakeFirst();
+  return row ?? null;
+}
 
-export async function getPayment(orderId) {
-  if (!orderId) return null;
-  const row = await db
+async function findByKey(executor, { shop_domain, order_id, payment_id }) {
+  const row = await executor
     .selectFrom('payments')
     .selectAll()
-    .where('order_id', '=', String(orderId))
+    .where('shop_domain', '=', shop_domain)
+    .where('order_id', '=', order_id)
+    .where('payment_id', '=', payment_id)
     .executeTakeFirst();
   return row ?? null;
 }
 
-export async function getPaymentByPaymentId(paymentId) {
+/**
+ * Internal: move `prev` to `to` and append the matching payment_events row,
+ * inside `trx`. The update is guarded on the status we read, so a concurrent
+ * transition makes this return false instead of silently losing an event.
+ */
+async function applyTransition(trx, prev, { to, rocketgateTxnId, set = {}, ...event }) {
+  const result = await trx
+    .updateTable('payments')
+    .set({
+      status: to,
+      rocketgate_txn: rocketgateTxnId ?? prev.rocketgate_txn ?? null,
+      ...set,
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('id', '=', prev.id)
+    .where('status', '=', prev.status)
+    .executeTakeFirst();
+  if (Number(result.numUpdatedRows) === 0) return false;
+
+  await appendPaymentEvent(
+    { payment: prev, from: prev.status, to, rocketgateTxnId, ...event },
+    trx
+  );
+  return true;
+}
+
+/**
+ * Internal: a new attempt started for row.order_id — mark the order's other open
+ * attempts as superseded by it. Their rows (and events) are kept; late
+ * notifies for them still land on the right attempt by payment id.
+ */
+async function supersedeOtherAttempts(trx, row) {
+  await trx
+    .updateTable('payments')
+    .set({ superseded_at: sql`CURRENT_TIMESTAMP`, superseded_by: row.payment_id })
+    .where('shop_domain', '=', row.shop_domain)
+    .where('order_id', '=', row.order_id)
+    .where('id', '!=', row.id)
+    .where('superseded_at', 'is', null)
+    .execute();
+}
+
+/**
+ * Internal: record a transition the state machine refused. payments.status is
+ * left as is; the event keeps the attempt (and why) visible in the timeline.
+ */
+async function rejectTransition(trx, prev, { to, reason, ...event }) {
+  console.warn(`[payments] ${prev.order_id}: ${prev.status} -> ${to} rejected (${reason})`);
+  await appendPaymentEvent(
+    { payment: prev, from: prev.status, to, rejected: true, reason, ...event },
+    trx
+  );
+}
+
+// ------------------------------ Reads ----------------------------------
+
+/**
+ * The shop's current attempt for the order, or with `paymentId` that specific attempt.
+ */
+export async function getPayment(orderId, { shop, paymentId = null } = {}) {
+  const host = requireShop(shop, 'getPayment');
+  if (!orderId) return null;
+  return await findAttempt(db, host, orderId, paymentId);
+}
+
+export async function getPaymentByPaymentId(paymentId, { shop } = {}) {
+  const host = requireShop(shop, 'getPaymentByPaymentId');
   if (!paymentId) return null;
   const row = await db
     .selectFrom('payments')
     .selectAll()
+    .where('shop_domain', '=', host)
     .where('payment_id', '=', String(paymentId))
     .executeTakeFirst();
   return row ?? null;
 }
 
+/**
+ * Every attempt for the shop's order, oldest first (superseded ones included).
+ */
+export async function listPaymentAttempts(orderId, { shop } = {}) {
+  const host = requireShop(shop, 'listPaymentAttempts');
+  return await db
+    .selectFrom('payments')
+    .selectAll()
+    .where('shop_domain', '=', host)
+    .where('order_id', '=', String(orderId))
+    .orderBy('id', 'asc')
+    .execute();
+}
+
+/**
+ * Could the payment for `orderId` (current attempt, or `paymentId`) move to `status` now?
+ * Returns { ok, from, to, reason? } (see checkTransition), or null when there is no payment.
+ */
+export async function canPaymentTransition(orderId, status, { shop, paymentId = null } = {}) {
+  const payment = await getPayment(orderId, { shop, paymentId });
+  if (!payment) return null;
+  return { from: payment.status, to: status, ...checkTransition(payment.status, status) };
+}
+
+/** The RocketGate mode a payment was made in, from payments.test_mode. */
+export function paymentMode(payment) {
+  return Number(payment?.test_mode ?? 0) ? 'test' : 'live';
+}
+
+/**
+ * Reporting totals for the shop's current attempts (superseded ones excluded), per
+ * status and currency: [{ status, currency, count, amountMinor }]. Test-mode payments
+ * are left out unless `includeTest`.
+ */
+export async function summarizePayments({ shop, includeTest = false } = {}) {
+  const host = requireShop(shop, 'summarizePayments');
+  let query = db
+    .selectFrom('payments')
+    .select(({ fn }) => [
+      'status',
+      'currency',
+      fn.countAll().as('count'),
+      fn.sum('amount_minor').as('amountMinor'),
+    ])
+    .where('shop_domain', '=', host)
+    .where('superseded_at', 'is', null);
+  if (!includeTest)
+    query = query.where((eb) => eb.or([eb('test_mode', '=', 0), eb('test_mode', 'is', null)]));
+
+  const rows = await query
+    .groupBy(['status', 'currency'])
+    .orderBy('status')
+    .orderBy('currency')
+    .execute();
+  return rows.map((r) => ({
+    status: r.status,
+    currency: r.currency,
+    count: Number(r.count),
+    amountMinor: Number(r.amountMinor ?? 0),
+  }));
+}
+
 // ------------------------------ Upserts --------------------------------
 
 /**
- * Upsert/merge a payment row. Ignores status if it would downgrade.
- * Accepts both the “new” shape and the older one (for current callers).
+ * Upsert/merge a payment row. A new row gets its first event (null -> status);
+ * on an existing row a `status` that can advance is applied as a transition,
+ * otherwise it is ignored. Accepts both the “new” shape and the older one.
  */
 export async function createOrUpdatePayment({
-  shopDomain = null,
+  shopDomain,
   orderId,
   paymentId = null,
   customerId = null,
-  amount = null,
+  amountMinor = null,
   currency = null,
   status = null,
   rocketgateTxnId = null,
-  appendHistory = true,
+  callbackUrl = null,
+  testMode = null,
+  signingProfile = null,
+  source = 'init',
+  actor = null,
+  payloadRef = null,
 } = {}) {
+  const shop = requireShop(shopDomain, 'createOrUpdatePayment');
   if (!orderId) throw new Error('createOrUpdatePayment: orderId is required');
+  if (amountMinor != null && parseMinorUnits(amountMinor) == null) {
+    throw new Error('createOrUpdatePayment: amountMinor must be integer minor units');
+  }
 
-  const prev = await getPayment(orderId);
-
-  const nextStatus =
-    status && canAdvance(prev?.status, status) ? status : (prev?.status ?? status ?? 'pending');
-
-  const historyEntry = { ts: nowIso(), status: nextStatus, source: 'createOrUpdate' };
-  const status_history = appendHistory
-    ? appendHistoryText(prev?.status_history ?? null, historyEntry)
-    : (prev?.status_history ?? null);
-
-  // Build write set
-  const toWrite = {
-    shop_domain: shopDomain ?? prev?.shop_domain ?? null,
-    order_id: String(orderId),
-    payment_id: paymentId ?? prev?.payment_id ?? null,
-    customer_id: customerId ?? prev?.customer_id ?? null,
-    amount: amount ?? prev?.amount ?? null,
-    currency: currency ?? prev?.currency ?? null,
-    status: nextStatus,
-    rocketgate_txn: rocketgateTxnId ?? prev?.rocketgate_txn ?? null,
-    status_history,
-  };
-
-  // Upsert keyed by (shop_domain, order_id, payment_id) if present; otherwise by order_id as fallback
-  // We’ll use the unique constraint from migrations (shop_domain, order_id, payment_id).
-  // If payment_id is null, uniqueness falls back effectively to (shop_domain, order_id).
-  await db
-    .insertInto('payments')
-    .values(toWrite)
-    .onConflict((oc) =>
-      oc.columns(['shop_domain', 'order_id', 'payment_id']).doUpdateSet((eb) => ({
-        shop_domain: eb.ref('excluded.shop_domain'),
-        customer_id: eb
-          .case()
-          .when(sql`excluded.customer_id IS NOT NULL`)
-          .then(eb.ref('excluded.customer_id'))
-          .else(eb.ref('payments.customer_id'))
-          .end(),
-        amount: eb
-          .case()
-          .when(sql`excluded.amount IS NOT NULL`)
-          .then(eb.ref('excluded.amount'))
-          .else(eb.ref('payments.amount'))
-          .end(),
-        currency: eb
-          .case()
-          .when(sql`excluded.currency IS NOT NULL`)
-          .then(eb.ref('excluded.currency'))
-          .else(eb.ref('payments.currency'))
-          .end(),
-        rocketgate_txn: eb
-          .case()
-          .when(sql`excluded.rocketgate_txn IS NOT NULL`)
-          .then(eb.ref('excluded.rocketgate_txn'))
-          .else(eb.ref('payments.rocketgate_txn'))
-          .end(),
-        // Forward-only for status
-        status: sql`CASE
-                        WHEN ${nextStatus} IS NOT NULL THEN ${nextStatus}
-                        ELSE payments.status
-                      END`,
-        status_history: toWrite.status_history ?? eb.ref('payments.status_history'),
-        updated_at: sql`CURRENT_TIMESTAMP`,
-      }))
-    )
-    .execute();
+  return await db.transaction().execute(async (trx) => {
+    // This attempt if we have it; a new attempt inherits order-level fields from the current one
+    const prev = await findAttempt(trx, shop, orderId, paymentId);
+    const base = prev ?? (paymentId ? await findAttempt(trx, shop, orderId) : null);
+
+    // Build write set (status only applies to a new row; changes go through events)
+    const toWrite = {
+      shop_domain: shop,
+      order_id: String(orderId),
+      payment_id: paymentId ?? prev?.payment_id ?? null,
+      customer_id: customerId ?? prev?.customer_id ?? null,
+      amount_minor: parseMinorUnits(amountMinor) ?? base?.amount_minor ?? null,
+      currency: currency ?? base?.currency ?? null,
+      status: prev?.status ?? status ?? 'pending',
+      rocketgate_txn: rocketgateTxnId ?? prev?.rocketgate_txn ?? null,
+      callback_url: callbackUrl ?? base?.callback_url ?? null,
+      test_mode: testMode == null ? (base?.test_mode ?? 0) : testMode ? 1 : 0,
+      signing_profile: signingProfile ?? prev?.signing_profile ?? null,
+    };
+    const existing = await findByKey(trx, toWrite);
 
-  return await getPayment(orderId);
+    // Upsert keyed by the unique constraint from migrations (shop_domain, order_id, payment_id).
+    await trx
+      .insertInto('payments')
+      .values(toWrite)
+      .onConflict((oc) =>
+        oc.columns(['shop_domain', 'order_id', 'payment_id']).doUpdateSet((eb) => ({
+          customer_id: eb
+            .case()
+            .when(sql`excluded.customer_id IS NOT NULL`)
+            .then(eb.ref('excluded.customer_id'))
+            .else(eb.ref('payments.customer_id'))
+            .end(),
+          amount_minor: eb
+            .case()
+            .when(sql`excluded.amount_minor IS NOT NULL`)
+            .then(eb.ref('excluded.amount_minor'))
+            .else(eb.ref('payments.amount_minor'))
+            .end(),
+          currency: eb
+            .case()
+            .when(sql`excluded.currency IS NOT NULL`)
+            .then(eb.ref('excluded.currency'))
+            .else(eb.ref('payments.currency'))
+            .end(),
+          rocketgate_txn: eb
+            .case()
+            .when(sql`excluded.rocketgate_txn IS NOT NULL`)
+            .then(eb.ref('excluded.rocketgate_txn'))
+            .else(eb.ref('payments.rocketgate_txn'))
+            .end(),
+          callback_url: eb
+            .case()
+            .when(sql`excluded.callback_url IS NOT NULL`)
+            .then(eb.ref('excluded.callback_url'))
+            .else(eb.ref('payments.callback_url'))
+            .end(),
+          test_mode: eb.ref('excluded.test_mode'),
+          signing_profile: eb
+            .case()
+            .when(sql`excluded.signing_profile IS NOT NULL`)
+            .then(eb.ref('excluded.signing_profile'))
+            .else(eb.ref('payments.signing_profile'))
+            .end(),
+          updated_at: sql`CURRENT_TIMESTAMP`,
+        }))
+      )
+      .execute();
+
+    const row = await findByKey(trx, toWrite);
+    const event = { source, actor, payloadRef, rocketgateTxnId };
+
+    if (!existing) {
+      await appendPaymentEvent({ payment: row, to: row.status, ...event }, trx);
+      await supersedeOtherAttempts(trx, row);
+    } else if (status && status !== row.status) {
+      const check = checkTransition(row.status, status);
+      if (check.ok) await applyTransition(trx, row, { to: status, ...event });
+      else await rejectTransition(trx, row, { to: status, reason: check.reason, ...event });
+    }
+
+    return await findByKey(trx, toWrite);
+  });
 }
 
 /**
- * Forward-only status update. Returns the new row.
+ * Status update through the state machine, recorded as a payment_events row in
+ * the same transaction. Returns the (possibly unchanged) row.
+ * - source: init | return | notify | admin | reconcile; actor/payloadRef are free-form.
+ * - An illegal transition is recorded as a rejected event; the status stays put.
+ * - `rawNotify` (the RocketGate notify body) is stored even when the status can't change.
+ * Throws 409 PAYMENT_STATUS_CONFLICT if the row keeps changing underneath us.
  */
 export async function setPaymentStatus({
+  shopDomain,
   orderId,
+  paymentId = null,
   status,
   rocketgateTxnId = null,
-  appendHistory = true,
+  rawNotify = null,
+  source = 'reconcile',
+  actor = null,
+  payloadRef = null,
 }) {
+  const shop = requireShop(shopDomain, 'setPaymentStatus');
   if (!orderId || !status) throw new Error('setPaymentStatus: orderId and status are required');
-  const prev = await getPayment(orderId);
 
-  if (!prev) {
-    // Insert minimal row if missing
-    return await createOrUpdatePayment({ orderId, status, rocketgateTxnId, appendHistory });
-  }
+  for (let tries = 0; tries < MAX_TRANSITION_TRIES; tries++) {
+    const outcome = await db.transaction().execute(async (trx) => {
+      const prev = await findAttempt(trx, shop, orderId, paymentId);
+      if (!prev) return { missing: true };
 
-  if (!canAdvance(prev.status, status)) {
-    // no-op downgrade
-    return prev;
-  }
+      const raw = rawNotify != null ? { rg_raw_notify: String(rawNotify) } : {};
 
-  const history = appendHistory
-    ? appendHistoryText(prev.status_history ?? null, { ts: nowIso(), status, source: 'setStatus' })
-    : (prev.status_history ?? null);
+      const check = checkTransition(prev.status, status);
+      if (!check.ok) {
+        // No transition; still keep the latest txn id / raw notify for debugging
+        const keep = {
+          ...raw,
+          ...(check.reason === 'unchanged' && rocketgateTxnId
+            ? { rocketgate_txn: rocketgateTxnId }
+            : {}),
+        };
+        if (Object.keys(keep).length) {
+          await trx
+            .updateTable('payments')
+            .set({ ...keep, updated_at: sql`CURRENT_TIMESTAMP` })
+            .where('id', '=', prev.id)
+            .execute();
+        }
+        if (check.reason !== 'unchanged') {
+          await rejectTransition(trx, prev, {
+            to: status,
+            reason: check.reason,
+            rocketgateTxnId,
+            source,
+            actor,
+            payloadRef,
+          });
+        }
+        return { row: await findAttempt(trx, shop, orderId, prev.payment_id) };
+      }
 
-  await db
-    .updateTable('payments')
-    .set({
-      status,
-      rocketgate_txn: rocketgateTxnId ?? prev.rocketgate_txn ?? null,
-      status_history: history,
-      updated_at: sql`CURRENT_TIMESTAMP`,
-    })
-    .where('order_id', '=', String(orderId))
-    .execute();
+      const moved = await applyTransition(trx, prev, {
+        to: status,
+        rocketgateTxnId,
+        set: raw,
+        source,
+        actor,
+        payloadRef,
+      });
+      return moved
+        ? { row: await findAttempt(trx, shop, orderId, prev.payment_id) }
+        : { retry: true };
+    });
+
+    if (outcome.missing) {
+      // Insert minimal row if missing
+      return await createOrUpdatePayment({
+        shopDomain: shop,
+        orderId,
+        paymentId,
+        status,
+        rocketgateTxnId,
+        source,
+        actor,
+        payloadRef,
+      });
+    }
+    if (!outcome.retry) return outcome.row;
+  }
 
-  return await getPayment(orderId);
+  const err = new Error(`Payment ${orderId} changed concurrently; status ${status} not applied`);
+  err.status = 409;
+  err.code = 'PAYMENT_STATUS_CONFLICT';
+  throw err;
 }
 
 // ------------------------------ Utilities ------------------------------
@@ -227,6 +447,10 @@ export default {
   createOrUpdatePayment,
   getPayment,
   getPaymentByPaymentId,
+  listPaymentAttempts,
   setPaymentStatus,
+  canPaymentTransition,
+  summarizePayments,
+  paymentMode,
   resetPayments,
 };
@@ -10,35 +10,89 @@
  * Table
  * -----
  * rg_settings (
- *   shop_domain  varchar(191) PK   // canonical single-z host (e.g. rg-demo.myshoplazza.com)
- *   merchant_id  varchar(191)
- *   merchant_key varchar(191)      // stored raw; NEVER return to UI unmasked
- *   mode         varchar(16)       // 'test' | 'live' (default 'test')
- *   return_url   text
- *   cancel_url   text
- *   updated_at   timestamptz/text  // default CURRENT_TIMESTAMP
+ *   shop_domain      varchar(191) PK  // canonical single-z host (e.g. rg-demo.myshoplazza.com)
+ *   merchant_id      varchar(191)
+ *   merchant_key     varchar(191)     // legacy plaintext; cleared once encrypted
+ *   merchant_key_enc text             // envelope ciphertext (src/utils/secretBox.js)
+ *   merchant_key_kid varchar(64)      // id of the master key that wrapped it
+ *   test_merchant_id      varchar(191) // optional test-mode credential set (0013)
+ *   test_merchant_key     varchar(191)
+ *   test_merchant_key_enc text
+ *   test_merchant_key_kid varchar(64)
+ *   mode             varchar(16)      // 'test' | 'live' (default 'test')
+ *   payment_type     varchar(16)      // 'sale' | 'authorization' (default 'sale'; auth-only + capture later)
+ *   signing_profile  varchar(32)      // Hosted Page signing profile (default 'default', 0014)
+ *   descriptor       varchar(32)      // Hosted Page options (0015, src/utils/hostedPageOptions.js)
+ *   locale           varchar(16)
+ *   page_style       varchar(64)
+ *   prefill_buyer    integer          // 1 = prefill buyer from the Shoplazza payload (default 1)
+ *   return_url       text
+ *   cancel_url       text
+ *   updated_at       timestamptz/text // default CURRENT_TIMESTAMP
  * )
  *
  * API
  * ---
- * - getRgSettings(shop)
- * - upsertRgSettings({ shop, merchantId, merchantKey?, mode?, returnUrl?, cancelUrl? })
+ * - getRgSettings(shop)                // merchantKey decrypted; credentials of the active mode
+ * - upsertRgSettings({ shop, merchantId?, merchantKey?, testMerchantId?, testMerchantKey?,
+ *                      mode?, paymentType?, signingProfile?, descriptor?, locale?,
+ *                      pageStyle?, prefillBuyer?, returnUrl?, cancelUrl? })
+ * - credentialsForMode(settings, mode?) // { merchantId, merchantKey, mode } for 'test' | 'live'
  * - listRgSettings()
+ * - reencryptMerchantKeys({ set? })    // re-wrap every key under the active master key
  * - resetRgSettings()
  *
  * Notes
  * -----
  * - Hosts are normalized via canonicalShopHost (single-z). For backward compat,
  *   getRgSettings will also read a legacy double-z row if present.
- * - upsert only updates merchant_key if a non-empty value is provided.
+ * - upsert only updates merchant_key if a non-empty value is provided, and keeps
+ *   every other field the caller leaves undefined.
+ * - Test/live: `mode` selects the RocketGate environment (dev-secure vs secure) and
+ *   the credential set. merchant_id/merchant_key are the live set; test mode uses
+ *   test_merchant_id/test_merchant_key when saved, else falls back to the live columns
+ *   (shops that only ever saved one pair keep working).
+ * - signingProfile must name a registered profile (src/utils/hostedPageSigning.js);
+ *   anything else throws 400 INVALID_SIGNING_PROFILE. Omitted on update = unchanged.
+ * - descriptor/locale/pageStyle are validated like Hosted Page options (400
+ *   INVALID_HOSTED_PAGE_OPTION); blank clears, omitted keeps. Same for prefillBuyer.
+ * - Merchant keys are encrypted with SECRETS_MASTER_KEYS, bound to the row's
+ *   shop_domain (the test key to `<shop_domain>:test`). Outside production a missing master key falls back to
+ *   plaintext (with a warning); in production the write fails.
  * - Always mask merchantKey at the edge before returning to the browser.
  */
 
 import { sql } from 'kysely';
 
+import { normalizeHostedPageOptions } from '../utils/hostedPageOptions.js';
+import { getSigningProfile } from '../utils/hostedPageSigning.js';
+import { openFromStorage, sealForStorage } from '../utils/secretBox.js';
 import { canonicalShopHost } from '../utils/shopHost.js';
 
 import { db } from './connection.js';
+import { reencryptSecretColumns } from './secretColumns.js';
+
+const COLUMNS = [
+  'shop_domain as shop',
+  'merchant_id as merchantId',
+  'merchant_key',
+  'merchant_key_enc',
+  'merchant_key_kid',
+  'test_merchant_id as testMerchantId',
+  'test_merchant_key',
+  'test_merchant_key_enc',
+  'test_merchant_key_kid',
+  'mode',
+  'payment_type as paymentType',
+  'signing_profile as signingProfile',
+  'descriptor',
+  'locale',
+  'page_style as pageStyle',
+  'prefill_buyer as prefillBuyer',
+  'return_url as returnUrl',
+  'cancel_url as cancelUrl',
+  'updated_at as updatedAt',
+];
 
 function normalizeMode(m) {
   return String(m ?? '')
@@ -48,6 +102,126 @@ function normalizeMode(m) {
     : 'test';
 }
 
+function normalizePaymentType(t) {
+  return String(t ?? '')
+    .trim()
+    .toLowerCase() === 'authorization'
+    ? 'authorization'
+    : 'sale';
+}
+
+/** Columns and encryption binding of each credential set. */
+const CREDENTIAL_SETS = {
+  live: {
+    id: 'merchant_id',
+    plaintext: 'merchant_key',
+    ciphertext: 'merchant_key_enc',
+    keyId: 'merchant_key_kid',
+    aad: (shopDomain) => shopDomain,
+  },
+  test: {
+    id: 'test_merchant_id',
+    plaintext: 'test_merchant_key',
+    ciphertext: 'test_merchant_key_enc',
+    keyId: 'test_merchant_key_kid',
+    aad: (shopDomain) => `${shopDomain}:test`,
+  },
+};
+
+/**
+ * Stored row -> settings with decrypted keys (encrypted columns never leave).
+ * merchantId/merchantKey are the pair for the row's mode; `credentials` holds both sets.
+ */
+function withMerchantKey(row) {
+  if (!row) return null;
+  const {
+    merchant_key,
+    merchant_key_enc,
+    merchant_key_kid,
+    test_merchant_key,
+    test_merchant_key_enc,
+    test_merchant_key_kid,
+    merchantId,
+    testMerchantId,
+    ...rest
+  } = row;
+  const credentials = {
+    live: {
+      merchantId,
+      merchantKey: openFromStorage(
+        { plaintext: merchant_key, ciphertext: merchant_key_enc, keyId: merchant_key_kid },
+        { aad: CREDENTIAL_SETS.live.aad(row.shop) }
+      ),
+    },
+    test: {
+      merchantId: testMerchantId ?? null,
+      merchantKey: openFromStorage(
+        {
+          plaintext: test_merchant_key,
+          ciphertext: test_merchant_key_enc,
+          keyId: test_merchant_key_kid,
+        },
+        { aad: CREDENTIAL_SETS.test.aad(row.shop) }
+      ),
+    },
+  };
+  const active = credentialsForMode({ ...rest, credentials });
+  return {
+    ...rest,
+    prefillBuyer: rest.prefillBuyer == null ? true : Boolean(Number(rest.prefillBuyer)),
+    merchantId: active.merchantId,
+    merchantKey: active.merchantKey,
+    testMerchantId: credentials.test.merchantId,
+    credentials,
+  };
+}
+
+/** Column values for a new merchant key: encrypted, or plaintext outside production. */
+function merchantKeyColumns(shopDomain, merchantKey, set = 'live') {
+  const cols = CREDENTIAL_SETS[set];
+  const { plaintext, ciphertext, keyId } = sealForStorage(merchantKey, {
+    aad: cols.aad(shopDomain),
+  });
+  return { [cols.plaintext]: plaintext, [cols.ciphertext]: ciphertext, [cols.keyId]: keyId };
+}
+
+/**
+ * Column values for the Hosted Page options that were provided (undefined = keep);
+ * throws 400 INVALID_HOSTED_PAGE_OPTION on a bad value.
+ */
+function hostedPageColumns({ descriptor, locale, pageStyle, prefillBuyer }) {
+  const normalized = normalizeHostedPageOptions({ descriptor, locale, style: pageStyle });
+  const on = ['1', 'true', 'yes', 'on'].includes(String(prefillBuyer).toLowerCase());
+  return {
+    ...(descriptor !== undefined ? { descriptor: normalized.descriptor } : {}),
+    ...(locale !== undefined ? { locale: normalized.locale } : {}),
+    ...(pageStyle !== undefined ? { page_style: normalized.style } : {}),
+    ...(prefillBuyer !== undefined ? { prefill_buyer: on ? 1 : 0 } : {}),
+  };
+}
+
+/** Trimmed non-empty key, or undefined (keep the stored one). */
+function newKey(merchantKey) {
+  const trimmed = typeof merchantKey === 'string' ? merchantKey.trim() : merchantKey;
+  return trimmed ? String(trimmed) : undefined;
+}
+
+/**
+ * Credentials to use for `mode` (default: the shop's own mode), as
+ * { merchantId, merchantKey, mode }. Test mode uses the test set when one is
+ * saved and falls back to the live set otherwise. Live never falls back.
+ */
+export function credentialsForMode(settings, mode = settings?.mode) {
+  const resolved = normalizeMode(mode);
+  const { live, test } = settings?.credentials ?? {};
+  const set = resolved === 'test' && test?.merchantId && test?.merchantKey ? test : live;
+  return {
+    merchantId: set?.merchantId ?? null,
+    merchantKey: set?.merchantKey ?? null,
+    mode: resolved,
+  };
+}
+
 /**
  * Fetch per-shop RocketGate settings.
  * Accepts slug/full host; stores canonical single-z host; falls back to legacy double-z.
@@ -59,79 +233,81 @@ export async function getRgSettings(shop) {
   // Try canonical (single-z)
   let row = await db
     .selectFrom('rg_settings')
-    .select([
-      'shop_domain as shop',
-      'merchant_id as merchantId',
-      'merchant_key as merchantKey',
-      'mode',
-      'return_url as returnUrl',
-      'cancel_url as cancelUrl',
-      'updated_at as updatedAt',
-    ])
+    .select(COLUMNS)
     .where('shop_domain', '=', canonical)
     .executeTakeFirst();
 
-  if (row) return row;
+  if (row) return withMerchantKey(row);
 
   // Back-compat: legacy double-z if present
   const legacy = canonical.replace('.myshoplazza.com', '.myshoplaza.com');
   row = await db
     .selectFrom('rg_settings')
-    .select([
-      'shop_domain as shop',
-      'merchant_id as merchantId',
-      'merchant_key as merchantKey',
-      'mode',
-      'return_url as returnUrl',
-      'cancel_url as cancelUrl',
-      'updated_at as updatedAt',
-    ])
+    .select(COLUMNS)
     .where('shop_domain', '=', legacy)
     .executeTakeFirst();
 
-  return row ?? null;
+  return withMerchantKey(row);
 }
 
 /**
- * Insert or update settings. Only overwrites merchant_key when a non-empty value
- * is provided (so you can keep the existing key by leaving the field blank in UI).
+ * Insert or update settings. A field left undefined keeps its stored value on update
+ * (new rows get mode `test`, payment type `sale`); a blank merchant id or return/cancel
+ * URL clears it. Only overwrites a merchant key when a non-empty value is provided
+ * (so you can keep the existing key by leaving the field blank in UI).
+ * merchantId/merchantKey are the live set; testMerchantId/testMerchantKey the test set.
  */
 export async function upsertRgSettings({
   shop,
   merchantId,
   merchantKey,
-  mode = 'test',
+  testMerchantId,
+  testMerchantKey,
+  mode,
+  paymentType,
+  signingProfile,
+  descriptor,
+  locale,
+  pageStyle,
+  prefillBuyer,
   returnUrl,
   cancelUrl,
 }) {
   const shop_domain = canonicalShopHost(shop);
   if (!shop_domain) throw new Error('upsertRgSettings: "shop" is required');
+  const profileColumns = signingProfile
+    ? { signing_profile: getSigningProfile(String(signingProfile).trim()).name }
+    : {};
+  const pageColumns = hostedPageColumns({ descriptor, locale, pageStyle, prefillBuyer });
 
-  const modeNorm = normalizeMode(mode);
-  const keyTrim = typeof merchantKey === 'string' ? merchantKey.trim() : (merchantKey ?? undefined);
-  const hasNewKey = Boolean(keyTrim);
-
-  const values = {
-    shop_domain, // single-z canonical
-    merchant_id: merchantId ?? null,
-    merchant_key: hasNewKey ? String(keyTrim) : null, // only set when provided
-    mode: modeNorm,
-    return_url: returnUrl ?? null,
-    cancel_url: cancelUrl ?? null,
+  const liveKey = newKey(merchantKey);
+  const testKey = newKey(testMerchantKey);
+  const credentialColumns = {
+    ...(merchantId !== undefined ? { merchant_id: merchantId || null } : {}),
+    ...(liveKey ? merchantKeyColumns(shop_domain, liveKey, 'live') : {}),
+    ...(testMerchantId !== undefined ? { test_merchant_id: testMerchantId || null } : {}),
+    ...(testKey ? merchantKeyColumns(shop_domain, testKey, 'test') : {}),
+  };
+  const settingColumns = {
+    ...(mode !== undefined ? { mode: normalizeMode(mode) } : {}),
+    ...(paymentType !== undefined ? { payment_type: normalizePaymentType(paymentType) } : {}),
+    ...(returnUrl !== undefined ? { return_url: returnUrl || null } : {}),
+    ...(cancelUrl !== undefined ? { cancel_url: cancelUrl || null } : {}),
   };
 
+  // Everything below is only set when provided
+  const changes = { ...credentialColumns, ...settingColumns, ...profileColumns, ...pageColumns };
+
   await db
     .insertInto('rg_settings')
-    .values(values)
+    .values({
+      shop_domain, // single-z canonical
+      mode: normalizeMode(mode),
+      payment_type: normalizePaymentType(paymentType),
+      ...changes,
+    })
     .onConflict((oc) =>
-      oc.column('shop_domain').doUpdateSet({
-        merchant_id: values.merchant_id,
-        ...(hasNewKey ? { merchant_key: values.merchant_key } : {}),
-        mode: values.mode,
-        return_url: values.return_url,
-        cancel_url: values.cancel_url,
-        updated_at: sql`CURRENT_TIMESTAMP`,
-      })
+      oc.column('shop_domain').doUpdateSet({ ...changes, updated_at: sql`CURRENT_TIMESTAMP` })
     )
     .execute();
 
@@ -145,7 +321,10 @@ export async function listRgSettings() {
     .select([
       'shop_domain as shop',
       'merchant_id as merchantId',
+      'test_merchant_id as testMerchantId',
       'mode',
+      'payment_type as paymentType',
+      'signing_profile as signingProfile',
       'return_url as returnUrl',
       'cancel_url as cancelUrl',
       'updated_at as updatedAt',
@@ -154,9 +333,32 @@ export async function listRgSettings() {
     .execute();
 }
 
+/**
+ * Re-wrap every stored merchant key of one credential set ('live' or 'test') under
+ * the active master key, and encrypt rows still in plaintext (safe while serving;
+ * see src/db/secretColumns.js). Returns { rewrapped, encrypted, unchanged }.
+ */
+export async function reencryptMerchantKeys({ set = 'live' } = {}) {
+  const cols = CREDENTIAL_SETS[set];
+  if (!cols) throw new Error(`reencryptMerchantKeys: unknown credential set "${set}"`);
+  return await reencryptSecretColumns({
+    table: 'rg_settings',
+    key: 'shop_domain',
+    columns: { plaintext: cols.plaintext, ciphertext: cols.ciphertext, keyId: cols.keyId },
+    aad: (row) => cols.aad(row.shop_domain),
+  });
+}
+
 /** Danger: development helper to clear the table. */
 export async function resetRgSettings() {
   await db.deleteFrom('rg_settings').execute();
 }
 
-export default { getRgSettings, upsertRgSettings, listRgSettings, resetRgSettings };
+export default {
+  getRgSettings,
+  upsertRgSettings,
+  credentialsForMode,
+  listRgSettings,
+  reencryptMerchantKeys,
+  resetRgSettings,
+};
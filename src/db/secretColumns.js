@@ -0,0 +1,71 @@
+// src/db/secretColumns.js
+/**
+ * Master key rotation for tables that store a secret as three columns:
+ * plaintext (fallback), ciphertext and key id (see src/utils/secretBox.js).
+ * Used by rgSettings.reencryptMerchantKeys and shoplazzaApps.reencryptAppSecrets.
+ *
+ * API:
+ *   - reencryptSecretColumns({ table, key, columns: { plaintext, ciphertext, keyId }, aad })
+ *       // -> { rewrapped, encrypted, unchanged }
+ */
+
+import { activeKeyId, rewrapSecret, sealForStorage } from '../utils/secretBox.js';
+
+import { db } from './connection.js';
+
+/**
+ * Re-wrap every row's secret under the active master key, and encrypt rows still
+ * in plaintext. Each row is updated only if it is unchanged since it was read,
+ * so it is safe to run while the app keeps serving (the old master key must stay
+ * in SECRETS_MASTER_KEYS until this finishes). `aad(row)` gives the row's binding.
+ */
+export async function reencryptSecretColumns({ table, key, columns, aad }) {
+  const keyId = activeKeyId();
+  if (!keyId) {
+    const err = new Error('SECRETS_MASTER_KEYS is not set');
+    err.code = 'MASTER_KEY_MISSING';
+    throw err;
+  }
+
+  const { plaintext, ciphertext, keyId: kidColumn } = columns;
+  const rows = await db.selectFrom(table).select([key, plaintext, ciphertext, kidColumn]).execute();
+
+  const counts = { rewrapped: 0, encrypted: 0, unchanged: 0 };
+  for (const row of rows) {
+    let next;
+    let query = db.updateTable(table).where(key, '=', row[key]);
+    if (row[ciphertext]) {
+      if (row[kidColumn] === keyId) {
+        counts.unchanged += 1;
+        continue;
+      }
+      const rewrapped = rewrapSecret(
+        { ciphertext: row[ciphertext], keyId: row[kidColumn] },
+        { aad: aad(row) }
+      );
+      next = { [ciphertext]: rewrapped.ciphertext, [kidColumn]: rewrapped.keyId };
+      query = query.where(ciphertext, '=', row[ciphertext]);
+    } else if (row[plaintext]) {
+      const sealed = sealForStorage(row[plaintext], { aad: aad(row) });
+      next = {
+        [plaintext]: sealed.plaintext,
+        [ciphertext]: sealed.ciphertext,
+        [kidColumn]: sealed.keyId,
+      };
+      query = query.where(plaintext, '=', row[plaintext]);
+    } else {
+      counts.unchanged += 1;
+      continue;
+    }
+
+    const result = await query.set(next).executeTakeFirst();
+    if (Number(result.numUpdatedRows) === 0) {
+      counts.unchanged += 1; // rewritten meanwhile
+    } else if (row[ciphertext]) {
+      counts.rewrapped += 1;
+    } else {
+      counts.encrypted += 1;
+    }
+  }
+  return counts;
+}
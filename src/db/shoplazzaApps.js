@@ -0,0 +1,161 @@
+// src/db/shoplazzaApps.js
+/**
+ * Kysely-backed registry of Shoplazza app listings we run (public, private,
+ * staging, ...). Shops are bound to the app they installed through via
+ * shops.client_id; src/utils/shoplazzaApps.js resolves a shop's app.
+ * Table: shoplazza_apps (created by src/db/migrations/0011_shoplazza_apps.js)
+ *
+ * The client secret is encrypted at rest (src/utils/secretBox.js), bound to the
+ * app's key. Reads by key/client id return it decrypted; listShoplazzaApps
+ * never includes it.
+ *
+ * API:
+ *   - upsertShoplazzaApp({ appKey, clientId, clientSecret?, redirectUrl?, scopes?, apiVersion? })
+ *   - getShoplazzaApp(appKey)
+ *   - getShoplazzaAppByClientId(clientId)
+ *   - listShoplazzaApps()
+ *   - reencryptAppSecrets()     // re-wrap every secret under the active master key
+ *   - resetShoplazzaApps()
+ */
+
+import { sql } from 'kysely';
+
+import { openFromStorage, sealForStorage } from '../utils/secretBox.js';
+
+import { db } from './connection.js';
+import { reencryptSecretColumns } from './secretColumns.js';
+
+const COLUMNS = [
+  'app_key as appKey',
+  'client_id as clientId',
+  'client_secret',
+  'client_secret_enc',
+  'client_secret_kid',
+  'redirect_url as redirectUrl',
+  'scopes',
+  'api_version as apiVersion',
+  'updated_at as updatedAt',
+];
+
+const aadFor = (appKey) => `shoplazza_apps:${appKey}`;
+
+function withClientSecret(row) {
+  if (!row) return null;
+  const { client_secret, client_secret_enc, client_secret_kid, ...rest } = row;
+  const clientSecret = openFromStorage(
+    { plaintext: client_secret, ciphertext: client_secret_enc, keyId: client_secret_kid },
+    { aad: aadFor(row.appKey) }
+  );
+  return { ...rest, clientSecret };
+}
+
+/**
+ * Insert or update an app registration (keyed by appKey). The secret is only
+ * replaced when a non-empty one is given.
+ */
+export async function upsertShoplazzaApp({
+  appKey,
+  clientId,
+  clientSecret,
+  redirectUrl,
+  scopes,
+  apiVersion,
+}) {
+  const app_key = String(appKey ?? '').trim();
+  const client_id = String(clientId ?? '').trim();
+  if (!app_key) throw new Error('upsertShoplazzaApp: "appKey" is required');
+  if (!client_id) throw new Error('upsertShoplazzaApp: "clientId" is required');
+
+  const secret = typeof clientSecret === 'string' ? clientSecret.trim() : '';
+  const secretColumns = {};
+  if (secret) {
+    const sealed = sealForStorage(secret, { aad: aadFor(app_key) });
+    secretColumns.client_secret = sealed.plaintext;
+    secretColumns.client_secret_enc = sealed.ciphertext;
+    secretColumns.client_secret_kid = sealed.keyId;
+  }
+
+  const values = {
+    client_id,
+    redirect_url: redirectUrl ?? null,
+    scopes: scopes ?? null,
+    api_version: apiVersion ?? null,
+    ...secretColumns,
+  };
+
+  await db
+    .insertInto('shoplazza_apps')
+    .values({ app_key, ...values })
+    .onConflict((oc) =>
+      oc.column('app_key').doUpdateSet({ ...values, updated_at: sql`CURRENT_TIMESTAMP` })
+    )
+    .execute();
+
+  return await getShoplazzaApp(app_key);
+}
+
+export async function getShoplazzaApp(appKey) {
+  const row = await db
+    .selectFrom('shoplazza_apps')
+    .select(COLUMNS)
+    .where('app_key', '=', String(appKey ?? ''))
+    .executeTakeFirst();
+  return withClientSecret(row);
+}
+
+export async function getShoplazzaAppByClientId(clientId) {
+  const row = await db
+    .selectFrom('shoplazza_apps')
+    .select(COLUMNS)
+    .where('client_id', '=', String(clientId ?? ''))
+    .executeTakeFirst();
+  return withClientSecret(row);
+}
+
+/** All registrations, without secrets (hasSecret tells whether one is stored). */
+export async function listShoplazzaApps() {
+  const rows = await db
+    .selectFrom('shoplazza_apps')
+    .select([
+      'app_key as appKey',
+      'client_id as clientId',
+      'redirect_url as redirectUrl',
+      'scopes',
+      'api_version as apiVersion',
+      'updated_at as updatedAt',
+      sql`case when client_secret_enc is not null or client_secret is not null then 1 else 0 end`.as(
+        'hasSecret'
+      ),
+    ])
+    .orderBy('app_key')
+    .execute();
+  return rows.map((r) => ({ ...r, hasSecret: Boolean(Number(r.hasSecret)) }));
+}
+
+/** Master key rotation for client secrets (see src/db/secretColumns.js). */
+export async function reencryptAppSecrets() {
+  return await reencryptSecretColumns({
+    table: 'shoplazza_apps',
+    key: 'app_key',
+    columns: {
+      plaintext: 'client_secret',
+      ciphertext: 'client_secret_enc',
+      keyId: 'client_secret_kid',
+    },
+    aad: (row) => aadFor(row.app_key),
+  });
+}
+
+/** Danger: development helper to clear the table. */
+export async function resetShoplazzaApps() {
+  await db.deleteFrom('shoplazza_apps').execute();
+}
+
+export default {
+  upsertShoplazzaApp,
+  getShoplazzaApp,
+  getShoplazzaAppByClientId,
+  listShoplazzaApps,
+  reencryptAppSecrets,
+  resetShoplazzaApps,
+};
@@ -1,29 +1,73 @@
 // src/db/shops.js
 /**
  * Kysely-backed shop store (portable: sqlite, postgres, mysql).
+ *
+ * Lifecycle (status): installed -> uninstalled (app/uninstalled webhook: the
+ * access token is revoked and Hosted Pages are refused) -> purged (after
+ * SHOP_DATA_RETENTION_DAYS, the shop's payment history and RocketGate settings
+ * are deleted). Reinstalling (upsertShop) puts the shop back to installed.
+ *
  * API:
- *   - upsertShop({ shop, accessToken?, scope? })
+ *   - upsertShop({ shop, accessToken?, scope?, clientId? })   // clientId: app installed through
  *   - getShop(shop)
  *   - listShops()
+ *   - listInstalledShops()                                    // -> [shop domain]
+ *   - markShopUninstalled(shop, { retentionDays?, now? })     // -> shop | null
+ *   - isShopUninstalled(shop)                                 // -> boolean
+ *   - purgeUninstalledShops({ now? })                         // -> number of shops purged
+ *   - startShopPurgeSweeper({ intervalMs? })                  // -> stop()
  *   - resetShops()
  */
 
 import { sql } from 'kysely';
 
+import { canonicalShopHost } from '../utils/shopHost.js';
+
 import { db } from './connection.js';
 
+const DEFAULT_RETENTION_DAYS = () => Number(process.env.SHOP_DATA_RETENTION_DAYS || 90);
+
+const COLUMNS = [
+  'shop_domain as shop',
+  'access_token as accessToken',
+  'scopes as scope',
+  'client_id as clientId',
+  'status',
+  'installed_at as installedAt',
+  'uninstalled_at as uninstalledAt',
+  'purge_after as purgeAfter',
+  'updated_at as updatedAt',
+];
+
 function normDomain(s) {
   return String(s || '')
     .trim()
     .toLowerCase();
 }
 
+/**
+ * Domains a shop may be stored under: installs keep the host Shoplazza sent,
+ * payments use the canonical host (src/utils/shopHost.js).
+ */
+function shopDomains(shop) {
+  const canonical = canonicalShopHost(shop);
+  const domains = new Set([normDomain(shop)]);
+  if (canonical) {
+    domains.add(canonical);
+    domains.add(canonical.replace(/\.myshoplazza\.com$/, '.myshoplaza.com'));
+  }
+  return [...domains].filter(Boolean);
+}
+
 /**
  * Insert or update a shop record.
  * - `shop` can be a slug or full host; we store normalized domain.
- * - Upsert refreshes access_token/scopes and timestamps.
+ * - Upsert refreshes access_token/scopes and timestamps; a reinstall puts an
+ *   uninstalled shop back to `installed`.
+ * - `clientId` binds the shop to the registered app it installed through
+ *   (src/db/shoplazzaApps.js); null means the env credentials.
  */
-export async function upsertShop({ shop, accessToken, scope }) {
+export async function upsertShop({ shop, accessToken, scope, clientId }) {
   if (!shop) throw new Error('upsertShop: "shop" is required');
   if (!accessToken) throw new Error('upsertShop: "accessToken" is required');
 
@@ -35,14 +79,19 @@ export async function upsertShop({ shop, accessToken, scope }) {
       shop_domain,
       access_token: accessToken,
       scopes: scope ?? null,
+      client_id: clientId ?? null,
       // installed_at / created_at / updated_at have defaults in migrations
     })
     .onConflict((oc) =>
       oc.column('shop_domain').doUpdateSet({
         access_token: accessToken,
         scopes: scope ?? null,
+        client_id: clientId ?? null,
         // keep installed_at as originally created
+        status: 'installed',
         uninstalled_at: null,
+        purge_after: null,
+        purged_at: null,
         updated_at: sql`CURRENT_TIMESTAMP`,
       })
     )
@@ -53,20 +102,15 @@ export async function upsertShop({ shop, accessToken, scope }) {
 
 /**
  * Fetch a single shop by domain/slug.
- * Returns: { shop, accessToken, scope, installedAt, updatedAt } | null
+ * Returns: { shop, accessToken, scope, clientId, status, installedAt, uninstalledAt,
+ *            purgeAfter, updatedAt } | null
  */
 export async function getShop(shop) {
   const shop_domain = normDomain(shop);
 
   const row = await db
     .selectFrom('shops')
-    .select([
-      'shop_domain as shop',
-      'access_token as accessToken',
-      'scopes as scope',
-      'installed_at as installedAt',
-      'updated_at as updatedAt',
-    ])
+    .select(COLUMNS)
     .where('shop_domain', '=', shop_domain)
     .executeTakeFirst();
 
@@ -75,18 +119,12 @@ export async function getShop(shop) {
 
 /**
  * List latest shops (defaults to 50).
- * Returns array of { shop, accessToken, scope, installedAt, updatedAt }
+ * Returns array of shops shaped like getShop
  */
 export async function listShops({ limit = 50 } = {}) {
   const rows = await db
     .selectFrom('shops')
-    .select([
-      'shop_domain as shop',
-      'access_token as accessToken',
-      'scopes as scope',
-      'installed_at as installedAt',
-      'updated_at as updatedAt',
-    ])
+    .select(COLUMNS)
     .orderBy('id', 'desc')
     .limit(limit)
     .execute();
@@ -94,6 +132,113 @@ export async function listShops({ limit = 50 } = {}) {
   return rows;
 }
 
+/** Domains of every shop with the app currently installed (webhook resync). */
+export async function listInstalledShops() {
+  const rows = await db
+    .selectFrom('shops')
+    .select('shop_domain')
+    .where('status', '=', 'installed')
+    .orderBy('id')
+    .execute();
+  return rows.map((r) => r.shop_domain);
+}
+
+/**
+ * App uninstalled: revoke the access token and schedule the purge of the shop's
+ * data `retentionDays` from now. Repeated deliveries keep the first purge date.
+ * Returns the shop (null if it was never installed).
+ */
+export async function markShopUninstalled(
+  shop,
+  { retentionDays = DEFAULT_RETENTION_DAYS(), now = new Date() } = {}
+) {
+  const domains = shopDomains(shop);
+  if (!domains.length) return null;
+
+  const purgeAfter = new Date(now.getTime() + retentionDays * 24 * 3600_000).toISOString();
+  await db
+    .updateTable('shops')
+    .set({
+      access_token: null,
+      status: 'uninstalled',
+      uninstalled_at: sql`CURRENT_TIMESTAMP`,
+      purge_after: purgeAfter,
+      updated_at: sql`CURRENT_TIMESTAMP`,
+    })
+    .where('shop_domain', 'in', domains)
+    .where('status', '=', 'installed')
+    .execute();
+
+  const row = await db
+    .selectFrom('shops')
+    .select(COLUMNS)
+    .where('shop_domain', 'in', domains)
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+/** True when the shop uninstalled the app (or was purged); unknown shops are not. */
+export async function isShopUninstalled(shop) {
+  const domains = shopDomains(shop);
+  if (!domains.length) return false;
+
+  const row = await db
+    .selectFrom('shops')
+    .select('shop_domain')
+    .where('shop_domain', 'in', domains)
+    .where('status', '!=', 'installed')
+    .executeTakeFirst();
+  return Boolean(row);
+}
+
+/**
+ * Delete the payment history (payments, events, ledger, outbox) and RocketGate
+ * settings of shops whose retention period has run out, and mark them purged.
+ * The shops row itself stays so a reinstall is recognised.
+ */
+export async function purgeUninstalledShops({ now = new Date() } = {}) {
+  const due = await db
+    .selectFrom('shops')
+    .select('shop_domain')
+    .where('status', '=', 'uninstalled')
+    .where('purge_after', 'is not', null)
+    .where('purge_after', '<=', new Date(now).toISOString())
+    .execute();
+
+  for (const { shop_domain } of due) {
+    const domains = shopDomains(shop_domain);
+    await db.transaction().execute(async (trx) => {
+      for (const table of ['payment_events', 'payment_ledger', 'payments', 'outbox']) {
+        await trx.deleteFrom(table).where('shop_domain', 'in', domains).execute();
+      }
+      await trx.deleteFrom('rg_settings').where('shop_domain', 'in', domains).execute();
+      await trx
+        .updateTable('shops')
+        .set({ status: 'purged', purged_at: sql`CURRENT_TIMESTAMP` })
+        .where('shop_domain', '=', shop_domain)
+        .where('status', '=', 'uninstalled') // a reinstall meanwhile wins
+        .execute();
+    });
+  }
+  return due.length;
+}
+
+/** Background purge of expired uninstalled shops (started from src/index.js outside tests). */
+export function startShopPurgeSweeper({
+  intervalMs = Number(process.env.SHOP_PURGE_SWEEP_MS || 60 * 60_000),
+} = {}) {
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeUninstalledShops();
+      if (purged) console.log(`[shops] purged data of ${purged} uninstalled shop(s)`);
+    } catch (err) {
+      console.error('[shops] purge sweep failed:', err);
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
 /**
  * Dev-only: clear table.
  */
@@ -101,4 +246,14 @@ export async function resetShops() {
   await db.deleteFrom('shops').execute();
 }
 
-export default { upsertShop, getShop, listShops, resetShops };
+export default {
+  upsertShop,
+  getShop,
+  listShops,
+  listInstalledShops,
+  markShopUninstalled,
+  isShopUninstalled,
+  purgeUninstalledShops,
+  startShopPurgeSweeper,
+  resetShops,
+};
@@ -1,22 +1,160 @@
-// src/db/utils.js
-import { db } from './index.js';
-
-export async function saveWebhookLog({ source, topic, idempotencyKey, headers, payloadJson }) {
-  const now = new Date().toISOString();
-  // legacy shim path (sqlite): use .exec to keep this trivial
-  await db.exec?.(`
-    INSERT INTO webhook_logs (source, topic, idempotency_key, headers, payload_json, received_at)
-    VALUES (
-      '${escapeSql(source)}',
-      '${escapeSql(topic)}',
-      '${escapeSql(idempotencyKey || '')}',
-      '${escapeSql(headers)}',
-      '${escapeSql(payloadJson)}',
-      CURRENT_TIMESTAMP
-    );
-  `);
-}
-
-function escapeSql(s) {
-  return String(s ?? '').replaceAll("'", "''");
+// src/db/webhookLogs.js
+/**
+ * Kysely-backed log of inbound webhooks/callbacks (Shoplazza, RocketGate notify, ...).
+ * Table: webhook_logs (created by src/db/migrations/0001_baseline.js)
+ *
+ * (source, idempotency_key) is unique, which is what makes inbound processing
+ * idempotent: the first delivery claims the key, later ones find the stored
+ * response and replay it instead of processing again. A claim is leased
+ * (claim_expires_at, WEBHOOK_CLAIM_LEASE_MS): if it runs out before a response is
+ * stored (e.g. the process died mid-delivery), the next retry takes the key over.
+ *
+ * API:
+ *   - saveWebhookLog({ source, topic, idempotencyKey?, headers, payloadJson })   // plain append
+ *   - claimWebhookLog(entry, { now?, leaseMs? })  // row, or null if the key is answered or held
+ *   - getWebhookLogByKey(source, idempotencyKey)
+ *   - recordWebhookResponse(id, { status, body })
+ *   - releaseWebhookLog(id)        // drop a claim whose processing failed, so a retry can run
+ *   - resetWebhookLogs()
+ */
+
+import { db, DB_CLIENT } from './connection.js';
+
+const DEFAULT_LEASE_MS = () => Number(process.env.WEBHOOK_CLAIM_LEASE_MS || 60_000);
+
+function iso(d = new Date()) {
+  return new Date(d).toISOString();
+}
+
+/** Unique-constraint violation, across sqlite / postgres / mysql drivers. */
+function isUniqueViolation(err) {
+  return (
+    err?.code === 'SQLITE_CONSTRAINT_UNIQUE' ||
+    err?.code === '23505' ||
+    err?.code === 'ER_DUP_ENTRY'
+  );
+}
+
+function logColumns({ topic, headers, payloadJson }) {
+  return {
+    topic: topic == null ? null : String(topic),
+    headers: typeof headers === 'string' ? headers : JSON.stringify(headers ?? {}),
+    payload_json: payloadJson == null ? null : String(payloadJson),
+  };
+}
+
+async function insertLog({ source, idempotencyKey, ...entry }, extra = {}) {
+  const insert = db.insertInto('webhook_logs').values({
+    source: String(source),
+    idempotency_key: idempotencyKey ? String(idempotencyKey) : null,
+    ...logColumns(entry),
+    ...extra,
+  });
+
+  // postgres has no insertId; ask for the key back instead
+  return DB_CLIENT === 'postgres'
+    ? (await insert.returning('id').executeTakeFirst()).id
+    : Number((await insert.executeTakeFirst()).insertId);
+}
+
+// ------------------------------ Reads ----------------------------------
+
+export async function getWebhookLog(id) {
+  const row = await db
+    .selectFrom('webhook_logs')
+    .selectAll()
+    .where('id', '=', Number(id))
+    .executeTakeFirst();
+  return row ?? null;
+}
+
+export async function getWebhookLogByKey(source, idempotencyKey) {
+  const row = await db
+    .selectFrom('webhook_logs')
+    .selectAll()
+    .where('source', '=', String(source))
+    .where('idempotency_key', '=', String(idempotencyKey))
+    .executeTakeFirst();
+  return row ?? null;
 }
+
+// ------------------------------ Writes ---------------------------------
+
+/**
+ * Append a log row. A repeated idempotency key is kept as the first delivery
+ * (the duplicate is dropped), so callers that only want a trail never fail on it.
+ */
+export async function saveWebhookLog(entry) {
+  try {
+    return await insertLog(entry);
+  } catch (err) {
+    if (!isUniqueViolation(err)) throw err;
+    return (await getWebhookLogByKey(entry.source, entry.idempotencyKey))?.id ?? null;
+  }
+}
+
+/**
+ * Claim an idempotency key before processing, leased for leaseMs. Returns the row,
+ * or null when the key already has a response or another delivery's lease on it is
+ * still running (look it up with getWebhookLogByKey). An unanswered claim whose
+ * lease ran out is taken over; the WHERE on response/lease makes that atomic.
+ */
+export async function claimWebhookLog(
+  entry,
+  { now = new Date(), leaseMs = DEFAULT_LEASE_MS() } = {}
+) {
+  if (!entry?.idempotencyKey) throw new Error('claimWebhookLog: idempotencyKey is required');
+  const claimExpiresAt = iso(new Date(now).getTime() + leaseMs);
+  try {
+    return await getWebhookLog(await insertLog(entry, { claim_expires_at: claimExpiresAt }));
+  } catch (err) {
+    if (!isUniqueViolation(err)) throw err;
+  }
+
+  const source = String(entry.source);
+  const key = String(entry.idempotencyKey);
+  const result = await db
+    .updateTable('webhook_logs')
+    .set({ ...logColumns(entry), claim_expires_at: claimExpiresAt })
+    .where('source', '=', source)
+    .where('idempotency_key', '=', key)
+    .where('topic', '=', String(entry.topic ?? ''))
+    .where('response_status', 'is', null)
+    .where((eb) =>
+      eb.or([eb('claim_expires_at', 'is', null), eb('claim_expires_at', '<=', iso(now))])
+    )
+    .executeTakeFirst();
+  if (Number(result.numUpdatedRows) !== 1) return null;
+
+  console.warn(`[webhook_logs] ${source} ${key}: earlier claim expired unanswered; re-claimed`);
+  return await getWebhookLogByKey(source, key);
+}
+
+export async function recordWebhookResponse(id, { status, body }) {
+  await db
+    .updateTable('webhook_logs')
+    .set({ response_status: Number(status), response_json: JSON.stringify(body ?? null) })
+    .where('id', '=', Number(id))
+    .execute();
+  return await getWebhookLog(id);
+}
+
+export async function releaseWebhookLog(id) {
+  await db.deleteFrom('webhook_logs').where('id', '=', Number(id)).execute();
+}
+
+// ------------------------------ Utilities ------------------------------
+
+export async function resetWebhookLogs() {
+  await db.deleteFrom('webhook_logs').execute();
+}
+
+export default {
+  saveWebhookLog,
+  claimWebhookLog,
+  getWebhookLog,
+  getWebhookLogByKey,
+  recordWebhookResponse,
+  releaseWebhookLog,
+  resetWebhookLogs,
+};
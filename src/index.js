@@ -89,7 +89,8 @@ app.use((err, req, res, _next) => {
  * Boot sequence:
  * 1) Ensure SQLite data dir (for dev) so `better-sqlite3` can create the file.
  * 2) Run idempotent Kysely migrations (portable across sqlite/pg/mysql).
- * 3) Start HTTP server.
+ * 3) Start HTTP server, the outbox dispatcher (retries outbound Shoplazza calls),
+ *    the sweep of expired OAuth states and the purge of uninstalled shops' data.
  */
 async function boot() {
   // 1) Ensure data dir for sqlite dev
@@ -103,12 +104,18 @@ async function boot() {
   // 2) Run migrations
   await runMigrations();
 
-  // 3) Start server (only outside tests)
+  // 3) Start server + background jobs (only outside tests)
   if (process.env.NODE_ENV !== 'test') {
     const port = process.env.PORT || 3000;
     app.listen(port, () => {
       console.log(`🚀 RG × Shoplazza app listening on :${port}`);
     });
+    const { startOutboxDispatcher } = await import('./utils/outbox.js');
+    startOutboxDispatcher();
+    const { startOAuthStateSweeper } = await import('./db/oauthStates.js');
+    startOAuthStateSweeper();
+    const { startShopPurgeSweeper } = await import('./db/shops.js');
+    startShopPurgeSweeper();
   }
 }
 
@@ -1,7 +1,11 @@
 // src/routes/admin.js
 import { Router } from 'express';
 
+import { getOutboxItem, listOutbox, redriveOutbox } from '../db/index.js';
+import { listShoplazzaApps, upsertShoplazzaApp } from '../db/shoplazzaApps.js';
 import { listShops } from '../db/shops.js';
+import { processOutboxItem } from '../utils/outbox.js';
+import { syncAllShopWebhooks, syncShopWebhooks } from '../utils/shoplazzaWebhooks.js';
 
 const router = Router();
 
@@ -29,6 +33,44 @@ router.get('/shops', async (_req, res) => {
   }
 });
 
+/** Registered Shoplazza app listings (secrets never returned) */
+router.get('/apps', async (_req, res, next) => {
+  try {
+    const apps = await listShoplazzaApps();
+    res.json({ ok: true, count: apps.length, apps });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/apps
+ * Register or update an app listing:
+ * { appKey, clientId, clientSecret?, redirectUrl?, scopes?, apiVersion? }
+ * An empty clientSecret keeps the stored one. Shops bind to an app when they install
+ * through it (/auth/start?app=<appKey>).
+ */
+router.post('/apps', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!body.appKey || !body.clientId) {
+      return res.status(400).json({ ok: false, error: 'appKey and clientId are required' });
+    }
+    const saved = await upsertShoplazzaApp({
+      appKey: body.appKey,
+      clientId: body.clientId,
+      clientSecret: body.clientSecret,
+      redirectUrl: body.redirectUrl,
+      scopes: body.scopes,
+      apiVersion: body.apiVersion,
+    });
+    const { clientSecret, ...app } = saved;
+    res.json({ ok: true, app: { ...app, hasSecret: Boolean(clientSecret) } });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /** DB self-test: write then read a row from webhook_logs */
 router.get('/db-check', async (_req, res, next) => {
   try {
@@ -91,6 +133,95 @@ router.get('/logs/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * Outbox: outbound Shoplazza calls (complete / notify / webhook_register).
+ * Filter with ?status=pending|sending|delivered|dead&kind=&shop=&limit=
+ */
+router.get('/outbox', async (req, res, next) => {
+  try {
+    const rows = await listOutbox({
+      status: req.query.status ? String(req.query.status) : undefined,
+      kind: req.query.kind ? String(req.query.kind) : undefined,
+      shop: req.query.shop ? String(req.query.shop) : undefined,
+      limit: req.query.limit,
+    });
+    res.json({ ok: true, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** Outbox detail */
+router.get('/outbox/:id', async (req, res, next) => {
+  try {
+    const row = await getOutboxItem(req.params.id);
+    if (!row) return res.status(404).json({ ok: false, error: 'Not found' });
+    res.json({ ok: true, row });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Re-drive dead/stuck outbox rows: back to pending with a fresh attempt budget.
+ * POST /admin/outbox/:id/redrive          one row
+ * POST /admin/outbox/redrive              every dead row (optionally ?kind=&shop=)
+ * Add ?deliver=true to attempt immediately instead of waiting for the dispatcher.
+ */
+async function redriveAndMaybeDeliver(id, deliver) {
+  const row = await redriveOutbox(id);
+  if (!row || !deliver) return row;
+  return await processOutboxItem(id);
+}
+
+router.post('/outbox/redrive', async (req, res, next) => {
+  try {
+    const deliver = String(req.query.deliver || 'false').toLowerCase() === 'true';
+    const dead = await listOutbox({
+      status: 'dead',
+      kind: req.query.kind ? String(req.query.kind) : undefined,
+      shop: req.query.shop ? String(req.query.shop) : undefined,
+      limit: 500,
+    });
+    const rows = [];
+    for (const d of dead) rows.push(await redriveAndMaybeDeliver(d.id, deliver));
+    res.json({ ok: true, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/outbox/:id/redrive', async (req, res, next) => {
+  try {
+    const existing = await getOutboxItem(req.params.id);
+    if (!existing) return res.status(404).json({ ok: false, error: 'Not found' });
+    if (existing.status === 'delivered') {
+      return res.status(409).json({ ok: false, error: 'Already delivered', row: existing });
+    }
+    const deliver = String(req.query.deliver || 'false').toLowerCase() === 'true';
+    const row = await redriveAndMaybeDeliver(existing.id, deliver);
+    res.json({ ok: true, row });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /admin/webhooks/sync
+ * Resync Shoplazza webhook subscriptions with the manifest for every installed shop
+ * (or just ?shop=). Same as `npm run webhooks:sync`.
+ */
+router.post('/webhooks/sync', async (req, res, next) => {
+  try {
+    const results = req.query.shop
+      ? [await syncShopWebhooks({ shop: String(req.query.shop) })]
+      : await syncAllShopWebhooks();
+    res.json({ ok: results.every((r) => !r.error), count: results.length, results });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /** (Optional) Dev reset of sqlite file tables — keep commented unless you need it */
 // router.post('/reset', async (_req, res, next) => {
 //   try {
@@ -2,7 +2,10 @@
 import { Router, json, urlencoded } from 'express';
 
 import { getRgSettings, upsertRgSettings } from '../db/rgSettings.js';
+import { isShopUninstalled } from '../db/shops.js';
 import { requireAppSession } from '../utils/appSession.js';
+import { isSigningProfile, listSigningProfiles } from '../utils/hostedPageSigning.js';
+import { formatMinorUnits, normalizeCurrency, toMinorUnits } from '../utils/money.js';
 import { buildHostedPageUrl } from '../utils/rocketgate.js';
 
 const router = Router();
@@ -10,19 +13,43 @@ const router = Router();
 // All app APIs require a verified embedded-app session
 router.use(requireAppSession);
 
+/**
+ * Settings as sent to the browser: merchant keys masked, per-set key presence only.
+ */
+function maskSettings(row) {
+  if (!row) return null;
+  const { credentials, ...rest } = row;
+  return {
+    ...rest,
+    merchantId: credentials?.live.merchantId ?? null,
+    merchantKey: credentials?.live.merchantKey ? '********' : '',
+    testMerchantId: credentials?.test.merchantId ?? null,
+    testMerchantKey: credentials?.test.merchantKey ? '********' : '',
+  };
+}
+
+/**
+ * A new key from `field` or its form alias, else undefined (keep the stored one):
+ * blank, or the mask the settings form is prefilled with.
+ */
+function submittedKey(body, field, alias) {
+  const raw = typeof body[field] === 'string' ? body[field] : body[alias];
+  const key = typeof raw === 'string' ? raw.trim() : '';
+  return key && key !== '********' ? key : undefined;
+}
+
 /**
  * GET /app-api/rg-settings
- * Load RocketGate settings for the current shop.
- * (merchantKey is masked in responses)
+ * Load RocketGate settings for the current shop: the live pair (merchantId/merchantKey),
+ * the optional test pair (testMerchantId/testMerchantKey) and the mode that picks one,
+ * plus the Hosted Page signing profiles the shop can choose from.
+ * (keys are masked in responses)
  */
 router.get('/rg-settings', async (req, res, next) => {
   try {
     const shop = req.shopFromSession;
     const row = await getRgSettings(shop);
-    res.json({
-      ok: true,
-      settings: row ? { ...row, merchantKey: row.merchantKey ? '********' : '' } : null,
-    });
+    res.json({ ok: true, settings: maskSettings(row), signingProfiles: listSigningProfiles() });
   } catch (e) {
     next(e);
   }
@@ -31,7 +58,10 @@ router.get('/rg-settings', async (req, res, next) => {
 /**
  * POST /app-api/rg-settings
  * Upsert RocketGate settings for the current shop.
- * If merchantKey is an empty string or omitted, the existing key is preserved.
+ * If merchantKey / testMerchantKey is an empty string or omitted, the existing key is preserved.
+ * signingProfile must be one of the registered profiles (400 INVALID_SIGNING_PROFILE).
+ * Hosted Page options: descriptor, locale, pageStyle (blank clears) and prefillBuyer
+ * ('1' | '0'); a bad value gets 400 INVALID_HOSTED_PAGE_OPTION with the `field`.
  */
 
 router.post(
@@ -44,23 +74,30 @@ router.post(
       const shop = req.shopFromSession;
       const body = req.body || {};
 
-      // Support either field name:
-      //  - merchantKey (from fetch JSON)
-      //  - merchantPassword (from your current HTML form)
-      const rawKey =
-        typeof body.merchantKey === 'string'
-          ? body.merchantKey
-          : typeof body.merchantPassword === 'string'
-            ? body.merchantPassword
-            : undefined;
-
-      const merchantKey = rawKey && rawKey.trim().length > 0 ? rawKey.trim() : undefined;
+      if (body.signingProfile && !isSigningProfile(body.signingProfile)) {
+        return res.status(400).json({
+          ok: false,
+          code: 'INVALID_SIGNING_PROFILE',
+          error: `Unknown signing profile. Use one of: ${listSigningProfiles().join(', ')}.`,
+        });
+      }
 
+      // Support either field name:
+      //  - merchantKey / testMerchantKey (from fetch JSON)
+      //  - merchantPassword / testMerchantPassword (from your current HTML form)
       const saved = await upsertRgSettings({
         shop,
         merchantId: body.merchantId,
-        merchantKey, // undefined → keep current
+        merchantKey: submittedKey(body, 'merchantKey', 'merchantPassword'), // undefined → keep
+        testMerchantId: body.testMerchantId,
+        testMerchantKey: submittedKey(body, 'testMerchantKey', 'testMerchantPassword'),
         mode: body.mode,
+        paymentType: body.paymentType,
+        signingProfile: body.signingProfile, // omitted → keep current
+        descriptor: body.descriptor,
+        locale: body.locale,
+        pageStyle: body.pageStyle,
+        prefillBuyer: body.prefillBuyer,
         returnUrl: body.returnUrl,
         cancelUrl: body.cancelUrl,
       });
@@ -73,11 +110,11 @@ router.post(
       }
 
       // JSON clients get a JSON response
-      res.json({
-        ok: true,
-        saved: { ...saved, merchantKey: saved.merchantKey ? '********' : '' },
-      });
+      res.json({ ok: true, saved: maskSettings(saved) });
     } catch (e) {
+      if (e.code === 'INVALID_HOSTED_PAGE_OPTION') {
+        return res.status(400).json({ ok: false, code: e.code, field: e.field, error: e.message });
+      }
       next(e);
     }
   }
@@ -97,6 +134,14 @@ router.post(
       const shop = req.shopFromSession;
       const { amount, currency } = req.body || {};
 
+      if (await isShopUninstalled(shop)) {
+        return res.status(403).json({
+          ok: false,
+          code: 'SHOP_UNINSTALLED',
+          error: 'The app was uninstalled from this shop. Reinstall it first.',
+        });
+      }
+
       const rg = await getRgSettings(shop);
       if (!rg?.merchantId || !rg?.merchantKey) {
         return res.status(412).json({
@@ -106,8 +151,14 @@ router.post(
         });
       }
 
-      const amt = typeof amount === 'number' ? amount.toFixed(2) : String(amount || '0.00');
-      const cur = String(currency || 'USD').toUpperCase();
+      const cur = normalizeCurrency(currency || 'USD');
+      const minor = cur ? toMinorUnits(amount || '0', cur) : null;
+      if (minor == null) {
+        return res
+          .status(400)
+          .json({ ok: false, code: 'INVALID_AMOUNT', error: 'Invalid amount or currency.' });
+      }
+      const amt = formatMinorUnits(minor, cur);
 
       // Build success/fail URLs pointing back to this app (simple placeholders for now)
       const base = process.env.APP_BASE_URL || 'http://localhost:3000';
@@ -124,16 +175,19 @@ router.post(
         merch: rg.merchantId,
         amount: amt,
         hashSecret: rg.merchantKey,
+        authOnly: rg.paymentType === 'authorization',
+        mode: rg.mode, // same environment + credentials as real checkouts
+        signingProfile: rg.signingProfile, // which fields the hash covers
+        pageOptions: { descriptor: rg.descriptor, locale: rg.locale, style: rg.pageStyle },
         extra: {
           currency: cur,
-          purchase: 'true',
           success: success.toString(),
           fail: fail.toString(),
           // optionally: rg.returnUrl / rg.cancelUrl if your RG config requires fixed URLs
         },
       });
 
-      return res.json({ ok: true, url });
+      return res.json({ ok: true, url, mode: rg.mode });
     } catch (e) {
       next(e);
     }
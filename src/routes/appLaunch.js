@@ -2,20 +2,22 @@
 import { Router } from 'express';
 
 import { issueAppSession } from '../utils/appSession.js';
+import { resolveShopApp } from '../utils/shoplazzaApps.js';
 import { verifyLaunchHmac } from '../utils/shoplazzaAuth.js';
 
 const router = Router();
 
 /**
  * GET /app-start?hmac=...&shop=...&store_id=...&install_from=admin
- * - Verifies the embedded-launch HMAC
+ * - Verifies the embedded-launch HMAC with the secret of the app the shop installed through
  * - Issues a short-lived session cookie
  * - Redirects to /app.html?shop=...&store_id=... (HMAC stripped)
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   const verifyFlag = String(process.env.VERIFY_EMBED_HMAC || 'true').toLowerCase() === 'true';
   if (verifyFlag) {
-    const result = verifyLaunchHmac(req.query, process.env.SHOPLAZZA_CLIENT_SECRET || '');
+    const { clientSecret } = await resolveShopApp(req.query.shop);
+    const result = verifyLaunchHmac(req.query, clientSecret || '');
     if (!result.ok) {
       return res
         .status(401)
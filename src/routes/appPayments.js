@@ -0,0 +1,592 @@
+// src/routes/appPayments.js
+import { Router, json, urlencoded } from 'express';
+
+import {
+  getPayment,
+  setPaymentStatus,
+  reserveLedgerEntry,
+  updateLedgerEntry,
+  listLedgerEntries,
+  listPaymentAttempts,
+  listPaymentEvents,
+  paymentMode,
+  sumLedgerAmount,
+  summarizePayments,
+} from '../db/index.js';
+import { requireAppSession } from '../utils/appSession.js';
+import { formatMinorUnits, parseMinorUnits, toMinorUnits } from '../utils/money.js';
+import { deliverViaOutbox } from '../utils/outbox.js';
+import { allowedTransitions, checkTransition, isTerminalStatus } from '../utils/paymentStates.js';
+import {
+  captureTransaction,
+  refundTransaction,
+  resolveGatewayCredentials,
+  voidTransaction,
+} from '../utils/rocketgateGateway.js';
+import { canonicalShopHost } from '../utils/shopHost.js';
+import { buildNotifyPaymentRequest } from '../utils/shoplazzaPayments.js';
+
+const router = Router();
+
+// Money-moving actions are only available inside a verified embedded-app session
+router.use(requireAppSession);
+
+/* ------------------------------ Helpers ------------------------------ */
+
+const REFUNDABLE = new Set(['paid', 'captured', 'partially_refunded']);
+const VOIDABLE = new Set(['paid', 'captured']);
+
+/**
+ * Settled amount in minor units: what was captured for auth-only payments
+ * (possibly less than authorized), otherwise the payment amount.
+ */
+async function settledMinor(payment) {
+  const captured = await sumLedgerAmount(payment.id, 'capture');
+  return captured > 0 ? captured : (parseMinorUnits(payment.amount_minor) ?? 0);
+}
+
+/**
+ * The amount a refund/capture asks for, in the payment's minor units: body.amount
+ * (major units) or, when omitted, `all`. null when it isn't a valid amount.
+ */
+function requestedMinor(req, payment, all) {
+  const raw = req.body?.amount;
+  return raw == null || raw === '' ? all : toMinorUnits(raw, payment.currency);
+}
+
+/** "Refund amount must be between 0.01 and 12.50." in the payment's currency decimals. */
+function amountRangeError(what, payment, max) {
+  const min = formatMinorUnits(1, payment.currency);
+  return `${what} amount must be between ${min} and ${formatMinorUnits(max, payment.currency)}.`;
+}
+
+/**
+ * Load the payment for :orderId from the session's shop: the current attempt, or the
+ * one named by `paymentId` (query or body). Other shops' orders are never looked at.
+ */
+async function loadPaymentForShop(req) {
+  const shop = canonicalShopHost(req.shopFromSession);
+  if (!shop) return null;
+  const paymentId = req.query.paymentId || req.body?.paymentId || null;
+  return await getPayment(req.params.orderId, { shop, paymentId });
+}
+
+/**
+ * Record a pending ledger entry, run the gateway call, and settle the entry.
+ * The entry is reserved under the payment row lock (see reserveLedgerEntry):
+ *   - with `limitMinor`, only if it fits under the limit together with the succeeded
+ *     and pending entries of its kind; otherwise the failure is 400 INVALID_AMOUNT
+ *   - with `exclusiveOf`, only if no succeeded or pending entry of those kinds exists
+ *     (a concurrent or earlier void/capture); otherwise the failure is 409 `busyCode`
+ * A failed reservation calls nothing. Returns { entry, result, remaining } on
+ * approval, or { entry, failure } where failure is { status, code, error } ready to send.
+ */
+async function runLedgerAction(
+  req,
+  { payment, kind, amountMinor, limitMinor = null, exclusiveOf = [], busyCode, call }
+) {
+  const { entry, remaining, conflict } = await reserveLedgerEntry({
+    payment,
+    kind,
+    amountMinor,
+    limitMinor,
+    exclusiveOf,
+    currency: payment.currency,
+    reason: req.body?.reason ? String(req.body.reason) : null,
+  });
+  if (conflict) {
+    const state = conflict.status === 'pending' ? 'in progress' : 'already done';
+    return {
+      entry: null,
+      failure: {
+        status: 409,
+        code: busyCode,
+        error: `A ${conflict.kind} of this payment is ${state} (ledger entry ${conflict.id}).`,
+      },
+    };
+  }
+  if (!entry) {
+    const what = kind.charAt(0).toUpperCase() + kind.slice(1);
+    return {
+      entry: null,
+      failure: {
+        status: 400,
+        code: 'INVALID_AMOUNT',
+        error: amountRangeError(what, payment, Math.max(remaining, 0)),
+      },
+    };
+  }
+
+  let result;
+  try {
+    // Same environment + credential set the payment was made with, whatever the shop's mode now
+    const creds = await resolveGatewayCredentials({
+      shop: payment.shop_domain,
+      mode: paymentMode(payment),
+    });
+    result = await call(creds);
+  } catch (err) {
+    const failed = await updateLedgerEntry(entry.id, {
+      status: 'failed',
+      error: err.message,
+      rawResponse: err.raw ?? null,
+    });
+    return {
+      entry: failed,
+      failure: {
+        status: err.status || 502,
+        code: err.code || 'RG_GATEWAY_ERROR',
+        error: err.message,
+      },
+    };
+  }
+
+  if (!result.ok) {
+    const failed = await updateLedgerEntry(entry.id, {
+      status: 'failed',
+      error: `declined (reason ${result.reasonCode ?? 'unknown'})`,
+      rawResponse: result.raw,
+    });
+    return {
+      entry: failed,
+      failure: {
+        status: 402,
+        code: `${kind.toUpperCase()}_DECLINED`,
+        error: `RocketGate declined the ${kind} (reason ${result.reasonCode ?? 'unknown'}).`,
+      },
+    };
+  }
+
+  const done = await updateLedgerEntry(entry.id, {
+    status: 'succeeded',
+    rocketgateTxnId: result.rocketgateTxnId,
+    rawResponse: result.raw,
+  });
+  return { entry: done, result, remaining };
+}
+
+/**
+ * Tell Shoplazza about a status change made from the app (refund, void, capture,
+ * release) through the payment's callback_url, via the outbox. `entry` is the
+ * payment_ledger entry behind it. Returns the outbox result, or { skipped }.
+ */
+async function forwardToShoplazza(payment, entry) {
+  const notify = await buildNotifyPaymentRequest(payment, { entry });
+  return notify.skipped ? notify : await deliverViaOutbox({ kind: 'notify', ...notify });
+}
+
+/** payment_events attribution for a status change made from the embedded app. */
+function adminEvent(req, entry) {
+  return {
+    source: 'admin',
+    actor: `app:${canonicalShopHost(req.shopFromSession) || 'unknown'}`,
+    payloadRef: entry ? `payment_ledger:${entry.id}` : null,
+  };
+}
+
+function notFound(res) {
+  return res
+    .status(404)
+    .json({ ok: false, code: 'PAYMENT_NOT_FOUND', error: 'No payment for this order.' });
+}
+
+/* ------------------------------ Routes ------------------------------ */
+
+/**
+ * GET /app-api/payments/summary
+ * Payment totals for the session's shop per status and currency (current attempts
+ * only). Live payments only; ?includeTest=true adds test-mode payments.
+ */
+router.get('/summary', async (req, res, next) => {
+  try {
+    const shop = canonicalShopHost(req.shopFromSession);
+    const includeTest = ['1', 'true', 'yes'].includes(String(req.query.includeTest).toLowerCase());
+    const totals = await summarizePayments({ shop, includeTest });
+    res.json({
+      ok: true,
+      includeTest,
+      totals: totals.map((t) => ({ ...t, amount: formatMinorUnits(t.amountMinor, t.currency) })),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /app-api/payments/:orderId/refunds
+ * Ledger entries for the payment plus the amount still refundable.
+ */
+router.get('/:orderId/refunds', async (req, res, next) => {
+  try {
+    const payment = await loadPaymentForShop(req);
+    if (!payment) return notFound(res);
+
+    // In-flight refunds are already spoken for
+    const refunded = await sumLedgerAmount(payment.id, 'refund', { includePending: true });
+    const total = await settledMinor(payment);
+    res.json({
+      ok: true,
+      status: payment.status,
+      currency: payment.currency,
+      refundable: formatMinorUnits(
+        REFUNDABLE.has(payment.status) ? total - refunded : 0,
+        payment.currency
+      ),
+      entries: await listLedgerEntries(payment.id),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /app-api/payments/:orderId/attempts
+ * Every payment attempt (Shoplazza payment_id) for the order, oldest first; the
+ * current one is the last, earlier ones carry superseded_at / superseded_by.
+ */
+router.get('/:orderId/attempts', async (req, res, next) => {
+  try {
+    const shop = canonicalShopHost(req.shopFromSession);
+    const attempts = shop ? await listPaymentAttempts(req.params.orderId, { shop }) : [];
+    if (!attempts.length) return notFound(res);
+
+    res.json({ ok: true, orderId: req.params.orderId, attempts });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /app-api/payments/:orderId/timeline
+ * The payment's status transitions (payment_events), oldest first.
+ */
+router.get('/:orderId/timeline', async (req, res, next) => {
+  try {
+    const payment = await loadPaymentForShop(req);
+    if (!payment) return notFound(res);
+
+    res.json({
+      ok: true,
+      orderId: payment.order_id,
+      paymentId: payment.payment_id,
+      status: payment.status,
+      events: await listPaymentEvents(payment.id),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * GET /app-api/payments/:orderId/transitions[?to=refunded]
+ * Where the payment can move next (src/utils/paymentStates.js). With `to`, also
+ * answers whether that specific move is allowed and, if not, why.
+ */
+router.get('/:orderId/transitions', async (req, res, next) => {
+  try {
+    const payment = await loadPaymentForShop(req);
+    if (!payment) return notFound(res);
+
+    const to = req.query.to ? String(req.query.to) : null;
+    const check = to ? checkTransition(payment.status, to) : null;
+    res.json({
+      ok: true,
+      status: payment.status,
+      terminal: isTerminalStatus(payment.status),
+      allowed: allowedTransitions(payment.status),
+      ...(check ? { to, canTransition: check.ok, reason: check.reason ?? null } : {}),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /app-api/payments/:orderId/refunds
+ * Full or partial refund of a paid payment; each refund is forwarded to the
+ * payment's Shoplazza callback_url with the refunded amount. Not while a void is
+ * in progress or done (409 NOT_REFUNDABLE).
+ * Body (JSON or form): { amount?: "5.00", reason?: string } — omit amount to refund the rest.
+ */
+router.post(
+  '/:orderId/refunds',
+  json(),
+  urlencoded({ extended: false }),
+  async (req, res, next) => {
+    try {
+      const payment = await loadPaymentForShop(req);
+      if (!payment) return notFound(res);
+
+      if (!REFUNDABLE.has(payment.status)) {
+        return res.status(409).json({
+          ok: false,
+          code: 'NOT_REFUNDABLE',
+          error: `Payment is ${payment.status}; only paid payments can be refunded.`,
+        });
+      }
+      if (!payment.rocketgate_txn) {
+        return res.status(409).json({
+          ok: false,
+          code: 'NO_TRANSACTION',
+          error: 'Payment has no RocketGate transaction id to refund against.',
+        });
+      }
+
+      // Pending refunds count against the total: their gateway call may still land
+      const total = await settledMinor(payment);
+      const refunded = await sumLedgerAmount(payment.id, 'refund', { includePending: true });
+      const requested = requestedMinor(req, payment, total - refunded);
+
+      if (requested == null || requested <= 0 || requested > total - refunded) {
+        return res.status(400).json({
+          ok: false,
+          code: 'INVALID_AMOUNT',
+          error: amountRangeError('Refund', payment, Math.max(total - refunded, 0)),
+        });
+      }
+
+      // Re-checked against the ledger when the pending entry is recorded
+      const amount = formatMinorUnits(requested, payment.currency);
+      const { entry, failure, remaining } = await runLedgerAction(req, {
+        payment,
+        kind: 'refund',
+        amountMinor: requested,
+        limitMinor: total,
+        exclusiveOf: ['void'],
+        busyCode: 'NOT_REFUNDABLE',
+        call: (creds) =>
+          refundTransaction(
+            {
+              transactId: payment.rocketgate_txn,
+              amount,
+              currency: payment.currency,
+              invoice: payment.order_id,
+            },
+            creds
+          ),
+      });
+      if (failure) {
+        return res.status(failure.status).json({ ok: false, ...failure, entry });
+      }
+
+      const updated = await setPaymentStatus({
+        shopDomain: payment.shop_domain,
+        orderId: payment.order_id,
+        paymentId: payment.payment_id,
+        status: requested === remaining ? 'refunded' : 'partially_refunded',
+        ...adminEvent(req, entry),
+      });
+
+      // Tell Shoplazza about this refund (its own amount, deduped per ledger entry)
+      const forwarded = await forwardToShoplazza(updated, entry);
+
+      return res.status(201).json({
+        ok: true,
+        entry,
+        payment: updated,
+        refundable: formatMinorUnits(remaining - requested, payment.currency),
+        forwarded,
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * POST /app-api/payments/:orderId/void
+ * Void a paid/captured (not yet settled) payment and forward it to Shoplazza.
+ * Only one void, and none once a refund is in progress or done (409 NOT_VOIDABLE).
+ * Body: { reason?: string }
+ */
+router.post('/:orderId/void', json(), urlencoded({ extended: false }), async (req, res, next) => {
+  try {
+    const payment = await loadPaymentForShop(req);
+    if (!payment) return notFound(res);
+
+    const refunded = await sumLedgerAmount(payment.id, 'refund', { includePending: true });
+    if (!VOIDABLE.has(payment.status) || refunded > 0) {
+      return res.status(409).json({
+        ok: false,
+        code: 'NOT_VOIDABLE',
+        error: `Payment is ${payment.status}; only unrefunded paid payments can be voided.`,
+      });
+    }
+    if (!payment.rocketgate_txn) {
+      return res.status(409).json({
+        ok: false,
+        code: 'NO_TRANSACTION',
+        error: 'Payment has no RocketGate transaction id to void.',
+      });
+    }
+
+    const { entry, failure } = await runLedgerAction(req, {
+      payment,
+      kind: 'void',
+      amountMinor: payment.amount_minor,
+      exclusiveOf: ['void', 'refund'],
+      busyCode: 'NOT_VOIDABLE',
+      call: (creds) =>
+        voidTransaction({ transactId: payment.rocketgate_txn, invoice: payment.order_id }, creds),
+    });
+    if (failure) {
+      return res.status(failure.status).json({ ok: false, ...failure, entry });
+    }
+
+    const updated = await setPaymentStatus({
+      shopDomain: payment.shop_domain,
+      orderId: payment.order_id,
+      paymentId: payment.payment_id,
+      status: 'voided',
+      ...adminEvent(req, entry),
+    });
+    const forwarded = await forwardToShoplazza(updated, entry);
+    return res.json({ ok: true, entry, payment: updated, forwarded });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /app-api/payments/:orderId/capture
+ * Capture an authorization (auth-only payment type), fully or partially, and forward
+ * it to Shoplazza. Once per authorization: a capture or release in progress or done
+ * makes it 409 NOT_CAPTURABLE.
+ * Body: { amount?: "5.00", reason?: string } — omit amount to capture everything authorized.
+ */
+router.post(
+  '/:orderId/capture',
+  json(),
+  urlencoded({ extended: false }),
+  async (req, res, next) => {
+    try {
+      const payment = await loadPaymentForShop(req);
+      if (!payment) return notFound(res);
+
+      if (payment.status !== 'authorized') {
+        return res.status(409).json({
+          ok: false,
+          code: 'NOT_CAPTURABLE',
+          error: `Payment is ${payment.status}; only authorized payments can be captured.`,
+        });
+      }
+      if (!payment.rocketgate_txn) {
+        return res.status(409).json({
+          ok: false,
+          code: 'NO_TRANSACTION',
+          error: 'Payment has no RocketGate transaction id to capture.',
+        });
+      }
+
+      const authorized = parseMinorUnits(payment.amount_minor) ?? 0;
+      const requested = requestedMinor(req, payment, authorized);
+      if (requested == null || requested <= 0 || requested > authorized) {
+        return res.status(400).json({
+          ok: false,
+          code: 'INVALID_AMOUNT',
+          error: amountRangeError('Capture', payment, authorized),
+        });
+      }
+
+      const amount = formatMinorUnits(requested, payment.currency);
+      const { entry, failure } = await runLedgerAction(req, {
+        payment,
+        kind: 'capture',
+        amountMinor: requested,
+        exclusiveOf: ['capture', 'release'],
+        busyCode: 'NOT_CAPTURABLE',
+        call: (creds) =>
+          captureTransaction(
+            {
+              transactId: payment.rocketgate_txn,
+              amount,
+              currency: payment.currency,
+              invoice: payment.order_id,
+            },
+            creds
+          ),
+      });
+      if (failure) {
+        return res.status(failure.status).json({ ok: false, ...failure, entry });
+      }
+
+      const updated = await setPaymentStatus({
+        shopDomain: payment.shop_domain,
+        orderId: payment.order_id,
+        paymentId: payment.payment_id,
+        status: 'captured',
+        ...adminEvent(req, entry),
+      });
+      const forwarded = await forwardToShoplazza(updated, entry);
+      return res.json({
+        ok: true,
+        entry,
+        payment: updated,
+        released: formatMinorUnits(authorized - requested, payment.currency),
+        forwarded,
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/**
+ * POST /app-api/payments/:orderId/release
+ * Release (void) an authorization that will not be captured and forward it to
+ * Shoplazza. Not once a capture or release is in progress or done (409 NOT_RELEASABLE).
+ * Body: { reason?: string }
+ */
+router.post(
+  '/:orderId/release',
+  json(),
+  urlencoded({ extended: false }),
+  async (req, res, next) => {
+    try {
+      const payment = await loadPaymentForShop(req);
+      if (!payment) return notFound(res);
+
+      if (payment.status !== 'authorized') {
+        return res.status(409).json({
+          ok: false,
+          code: 'NOT_RELEASABLE',
+          error: `Payment is ${payment.status}; only authorized payments can be released.`,
+        });
+      }
+      if (!payment.rocketgate_txn) {
+        return res.status(409).json({
+          ok: false,
+          code: 'NO_TRANSACTION',
+          error: 'Payment has no RocketGate transaction id to release.',
+        });
+      }
+
+      const { entry, failure } = await runLedgerAction(req, {
+        payment,
+        kind: 'release',
+        amountMinor: payment.amount_minor,
+        exclusiveOf: ['capture', 'release'],
+        busyCode: 'NOT_RELEASABLE',
+        call: (creds) =>
+          voidTransaction({ transactId: payment.rocketgate_txn, invoice: payment.order_id }, creds),
+      });
+      if (failure) {
+        return res.status(failure.status).json({ ok: false, ...failure, entry });
+      }
+
+      const updated = await setPaymentStatus({
+        shopDomain: payment.shop_domain,
+        orderId: payment.order_id,
+        paymentId: payment.payment_id,
+        status: 'voided',
+        ...adminEvent(req, entry),
+      });
+      const forwarded = await forwardToShoplazza(updated, entry);
+      return res.json({ ok: true, entry, payment: updated, forwarded });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+export default router;
@@ -3,8 +3,30 @@ import crypto from 'node:crypto';
 
 import { Router } from 'express';
 
-import { getPayment, createOrUpdatePayment } from '../db/index.js';
+import {
+  getPayment,
+  createOrUpdatePayment,
+  isShopUninstalled,
+  listPaymentEvents,
+  paymentMode,
+} from '../db/index.js';
+import { getRgSettings } from '../db/rgSettings.js';
+import {
+  formatMinorUnits,
+  normalizeCurrency,
+  parseMinorUnits,
+  toMinorUnits,
+} from '../utils/money.js';
+import {
+  maskTransactionId,
+  pickLang,
+  POLLING_STATUSES,
+  renderReturnPage,
+  renderStatusPage,
+  statusOutcome,
+} from '../utils/returnPage.js';
 import { buildHostedPageUrl } from '../utils/rocketgate.js';
+import { shopOrDefault } from '../utils/shopHost.js';
 
 const router = Router();
 
@@ -32,31 +54,49 @@ function verifyProxySignature(req, res, next) {
     .join('&');
 
   const h = crypto.createHmac('sha256', shared).update(msg).digest('hex');
-  const ok = crypto.timingSafeEqual(Buffer.from(h), Buffer.from(String(signature)));
+  const provided = Buffer.from(String(signature));
+  const ok = provided.length === h.length && crypto.timingSafeEqual(Buffer.from(h), provided);
   if (!ok) return res.status(401).json({ error: 'Invalid signature' });
 
   return next();
 }
 
+/**
+ * Buyer-facing refusal: the storefront shows our page instead of a JSON error.
+ * The machine-readable reason is logged and sent as X-RG-Error.
+ */
+function refuseStorefront(req, res, { status, shop, code }) {
+  console.warn(`[app-proxy] refused ${shop}: ${code}`);
+  res.set('X-RG-Error', code);
+  return res
+    .status(status)
+    .type('html')
+    .send(
+      renderReturnPage({ outcome: 'unavailable', lang: pickLang(req), storeUrl: `https://${shop}` })
+    );
+}
+
 /**
  * GET /app-proxy/init
  *
  * This endpoint is intended to be called via Shoplazza App Proxy from the storefront.
  * Query params (minimal):
  *   - orderId   (string, required)
- *   - amount    (string/number, required)
+ *   - amount    (major units, required; at most the currency's decimals)
  *   - currency  (string, required, e.g. "USD")
  *   - customerId (string, required)
+ *   - shop      (added by the App Proxy; else SHOPLAZZA_DEFAULT_SHOP) — payments are scoped to it
  *
  * Behavior:
- *   - Idempotent upsert of a pending payment row
- *   - Build RocketGate Hosted Page URL with success/fail return links
+ *   - Load the shop's RocketGate settings (rg_settings); without them the buyer gets a
+ *     "payment unavailable" storefront page (503)
+ *   - Idempotent upsert of a pending payment row (one attempt per order: payment id = order id),
+ *     flagged test unless the shop is in live mode
+ *   - Build RocketGate Hosted Page URL signed with the shop's merchant id/key,
+ *     with success/fail return links
  *   - 302 redirect the buyer to RocketGate
- *
- * NOTE: In production, validate the App Proxy signature on the querystring.
- * Shoplazza App Proxy forwards signed requests; add a verifier once you have the proxy secret.
  */
-router.get('/init', verifyProxySignature, (req, res) => {
+router.get('/init', verifyProxySignature, async (req, res) => {
   const { orderId, amount, currency, customerId } = req.query;
 
   if (!orderId || !amount || !currency || !customerId) {
@@ -68,15 +108,43 @@ router.get('/init', verifyProxySignature, (req, res) => {
     });
   }
 
-  const normalizedAmount = typeof amount === 'number' ? amount.toFixed(2) : String(amount);
-  const normalizedCurrency = String(currency).toUpperCase();
+  const shopDomain = shopOrDefault(req.query.shop);
+  if (!shopDomain) {
+    return res.status(400).json({
+      error: { code: 'SHOP_REQUIRED', message: 'Missing or invalid shop' },
+    });
+  }
+  if (await isShopUninstalled(shopDomain)) {
+    return refuseStorefront(req, res, { status: 403, shop: shopDomain, code: 'SHOP_UNINSTALLED' });
+  }
+
+  // Per-shop RocketGate account: links are signed with the shop's own merchant credentials
+  const settings = await getRgSettings(shopDomain);
+  if (!settings?.merchantId || !settings?.merchantKey) {
+    return refuseStorefront(req, res, {
+      status: 503,
+      shop: shopDomain,
+      code: 'RG_SETTINGS_MISSING',
+    });
+  }
+  // The shop's mode picks the RocketGate environment and credential set, and tags the payment
+  const testMode = settings.mode !== 'live';
+
+  const normalizedCurrency = normalizeCurrency(currency);
+  const amountMinor = normalizedCurrency ? toMinorUnits(amount, normalizedCurrency) : null;
+  if (amountMinor == null) {
+    return res.status(400).json({
+      error: { code: 'INVALID_AMOUNT', message: 'Invalid amount or currency' },
+    });
+  }
+  const normalizedAmount = formatMinorUnits(amountMinor, normalizedCurrency);
 
   // Idempotent base record
-  const existing = getPayment(orderId);
+  const existing = await getPayment(orderId, { shop: shopDomain });
   if (existing) {
     // conflict if caller tries to change core fields
     const conflicts = [];
-    if (existing.amount && existing.amount !== normalizedAmount)
+    if (existing.amount_minor != null && parseMinorUnits(existing.amount_minor) !== amountMinor)
       conflicts.push({ field: 'amount' });
     if (existing.currency && existing.currency !== normalizedCurrency)
       conflicts.push({ field: 'currency' });
@@ -93,42 +161,136 @@ router.get('/init', verifyProxySignature, (req, res) => {
       });
     }
 
-    // backfill missing base fields (don’t clobber existing)
-    if (!existing.amount || !existing.currency || !existing.customer_id) {
-      createOrUpdatePayment({
+    // backfill missing base fields (don’t clobber existing); re-tag after a mode or
+    // signing profile switch, since the link below is signed with the current ones
+    if (
+      existing.amount_minor == null ||
+      !existing.currency ||
+      !existing.customer_id ||
+      paymentMode(existing) !== settings.mode ||
+      existing.signing_profile !== settings.signingProfile
+    ) {
+      await createOrUpdatePayment({
+        shopDomain,
         orderId,
+        paymentId: String(orderId),
         customerId: existing.customer_id ?? String(customerId),
-        amount: existing.amount ?? normalizedAmount,
+        amountMinor: existing.amount_minor ?? amountMinor,
         currency: existing.currency ?? normalizedCurrency,
         status: existing.status ?? 'pending',
+        testMode,
+        signingProfile: settings.signingProfile,
       });
     }
   } else {
-    createOrUpdatePayment({
+    await createOrUpdatePayment({
+      shopDomain,
       orderId,
+      paymentId: String(orderId),
       customerId: String(customerId),
-      amount: normalizedAmount,
+      amountMinor,
       currency: normalizedCurrency,
       status: 'pending',
+      testMode,
+      signingProfile: settings.signingProfile, // the return is verified against this profile
     });
   }
 
   // Build return URLs and Hosted Page URL
   const host = process.env.APP_BASE_URL || 'http://localhost:3000';
-  const success = `${host}/callbacks/complete-payment?orderId=${encodeURIComponent(orderId)}&status=success`;
-  const fail = `${host}/callbacks/complete-payment?orderId=${encodeURIComponent(orderId)}&status=fail`;
+  const query = `orderId=${encodeURIComponent(orderId)}&shop=${encodeURIComponent(shopDomain)}`;
+  const success = `${host}/callbacks/complete-payment?${query}&status=success`;
+  const fail = `${host}/callbacks/complete-payment?${query}&status=fail`;
 
-  const { ROCKETGATE_MERCHANT_ID, ROCKETGATE_HASH_SECRET } = process.env;
   const hostedUrl = buildHostedPageUrl({
     id: String(customerId),
-    merch: ROCKETGATE_MERCHANT_ID,
+    merch: settings.merchantId,
     amount: normalizedAmount,
-    hashSecret: ROCKETGATE_HASH_SECRET,
-    extra: { invoice: orderId, currency: normalizedCurrency, success, fail },
+    hashSecret: settings.merchantKey,
+    authOnly: settings.paymentType === 'authorization',
+    mode: settings.mode,
+    signingProfile: settings.signingProfile, // which fields the hash covers
+    pageOptions: {
+      descriptor: settings.descriptor,
+      locale: settings.locale,
+      style: settings.pageStyle,
+    },
+    extra: {
+      invoice: orderId,
+      currency: normalizedCurrency,
+      success,
+      fail,
+    },
   });
 
   // 302 redirect the buyer to RocketGate Hosted Page
   return res.redirect(302, hostedUrl);
 });
 
+/**
+ * GET /app-proxy/status?orderId=&shop=  (signed by the App Proxy, like /init)
+ *
+ * Storefront order status page for the buyer, from the `payments` row and its
+ * payment_events timeline: state, masked RocketGate transaction id and history.
+ * While the payment is pending/returned_success (the notify hasn't landed yet)
+ * the page refreshes itself every APP_PROXY_STATUS_REFRESH_SECONDS (default 5).
+ * Send `Accept: application/json` for the same data as JSON.
+ */
+router.get('/status', verifyProxySignature, async (req, res, next) => {
+  try {
+    const orderId = req.query.orderId ? String(req.query.orderId) : '';
+    const shopDomain = shopOrDefault(req.query.shop);
+    if (!orderId || !shopDomain) {
+      return res.status(400).json({
+        error: { code: 'INVALID_REQUEST', message: 'Missing orderId or shop' },
+      });
+    }
+
+    const payment = await getPayment(orderId, { shop: shopDomain });
+    const timeline = payment
+      ? (await listPaymentEvents(payment.id))
+          .filter((e) => !e.rejected)
+          .map((e) => ({ status: e.to_status, at: e.created_at }))
+      : [];
+    const polling = Boolean(payment && POLLING_STATUSES.includes(payment.status));
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      if (!payment) {
+        return res.status(404).json({
+          error: { code: 'NOT_FOUND', message: 'No payment for this order' },
+        });
+      }
+      return res.json({
+        ok: true,
+        orderId: payment.order_id,
+        status: payment.status,
+        outcome: statusOutcome(payment.status),
+        transaction: maskTransactionId(payment.rocketgate_txn),
+        timeline,
+        polling,
+      });
+    }
+
+    const refreshSeconds = polling
+      ? Number(process.env.APP_PROXY_STATUS_REFRESH_SECONDS || 5)
+      : undefined;
+    return res
+      .status(payment ? 200 : 404)
+      .type('html')
+      .set('Cache-Control', 'no-store')
+      .send(
+        renderStatusPage({
+          payment,
+          timeline,
+          orderId,
+          lang: pickLang(req),
+          storeUrl: `https://${shopDomain}`,
+          refreshSeconds,
+        })
+      );
+  } catch (err) {
+    return next(err);
+  }
+});
+
 export default router;
@@ -3,16 +3,31 @@ import crypto from 'node:crypto';
 
 import { Router } from 'express';
 
+import { consumeOAuthState, createOAuthState } from '../db/oauthStates.js';
 import { upsertShop } from '../db/shops.js';
+import { resolveAppByClientId, resolveInstallApp } from '../utils/shoplazzaApps.js';
+import { syncShopWebhooks } from '../utils/shoplazzaWebhooks.js';
 
 const router = Router();
 
 /**
- * DEV-ONLY: In-memory OAuth state store.
- * We record {state -> { shop, ts }} so callback can validate even if cookies are blocked.
- * Swap for a DB/kv store later if needed.
+ * OAuth state lives in the DB (src/db/oauthStates.js), so the callback validates
+ * on any instance even when the cookie is blocked. The `oauth_state` cookie only
+ * carries the verifier the state is bound to; set OAUTH_STATE_REQUIRE_VERIFIER=true
+ * to refuse callbacks that arrive without it.
  */
-const OAUTH_STATES = new Map();
+const OAUTH_COOKIE = 'oauth_state';
+
+/** The verifier from the cookie, if it belongs to this state (a newer install may have replaced it). */
+function readVerifierCookie(req, state) {
+  try {
+    const bundle = req.cookies?.[OAUTH_COOKIE] ? JSON.parse(req.cookies[OAUTH_COOKIE]) : null;
+    return bundle?.state === state && typeof bundle.verifier === 'string' ? bundle.verifier : null;
+  } catch (e) {
+    console.warn('Failed to parse oauth_state cookie:', e);
+    return null;
+  }
+}
 
 /** Utility: permissive matcher for *.myshoplazza.com or *.myshoplaza.com */
 const SHOP_HOST_RE = /^[a-z0-9-]+\.(myshoplazza|myshoplaza)\.com$/i;
@@ -44,43 +59,15 @@ function normalizeShopHost(input) {
   return host;
 }
 
-/**
- * Resolve Shoplazza app credentials for a given shop host.
- * Priority:
- *  1) DB lookup (TODO: wire to Kysely)
- *  2) Env JSON map SHOPLAZZA_APP_MAP (e.g., {"rg-demo.myshoplazza.com":{"client_id":"...","client_secret":"..."}})
- *  3) Fallback to single-tenant env (SHOPLAZZA_CLIENT_ID / SHOPLAZZA_CLIENT_SECRET)
- */
-function resolveShopCredentials(shopHost) {
-  let fromMap;
-  if (process.env.SHOPLAZZA_APP_MAP) {
-    try {
-      const map = JSON.parse(process.env.SHOPLAZZA_APP_MAP);
-      fromMap = map?.[shopHost];
-    } catch (e) {
-      console.warn('Invalid SHOPLAZZA_APP_MAP JSON; falling back to single-tenant env.', e);
-    }
-  }
-
-  const client_id = fromMap?.client_id || process.env.SHOPLAZZA_CLIENT_ID;
-  const client_secret = fromMap?.client_secret || process.env.SHOPLAZZA_CLIENT_SECRET;
-
-  return { client_id, client_secret };
-}
-
 /**
  * GET /auth/start
- * Initiates OAuth. Accepts ?shop=<slug or *.myshoplazza.com>.
- * Multi-tenant: resolves client_id per shop.
+ * Initiates OAuth. Accepts ?shop=<slug or *.myshoplazza.com> and optionally
+ * ?app=<registered app key> (public, private, staging, ...).
+ * Multi-app: installs through the named app, else the shop's current one, else
+ * SHOPLAZZA_DEFAULT_APP, else env credentials (src/utils/shoplazzaApps.js).
  */
-router.get('/start', (req, res) => {
+router.get('/start', async (req, res) => {
   try {
-    const { SHOPLAZZA_REDIRECT_URL, SHOPLAZZA_SCOPES } = process.env;
-
-    if (!SHOPLAZZA_REDIRECT_URL) {
-      return res.status(500).send('Missing required OAuth env: SHOPLAZZA_REDIRECT_URL');
-    }
-
     // Normalize shop input
     const shopParam = (req.query?.shop || '').toString();
     const shopHost = normalizeShopHost(shopParam);
@@ -90,34 +77,45 @@ router.get('/start', (req, res) => {
         .send('Invalid ?shop; enter a slug like "your-store" or a *.myshoplazza.com address.');
     }
 
-    // Resolve per-shop credentials
-    const { client_id } = resolveShopCredentials(shopHost);
-    if (!client_id) {
+    // Resolve the app listing this install goes through
+    const appKey = req.query?.app ? String(req.query.app) : undefined;
+    const shopApp = await resolveInstallApp(shopHost, { appKey });
+    if (!shopApp) {
+      return res.status(400).send(`Unknown app "${escapeHtml(appKey)}".`);
+    }
+    if (!shopApp.clientId) {
       return res
         .status(400)
         .send(
-          `No client_id configured for ${shopHost}. (Add it to SHOPLAZZA_APP_MAP or set SHOPLAZZA_CLIENT_ID)`
+          `No client_id configured for ${shopHost}. (Register an app, add it to SHOPLAZZA_APP_MAP or set SHOPLAZZA_CLIENT_ID)`
         );
     }
+    if (!shopApp.redirectUrl) {
+      return res.status(500).send('Missing required OAuth env: SHOPLAZZA_REDIRECT_URL');
+    }
 
-    // Generate state and store it (pair with shop)
-    const state = crypto.randomUUID();
-    OAUTH_STATES.set(state, { shop: shopHost, ts: Date.now() });
+    // Generate state bound to this shop, its app and a browser-held verifier
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const { state, expiresAt } = await createOAuthState({
+      shop: shopHost,
+      clientId: shopApp.appKey ? shopApp.clientId : null,
+      verifier,
+    });
 
-    // Cookie copy (works in top-level; may be blocked in iframes)
-    res.cookie('oauth_state', JSON.stringify({ state, shop: shopHost }), {
+    // Verifier cookie (works in top-level; may be blocked in iframes)
+    res.cookie(OAUTH_COOKIE, JSON.stringify({ state, verifier }), {
       httpOnly: true,
       secure: true,
       sameSite: 'none',
-      maxAge: 10 * 60 * 1000,
+      maxAge: Math.max(0, Date.parse(expiresAt) - Date.now()),
     });
 
     // Build store-specific authorize URL
     const u = new URL(`https://${shopHost}/admin/oauth/authorize`);
     u.searchParams.set('response_type', 'code');
-    u.searchParams.set('client_id', client_id);
-    u.searchParams.set('redirect_uri', SHOPLAZZA_REDIRECT_URL);
-    if (SHOPLAZZA_SCOPES) u.searchParams.set('scope', SHOPLAZZA_SCOPES); // space-separated
+    u.searchParams.set('client_id', shopApp.clientId);
+    u.searchParams.set('redirect_uri', shopApp.redirectUrl);
+    if (shopApp.scopes) u.searchParams.set('scope', shopApp.scopes); // space-separated
     u.searchParams.set('state', state);
     u.searchParams.set('shop', shopHost); // parity
 
@@ -152,31 +150,24 @@ router.get('/callback', async (req, res) => {
       return res.status(400).send('<h1>Auth failed</h1><p>Missing state.</p>');
     }
 
-    // Prefer server-side state (works even if cookie is blocked in embedded context)
-    const serverState = OAUTH_STATES.get(state);
-    if (serverState && serverState.shop === shop) {
-      OAUTH_STATES.delete(state); // one-time use
-    } else {
-      // Fallback: cookie-based validation if it arrived
-      let bundle = null;
-      try {
-        bundle = req.cookies?.oauth_state ? JSON.parse(req.cookies.oauth_state) : null;
-      } catch (e) {
-        console.warn('Failed to parse oauth_state cookie:', e);
-      }
-      if (!bundle?.state || !bundle?.shop || state !== bundle.state || shop !== bundle.shop) {
-        return res.status(400).send('<h1>Auth failed</h1><p>Invalid or missing state/shop.</p>');
-      }
-      res.clearCookie('oauth_state');
+    // One-time, expiring server-side state (works even if cookie is blocked in embedded context)
+    const consumed = await consumeOAuthState(String(state), {
+      shop,
+      verifier: readVerifierCookie(req, String(state)),
+      requireVerifier:
+        String(process.env.OAUTH_STATE_REQUIRE_VERIFIER || 'false').toLowerCase() === 'true',
+    });
+    res.clearCookie(OAUTH_COOKIE);
+    if (!consumed) {
+      return res.status(400).send('<h1>Auth failed</h1><p>Invalid or missing state/shop.</p>');
     }
 
-    // Env vars needed for token exchange
-    const { SHOPLAZZA_REDIRECT_URL } = process.env;
-    const { client_id, client_secret } = resolveShopCredentials(shop);
+    // Credentials of the app the install started through
+    const shopApp = await resolveAppByClientId(consumed.clientId, { shop });
     const missingBits = [];
-    if (!client_id) missingBits.push('client_id');
-    if (!client_secret) missingBits.push('client_secret');
-    if (!SHOPLAZZA_REDIRECT_URL) missingBits.push('SHOPLAZZA_REDIRECT_URL');
+    if (!shopApp.clientId) missingBits.push('client_id');
+    if (!shopApp.clientSecret) missingBits.push('client_secret');
+    if (!shopApp.redirectUrl) missingBits.push('SHOPLAZZA_REDIRECT_URL');
     if (missingBits.length) {
       console.error('❌ Missing OAuth config:', missingBits);
       return res.status(500).send('Missing OAuth config: ' + missingBits.join(', '));
@@ -193,9 +184,9 @@ router.get('/callback', async (req, res) => {
         body: JSON.stringify({
           grant_type: 'authorization_code',
           code: String(code),
-          client_id,
-          client_secret,
-          redirect_uri: SHOPLAZZA_REDIRECT_URL,
+          client_id: shopApp.clientId,
+          client_secret: shopApp.clientSecret,
+          redirect_uri: shopApp.redirectUrl,
         }),
       });
     } catch (e) {
@@ -232,7 +223,12 @@ router.get('/callback', async (req, res) => {
 
     // ✅ Persist shop credentials (DB)
     try {
-      await upsertShop({ shop, accessToken, scope });
+      await upsertShop({
+        shop,
+        accessToken,
+        scope,
+        clientId: shopApp.appKey ? shopApp.clientId : null, // bind to the registered app
+      });
     } catch (e) {
       console.error('upsertShop failed:', e);
       // We still proceed to register webhooks; merchant is installed but persistence failed.
@@ -241,15 +237,12 @@ router.get('/callback', async (req, res) => {
 
     // Best-effort: register webhooks for this shop
     try {
-      await registerWebhooksForShop({ shop, accessToken });
+      await registerWebhooksForShop({ shop, apiVersion: shopApp.apiVersion });
     } catch (e) {
       console.warn('registerWebhooksForShop failed:', e);
-      // Non-fatal: installation can still complete; you can provide a link to retry
+      // Non-fatal: installation can still complete; the outbox keeps retrying
     }
 
-    // Clear cookie (safe even if already cleared above)
-    res.clearCookie('oauth_state');
-
     // Success page
     return res.redirect(`/installed.html?shop=${encodeURIComponent(shop)}`);
   } catch (err) {
@@ -259,33 +252,25 @@ router.get('/callback', async (req, res) => {
 });
 
 /**
- * Registers webhooks needed for our flow.
- * For now: "orders/paid" -> /callbacks/notify
- * NOTE: Adjust endpoints/headers to match Shoplazza’s current API spec.
+ * Subscribes the shop to the webhook manifest (src/utils/shoplazzaWebhooks.js).
+ * Creations are queued through the outbox, so a failed one is retried in the background.
+ * If the existing subscriptions can't be listed yet, every manifest topic is queued;
+ * a later resync (npm run webhooks:sync) removes any duplicate.
  */
-async function registerWebhooksForShop({ shop, accessToken }) {
-  const version = process.env.SHOPLAZZA_API_VERSION || '2022-01';
-  const url = `https://${shop}/openapi/${version}/webhooks`;
-  const target = `${process.env.APP_BASE_URL}/callbacks/notify`;
-
-  const body = {
-    topic: 'orders/paid', // add/adjust topics as needed
-    address: target,
-    format: 'json',
-  };
-
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Access-Token': accessToken, // Shoplazza header
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '(no body)');
-    throw new Error(`Webhook register failed: ${resp.status} ${text.slice(0, 500)}`);
+async function registerWebhooksForShop({ shop, apiVersion }) {
+  let result;
+  try {
+    result = await syncShopWebhooks({ shop, apiVersion });
+  } catch (e) {
+    console.warn(`Webhook list failed for ${shop}; queueing the manifest:`, e.message);
+    result = await syncShopWebhooks({ shop, apiVersion, existing: [] });
+  }
+
+  if (result.queued.length || result.failed.length) {
+    throw new Error(
+      `Webhook register incomplete: queued ${JSON.stringify(result.queued)}, ` +
+        `failed ${JSON.stringify(result.failed)}`
+    );
   }
 }
 
@@ -3,8 +3,25 @@ import crypto from 'crypto';
 
 import { Router } from 'express';
 
-import { getPayment, setPaymentStatus, createOrUpdatePayment } from '../db/index.js';
-import { getShop } from '../db/shops.js';
+import {
+  claimWebhookLog,
+  getPayment,
+  getWebhookLogByKey,
+  listPaymentAttempts,
+  paymentMode,
+  recordWebhookResponse,
+  releaseWebhookLog,
+  saveWebhookLog,
+  setPaymentStatus,
+} from '../db/index.js';
+import { credentialsForMode, getRgSettings } from '../db/rgSettings.js';
+import { formatMinorUnits, parseMinorUnits, toMinorUnits } from '../utils/money.js';
+import { deliverViaOutbox } from '../utils/outbox.js';
+import { pickLang, renderReturnPage } from '../utils/returnPage.js';
+import { checkHostedPageReturn, confirmWithServerByInvoice } from '../utils/rocketgate.js';
+import { canonicalShopHost, defaultShopHost, shopOrDefault } from '../utils/shopHost.js';
+import { resolveShopApp } from '../utils/shoplazzaApps.js';
+import { buildNotifyPaymentRequest } from '../utils/shoplazzaPayments.js';
 
 const router = Router();
 
@@ -76,17 +93,168 @@ function extractReturnFields(req) {
     q.transaction_id ||
     null;
 
-  // Shoplazza integration params we appended to the Hosted Page return links:
+  // Shoplazza integration params we appended to the Hosted Page return links
+  // (spz_payment_id picks the attempt when an order has been paid for more than once):
+  const paymentId = b.spz_payment_id || q.spz_payment_id || null;
   const completeUrl = b.spz_complete || q.spz_complete || null;
   const cancelUrl = b.spz_cancel || q.spz_cancel || null;
   const callbackUrl = b.spz_callback || q.spz_callback || null;
+  // Payments are looked up in this shop (SHOPLAZZA_DEFAULT_SHOP when absent)
   const shop = b.shop || q.shop || null;
 
-  return { orderId, resultRaw, rocketgateTxnId, completeUrl, cancelUrl, callbackUrl, shop };
+  return {
+    orderId,
+    paymentId,
+    resultRaw,
+    rocketgateTxnId,
+    completeUrl,
+    cancelUrl,
+    callbackUrl,
+    shop,
+  };
+}
+
+/**
+ * True when the signed return fields belong to this payment: same shop, and the
+ * signed id/amount (plus invoice/currency when present) are the ones we built the
+ * Hosted Page link with.
+ */
+function returnMatchesPayment(params, payment, shop) {
+  if (
+    shop &&
+    payment.shop_domain &&
+    canonicalShopHost(shop) !== canonicalShopHost(payment.shop_domain)
+  ) {
+    return false;
+  }
+  if (payment.customer_id && String(params.id) !== String(payment.customer_id)) return false;
+  if (
+    payment.amount_minor != null &&
+    toMinorUnits(params.amount, payment.currency) !== parseMinorUnits(payment.amount_minor)
+  ) {
+    return false;
+  }
+  // Only echoed (and signed) under the extended signing profiles
+  if (params.invoice != null && String(params.invoice) !== String(payment.order_id)) return false;
+  if (params.currency != null && payment.currency && params.currency !== payment.currency) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Statuses the gateway reports for a Hosted Page payment that went through.
+ */
+const CONFIRMED_RETURN_STATUSES = ['paid', 'authorized', 'captured'];
+
+/**
+ * Double-check a success return with RocketGate's gateway (confirmWithServerByInvoice).
+ * The return's `result` and `transactId` are not covered by any signature, and the
+ * signed fields are the ones the buyer already had in the outbound link, so a success
+ * only counts once the gateway has an approved transaction of the payment's amount.
+ * An unreachable gateway leaves the return unconfirmed (pending) rather than rejected.
+ *
+ * @returns {Promise<{ ok: true, result, rocketgateTxnId } | { ok: false, reason: string }>}
+ */
+async function confirmSuccessReturn(payment, { shop }) {
+  let txn;
+  try {
+    txn = await confirmWithServerByInvoice(payment.order_id, {
+      shop: shop ?? undefined,
+      mode: paymentMode(payment),
+    });
+  } catch (err) {
+    console.warn(`⚠️ [complete-payment] could not confirm ${payment.order_id}: ${err.message}`);
+    return { ok: true, result: 'returned_unknown', rocketgateTxnId: null };
+  }
+  if (!txn || !CONFIRMED_RETURN_STATUSES.includes(txn.status)) {
+    return { ok: false, reason: 'not_confirmed' };
+  }
+  if (
+    payment.amount_minor != null &&
+    txn.amount != null &&
+    toMinorUnits(txn.amount, payment.currency) !== parseMinorUnits(payment.amount_minor)
+  ) {
+    return { ok: false, reason: 'amount_mismatch' };
+  }
+  return { ok: true, result: 'returned_success', rocketgateTxnId: txn.rocketgateTxnId };
 }
 
 /**
- * Map buyer return result to our forward-only state.
+ * Hosted Page return verification for the buyer-facing /complete-payment.
+ * The browser can present any query string, so unless the signed RocketGate fields
+ * (id, merch, amount, purchase, time, hash, plus the extras of the signing profile the
+ * payment's link was built with) check out, we neither touch the payment nor call
+ * Shoplazza. A success return must also be confirmed by the gateway (see
+ * confirmSuccessReturn). Rejections are logged to webhook_logs (topic `return_rejected`).
+ *
+ * On success, sets req.verifiedReturn = { result, rocketgateTxnId }: the state to record
+ * and the transaction id the gateway confirmed (the return's own transactId is unsigned).
+ *
+ * Controlled by env:
+ *   VERIFY_ROCKETGATE_RETURN_HASH=true|false   (default: true)
+ *   ROCKETGATE_RETURN_MAX_AGE_SECONDS=3600      (replay window on the signed `time`)
+ *
+ * Secret: the merchant key from rg_settings of the `shop` param (else SHOPLAZZA_DEFAULT_SHOP);
+ * ROCKETGATE_HASH_SECRET when the default shop has no settings (legacy /pay/init flow).
+ */
+async function verifyHostedPageReturn(req, res, next) {
+  const verify = String(process.env.VERIFY_ROCKETGATE_RETURN_HASH || 'true').toLowerCase();
+  if (!['1', 'true', 'yes', 'on'].includes(verify)) return next();
+
+  const params = { ...req.query, ...(req.body || {}) };
+  const { orderId, paymentId, resultRaw, shop } = extractReturnFields(req);
+  const tenant = shopOrDefault(shop);
+  const payment = orderId && tenant ? await getPayment(orderId, { shop: tenant, paymentId }) : null;
+
+  let hashSecret = process.env.ROCKETGATE_HASH_SECRET;
+  let merchantId = process.env.ROCKETGATE_MERCHANT_ID;
+  let gatewayShop = null; // env credentials for the gateway lookup
+  // The profile the link was signed with; the shop's (or env) default for older payments
+  let signingProfile = payment?.signing_profile ?? undefined;
+  if (tenant) {
+    const rg = await getRgSettings(tenant);
+    if (rg || tenant !== defaultShopHost()) {
+      // The link was signed with the credential set of the mode the payment started in
+      const creds = rg ? credentialsForMode(rg, payment ? paymentMode(payment) : rg.mode) : null;
+      hashSecret = creds?.merchantKey;
+      merchantId = creds?.merchantId;
+      signingProfile ??= rg?.signingProfile;
+      gatewayShop = tenant;
+    }
+  }
+
+  let check = checkHostedPageReturn(params, { hashSecret, merchantId, signingProfile });
+  if (check.ok && payment && !returnMatchesPayment(params, payment, shop)) {
+    check = { ok: false, reason: 'order_mismatch' };
+  }
+  const result = mapReturnResult(resultRaw);
+  if (check.ok && payment && result === 'returned_success') {
+    check = await confirmSuccessReturn(payment, { shop: gatewayShop });
+  }
+  if (check.ok) {
+    req.verifiedReturn = { result: check.result ?? result, rocketgateTxnId: check.rocketgateTxnId };
+    return next();
+  }
+
+  console.warn(`⚠️ [complete-payment] rejected return for order ${orderId}: ${check.reason}`);
+  await saveWebhookLog({
+    source: 'rocketgate',
+    topic: 'return_rejected',
+    headers: req.headers,
+    payloadJson: JSON.stringify({ reason: check.reason, query: req.query, body: req.body ?? null }),
+  });
+  return res.status(401).json({
+    error: {
+      code: 'INVALID_RETURN_SIGNATURE',
+      message: `Hosted Page return rejected (${check.reason})`,
+    },
+  });
+}
+
+/**
+ * Map buyer return result to our forward-only state. Anything else is
+ * `returned_unknown`: the buyer gets a pending page and the payment is left alone.
  */
 function mapReturnResult(resultRaw) {
   if (resultRaw === 'success') return 'returned_success';
@@ -112,6 +280,12 @@ function extractNotifyFields(req) {
 
   const statusRaw = (b.status ?? q.status)?.toString().toLowerCase() || '';
 
+  // Only spz_payment_id names an attempt. customerID is the Hosted Page `id`: the
+  // Shoplazza payment_id for /payments/session, the buyer's customer id for /pay/init
+  // and /app-proxy/init (see findNotifyAttempt).
+  const paymentId = b.spz_payment_id || q.spz_payment_id || null;
+  const customerId = b.customerID || b.customerId || q.customerID || q.customerId || null;
+
   const rocketgateTxnId =
     b.rocketgateTxnId ||
     b.transactId ||
@@ -121,7 +295,11 @@ function extractNotifyFields(req) {
     q.transaction_id ||
     null;
 
-  return { orderId, statusRaw, rocketgateTxnId };
+  // RocketGate doesn't send the shop: give each merchant account's postback URL a
+  // `?shop=` param. Without one, the order is looked up in SHOPLAZZA_DEFAULT_SHOP.
+  const shop = b.shop || q.shop || null;
+
+  return { orderId, paymentId, customerId, shop, statusRaw, rocketgateTxnId };
 }
 
 /**
@@ -130,7 +308,9 @@ function extractNotifyFields(req) {
 function mapNotifyStatus(statusRaw) {
   const map = {
     approved: 'paid',
-    captured: 'paid',
+    authorized: 'authorized',
+    auth: 'authorized',
+    captured: 'captured',
     settled: 'paid',
     paid: 'paid',
     refunded: 'refunded',
@@ -147,24 +327,92 @@ function mapNotifyStatus(statusRaw) {
 
 /* ------------------------------ Routes ------------------------------ */
 
+/**
+ * Buyer-page outcome for a return: success / fail, or pending when unclear.
+ */
+function returnOutcome(translated) {
+  if (translated === 'returned_success') return 'success';
+  if (translated === 'returned_fail') return 'fail';
+  return 'pending';
+}
+
+/**
+ * Only bounce buyers to Shoplazza-hosted pages: the shop itself, *.myshoplazza.com /
+ * *.myshoplaza.com, or hosts listed in SHOPLAZZA_RETURN_ALLOWED_HOSTS (custom domains).
+ * `spz_*` params are unsigned, so anything else would be an open redirect.
+ */
+function isAllowedShoplazzaUrl(url, shop) {
+  let u;
+  try {
+    u = new URL(String(url));
+  } catch {
+    return false;
+  }
+  if (u.protocol !== 'https:') return false;
+
+  const host = u.hostname.toLowerCase();
+  const extra = String(process.env.SHOPLAZZA_RETURN_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+  return (
+    (shop && host === canonicalShopHost(shop)) ||
+    host.endsWith('.myshoplazza.com') ||
+    host.endsWith('.myshoplaza.com') ||
+    extra.includes(host)
+  );
+}
+
+/**
+ * Where to send the buyer: Shoplazza's spz_complete / spz_cancel first, then the
+ * shop's return_url / cancel_url from rg_settings. null -> render our own page.
+ */
+function pickReturnRedirect({ outcome, completeUrl, cancelUrl, rg, shop }) {
+  if (outcome === 'success') {
+    if (completeUrl && isAllowedShoplazzaUrl(completeUrl, shop)) return String(completeUrl);
+    return rg?.returnUrl || null;
+  }
+  if (outcome === 'fail') {
+    if (cancelUrl && isAllowedShoplazzaUrl(cancelUrl, shop)) return String(cancelUrl);
+    return rg?.cancelUrl || null;
+  }
+  return null;
+}
+
 /**
  * GET/POST /callbacks/complete-payment
  *
  * Buyer returns from RocketGate Hosted Page. This is a buyer-facing result, not
- * the final settlement truth (notify is authoritative). We persist:
- *   - returned_success | returned_fail | returned_unknown
- *   - rocketgateTxnId (if provided)
+ * the final settlement truth (notify is authoritative). Only reached once
+ * verifyHostedPageReturn has accepted the signed return fields. We persist:
+ *   - returned_success | returned_fail (an unknown or unconfirmed result changes nothing)
+ *   - rocketgateTxnId (the gateway-confirmed one when the return was verified)
  *
- * Additionally, if `spz_complete` and `shop` are present, we *best-effort*
- * POST to Shoplazza's Complete Payment endpoint with the shop's Access-Token.
+ * Additionally, for a Shoplazza payment session we POST to the payment shop's Complete
+ * Payment endpoint with its Access-Token (via the outbox, so failures are retried).
+ *
+ * Response (buyer-facing):
+ *   - 302 to spz_complete/spz_cancel, else to the shop's return_url/cancel_url
+ *   - otherwise a branded, localized status page
+ *   - JSON instead when the client asks for it (Accept: application/json)
+ * Debug details (Complete Payment call, URLs) only when RETURN_PAGE_DEBUG=true; with
+ * the flag on, the page is shown (with the details) instead of redirecting.
  */
 async function completePaymentHandler(req, res) {
   console.log('🔔 [complete-payment] q:', req.query);
   if (req.method !== 'GET') console.log('🔔 [complete-payment] b:', req.body);
   if (req.rawBody) console.log('🔒 [complete-payment] raw len:', req.rawBody.length);
 
-  const { orderId, resultRaw, rocketgateTxnId, completeUrl, cancelUrl, callbackUrl, shop } =
-    extractReturnFields(req);
+  const {
+    orderId,
+    paymentId,
+    resultRaw,
+    rocketgateTxnId,
+    completeUrl,
+    cancelUrl,
+    callbackUrl,
+    shop,
+  } = extractReturnFields(req);
 
   if (!orderId || !resultRaw) {
     return res.status(400).json({
@@ -172,91 +420,71 @@ async function completePaymentHandler(req, res) {
     });
   }
 
-  const translated = mapReturnResult(resultRaw);
-
-  // Ensure a row exists (buyer can beat /pay/init to the punch in rare races)
-  if (!getPayment(orderId)) {
-    createOrUpdatePayment({
-      orderId,
-      customerId: null,
-      amount: null,
-      currency: null,
-      status: translated,
-    });
-  }
-
-  // Forward-only update (setPaymentStatus should enforce no regressions)
-  const state = setPaymentStatus({
-    orderId,
-    status: translated,
-    rocketgateTxnId: rocketgateTxnId || null,
-  });
-
-  // Notify Shoplazza's Complete Payment endpoint
+  // verifyHostedPageReturn's verdict when it ran (an unconfirmed success is unknown)
+  const verified = req.verifiedReturn;
+  const translated = verified?.result ?? mapReturnResult(resultRaw);
+  const txnId = verified ? verified.rocketgateTxnId : rocketgateTxnId;
+
+  // State-machine update on the shop's attempt the buyer paid for (spz_payment_id, else
+  // the current one). A return for an unknown shop/order/attempt only gets a page.
+  const tenant = shopOrDefault(shop);
+  const prev = tenant ? await getPayment(orderId, { shop: tenant, paymentId }) : null;
+  const state =
+    prev && translated !== 'returned_unknown'
+      ? await setPaymentStatus({
+          shopDomain: prev.shop_domain,
+          orderId,
+          paymentId: prev.payment_id,
+          status: translated,
+          rocketgateTxnId: txnId || null,
+          source: 'return',
+          actor: 'buyer',
+        })
+      : prev;
+
+  // Settings, app and Complete Payment host come from the canonical shop, never the raw param
+  const paymentShop = state?.shop_domain ?? tenant;
+  const rg = paymentShop ? await getRgSettings(paymentShop) : null;
+
+  // Notify Shoplazza's Complete Payment endpoint, as the app the shop installed through
   let completeNotified = false;
-  const version = process.env.SHOPLAZZA_API_VERSION || '2022-01';
-  const appId = process.env.SHOPLAZZA_CLIENT_ID;
+  const shopApp = paymentShop ? await resolveShopApp(paymentShop) : null;
+  const version = shopApp?.apiVersion || '2022-01';
+  const appId = shopApp?.clientId;
 
-  if (shop && appId) {
+  // Only Shoplazza payment sessions (callback_url stored by /payments/session) have one to
+  // complete; /pay/init and app-proxy payments don't
+  if (appId && state?.callback_url) {
     try {
-      // 1) Load access token for this shop
-      const shopRow = await getShop(String(shop));
-      const accessToken = shopRow?.accessToken || null;
+      const endpoint = `https://${paymentShop}/openapi/${version}/payments_apps/complete_callbacks`;
 
-      // 2) Build endpoint and body
-      const endpoint = `https://${shop}/openapi/${version}/payments_apps/complete_callbacks`;
-
-      // We don’t always have all fields here yet; populate what we know.
-      // If you’ve stored amount/currency in your payments table, read them instead of fallbacks.
       const bodyObj = {
         app_id: String(appId),
-        payment_id: String(req.query.spz_payment_id || 'unknown-payment'),
-        amount: Number(state?.amount ?? 0), // TODO: read from your payments row if available
-        currency: String(state?.currency || 'USD'), // TODO: read from your payments row if available
-        transaction_no: String(state?.rocketgate_txn || 'pending'), // or the RG transactId if you have it
-        type: 'sale', // or 'authorization' if you’re doing auth/capture
-        test: !!(req.query.spz_test && String(req.query.spz_test).toLowerCase() === 'true'),
+        payment_id: String(state.payment_id),
+        amount: Number(formatMinorUnits(state.amount_minor ?? 0, state.currency)),
+        currency: String(state?.currency || 'USD'),
+        transaction_no: String(state?.rocketgate_txn || 'pending'),
+        type: rg?.paymentType === 'authorization' ? 'authorization' : 'sale',
+        test: paymentMode(state) === 'test',
         status: 'paying', // per docs, this call is to tell SP the user finished checkout, not final result
         timestamp: new Date().toISOString(),
-        // extension: { ... }    // optional custom fields
       };
 
-      const bodyJson = JSON.stringify(bodyObj);
-
-      // 3) Compute Shoplazza HMAC over the raw JSON body using your app’s client secret
-      const clientSecret = process.env.SHOPLAZZA_CLIENT_SECRET || '';
-      const hmac = crypto.createHmac('sha256', clientSecret).update(bodyJson).digest('hex');
-
-      // 4) POST with required headers
-      const resp = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Token': accessToken || '',
-          'Shoplazza-Shop-Domain': String(shop),
-          'Shoplazza-Hmac-Sha256': hmac,
-        },
-        body: bodyJson,
+      // Signed POST (Access-Token + HMAC over the raw JSON body), queued in the
+      // outbox so a slow/5xx Shoplazza gets retried by the dispatcher
+      const result = await deliverViaOutbox({
+        kind: 'complete',
+        shop: paymentShop,
+        url: endpoint,
+        body: bodyObj,
+        dedupeKey: `${paymentShop}:complete:${bodyObj.payment_id}:${orderId}`,
       });
 
-      completeNotified = resp.ok;
-
-      // Attach compact debug so you can see what happened (visible in the JSON you return)
-      const dbg = {
-        endpoint,
-        status: resp.status,
-        ok: resp.ok,
-        sent: { ...bodyObj, transaction_no: bodyObj.transaction_no }, // safe summary
-      };
-      try {
-        dbg.resText = (await resp.text()).slice(0, 400);
-      } catch (err) {
-        console.warn('Error reading complete response text', err);
-      }
-      req._completeDebug = dbg;
+      completeNotified = result.ok;
+      req._completeDebug = { endpoint, ...result };
 
-      if (!resp.ok) {
-        console.warn('Complete Payment failed:', dbg);
+      if (!result.ok) {
+        console.warn('Complete Payment failed (left in outbox for retry):', req._completeDebug);
       }
     } catch (err) {
       console.warn('Complete Payment fetch error:', err);
@@ -264,60 +492,228 @@ async function completePaymentHandler(req, res) {
     }
   }
 
-  // Dev-friendly JSON response (swap to a redirect if you prefer buyer UX)
-  return res.json({
-    ok: true,
-    orderId,
-    state,
-    completeNotified,
-    completeDebug: req._completeDebug || null,
-    callbackUrl: callbackUrl || null,
-    cancelUrl: cancelUrl || null,
-    shop: shop || null,
+  const outcome = returnOutcome(translated);
+  const redirectUrl = pickReturnRedirect({
+    outcome,
+    completeUrl,
+    cancelUrl,
+    rg,
+    shop: paymentShop,
   });
+  const debug = ['1', 'true', 'yes', 'on'].includes(
+    String(process.env.RETURN_PAGE_DEBUG || 'false').toLowerCase()
+  )
+    ? {
+        completeDebug: req._completeDebug || null,
+        callbackUrl: callbackUrl || null,
+        completeUrl: completeUrl || null,
+        cancelUrl: cancelUrl || null,
+        shop: shop || null,
+      }
+    : undefined;
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({
+      ok: true,
+      orderId,
+      outcome,
+      state,
+      completeNotified,
+      redirectUrl,
+      ...(debug ? { debug } : {}),
+    });
+  }
+
+  if (redirectUrl && !debug) return res.redirect(302, redirectUrl);
+
+  return res
+    .status(200)
+    .type('html')
+    .send(
+      renderReturnPage({
+        outcome,
+        lang: pickLang(req),
+        orderId,
+        // No canonical shop (missing/invalid param, no default): no "back to store" link
+        storeUrl: redirectUrl || (tenant ? `https://${tenant}` : null),
+        debug,
+      })
+    );
+}
+
+router.get('/complete-payment', verifyHostedPageReturn, completePaymentHandler);
+router.post('/complete-payment', verifyHostedPageReturn, completePaymentHandler);
+
+/**
+ * Idempotency key for a RocketGate notify: gateway retries resend the same
+ * transaction + status, so that pair identifies a delivery. Falls back to the
+ * shop's payment attempt, then its order, when the notify carries no transaction id.
+ */
+function notifyIdempotencyKey({ shop, orderId, paymentId, customerId, rocketgateTxnId, status }) {
+  const subject = rocketgateTxnId
+    ? `txn:${rocketgateTxnId}`
+    : paymentId
+      ? `payment:${shop}:${paymentId}`
+      : `order:${shop}:${orderId}${customerId ? `:${customerId}` : ''}`;
+  return `${subject}:${status}`;
+}
+
+/**
+ * Answer a duplicate notify with the response the first delivery got.
+ * If the first delivery is still being processed, ask the gateway to retry later.
+ */
+async function replayNotify(res, idempotencyKey) {
+  const logged = await getWebhookLogByKey('rocketgate', idempotencyKey);
+  if (logged?.response_status == null) {
+    return res.status(409).json({
+      error: {
+        code: 'NOTIFY_IN_PROGRESS',
+        message: 'This notification is already being processed',
+      },
+    });
+  }
+  console.log(`🔁 [notify] duplicate ${idempotencyKey}; replaying webhook_logs #${logged.id}`);
+  res.set('Idempotent-Replay', 'true');
+  return res.status(logged.response_status).json(JSON.parse(logged.response_json));
+}
+
+/**
+ * The attempt a notify is about: the one spz_payment_id names; else the one whose
+ * Hosted Page `id` (payment_id for /payments/session, customer_id otherwise) matches
+ * the echoed customerID, newest first; else the order's current attempt.
+ */
+async function findNotifyAttempt({ shop, orderId, paymentId, customerId }) {
+  if (paymentId) return await getPayment(orderId, { shop, paymentId });
+
+  const current = await getPayment(orderId, { shop });
+  if (!current || !customerId) return current;
+  const id = String(customerId);
+  if (current.payment_id === id || current.customer_id === id) return current;
+
+  const attempts = await listPaymentAttempts(orderId, { shop });
+  const match =
+    attempts.find((a) => a.payment_id === id) ?? attempts.findLast((a) => a.customer_id === id);
+  return match ?? current;
 }
 
-router.get('/complete-payment', completePaymentHandler);
-router.post('/complete-payment', completePaymentHandler);
+/**
+ * Apply a (first-seen) notify to the payments row and forward real transitions.
+ */
+async function processNotify({
+  shop,
+  orderId,
+  paymentId,
+  customerId,
+  mapped,
+  statusRaw,
+  rocketgateTxnId,
+  rawNotify,
+  payloadRef,
+}) {
+  // No shop to look in, or an order/attempt that shop doesn't have: there is
+  // nothing to update or forward. Ack so it stops retrying.
+  if (!shop) {
+    console.warn(`[notify] no shop for order ${orderId}; ignoring ${statusRaw}`);
+    return { ok: true, state: null, forwarded: { skipped: 'unknown_shop' } };
+  }
+  const prev = await findNotifyAttempt({ shop, orderId, paymentId, customerId });
+  if (!prev) {
+    const which = paymentId ? `order ${orderId} / attempt ${paymentId}` : `order ${orderId}`;
+    console.warn(`[notify] no payment row for ${which} in ${shop}; ignoring ${statusRaw}`);
+    return { ok: true, state: null, forwarded: { skipped: 'unknown_order' } };
+  }
+
+  const updated = await setPaymentStatus({
+    shopDomain: prev.shop_domain,
+    orderId,
+    paymentId: prev.payment_id,
+    status: mapped,
+    rocketgateTxnId: rocketgateTxnId || null,
+    rawNotify,
+    source: 'notify',
+    actor: 'rocketgate',
+    payloadRef,
+  });
+
+  // Forward only real transitions, so a new notify for the same state doesn't re-notify
+  // Shoplazza. Failed deliveries stay in the outbox for the dispatcher to retry.
+  let forwarded = { skipped: 'unchanged' };
+  if (updated && updated.status !== prev.status) {
+    const request = await buildNotifyPaymentRequest(updated);
+    forwarded = request.skipped ? request : await deliverViaOutbox({ kind: 'notify', ...request });
+  }
+
+  return { ok: true, state: updated, forwarded };
+}
 
 /**
  * POST /callbacks/notify
  *
  * Authoritative async notification from RocketGate.
- * Moves an order to its final state (paid/refunded/voided/etc.).
+ * Moves an order to its final state (paid/refunded/voided/etc.). The order is looked
+ * up in the `shop` given on the postback URL, else SHOPLAZZA_DEFAULT_SHOP.
+ * When the state actually changes, the result is forwarded to Shoplazza's
+ * Notify Payment endpoint (the callback_url stored by /payments/session).
+ *
+ * Every delivery is recorded in webhook_logs under a txn id + status idempotency
+ * key; gateway retries get the original response back (with `Idempotent-Replay: true`)
+ * without appending payment_events or re-firing the Shoplazza notify.
  * Optional signature verification controlled by env (see helper).
  */
 router.post('/notify', maybeVerifyRocketGateSignature, async (req, res) => {
   console.log('🔔 [notify] body:', req.body);
   if (req.rawBody) console.log('🔒 [notify] raw len:', req.rawBody.length);
 
-  const { orderId, statusRaw, rocketgateTxnId } = extractNotifyFields(req);
+  const fields = extractNotifyFields(req);
+  const { orderId, paymentId, customerId, statusRaw, rocketgateTxnId } = fields;
+  const shop = shopOrDefault(fields.shop);
   if (!orderId || !statusRaw) {
     return res.status(400).json({
       error: { code: 'INVALID_REQUEST', message: 'Missing invoice/orderId or status' },
     });
   }
 
-  // Create a row if /pay/init hasn't run yet (webhooks can race)
-  if (!getPayment(orderId)) {
-    createOrUpdatePayment({
-      orderId,
-      customerId: null,
-      amount: null,
-      currency: null,
-      status: 'initiated',
-    });
-  }
-
   const mapped = mapNotifyStatus(statusRaw);
-
-  const updated = setPaymentStatus({
+  const rawNotify = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+  const idempotencyKey = notifyIdempotencyKey({
+    shop,
     orderId,
+    paymentId,
+    customerId,
+    rocketgateTxnId,
     status: mapped,
-    rocketgateTxnId: rocketgateTxnId || null,
   });
 
-  return res.json({ ok: true, state: updated });
+  const claim = await claimWebhookLog({
+    source: 'rocketgate',
+    topic: 'notify',
+    idempotencyKey,
+    headers: req.headers,
+    payloadJson: rawNotify,
+  });
+  if (!claim) return replayNotify(res, idempotencyKey);
+
+  let body;
+  try {
+    body = await processNotify({
+      shop,
+      orderId,
+      paymentId,
+      customerId,
+      mapped,
+      statusRaw,
+      rocketgateTxnId,
+      rawNotify,
+      payloadRef: `webhook_logs:${claim.id}`,
+    });
+  } catch (err) {
+    // Let the gateway's retry process it again rather than replaying a failure
+    await releaseWebhookLog(claim.id);
+    throw err;
+  }
+
+  await recordWebhookResponse(claim.id, { status: 200, body });
+  return res.json(body);
 });
 
 export default router;
@@ -6,12 +6,15 @@ import { readAppSession } from '../utils/appSession.js';
 import adminRouter from './admin.js';
 import appApiRouter from './appApi.js';
 import appLaunchRouter from './appLaunch.js';
+import appPaymentsRouter from './appPayments.js';
 import appProxyRouter from './appProxy.js';
 import authRouter from './auth.js';
 import callbacksRouter from './callbacks.js';
 import orderRouter from './order.js';
 import payRouter from './pay.js';
+import paymentCaptureRouter from './paymentCapture.js';
 import paymentSessionRouter from './paymentSession.js';
+import webhooksRouter from './webhooks.js';
 
 export default function mountRoutes(app) {
   const r = Router();
@@ -39,12 +42,15 @@ export default function mountRoutes(app) {
   // 3) “Feature” routers (prefix paths)
   r.use('/admin', adminRouter);
   r.use('/app-api', appApiRouter); // your app UI’s API
+  r.use('/app-api/payments', appPaymentsRouter); // refunds/voids/captures from the dashboard
   r.use('/app-proxy', appProxyRouter);
   r.use('/auth', authRouter);
   r.use('/callbacks', callbacksRouter);
   r.use('/order', orderRouter);
   r.use('/pay', payRouter);
   r.use('/payments', paymentSessionRouter);
+  r.use('/payments', paymentCaptureRouter); // POST /payments/create (JSON create-payment)
+  r.use('/webhooks', webhooksRouter); // Shoplazza webhooks (topics: utils/shoplazzaWebhooks.js)
 
   // 4) HMAC-verified app start (mints session)
   r.use('/app-start', appLaunchRouter);
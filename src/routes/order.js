@@ -7,6 +7,7 @@ import {
   listOrders, // read all (new)
   updateOrder, // patch fields (status, rocketgateTxnId)
 } from '../db/index.js';
+import { normalizeCurrency, parseMinorUnits, toMinorUnits } from '../utils/money.js';
 
 const router = Router();
 
@@ -20,25 +21,35 @@ const router = Router();
  * Expected body:
  * {
  *   orderId: "O-123",          // required
- *   amount: "14.34",           // required (string or number)
+ *   amount: "14.34",           // required unless amountMinor (major units)
+ *   amountMinor: 1434,         // or: integer minor units of the currency
  *   currency: "USD",           // required
  *   customer: { id: "C-001" }  // optional (stored as JSON)
  * }
  *
  * Response: 201 + normalized order JSON
  */
-router.post('/', (req, res) => {
-  const { orderId, amount, currency, customer } = req.body || {};
+router.post('/', async (req, res) => {
+  const { orderId, amount, amountMinor, currency, customer } = req.body || {};
 
-  if (!orderId || !amount || !currency) {
+  if (!orderId || (amount == null && amountMinor == null) || !currency) {
     return res.status(400).json({ error: 'Missing required fields: orderId, amount, currency' });
   }
 
+  const normalizedCurrency = normalizeCurrency(currency);
+  const minor =
+    amountMinor != null
+      ? parseMinorUnits(amountMinor)
+      : normalizedCurrency && toMinorUnits(amount, normalizedCurrency);
+  if (!normalizedCurrency || minor == null) {
+    return res.status(400).json({ error: 'Invalid amount or currency' });
+  }
+
   try {
-    const created = createOrder({
+    const created = await createOrder({
       orderId,
-      amount,
-      currency,
+      amountMinor: minor,
+      currency: normalizedCurrency,
       customer: customer ?? null,
     });
 
@@ -58,12 +69,12 @@ router.post('/', (req, res) => {
  *
  * Response:
  * {
- *   orderId, amount, currency, customer, status,
+ *   orderId, amount, amountMinor, currency, customer, status,
  *   rocketgateTxnId, createdAt, updatedAt
  * }
  */
-router.get('/:id', (req, res) => {
-  const row = getOrder(req.params.id);
+router.get('/:id', async (req, res) => {
+  const row = await getOrder(req.params.id);
   if (!row) return res.status(404).json({ error: 'Order not found' });
   return res.json(row);
 });
@@ -76,8 +87,8 @@ router.get('/:id', (req, res) => {
  *
  * Response: Array<order>
  */
-router.get('/', (_req, res) => {
-  const rows = listOrders();
+router.get('/', async (_req, res) => {
+  const rows = await listOrders();
   return res.json(rows);
 });
 
@@ -100,14 +111,14 @@ router.get('/', (_req, res) => {
  *   record what the app decides is current. Keep this in mind if you
  *   choose to mirror status into payments as an authoritative ledger.
  */
-router.patch('/:id', (req, res) => {
+router.patch('/:id', async (req, res) => {
   const orderId = req.params.id;
-  const exists = getOrder(orderId);
+  const exists = await getOrder(orderId);
   if (!exists) return res.status(404).json({ error: 'Order not found' });
 
   const { status, rocketgateTxnId } = req.body || {};
   try {
-    const updated = updateOrder(orderId, {
+    const updated = await updateOrder(orderId, {
       status: status ? String(status) : undefined,
       rocketgateTxnId: rocketgateTxnId ?? undefined,
     });
@@ -1,24 +1,18 @@
 // src/routes/pay.js
 import { Router } from 'express';
 
-import { getPayment, createOrUpdatePayment } from '../db/index.js';
+import { getPayment, createOrUpdatePayment, isShopUninstalled } from '../db/index.js';
+import {
+  formatMinorUnits,
+  normalizeCurrency,
+  parseMinorUnits,
+  toMinorUnits,
+} from '../utils/money.js';
 import { buildHostedPageUrl } from '../utils/rocketgate.js';
+import { defaultShopHost } from '../utils/shopHost.js';
 
 const router = Router();
 
-/**
- * Normalize a major-unit amount (e.g., "12.99") to a strict 2-decimal string.
- */
-function normalizeMajorAmountStr(v) {
-  if (v == null) return null;
-  // Accept number or string; strip commas/spaces, then parse
-  const s = String(v).replace(/[, ]+/g, '');
-  const num = Number(s);
-  if (!Number.isFinite(num)) return null;
-  // Always two decimals (RocketGate hosted page typically expects major units)
-  return num.toFixed(2);
-}
-
 /**
  * Build absolute callback URLs from APP_BASE_URL (defensive: trim trailing slash).
  */
@@ -40,6 +34,9 @@ function buildReturnUrls(orderId) {
 
 /**
  * Idempotent initializer for a payment session.
+ * Single-merchant flow: the env RocketGate credentials belong to SHOPLAZZA_DEFAULT_SHOP,
+ * so that is the shop the payment row (and its idempotency check) is scoped to. There is
+ * one attempt per order here, so the order id doubles as its payment id.
  * - Creates the DB row if it doesn't exist (status: initiated)
  * - If it exists with the same base fields, returns a fresh Hosted Page URL
  * - If it exists with conflicting fields, returns 409 Conflict
@@ -48,12 +45,12 @@ function buildReturnUrls(orderId) {
  *   {
  *     orderId: string,
  *     currency: string,               // e.g., "USD"
- *     amountMinor?: number,           // preferred: integer cents (e.g., 1299)
+ *     amountMinor?: number,           // preferred: integer minor units (1299 USD, 500 JPY)
  *     amount?: number|string,         // fallback: major units (e.g., 12.99)
  *     customer: { id: string }
  *   }
  */
-router.post('/init', (req, res) => {
+router.post('/init', async (req, res) => {
   try {
     const { ROCKETGATE_MERCHANT_ID, ROCKETGATE_HASH_SECRET } = process.env;
     if (!ROCKETGATE_MERCHANT_ID || !ROCKETGATE_HASH_SECRET) {
@@ -65,6 +62,24 @@ router.post('/init', (req, res) => {
         },
       });
     }
+    const shopDomain = defaultShopHost();
+    if (!shopDomain) {
+      return res.status(500).json({
+        error: {
+          code: 'MISCONFIGURED_ENV',
+          message:
+            'Shop not configured. Set SHOPLAZZA_DEFAULT_SHOP to the shop these credentials belong to.',
+        },
+      });
+    }
+    if (await isShopUninstalled(shopDomain)) {
+      return res.status(403).json({
+        error: {
+          code: 'SHOP_UNINSTALLED',
+          message: 'The app was uninstalled from this shop; reinstall it to take payments.',
+        },
+      });
+    }
 
     const { orderId, amountMinor, amount, currency, customer } = req.body || {};
 
@@ -78,44 +93,41 @@ router.post('/init', (req, res) => {
       });
     }
 
-    // Amount normalization (prefer minor units if provided)
-    let normalizedAmountMajor; // string like "12.99"
-    if (Number.isInteger(amountMinor)) {
-      normalizedAmountMajor = (amountMinor / 100).toFixed(2);
-    } else {
-      normalizedAmountMajor = normalizeMajorAmountStr(amount);
+    const normalizedCurrency = normalizeCurrency(currency);
+    if (!normalizedCurrency) {
+      return res.status(400).json({
+        error: { code: 'INVALID_CURRENCY', message: 'Currency must be a 3-letter code.' },
+      });
     }
 
-    if (!normalizedAmountMajor) {
+    // Amount in the currency's minor units (prefer amountMinor if provided)
+    const minor = Number.isInteger(amountMinor)
+      ? parseMinorUnits(amountMinor)
+      : toMinorUnits(amount, normalizedCurrency);
+    if (minor == null) {
       return res.status(400).json({
         error: {
           code: 'INVALID_AMOUNT',
-          message: 'Provide amountMinor (integer cents) or amount (major units).',
+          message: `Provide amountMinor (integer minor units) or amount (major units, at most the decimals ${normalizedCurrency} has).`,
         },
       });
     }
-
-    const normalizedCurrency = String(currency).trim().toUpperCase();
-    if (normalizedCurrency.length !== 3) {
-      return res.status(400).json({
-        error: { code: 'INVALID_CURRENCY', message: 'Currency must be a 3-letter code.' },
-      });
-    }
+    const amountMajor = formatMinorUnits(minor, normalizedCurrency);
 
     const customerId = String(customer.id);
 
     // Idempotency check
-    const existing = getPayment(orderId); // your db helper; typically returns row or undefined
+    const existing = await getPayment(orderId, { shop: shopDomain });
 
     if (existing) {
-      const existingAmountMajor = normalizeMajorAmountStr(existing.amount ?? null);
+      const existingMinor = parseMinorUnits(existing.amount_minor);
       const conflicts = [];
 
-      if (existingAmountMajor && existingAmountMajor !== normalizedAmountMajor) {
+      if (existingMinor != null && existingMinor !== minor) {
         conflicts.push({
           field: 'amount',
-          existing: existingAmountMajor,
-          requested: normalizedAmountMajor,
+          existing: formatMinorUnits(existingMinor, existing.currency),
+          requested: amountMajor,
         });
       }
       if (existing.currency && existing.currency !== normalizedCurrency) {
@@ -144,21 +156,30 @@ router.post('/init', (req, res) => {
       }
 
       // Backfill any missing base fields without changing existing values
-      if (!existing.amount || !existing.currency || !existing.customer_id || !existing.status) {
-        createOrUpdatePayment({
+      if (
+        existing.amount_minor == null ||
+        !existing.currency ||
+        !existing.customer_id ||
+        !existing.status
+      ) {
+        await createOrUpdatePayment({
+          shopDomain,
           orderId,
+          paymentId: String(orderId),
           customerId: existing.customer_id ?? customerId,
-          amount: existing.amount ?? normalizedAmountMajor,
+          amountMinor: existing.amount_minor ?? minor,
           currency: existing.currency ?? normalizedCurrency,
           status: existing.status ?? 'initiated',
         });
       }
     } else {
       // Fresh insert
-      createOrUpdatePayment({
+      await createOrUpdatePayment({
+        shopDomain,
         orderId,
+        paymentId: String(orderId),
         customerId,
-        amount: normalizedAmountMajor, // store major units string to match current schema/usage
+        amountMinor: minor,
         currency: normalizedCurrency,
         status: 'initiated',
       });
@@ -171,7 +192,7 @@ router.post('/init', (req, res) => {
     const redirectUrl = buildHostedPageUrl({
       id: customerId,
       merch: ROCKETGATE_MERCHANT_ID,
-      amount: normalizedAmountMajor, // RocketGate Hosted Page usually expects major units
+      amount: amountMajor, // Hosted Page takes major units, with the currency's decimals
       hashSecret: ROCKETGATE_HASH_SECRET,
       extra: {
         invoice: orderId,
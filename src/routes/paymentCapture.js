@@ -3,53 +3,94 @@ import crypto from 'node:crypto';
 
 import { Router } from 'express';
 
-import { saveWebhookLog } from '../db/utils.js';
+import {
+  claimWebhookLog,
+  getWebhookLogByKey,
+  recordWebhookResponse,
+  releaseWebhookLog,
+  saveWebhookLog,
+} from '../db/index.js';
+import { startPaymentSession } from '../utils/paymentSession.js';
+import { resolveShopApp } from '../utils/shoplazzaApps.js';
+import { shoplazzaRequestShop } from '../utils/shoplazzaAuth.js';
 
 const router = Router();
 
+/**
+ * HMAC check of the raw body with the shop's app secret (base64 in
+ * X-Shoplazza-Hmac-Sha256). Only enforced when app.locals.verifySignatures is on.
+ */
+async function checkCreateSignature(req, raw) {
+  if (!req.app?.locals?.verifySignatures) return { verified: false, reason: 'skipped' };
+
+  const provided = req.header('X-Shoplazza-Hmac-Sha256') || req.header('X-Hmac-Sha256');
+  const { clientSecret } = await resolveShopApp(shoplazzaRequestShop(req));
+  if (!provided || !clientSecret) return { verified: false, reason: 'missing header or secret' };
+
+  const digest = crypto.createHmac('sha256', clientSecret).update(raw, 'utf8').digest('base64');
+  const verified = safeEq(digest, provided);
+  return { verified, reason: verified ? 'match' : 'mismatch' };
+}
+
+/**
+ * A repeat of a request id we already processed gets the stored response back;
+ * one still being processed (its claim lease not yet run out) gets 409.
+ */
+async function replayCreate(res, requestId) {
+  const logged = await getWebhookLogByKey('shoplazza', requestId);
+  if (logged?.response_status == null) {
+    return res.status(409).json({
+      error: { code: 'CREATE_IN_PROGRESS', message: 'This request is already being processed' },
+    });
+  }
+  console.log(`🔁 [payments/create] duplicate ${requestId}; replaying webhook_logs #${logged.id}`);
+  res.set('Idempotent-Replay', 'true');
+  return res.status(logged.response_status).json(JSON.parse(logged.response_json));
+}
+
 /**
  * POST /payments/create
- * Captures raw Shoplazza payload + headers to webhook_logs.
- * If VERIFY_SHOPLAZZA_SIGNATURE=true, computes HMAC and reports result
- * (but does NOT reject yet — we’re in discovery mode).
+ * Shoplazza create-payment request (JSON or urlencoded, same fields as /payments/session).
+ * - Verifies the HMAC when signature verification is on; 401 on failure.
+ * - Logs the raw payload to webhook_logs, deduplicated on X-Shoplazza-Request-Id:
+ *   a retry replays the first response instead of starting another session. If the
+ *   first delivery never answered (crash), a retry after WEBHOOK_CLAIM_LEASE_MS runs it.
+ * - Hands the payload to the payment session flow; responds { redirect_url }.
  */
 router.post('/create', async (req, res, next) => {
   try {
     const raw = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
-    const headers = Object.fromEntries(
-      Object.entries(req.headers).map(([k, v]) => [k, Array.isArray(v) ? v.join(',') : (v ?? '')])
-    );
 
-    const idempotencyKey =
-      headers['x-shoplazza-request-id'] ||
-      headers['x-request-id'] ||
-      headers['x-idempotency-key'] ||
-      null;
-
-    // Optional HMAC check (report only)
-    let hmacCheck = { verified: false, reason: 'skipped' };
-    if (req.app?.locals?.verifySignatures) {
-      const provided = headers['x-shoplazza-hmac-sha256'] || headers['x-hmac-sha256'];
-      const secret = process.env.SHOPLAZZA_CLIENT_SECRET || '';
-      if (provided && secret) {
-        const digest = crypto.createHmac('sha256', secret).update(raw, 'utf8').digest('base64');
-        hmacCheck.verified = safeEq(digest, provided);
-        hmacCheck.reason = hmacCheck.verified ? 'match' : 'mismatch';
-      } else {
-        hmacCheck.reason = 'missing header or secret';
-      }
+    const hmac = await checkCreateSignature(req, raw);
+    if (req.app?.locals?.verifySignatures && !hmac.verified) {
+      return res.status(401).json({
+        error: { code: 'INVALID_SIGNATURE', message: `HMAC check failed (${hmac.reason})` },
+      });
     }
 
-    await saveWebhookLog({
+    // Without a request id there is nothing to dedupe on: log and process
+    const requestId = req.header('X-Shoplazza-Request-Id') || null;
+    const entry = {
       source: 'shoplazza',
       topic: 'payments/create',
-      idempotencyKey,
-      headers: JSON.stringify(headers, null, 2),
+      idempotencyKey: requestId,
+      headers: req.headers,
       payloadJson: raw,
-    });
+    };
+    const logId = requestId ? (await claimWebhookLog(entry))?.id : await saveWebhookLog(entry);
+    if (!logId) return replayCreate(res, requestId);
+
+    let result;
+    try {
+      result = await startPaymentSession(req.body);
+    } catch (err) {
+      // Let Shoplazza's retry run the flow again rather than replaying a failure
+      if (requestId) await releaseWebhookLog(logId);
+      throw err;
+    }
 
-    // TEMP response — once we have a sample, we’ll replace this with a redirect object.
-    return res.status(200).json({ ok: true, captured: true, hmac: hmacCheck });
+    await recordWebhookResponse(logId, result);
+    return res.status(result.status).json(result.body);
   } catch (err) {
     return next(err);
   }
@@ -0,0 +1,87 @@
+// src/routes/webhooks.js
+import { Router } from 'express';
+
+import { markShopUninstalled, saveWebhookLog } from '../db/index.js';
+import { requireShoplazzaSignature, shoplazzaRequestShop } from '../utils/shoplazzaAuth.js';
+import { WEBHOOK_MANIFEST } from '../utils/shoplazzaWebhooks.js';
+
+const router = Router();
+
+/* ------------------------------ Handlers ------------------------------ */
+
+/**
+ * app/uninstalled: revoke the access token and refuse Hosted Pages for the shop
+ * from now on; payment history is kept for SHOP_DATA_RETENTION_DAYS, then purged.
+ * Reinstalling restores the shop.
+ */
+async function handleAppUninstalled({ shop }) {
+  const record = await markShopUninstalled(shop);
+  if (!record) {
+    console.warn(`[webhooks] app/uninstalled for unknown shop ${shop}`);
+    return { ok: true, shop, known: false };
+  }
+  console.log(`[webhooks] ${record.shop} uninstalled; data purge after ${record.purgeAfter}`);
+  return { ok: true, shop: record.shop, status: record.status };
+}
+
+/**
+ * orders/paid: nothing to change on our side (payment state comes from RocketGate);
+ * the delivery is kept in webhook_logs for reconciliation.
+ */
+async function handleOrderPaid({ shop, body }) {
+  return { ok: true, shop, orderId: body.id ?? null };
+}
+
+/** Handler per WEBHOOK_MANIFEST topic */
+const HANDLERS = {
+  'app/uninstalled': handleAppUninstalled,
+  'orders/paid': handleOrderPaid,
+};
+
+/* ------------------------------ Receiver ------------------------------ */
+
+/**
+ * POST /webhooks/shoplazza/:topic (topic may contain a slash, e.g. app/uninstalled)
+ * Receiver for every WEBHOOK_MANIFEST topic. Always signature-verified with the
+ * shop's app secret (verifyShoplazzaSignature), whatever VERIFY_SHOPLAZZA_SIGNATURE says.
+ * Each delivery is logged to webhook_logs (source `shoplazza`, topic).
+ */
+router.post(
+  '/shoplazza/*topic',
+  (req, res, next) => {
+    const topic = [].concat(req.params.topic).join('/');
+    if (!WEBHOOK_MANIFEST[topic] || !HANDLERS[topic]) {
+      return res.status(404).json({
+        error: { code: 'UNKNOWN_TOPIC', message: `No handler for webhook topic "${topic}"` },
+      });
+    }
+    req.webhookTopic = topic;
+    return next();
+  },
+  requireShoplazzaSignature,
+  async (req, res, next) => {
+    try {
+      const topic = req.webhookTopic;
+      const body = req.body || {};
+      const shop = shoplazzaRequestShop(req) || body.domain || body.shop_domain || body.shop;
+      if (!shop) {
+        return res.status(400).json({
+          error: { code: 'SHOP_REQUIRED', message: 'Missing shop domain header or payload field' },
+        });
+      }
+
+      await saveWebhookLog({
+        source: 'shoplazza',
+        topic,
+        headers: req.headers,
+        payloadJson: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(body),
+      });
+
+      return res.json(await HANDLERS[topic]({ shop, body }));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+export default router;
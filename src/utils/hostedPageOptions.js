@@ -0,0 +1,156 @@
+// src/utils/hostedPageOptions.js
+/**
+ * First-class Hosted Page options (see buildHostedPageUrl `options`), validated and
+ * mapped to RocketGate Hosted Page query params:
+ *
+ *   descriptor   -> descriptor   statement descriptor, 1-22 of A-Z a-z 0-9 space . , * - &
+ *   locale       -> lang         buyer language, e.g. `fr` or `pt-BR`
+ *   style        -> style        Hosted Page style/template id, 1-64 of A-Z a-z 0-9 _ -
+ *   buyer        -> email, fname, lname, address, address2, city, state, zip, country
+ *
+ * descriptor/locale/style are per-shop settings (rg_settings, edited in the embedded
+ * app): invalid values throw 400 INVALID_HOSTED_PAGE_OPTION with `field`. Buyer
+ * prefill comes from the Shoplazza payment payload (buyerFromShoplazzaPayload) and
+ * is only a convenience: unusable values are dropped, never fatal.
+ *
+ * API
+ * ---
+ * - normalizeHostedPageOptions({ descriptor?, locale?, style? })  // trimmed, null when blank
+ * - normalizeBuyer(buyer)                                         // sanitized prefill or null
+ * - buyerFromShoplazzaPayload(payload)                            // prefill from create-payment
+ * - hostedPageOptionParams(options)                               // -> query params
+ */
+
+const DESCRIPTOR_RE = /^[A-Za-z0-9 .,*&-]{1,22}$/;
+const LOCALE_RE = /^[a-z]{2}(?:[-_][A-Za-z]{2})?$/;
+const STYLE_RE = /^[\w-]{1,64}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function invalidOption(field, message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_HOSTED_PAGE_OPTION';
+  err.field = field;
+  return err;
+}
+
+const blank = (v) => v == null || String(v).trim() === '';
+
+/**
+ * Validate the per-shop options. Blank values become null (option unset); anything
+ * else that doesn't fit throws 400 INVALID_HOSTED_PAGE_OPTION.
+ */
+export function normalizeHostedPageOptions({ descriptor, locale, style } = {}) {
+  const out = { descriptor: null, locale: null, style: null };
+
+  if (!blank(descriptor)) {
+    out.descriptor = String(descriptor).trim();
+    if (!DESCRIPTOR_RE.test(out.descriptor)) {
+      throw invalidOption(
+        'descriptor',
+        'Descriptor must be 1-22 characters: letters, digits, spaces and . , * - &'
+      );
+    }
+  }
+  if (!blank(locale)) {
+    const raw = String(locale).trim();
+    if (!LOCALE_RE.test(raw)) {
+      throw invalidOption('locale', 'Locale must be a language code such as "fr" or "pt-BR"');
+    }
+    const [lang, region] = raw.split(/[-_]/);
+    out.locale = region ? `${lang}-${region.toUpperCase()}` : lang;
+  }
+  if (!blank(style)) {
+    out.style = String(style).trim();
+    if (!STYLE_RE.test(out.style)) {
+      throw invalidOption('style', 'Page style must be 1-64 letters, digits, _ or -');
+    }
+  }
+  return out;
+}
+
+/** Trimmed string cut to `max` characters, or null. */
+function text(v, max) {
+  if (blank(v) || typeof v === 'object') return null;
+  return String(v).trim().replace(/\s+/g, ' ').slice(0, max);
+}
+
+/**
+ * Sanitized buyer prefill: { email, firstName, lastName, address: { line1, line2,
+ * city, state, zip, country } } with unusable fields dropped; null when nothing is left.
+ */
+export function normalizeBuyer(buyer) {
+  if (!buyer || typeof buyer !== 'object') return null;
+  const email = text(buyer.email, 254);
+  const country = text(buyer.address?.country, 2)?.toUpperCase() ?? null;
+  const out = {
+    email: email && EMAIL_RE.test(email) ? email : null,
+    firstName: text(buyer.firstName, 64),
+    lastName: text(buyer.lastName, 64),
+    address: {
+      line1: text(buyer.address?.line1, 128),
+      line2: text(buyer.address?.line2, 128),
+      city: text(buyer.address?.city, 64),
+      state: text(buyer.address?.state, 64),
+      zip: text(buyer.address?.zip, 16),
+      country: country && /^[A-Z]{2}$/.test(country) ? country : null,
+    },
+  };
+  const hasAddress = Object.values(out.address).some(Boolean);
+  if (!hasAddress) out.address = null;
+  return out.email || out.firstName || out.lastName || hasAddress ? out : null;
+}
+
+/**
+ * Read a payload field that may be nested (JSON: billing_address.city) or flattened
+ * by a non-extended urlencoded parser (billing_address[city]).
+ */
+function field(payload, group, key) {
+  return payload?.[group]?.[key] ?? payload?.[`${group}[${key}]`];
+}
+
+/**
+ * Buyer prefill from a Shoplazza create-payment payload: email (top level or
+ * customer.email), name and billing address (billing_address, names falling back to
+ * customer.first_name / last_name). Returns normalizeBuyer's shape or null.
+ */
+export function buyerFromShoplazzaPayload(payload) {
+  const billing = (key) => field(payload, 'billing_address', key);
+  return normalizeBuyer({
+    email: payload?.email ?? field(payload, 'customer', 'email'),
+    firstName: billing('first_name') ?? field(payload, 'customer', 'first_name'),
+    lastName: billing('last_name') ?? field(payload, 'customer', 'last_name'),
+    address: {
+      line1: billing('address1'),
+      line2: billing('address2'),
+      city: billing('city'),
+      state: billing('province_code') ?? billing('province'),
+      zip: billing('zip'),
+      country: billing('country_code') ?? billing('country'),
+    },
+  });
+}
+
+/**
+ * Hosted Page query params for `options` ({ descriptor, locale, style, buyer }).
+ * Per-shop options are validated (throws on bad values); the buyer is sanitized.
+ */
+export function hostedPageOptionParams(options = {}) {
+  const { descriptor, locale, style } = normalizeHostedPageOptions(options);
+  const buyer = normalizeBuyer(options.buyer);
+  const params = {
+    descriptor,
+    lang: locale,
+    style,
+    email: buyer?.email,
+    fname: buyer?.firstName,
+    lname: buyer?.lastName,
+    address: buyer?.address?.line1,
+    address2: buyer?.address?.line2,
+    city: buyer?.address?.city,
+    state: buyer?.address?.state,
+    zip: buyer?.address?.zip,
+    country: buyer?.address?.country,
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, v]) => v != null));
+}
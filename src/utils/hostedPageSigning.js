@@ -0,0 +1,127 @@
+// src/utils/hostedPageSigning.js
+/**
+ * Hosted Page signing profiles: which link fields the hash covers (and in what
+ * order), and the HMAC algorithm and digest encoding used for it.
+ *
+ * Built-in profiles
+ * -----------------
+ *   default   id, merch, amount, purchase, time                 sha256, ROCKETGATE_HASH_ENCODING (base64)
+ *   extended  default + invoice, currency, success, fail, descriptor   sha256, base64
+ *   strict    same fields as extended                           sha512, hex
+ *
+ * Fields outside the profile still ride along on the URL, unsigned. A field in the
+ * profile that a link doesn't carry signs as empty (`descriptor=`), so the string
+ * is the same when the link is checked again on return.
+ *
+ * A shop picks its profile in rg_settings.signing_profile (it has to match what its
+ * RocketGate account checks); single-tenant links use ROCKETGATE_SIGNING_PROFILE.
+ * Other profiles can be plugged in with registerSigningProfile().
+ *
+ * API
+ * ---
+ * - getSigningProfile(name?)               // { name, fields, algorithm, encoding }; throws on unknown
+ * - isSigningProfile(name)
+ * - listSigningProfiles()                  // names
+ * - registerSigningProfile(name, { fields, algorithm?, encoding? })
+ * - signingString(profile, params)         // "id=..&merch=..&..."
+ * - signParams(profile, params, secret)    // hash
+ */
+
+import crypto from 'node:crypto';
+
+/** Fields every profile signs: the return check relies on them (see checkHostedPageReturn). */
+export const BASE_SIGNED_FIELDS = Object.freeze(['id', 'merch', 'amount', 'purchase', 'time']);
+
+const ENCODINGS = new Set(['base64', 'base64url', 'hex']);
+
+const PROFILES = new Map();
+
+function invalidProfile(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_SIGNING_PROFILE';
+  return err;
+}
+
+/**
+ * Add (or replace) a signing profile. `fields` must start with BASE_SIGNED_FIELDS;
+ * `encoding: null` means ROCKETGATE_HASH_ENCODING (default base64) at signing time.
+ */
+export function registerSigningProfile(
+  name,
+  { fields, algorithm = 'sha256', encoding = 'base64' } = {}
+) {
+  const key = String(name ?? '').trim();
+  if (!key) throw invalidProfile('Signing profile name is required');
+  if (
+    !Array.isArray(fields) ||
+    BASE_SIGNED_FIELDS.some((f, i) => fields[i] !== f) ||
+    new Set(fields).size !== fields.length
+  ) {
+    throw invalidProfile(
+      `Signing profile "${key}" must sign ${BASE_SIGNED_FIELDS.join(', ')} first, once each`
+    );
+  }
+  if (!crypto.getHashes().includes(algorithm)) {
+    throw invalidProfile(`Signing profile "${key}": unsupported algorithm "${algorithm}"`);
+  }
+  if (encoding != null && !ENCODINGS.has(encoding)) {
+    throw invalidProfile(`Signing profile "${key}": unsupported encoding "${encoding}"`);
+  }
+
+  const profile = Object.freeze({
+    name: key,
+    fields: Object.freeze([...fields]),
+    algorithm,
+    encoding,
+  });
+  PROFILES.set(key, profile);
+  return profile;
+}
+
+registerSigningProfile('default', { fields: BASE_SIGNED_FIELDS, encoding: null });
+registerSigningProfile('extended', {
+  fields: [...BASE_SIGNED_FIELDS, 'invoice', 'currency', 'success', 'fail', 'descriptor'],
+});
+registerSigningProfile('strict', {
+  fields: [...BASE_SIGNED_FIELDS, 'invoice', 'currency', 'success', 'fail', 'descriptor'],
+  algorithm: 'sha512',
+  encoding: 'hex',
+});
+
+export function isSigningProfile(name) {
+  return PROFILES.has(String(name ?? ''));
+}
+
+export function listSigningProfiles() {
+  return [...PROFILES.keys()];
+}
+
+/**
+ * Profile by name; without one, ROCKETGATE_SIGNING_PROFILE, else `default`.
+ * Throws 400 INVALID_SIGNING_PROFILE for an unknown name.
+ */
+export function getSigningProfile(name) {
+  const key = name || process.env.ROCKETGATE_SIGNING_PROFILE || 'default';
+  const profile = PROFILES.get(key);
+  if (!profile) throw invalidProfile(`Unknown Hosted Page signing profile "${key}"`);
+  return profile;
+}
+
+/** The canonical string the hash covers: profile fields in order, missing ones empty. */
+export function signingString(profile, params) {
+  return profile.fields.map((k) => `${k}=${params[k] ?? ''}`).join('&');
+}
+
+/** HMAC of signingString(profile, params) with the profile's algorithm and encoding. */
+export function signParams(profile, params, secret) {
+  const encoding = (
+    profile.encoding ||
+    process.env.ROCKETGATE_HASH_ENCODING ||
+    'base64'
+  ).toLowerCase();
+  return crypto
+    .createHmac(profile.algorithm, secret)
+    .update(signingString(profile, params), 'utf8')
+    .digest(encoding);
+}
@@ -0,0 +1,94 @@
+// src/utils/money.js
+/**
+ * Money as integer minor units plus an ISO 4217 currency code.
+ *
+ * Amounts are stored and compared as integers in the currency's minor unit
+ * (cents for USD, yen for JPY, fils for KWD), and only turned into a decimal
+ * string at the edges: the Hosted Page, gateway calls, Shoplazza and JSON
+ * responses. The number of decimals comes from the currency's exponent.
+ *
+ * API:
+ *   - normalizeCurrency(code)              // "usd" -> "USD"; null unless 3 letters
+ *   - currencyExponent(currency)           // JPY 0, USD 2, KWD 3 (default 2)
+ *   - toMinorUnits(major, currency)        // "12.99" USD -> 1299; null if invalid
+ *   - parseMinorUnits(value)               // 1299 | "1299" -> 1299; null if invalid
+ *   - formatMinorUnits(minor, currency)    // 1299 USD -> "12.99", 500 JPY -> "500"
+ */
+
+// ISO 4217 currencies whose minor unit isn't 1/100; everything else uses 2 decimals
+const EXPONENTS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  UYI: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+  CLF: 4,
+  UYW: 4,
+};
+
+export function normalizeCurrency(code) {
+  const c = String(code ?? '')
+    .trim()
+    .toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+export function currencyExponent(currency) {
+  return EXPONENTS[normalizeCurrency(currency)] ?? 2;
+}
+
+/**
+ * Major-unit amount (number or string, e.g. "1,234.50") -> integer minor units.
+ * Parsed from the decimal string, never through float math. Returns null for
+ * negatives, junk, or more (non-zero) decimals than the currency has.
+ */
+export function toMinorUnits(major, currency) {
+  if (major == null || major === '') return null;
+  const s = String(major).replace(/[, ]+/g, '');
+  const m = /^(\d*)(?:\.(\d*))?$/.exec(s);
+  if (!m || (!m[1] && !m[2])) return null;
+
+  const exp = currencyExponent(currency);
+  const frac = (m[2] || '').replace(/0+$/, '');
+  if (frac.length > exp) return null;
+
+  const minor = Number(`${m[1] || '0'}${frac.padEnd(exp, '0')}`);
+  return Number.isSafeInteger(minor) ? minor : null;
+}
+
+/** An integer minor-unit amount (number or digit string; pg returns bigint as string). */
+export function parseMinorUnits(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'string' && !/^\d+$/.test(value.trim())) return null;
+  const n = Number(value);
+  return Number.isSafeInteger(n) && n >= 0 ? n : null;
+}
+
+/** Integer minor units -> major-unit decimal string with the currency's decimals. */
+export function formatMinorUnits(minor, currency) {
+  const n = parseMinorUnits(minor);
+  if (n == null) return null;
+  const exp = currencyExponent(currency);
+  if (!exp) return String(n);
+  const digits = String(n).padStart(exp + 1, '0');
+  return `${digits.slice(0, -exp)}.${digits.slice(-exp)}`;
+}
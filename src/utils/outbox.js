@@ -0,0 +1,178 @@
+// src/utils/outbox.js
+/**
+ * Outbox dispatcher for outbound Shoplazza calls.
+ *
+ * Callers use `deliverViaOutbox(...)`: the call is written to the outbox table first,
+ * then attempted once inline so the happy path stays synchronous. Anything that
+ * fails is picked up by the background dispatcher (`startOutboxDispatcher`, started
+ * from boot) and retried with exponential backoff + jitter until it is delivered or
+ * runs out of attempts (dead-letter). Dead rows can be re-driven from /admin/outbox.
+ *
+ * Failure classes:
+ *   - network errors, 408, 429, 5xx   -> retried
+ *   - any other 4xx                   -> dead immediately (retrying won't help)
+ *
+ * Env (all optional):
+ *   OUTBOX_MAX_ATTEMPTS      attempts before dead-lettering (default 8)
+ *   OUTBOX_BACKOFF_BASE_MS   first retry delay (default 30000)
+ *   OUTBOX_BACKOFF_MAX_MS    delay cap (default 3600000)
+ *   OUTBOX_POLL_MS           dispatcher poll interval (default 15000)
+ */
+import {
+  claimOutboxItem,
+  enqueueOutbox,
+  getOutboxItem,
+  listDueOutbox,
+  markOutboxDelivered,
+  markOutboxFailed,
+} from '../db/index.js';
+
+import { postShoplazzaPaymentCallback } from './shoplazzaPayments.js';
+import { postShoplazzaWebhook } from './shoplazzaWebhooks.js';
+
+/** Outbox kind -> sender({ url, shop, body }) returning { ok, status, resText } */
+const SENDERS = {
+  complete: postShoplazzaPaymentCallback,
+  notify: postShoplazzaPaymentCallback,
+  webhook_register: postShoplazzaWebhook,
+};
+
+export const OUTBOX_KINDS = Object.keys(SENDERS);
+
+/**
+ * Delay before retry number `attempt` (1-based): base * 2^(attempt-1), capped,
+ * with "equal jitter" (half fixed, half random) so a burst of failures spreads out.
+ */
+export function computeBackoffMs(
+  attempt,
+  {
+    baseMs = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 30_000),
+    maxMs = Number(process.env.OUTBOX_BACKOFF_MAX_MS || 3_600_000),
+    random = Math.random,
+  } = {}
+) {
+  const exp = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(exp / 2 + random() * (exp / 2));
+}
+
+function isRetryable(httpStatus) {
+  if (httpStatus == null) return true; // network error / timeout
+  return httpStatus === 408 || httpStatus === 429 || httpStatus >= 500;
+}
+
+/**
+ * Run one claimed attempt and record the outcome. Returns the updated row
+ * plus the sender's result (or { ok: false, error } when it threw).
+ */
+async function attempt(row, { now = new Date() } = {}) {
+  const send = SENDERS[row.kind];
+
+  let result;
+  try {
+    if (!send) throw new Error(`No outbox sender for kind "${row.kind}"`);
+    result = await send({ url: row.url, shop: row.shop_domain, body: JSON.parse(row.body) });
+  } catch (err) {
+    result = { ok: false, status: null, error: String(err) };
+  }
+
+  if (result.ok) {
+    const item = await markOutboxDelivered(row.id, {
+      httpStatus: result.status,
+      response: result.resText,
+    });
+    return { item, result };
+  }
+
+  // `row` was read before the claim, so this attempt is row.attempts + 1
+  const attempts = Number(row.attempts) + 1;
+  const retry = send && isRetryable(result.status) && attempts < Number(row.max_attempts);
+  const item = await markOutboxFailed(row.id, {
+    httpStatus: result.status ?? null,
+    error: result.error ?? `HTTP ${result.status}`,
+    response: result.resText ?? null,
+    nextAttemptAt: retry ? new Date(new Date(now).getTime() + computeBackoffMs(attempts)) : null,
+  });
+  if (item.status === 'dead') {
+    console.warn(
+      `[outbox] #${row.id} ${row.kind} dead after ${attempts} attempt(s):`,
+      item.last_error
+    );
+  }
+  return { item, result };
+}
+
+/**
+ * Queue an outbound call and try it right away.
+ * Returns the sender result plus { outboxId, outboxStatus }; never throws on
+ * delivery failure (the dispatcher owns retries from here).
+ */
+export async function deliverViaOutbox({ kind, shop, url, body, dedupeKey = null }) {
+  if (!SENDERS[kind]) throw new Error(`deliverViaOutbox: unknown kind "${kind}"`);
+
+  const row = await enqueueOutbox({ shopDomain: shop, kind, url, body, dedupeKey });
+  if (row.status === 'delivered') {
+    return { ok: true, deduped: true, outboxId: row.id, outboxStatus: row.status };
+  }
+
+  const now = new Date();
+  if (!(await claimOutboxItem(row.id, { now }))) {
+    // Someone else is sending it, or it is waiting out a backoff
+    return { ok: false, queued: true, outboxId: row.id, outboxStatus: row.status };
+  }
+
+  const { item, result } = await attempt(row, { now });
+  return { ...result, outboxId: item.id, outboxStatus: item.status };
+}
+
+/**
+ * One dispatcher pass over due rows. Returns counts for logging/tests.
+ */
+export async function processOutboxOnce({ now = new Date(), limit = 20 } = {}) {
+  const due = await listDueOutbox({ now, limit });
+  const summary = { claimed: 0, delivered: 0, retrying: 0, dead: 0 };
+
+  for (const row of due) {
+    if (!(await claimOutboxItem(row.id, { now }))) continue;
+    summary.claimed += 1;
+
+    const { item } = await attempt(row, { now });
+    if (item.status === 'delivered') summary.delivered += 1;
+    else if (item.status === 'dead') summary.dead += 1;
+    else summary.retrying += 1;
+  }
+  return summary;
+}
+
+/**
+ * Re-attempt a single row now (used by /admin after a re-drive).
+ */
+export async function processOutboxItem(id, { now = new Date() } = {}) {
+  const row = await getOutboxItem(id);
+  if (!row) return null;
+  if (!(await claimOutboxItem(row.id, { now }))) return row;
+  return (await attempt(row, { now })).item;
+}
+
+/**
+ * Poll for due rows on an interval. Returns a stop() function.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+export function startOutboxDispatcher({
+  intervalMs = Number(process.env.OUTBOX_POLL_MS || 15_000),
+} = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // a slow pass shouldn't overlap the next tick
+    running = true;
+    try {
+      const summary = await processOutboxOnce();
+      if (summary.claimed) console.log('[outbox] pass:', summary);
+    } catch (err) {
+      console.error('[outbox] dispatcher pass failed:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
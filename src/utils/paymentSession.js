@@ -0,0 +1,163 @@
+// src/utils/paymentSession.js
+/**
+ * Shoplazza payment session flow: validate the create-payment payload, persist a
+ * pending payment row and build the RocketGate Hosted Page URL for the buyer.
+ * Shared by POST /payments/session (form post) and POST /payments/create
+ * (captured JSON webhook).
+ *
+ * startPaymentSession(payload) resolves to { status, body }: the HTTP status and
+ * JSON body to answer Shoplazza with ({ redirect_url } on success).
+ *
+ * The shop's RocketGate mode (rg_settings.mode), not the payload's `test` field,
+ * decides the environment, the credential set and payments.test_mode (which is
+ * the `test` flag we report back to Shoplazza).
+ *
+ * The Hosted Page carries the shop's descriptor/locale/style and, unless the shop
+ * turned it off (rg_settings.prefill_buyer), the buyer's email, name and billing
+ * address from the payload (src/utils/hostedPageOptions.js).
+ */
+
+import { createOrUpdatePayment, isShopUninstalled } from '../db/index.js';
+import { getRgSettings } from '../db/rgSettings.js';
+
+import { buyerFromShoplazzaPayload } from './hostedPageOptions.js';
+import { formatMinorUnits, normalizeCurrency, toMinorUnits } from './money.js';
+import { buildHostedPageUrl } from './rocketgate.js';
+import { canonicalShopHost } from './shopHost.js';
+
+const reply = (status, body) => ({ status, body });
+
+export async function startPaymentSession(payload) {
+  // Important: field names here are based on our earlier test payloads.
+  // If Shoplazza sends different names, mirror the real ones here.
+  const {
+    id: paymentId, // required: Shoplazza payment attempt id
+    shoplazza_order_id: orderId, // required: merchant order id
+    amount, // required
+    currency, // required
+    cancel_url, // optional (nice to have)
+    complete_url, // required: Shoplazza “Complete Payment” endpoint (sync)
+    callback_url, // required: Shoplazza “Notify Payment” endpoint (async)
+    test, // optional: Shoplazza's own test flag (informational, see above)
+    shop, // optional: if Shoplazza includes the shop host directly
+  } = payload || {};
+
+  // Basic validation
+  if (!paymentId || !orderId || !amount || !currency || !complete_url || !callback_url) {
+    return reply(400, { code: 'INVALID', message: 'Missing required fields' });
+  }
+
+  // Determine which shop this session is for:
+  // 1) explicit `shop` param from payload
+  // 2) hostname of complete_url (usually https://{shop}.myshoplaza.com/openapi/...)
+  let shopHost = canonicalShopHost(shop);
+  if (!shopHost && typeof complete_url === 'string') {
+    try {
+      const host = new URL(complete_url).hostname;
+      shopHost = canonicalShopHost(host);
+    } catch {
+      // ignore URL parse error
+    }
+  }
+
+  if (!shopHost) {
+    return reply(400, {
+      code: 'SHOP_UNDETERMINED',
+      message: 'Unable to determine shop host from payload',
+    });
+  }
+
+  if (await isShopUninstalled(shopHost)) {
+    return reply(403, {
+      code: 'SHOP_UNINSTALLED',
+      message: 'The app was uninstalled from this shop; reinstall it to take payments.',
+    });
+  }
+
+  // Load per-shop RocketGate settings from DB
+  const settings = await getRgSettings(shopHost);
+  if (!settings || !settings.merchantId || !settings.merchantKey) {
+    return reply(400, {
+      ok: false,
+      code: 'RG_SETTINGS_MISSING',
+      message:
+        `RocketGate settings not configured for ${shopHost}. ` +
+        `Please set Merchant ID/Key in the app first.`,
+    });
+  }
+
+  const testMode = settings.mode !== 'live';
+  if (test != null && String(test).toLowerCase() === 'true' && !testMode) {
+    console.warn(`⚠️ [payments/session] test order ${orderId} for ${shopHost}, a live-mode shop`);
+  }
+
+  // Shoplazza sends major units; keep integer minor units for the currency's exponent
+  const normalizedCurrency = normalizeCurrency(currency);
+  const amountMinor = normalizedCurrency ? toMinorUnits(amount, normalizedCurrency) : null;
+  if (amountMinor == null) {
+    return reply(400, { code: 'INVALID', message: 'Invalid amount or currency' });
+  }
+  const normalizedAmount = formatMinorUnits(amountMinor, normalizedCurrency);
+
+  // Persist a pending payment row for reconciliation later
+  await createOrUpdatePayment({
+    shopDomain: shopHost,
+    orderId: String(orderId),
+    paymentId: String(paymentId),
+    customerId: String(paymentId), // we use the payment attempt id as a per-attempt "customer"
+    amountMinor,
+    currency: normalizedCurrency,
+    status: 'pending',
+    callbackUrl: String(callback_url), // final result is forwarded here (see /callbacks/notify)
+    testMode,
+    signingProfile: settings.signingProfile, // the return is verified against this profile
+    actor: 'shoplazza',
+  });
+
+  // Success/fail return URLs back to our app (Shoplazza continues via `complete_url`)
+  const base = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+  const success = new URL(`${base}/callbacks/complete-payment`);
+  success.searchParams.set('orderId', String(orderId));
+  success.searchParams.set('status', 'success');
+  success.searchParams.set('spz_payment_id', String(paymentId));
+  success.searchParams.set('spz_complete', String(complete_url));
+  if (cancel_url) success.searchParams.set('spz_cancel', String(cancel_url));
+  success.searchParams.set('spz_callback', String(callback_url));
+  success.searchParams.set('shop', shopHost);
+
+  const fail = new URL(`${base}/callbacks/complete-payment`);
+  fail.searchParams.set('orderId', String(orderId));
+  fail.searchParams.set('status', 'fail');
+  fail.searchParams.set('spz_payment_id', String(paymentId));
+  fail.searchParams.set('spz_complete', String(complete_url));
+  if (cancel_url) fail.searchParams.set('spz_cancel', String(cancel_url));
+  fail.searchParams.set('spz_callback', String(callback_url));
+  fail.searchParams.set('shop', shopHost);
+
+  // Build RocketGate Hosted Page URL using per-shop settings
+  const redirect_url = buildHostedPageUrl({
+    id: String(paymentId), // your "customer/account id" for RG (ok to reuse paymentId)
+    merch: settings.merchantId, // per-shop Merchant ID
+    amount: normalizedAmount,
+    hashSecret: settings.merchantKey, // per-shop Merchant Key (used for RG signature)
+    authOnly: settings.paymentType === 'authorization', // auth now, capture from the app later
+    mode: settings.mode, // dev-secure vs secure
+    signingProfile: settings.signingProfile, // which fields the hash covers
+    pageOptions: {
+      descriptor: settings.descriptor,
+      locale: settings.locale,
+      style: settings.pageStyle,
+      buyer: settings.prefillBuyer ? buyerFromShoplazzaPayload(payload) : null,
+    },
+    extra: {
+      invoice: String(orderId),
+      currency: normalizedCurrency,
+      success: success.toString(),
+      fail: fail.toString(),
+    },
+  });
+
+  // Shoplazza expects { redirect_url } and will 302 the buyer.
+  return reply(200, { redirect_url });
+}
@@ -0,0 +1,87 @@
+// src/utils/paymentStates.js
+/**
+ * Payment state machine: the legal status transitions, declared as a graph.
+ *
+ * src/db/payments.js applies a status change only when it is an edge here;
+ * anything else is recorded in payment_events as rejected and leaves
+ * payments.status alone. Terminal states have no outgoing edges.
+ *
+ * Unlike a rank ordering, a late `declined` can't overwrite a settled payment,
+ * and a refund after a chargeback is still a legal move.
+ */
+
+/** from -> statuses it may move to */
+const TRANSITIONS = {
+  initiated: [
+    'pending',
+    'returned_success',
+    'returned_fail',
+    'authorized',
+    'paid',
+    'captured',
+    'declined',
+    'error',
+  ],
+  pending: [
+    'returned_success',
+    'returned_fail',
+    'authorized',
+    'paid',
+    'captured',
+    'declined',
+    'error',
+  ],
+  // Buyer came back from the Hosted Page; the notify is still authoritative
+  returned_fail: ['returned_success', 'authorized', 'paid', 'captured', 'declined', 'error'],
+  returned_success: ['authorized', 'paid', 'captured', 'declined', 'error'],
+  // Gateway error: the buyer may retry on the Hosted Page
+  error: [
+    'pending',
+    'returned_success',
+    'returned_fail',
+    'authorized',
+    'paid',
+    'captured',
+    'declined',
+  ],
+  authorized: ['captured', 'paid', 'voided', 'chargeback'],
+  paid: ['captured', 'partially_refunded', 'refunded', 'voided', 'chargeback'],
+  captured: ['partially_refunded', 'refunded', 'voided', 'chargeback'],
+  partially_refunded: ['refunded', 'chargeback'],
+  chargeback: ['partially_refunded', 'refunded'],
+  refunded: [],
+  voided: [],
+  declined: [],
+};
+
+export const PAYMENT_STATUSES = Object.keys(TRANSITIONS);
+
+export const TERMINAL_STATUSES = PAYMENT_STATUSES.filter((s) => !TRANSITIONS[s].length);
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/** Statuses reachable from `from` in one step (any known status for a new payment). */
+export function allowedTransitions(from) {
+  if (from == null) return [...PAYMENT_STATUSES];
+  return [...(TRANSITIONS[from] || [])];
+}
+
+/**
+ * Can a payment in `from` move to `to`?
+ * Returns { ok: true } or { ok: false, reason } with reason one of:
+ *   unknown_status | unchanged | terminal_state | illegal_transition
+ */
+export function checkTransition(from, to) {
+  if (!TRANSITIONS[to]) return { ok: false, reason: 'unknown_status' };
+  if (from == null) return { ok: true };
+  if (from === to) return { ok: false, reason: 'unchanged' };
+  if (isTerminalStatus(from)) return { ok: false, reason: 'terminal_state' };
+  if (!TRANSITIONS[from]?.includes(to)) return { ok: false, reason: 'illegal_transition' };
+  return { ok: true };
+}
+
+export function canTransition(from, to) {
+  return checkTransition(from, to).ok;
+}
@@ -0,0 +1,315 @@
+// src/utils/returnPage.js
+/**
+ * Buyer-facing pages served after the RocketGate Hosted Page, used when there is
+ * no Shoplazza/merchant URL to send the buyer back to, and by the storefront
+ * App Proxy: when a shop can't take payments (outcome `unavailable`) and for the
+ * order status page (renderStatusPage).
+ *
+ * - Localized: `lang` query param, else Accept-Language, else English.
+ * - Branded with RETURN_PAGE_BRAND (default "RocketGate × Shoplazza").
+ * - Self-contained HTML (inline CSS, no scripts), safe to render for any outcome.
+ *   The status page refreshes itself (meta refresh) while the payment is unsettled.
+ */
+
+/** outcome -> { title, message }, plus page labels, per language */
+const STRINGS = {
+  en: {
+    success: {
+      title: 'Payment received',
+      message: 'Thank you! Your payment was submitted. You will receive a confirmation shortly.',
+    },
+    fail: {
+      title: 'Payment not completed',
+      message: 'Your payment could not be completed. No charge was made. Please try again.',
+    },
+    pending: {
+      title: 'Payment processing',
+      message: 'We are confirming your payment. You can safely close this page.',
+    },
+    unavailable: {
+      title: 'Payment unavailable',
+      message:
+        'This store cannot take card payments right now. No charge was made. Please contact the store.',
+    },
+    refunded: {
+      title: 'Payment refunded',
+      message: 'This payment was refunded or cancelled. Contact the store with any questions.',
+    },
+    not_found: {
+      title: 'Order not found',
+      message: 'We have no card payment for this order yet. Please check the link.',
+    },
+    order: 'Order',
+    back: 'Return to store',
+    transaction: 'Transaction',
+    timeline: 'History',
+    refreshing: 'This page updates automatically.',
+  },
+  es: {
+    success: {
+      title: 'Pago recibido',
+      message: '¡Gracias! Tu pago fue enviado. Recibirás una confirmación en breve.',
+    },
+    fail: {
+      title: 'Pago no completado',
+      message: 'No se pudo completar tu pago. No se realizó ningún cargo. Inténtalo de nuevo.',
+    },
+    pending: {
+      title: 'Procesando el pago',
+      message: 'Estamos confirmando tu pago. Puedes cerrar esta página.',
+    },
+    unavailable: {
+      title: 'Pago no disponible',
+      message:
+        'Esta tienda no puede aceptar pagos con tarjeta en este momento. No se realizó ningún cargo. Contacta con la tienda.',
+    },
+    refunded: {
+      title: 'Pago reembolsado',
+      message: 'Este pago fue reembolsado o cancelado. Contacta con la tienda si tienes dudas.',
+    },
+    not_found: {
+      title: 'Pedido no encontrado',
+      message: 'Aún no hay ningún pago con tarjeta para este pedido. Revisa el enlace.',
+    },
+    order: 'Pedido',
+    back: 'Volver a la tienda',
+    transaction: 'Transacción',
+    timeline: 'Historial',
+    refreshing: 'Esta página se actualiza automáticamente.',
+  },
+  fr: {
+    success: {
+      title: 'Paiement reçu',
+      message: 'Merci ! Votre paiement a été envoyé. Vous recevrez bientôt une confirmation.',
+    },
+    fail: {
+      title: 'Paiement non abouti',
+      message: "Votre paiement n'a pas pu être effectué. Aucun montant n'a été débité. Réessayez.",
+    },
+    pending: {
+      title: 'Paiement en cours',
+      message: 'Nous confirmons votre paiement. Vous pouvez fermer cette page.',
+    },
+    unavailable: {
+      title: 'Paiement indisponible',
+      message:
+        "Cette boutique ne peut pas accepter de paiement par carte pour le moment. Aucun montant n'a été débité. Contactez la boutique.",
+    },
+    refunded: {
+      title: 'Paiement remboursé',
+      message: 'Ce paiement a été remboursé ou annulé. Contactez la boutique pour toute question.',
+    },
+    not_found: {
+      title: 'Commande introuvable',
+      message: "Aucun paiement par carte n'existe encore pour cette commande. Vérifiez le lien.",
+    },
+    order: 'Commande',
+    back: 'Retour à la boutique',
+    transaction: 'Transaction',
+    timeline: 'Historique',
+    refreshing: 'Cette page se met à jour automatiquement.',
+  },
+  de: {
+    success: {
+      title: 'Zahlung eingegangen',
+      message:
+        'Vielen Dank! Ihre Zahlung wurde übermittelt. Sie erhalten in Kürze eine Bestätigung.',
+    },
+    fail: {
+      title: 'Zahlung nicht abgeschlossen',
+      message:
+        'Ihre Zahlung konnte nicht abgeschlossen werden. Es wurde nichts belastet. Bitte erneut versuchen.',
+    },
+    pending: {
+      title: 'Zahlung wird verarbeitet',
+      message: 'Wir bestätigen Ihre Zahlung. Sie können diese Seite schließen.',
+    },
+    unavailable: {
+      title: 'Zahlung nicht verfügbar',
+      message:
+        'Dieser Shop kann derzeit keine Kartenzahlungen annehmen. Es wurde nichts belastet. Bitte wenden Sie sich an den Shop.',
+    },
+    refunded: {
+      title: 'Zahlung erstattet',
+      message:
+        'Diese Zahlung wurde erstattet oder storniert. Bei Fragen wenden Sie sich an den Shop.',
+    },
+    not_found: {
+      title: 'Bestellung nicht gefunden',
+      message: 'Für diese Bestellung gibt es noch keine Kartenzahlung. Bitte prüfen Sie den Link.',
+    },
+    order: 'Bestellung',
+    back: 'Zurück zum Shop',
+    transaction: 'Transaktion',
+    timeline: 'Verlauf',
+    refreshing: 'Diese Seite aktualisiert sich automatisch.',
+  },
+  zh: {
+    success: { title: '付款已收到', message: '谢谢！您的付款已提交，稍后您将收到确认。' },
+    fail: { title: '付款未完成', message: '您的付款未能完成，未产生任何扣款。请重试。' },
+    pending: { title: '付款处理中', message: '我们正在确认您的付款，您可以关闭此页面。' },
+    unavailable: {
+      title: '暂无法付款',
+      message: '该商店目前无法接受银行卡付款，未产生任何扣款。请联系商店。',
+    },
+    refunded: { title: '付款已退款', message: '此付款已退款或取消。如有疑问，请联系商店。' },
+    not_found: { title: '未找到订单', message: '此订单暂无银行卡付款记录，请检查链接。' },
+    order: '订单',
+    back: '返回商店',
+    transaction: '交易',
+    timeline: '记录',
+    refreshing: '此页面会自动更新。',
+  },
+};
+
+export const SUPPORTED_LANGS = Object.keys(STRINGS);
+
+/**
+ * Pick a supported language: explicit `lang` (e.g. "fr" or "fr-CA") wins, then
+ * the request's Accept-Language, then English.
+ */
+export function pickLang(req) {
+  const explicit = String(req.query?.lang || req.body?.lang || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  if (STRINGS[explicit]) return explicit;
+  return req.acceptsLanguages?.(...SUPPORTED_LANGS) || 'en';
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+/** Shared HTML shell: one card with a colored title. */
+function renderPage({ lang, title, accent, body, refreshSeconds }) {
+  const brand = process.env.RETURN_PAGE_BRAND || 'RocketGate × Shoplazza';
+  const refresh = refreshSeconds
+    ? `<meta http-equiv="refresh" content="${Number(refreshSeconds)}" />\n`
+    : '';
+
+  return `<!doctype html>
+<html lang="${escapeHtml(STRINGS[lang] ? lang : 'en')}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="robots" content="noindex" />
+${refresh}<title>${escapeHtml(title)} · ${escapeHtml(brand)}</title>
+<style>
+  body { margin: 0; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; background: #f5f6f8; color: #1d2939; }
+  main { max-width: 28rem; margin: 12vh auto; padding: 2rem; background: #fff; border-radius: 12px; box-shadow: 0 1px 3px rgba(16,24,40,.1); text-align: center; }
+  h1 { color: ${accent}; font-size: 1.5rem; margin: 0 0 .75rem; }
+  p { line-height: 1.5; }
+  .order { color: #667085; font-size: .9rem; }
+  a.button { display: inline-block; margin-top: 1rem; padding: .6rem 1.2rem; border-radius: 8px; background: #1d2939; color: #fff; text-decoration: none; }
+  ol.timeline { text-align: left; padding-left: 1.25rem; color: #475467; font-size: .9rem; }
+  ol.timeline time { color: #98a2b3; margin-right: .5rem; }
+  footer { margin-top: 2rem; color: #98a2b3; font-size: .8rem; }
+  pre { text-align: left; overflow: auto; background: #f2f4f7; padding: .75rem; font-size: .75rem; }
+</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+  <footer>${escapeHtml(brand)}</footer>
+</main>
+</body>
+</html>`;
+}
+
+const ACCENTS = { success: '#1a7f37', fail: '#b42318' };
+
+/**
+ * Render the return page.
+ * @param {Object} opts
+ * @param {'success'|'fail'|'pending'|'unavailable'} opts.outcome
+ * @param {string} [opts.lang]       - one of SUPPORTED_LANGS (falls back to en)
+ * @param {string} [opts.orderId]
+ * @param {string} [opts.storeUrl]   - "Return to store" link (e.g. https://{shop})
+ * @param {Object} [opts.debug]      - dev-only details, rendered as JSON when present
+ */
+export function renderReturnPage({ outcome, lang = 'en', orderId, storeUrl, debug }) {
+  const t = STRINGS[lang] || STRINGS.en;
+  const { title, message } = t[outcome] || t.pending;
+
+  return renderPage({
+    lang,
+    title,
+    accent: ACCENTS[outcome] || '#475467',
+    body: `<p>${escapeHtml(message)}</p>
+  ${orderId ? `<p class="order">${escapeHtml(t.order)}: ${escapeHtml(orderId)}</p>` : ''}
+  ${storeUrl ? `<a class="button" href="${escapeHtml(storeUrl)}">${escapeHtml(t.back)}</a>` : ''}
+  ${debug ? `<pre>${escapeHtml(JSON.stringify(debug, null, 2))}</pre>` : ''}`,
+  });
+}
+
+/** Payment statuses the buyer sees as "processing" and that the status page polls on. */
+export const POLLING_STATUSES = ['pending', 'returned_success'];
+
+/** Buyer-facing outcome for a payments.status (null payment: not_found). */
+export function statusOutcome(status) {
+  if (status == null) return 'not_found';
+  if (['authorized', 'paid', 'captured'].includes(status)) return 'success';
+  if (['partially_refunded', 'refunded', 'voided', 'chargeback'].includes(status)) {
+    return 'refunded';
+  }
+  if (['declined', 'returned_fail', 'error'].includes(status)) return 'fail';
+  return 'pending';
+}
+
+/** Last 4 characters of a gateway transaction id, the rest masked. */
+export function maskTransactionId(id) {
+  const s = String(id ?? '');
+  if (!s) return null;
+  return `•••• ${s.slice(-4)}`;
+}
+
+/**
+ * Render the storefront order status page.
+ * @param {Object} opts
+ * @param {Object|null} opts.payment  - payments row ({ order_id, status, rocketgate_txn }) or null
+ * @param {Array}  [opts.timeline]    - [{ status, at }] oldest first
+ * @param {string} [opts.orderId]     - shown when there is no payment
+ * @param {string} [opts.lang]
+ * @param {string} [opts.storeUrl]
+ * @param {number} [opts.refreshSeconds] - meta refresh while unsettled (omit to disable)
+ */
+export function renderStatusPage({
+  payment,
+  timeline = [],
+  orderId,
+  lang = 'en',
+  storeUrl,
+  refreshSeconds,
+}) {
+  const t = STRINGS[lang] || STRINGS.en;
+  const outcome = statusOutcome(payment?.status);
+  const { title, message } = t[outcome];
+  const txn = maskTransactionId(payment?.rocketgate_txn);
+  const order = payment?.order_id ?? orderId;
+
+  const steps = timeline
+    .map(
+      ({ status, at }) =>
+        `<li><time>${escapeHtml(at ?? '')}</time>${escapeHtml(String(status).replaceAll('_', ' '))}</li>`
+    )
+    .join('');
+
+  return renderPage({
+    lang,
+    title,
+    accent: ACCENTS[outcome] || '#475467',
+    refreshSeconds,
+    body: `<p>${escapeHtml(message)}</p>
+  ${order ? `<p class="order">${escapeHtml(t.order)}: ${escapeHtml(order)}</p>` : ''}
+  ${txn ? `<p class="order">${escapeHtml(t.transaction)}: ${escapeHtml(txn)}</p>` : ''}
+  ${steps ? `<h2 class="order">${escapeHtml(t.timeline)}</h2><ol class="timeline">${steps}</ol>` : ''}
+  ${refreshSeconds ? `<p class="order">${escapeHtml(t.refreshing)}</p>` : ''}
+  ${storeUrl ? `<a class="button" href="${escapeHtml(storeUrl)}">${escapeHtml(t.back)}</a>` : ''}`,
+  });
+}
@@ -1,6 +1,10 @@
 // src/utils/rocketgate.js
 import crypto from 'crypto';
 
+import { hostedPageOptionParams } from './hostedPageOptions.js';
+import { getSigningProfile, signParams } from './hostedPageSigning.js';
+import { lookupTransaction, resolveGatewayCredentials } from './rocketgateGateway.js';
+
 /**
  * Utility: parse boolean-like env values safely.
  */
@@ -9,14 +13,33 @@ function parseBool(v, def = false) {
   return ['1', 'true', 'yes', 'on'].includes(String(v).toLowerCase());
 }
 
+const HOSTED_PAGE_HOSTS = {
+  live: 'https://secure.rocketgate.com/hostedpage/servlet/HostedPagePurchase',
+  test: 'https://dev-secure.rocketgate.com/hostedpage/servlet/HostedPagePurchase',
+};
+
+/**
+ * Environment for a shop's 'test' | 'live' mode; without one (single-tenant /pay),
+ * ROCKETGATE_ENV decides: 'prod-secure'/'production'/'prod' => live, else test.
+ */
+function resolveMode(mode) {
+  if (mode === 'live' || mode === 'test') return mode;
+  const env = (process.env.ROCKETGATE_ENV || 'dev-secure').toLowerCase();
+  return env === 'prod-secure' || env === 'production' || env === 'prod' ? 'live' : 'test';
+}
+
 /**
  * Resolve the Hosted Page base URL from env with safe fallbacks.
  * Priority:
- *  1) ROCKETGATE_HOSTED_BASE_URL [+ optional ROCKETGATE_HOSTED_PATH]
- *  2) ROCKETGATE_ENV: 'prod-secure'/'production' => prod; else dev
+ *  1) ROCKETGATE_HOSTED_BASE_URL_LIVE / _TEST for the mode [+ optional ROCKETGATE_HOSTED_PATH]
+ *  2) ROCKETGATE_HOSTED_BASE_URL (both modes) [+ optional ROCKETGATE_HOSTED_PATH]
+ *  3) mode (see resolveMode): live => secure.rocketgate.com; test => dev-secure
  */
-function getHostedPageBase() {
-  const baseFromEnv = process.env.ROCKETGATE_HOSTED_BASE_URL;
+function getHostedPageBase(mode) {
+  const resolved = resolveMode(mode);
+  const baseFromEnv =
+    process.env[`ROCKETGATE_HOSTED_BASE_URL_${resolved.toUpperCase()}`] ||
+    process.env.ROCKETGATE_HOSTED_BASE_URL;
   const pathFromEnv = process.env.ROCKETGATE_HOSTED_PATH;
 
   if (baseFromEnv) {
@@ -25,13 +48,7 @@ function getHostedPageBase() {
     return `${base}${path}`;
   }
 
-  const env = (process.env.ROCKETGATE_ENV || 'dev-secure').toLowerCase();
-  const isProd = env === 'prod-secure' || env === 'production' || env === 'prod';
-
-  // Your original defaults, preserved:
-  return isProd
-    ? 'https://secure.rocketgate.com/hostedpage/servlet/HostedPagePurchase'
-    : 'https://dev-secure.rocketgate.com/hostedpage/servlet/HostedPagePurchase';
+  return HOSTED_PAGE_HOSTS[resolved];
 }
 
 /**
@@ -56,26 +73,6 @@ function maybeAssertExpectedHost(fullUrl) {
   }
 }
 
-/**
- * Build the canonical string for HMAC signing.
- * We preserve your original signed fields and order (id, merch, amount, purchase, time)
- * to match RocketGate expectations. If RG later changes signing rules, update this in one place.
- */
-function canonicalStringToHash(signedParams) {
-  const SIGNED_ORDER = ['id', 'merch', 'amount', 'purchase', 'time'];
-  return SIGNED_ORDER.map((k) => `${k}=${signedParams[k]}`).join('&');
-}
-
-/**
- * Compute HMAC-SHA256 digest over the canonical string.
- * Encoding defaults to base64 (matches your original code). You can override via env:
- *  ROCKETGATE_HASH_ENCODING=base64|hex
- */
-function hmacSHA256(message, secret) {
-  const encoding = (process.env.ROCKETGATE_HASH_ENCODING || 'base64').toLowerCase();
-  return crypto.createHmac('sha256', secret).update(message, 'utf8').digest(encoding);
-}
-
 /**
  * PRIMARY API (kept compatible with your existing usage)
  *
@@ -86,6 +83,17 @@ function hmacSHA256(message, secret) {
  * @param {string} [options.merch]      - Merchant ID (falls back to env ROCKETGATE_MERCHANT_ID)
  * @param {string|number} options.amount- Amount (pass minor units or your chosen format as RG expects)
  * @param {string} [options.hashSecret] - HMAC secret (falls back to env ROCKETGATE_HASH_SECRET)
+ * @param {boolean} [options.authOnly]  - Request an authorization only (signed purchase=false);
+ *                                        capture later via the gateway. Default: sale.
+ * @param {'test'|'live'} [options.mode] - Shop mode: picks the RocketGate environment
+ *                                        (dev-secure vs secure). Default: ROCKETGATE_ENV.
+ * @param {string} [options.signingProfile] - Which fields the hash covers, and how
+ *                                        (src/utils/hostedPageSigning.js). Fields the profile
+ *                                        signs (invoice, currency, success, ...) come from
+ *                                        `extra`. Default: ROCKETGATE_SIGNING_PROFILE | 'default'.
+ * @param {Object} [options.pageOptions] - Validated Hosted Page options (src/utils/hostedPageOptions.js):
+ *                                        { descriptor, locale, style, buyer: { email, firstName,
+ *                                        lastName, address } }. Bad descriptor/locale/style throw 400.
  * @param {Object} [options.extra]      - Extra query params (invoice, currency, success, fail, etc.)
  *
  * Example:
@@ -102,91 +110,82 @@ function hmacSHA256(message, secret) {
  *     }
  *   })
  */
-export function buildHostedPageUrl({ id, merch, amount, hashSecret, extra = {} }) {
-  const resolvedMerch = merch ?? process.env.ROCKETGATE_MERCHANT_ID;
-  const resolvedSecret = hashSecret ?? process.env.ROCKETGATE_HASH_SECRET;
-  if (!resolvedMerch) throw new Error('RocketGate merchant id (merch) missing.');
-  if (!resolvedSecret) throw new Error('RocketGate hash secret missing.');
-
-  const base = getHostedPageBase();
-  const nowSeconds = Math.floor(Date.now() / 1000);
-
-  // Keep your original signed set + order
-  const signedParams = {
-    id,
-    merch: resolvedMerch,
-    amount: String(amount),
-    purchase: 'true',
-    time: nowSeconds,
-  };
-
-  const params = new URLSearchParams({
-    ...signedParams,
-    ...extra, // invoice, currency, success, fail, descriptor, etc.
-  });
-
-  const stringToHash = canonicalStringToHash(signedParams);
-  const hash = hmacSHA256(stringToHash, resolvedSecret);
-  params.append('hash', hash);
-
-  const fullUrl = `${base}?${params.toString()}`;
-  maybeAssertExpectedHost(fullUrl);
-  return fullUrl;
+export function buildHostedPageUrl(options) {
+  return buildHostedPageUrlDetailed(options).redirectUrl;
 }
 
 /**
  * OPTIONAL: Structured variant that returns useful metadata for logging/tests.
- * Same inputs as buildHostedPageUrl, but returns { redirectUrl, signedParams, hash, base, env }.
+ * Same inputs as buildHostedPageUrl, but returns
+ * { redirectUrl, signedParams, hash, base, env, signingProfile }
+ * (env: 'prod-secure' | 'dev-secure'; signingProfile: the profile name used).
  */
-export function buildHostedPageUrlDetailed({ id, merch, amount, hashSecret, extra = {} }) {
+export function buildHostedPageUrlDetailed({
+  id,
+  merch,
+  amount,
+  hashSecret,
+  authOnly = false,
+  mode,
+  signingProfile,
+  pageOptions,
+  extra: extraParams = {},
+}) {
   const resolvedMerch = merch ?? process.env.ROCKETGATE_MERCHANT_ID;
   const resolvedSecret = hashSecret ?? process.env.ROCKETGATE_HASH_SECRET;
   if (!resolvedMerch) throw new Error('RocketGate merchant id (merch) missing.');
   if (!resolvedSecret) throw new Error('RocketGate hash secret missing.');
 
-  const base = getHostedPageBase();
-  const env = process.env.ROCKETGATE_ENV || 'dev-secure';
+  const base = getHostedPageBase(mode);
+  const env = resolveMode(mode) === 'live' ? 'prod-secure' : 'dev-secure';
   const nowSeconds = Math.floor(Date.now() / 1000);
 
+  // First-class page options win over same-named raw extras
+  const extra = { ...extraParams, ...hostedPageOptionParams(pageOptions) };
+
+  // The base signed set, plus whatever else the profile signs that the link carries
+  const profile = getSigningProfile(signingProfile);
   const signedParams = {
     id,
     merch: resolvedMerch,
     amount: String(amount),
-    purchase: 'true',
+    purchase: authOnly ? 'false' : 'true',
     time: nowSeconds,
   };
+  for (const k of profile.fields) {
+    if (!(k in signedParams) && extra[k] != null) signedParams[k] = String(extra[k]);
+  }
+
+  // Signed fields always win over same-named extras (the hash covers the signed values)
+  const unsignedExtra = Object.fromEntries(
+    Object.entries(extra).filter(([k, v]) => !(k in signedParams) && v != null)
+  );
 
   const params = new URLSearchParams({
     ...signedParams,
-    ...extra,
+    ...unsignedExtra, // whatever the profile doesn't sign: invoice, currency, success, fail, etc.
   });
 
-  const stringToHash = canonicalStringToHash(signedParams);
-  const hash = hmacSHA256(stringToHash, resolvedSecret);
+  const hash = signParams(profile, signedParams, resolvedSecret);
   params.append('hash', hash);
 
   const redirectUrl = `${base}?${params.toString()}`;
   maybeAssertExpectedHost(redirectUrl);
-  return { redirectUrl, signedParams, hash, base, env };
+  return { redirectUrl, signedParams, hash, base, env, signingProfile: profile.name };
 }
 
 /**
  * OPTIONAL: Verify a Hosted Page hash if you ever need to recompute it for testing.
- * Provide the same 5 signed fields and the secret.
+ * Provide the signed fields of the link (at least id, merch, amount, purchase, time,
+ * plus whatever else `signingProfile` signs) and the secret.
  */
-export function verifyHostedPageHash(
-  { id, merch, amount, purchase = 'true', time },
-  hashSecret,
-  providedHash
-) {
-  const message = canonicalStringToHash({
-    id,
-    merch,
-    amount: String(amount),
-    purchase: String(purchase),
-    time: Number(time),
-  });
-  const computed = hmacSHA256(message, hashSecret);
+export function verifyHostedPageHash(params, hashSecret, providedHash, { signingProfile } = {}) {
+  const { amount, purchase = 'true', time } = params || {};
+  const computed = signParams(
+    getSigningProfile(signingProfile),
+    { ...params, amount: String(amount), purchase: String(purchase), time: Number(time) },
+    hashSecret
+  );
   // Constant-time compare
   return (
     typeof providedHash === 'string' &&
@@ -196,11 +195,92 @@ export function verifyHostedPageHash(
 }
 
 /**
- * OPTIONAL: Placeholder for a server-to-server confirm by invoice/orderId.
- * Wire this up to RocketGate's Transaction/History API if/when you add reconciliation.
+ * Validate the signed fields RocketGate echoes back on a Hosted Page return URL
+ * (id, merch, amount, purchase, time, hash, plus the extra fields of the signing
+ * profile), as produced by buildHostedPageUrl.
+ *
+ * Checks, in order: hash present, merchant matches, hash valid, and `time` inside
+ * the replay window. Because `time` is signed when the link is built, the window
+ * has to cover the buyer's time on the Hosted Page.
+ *
+ * @param {Object} params                 - Return query/body
+ * @param {Object} opts
+ * @param {string} opts.hashSecret        - Secret the link was signed with (shop's merchant key)
+ * @param {string} [opts.merchantId]      - Expected `merch`; skipped when omitted
+ * @param {number} [opts.maxAgeSeconds]   - Replay window (env ROCKETGATE_RETURN_MAX_AGE_SECONDS, default 3600)
+ * @param {number} [opts.maxSkewSeconds]  - Tolerated clock skew for future `time` (default 300)
+ * @param {string} [opts.signingProfile]  - Profile the link was signed with (see buildHostedPageUrl)
+ * @param {number} [opts.nowSeconds]
+ * @returns {{ ok: true } | { ok: false, reason: string }}
  */
-export async function confirmWithServerByInvoice(/* invoice */) {
-  // Implement with fetch/axios against process.env.ROCKETGATE_API_BASE_URL
-  // Return a normalized shape: { status, rocketgateTxnId, raw }
-  return null;
+export function checkHostedPageReturn(
+  params,
+  {
+    hashSecret,
+    merchantId,
+    maxAgeSeconds = Number(process.env.ROCKETGATE_RETURN_MAX_AGE_SECONDS || 3600),
+    maxSkewSeconds = 300,
+    signingProfile,
+    nowSeconds = Math.floor(Date.now() / 1000),
+  } = {}
+) {
+  const { id, merch, amount, purchase, time, hash } = params || {};
+
+  if (!hashSecret) return { ok: false, reason: 'secret_missing' };
+  if (!hash || id == null || merch == null || amount == null || time == null) {
+    return { ok: false, reason: 'signature_missing' };
+  }
+  if (merchantId && String(merch) !== String(merchantId)) {
+    return { ok: false, reason: 'merchant_mismatch' };
+  }
+
+  let profile;
+  try {
+    profile = getSigningProfile(signingProfile);
+  } catch {
+    return { ok: false, reason: 'unknown_signing_profile' };
+  }
+
+  // Only the fields the profile signs; anything else on the return is not trusted
+  const signed = Object.fromEntries(profile.fields.map((k) => [k, params[k]]));
+  signed.purchase = purchase ?? 'true';
+  let valid = false;
+  try {
+    valid = verifyHostedPageHash(signed, hashSecret, String(hash), {
+      signingProfile: profile.name,
+    });
+  } catch {
+    // non-ASCII input of the right length makes timingSafeEqual throw; treat as a mismatch
+  }
+  if (!valid) return { ok: false, reason: 'bad_hash' };
+
+  const ts = Number(time);
+  if (!Number.isFinite(ts)) return { ok: false, reason: 'bad_time' };
+  if (ts > nowSeconds + maxSkewSeconds) return { ok: false, reason: 'time_in_future' };
+  if (nowSeconds - ts > maxAgeSeconds) return { ok: false, reason: 'expired' };
+
+  return { ok: true };
+}
+
+/**
+ * Server-to-server confirm by invoice/orderId.
+ * Asks RocketGate's gateway (ROCKETGATE_API_BASE_URL) for the latest transaction on the
+ * invoice, so a buyer return can be double-checked against RocketGate itself.
+ *
+ * @param {string} invoice                 - Our order id (sent as merchantInvoiceID)
+ * @param {Object} [opts]
+ * @param {string} [opts.shop]             - Load per-shop credentials from rg_settings
+ * @param {'test'|'live'} [opts.mode]      - Credential set/environment (default: the shop's mode)
+ * @param {string} [opts.merchantId]       - Explicit credentials (take precedence over shop)
+ * @param {string} [opts.merchantKey]
+ * @returns {Promise<{ status, rocketgateTxnId, amount, currency, raw } | null>}
+ *          null when the gateway has no transaction for this invoice.
+ */
+export async function confirmWithServerByInvoice(
+  invoice,
+  { shop, merchantId, merchantKey, mode } = {}
+) {
+  if (!invoice) throw new Error('confirmWithServerByInvoice: invoice is required');
+  const creds = await resolveGatewayCredentials({ shop, merchantId, merchantKey, mode });
+  return await lookupTransaction({ invoice: String(invoice) }, creds);
 }
@@ -0,0 +1,287 @@
+// src/utils/rocketgateGateway.js
+/**
+ * Server-to-server RocketGate gateway client.
+ *
+ * Talks JSON over HTTPS to ROCKETGATE_API_BASE_URL (one POST per operation):
+ *   POST {base}/lookup   { merchantID, merchantPassword, merchantInvoiceID?, transactID? }
+ *   POST {base}/refund   { merchantID, merchantPassword, transactID, amount?, currency? }
+ *   POST {base}/void     { merchantID, merchantPassword, transactID }
+ *   POST {base}/capture  { merchantID, merchantPassword, transactID, amount?, currency? }
+ *
+ * Every response is normalized to:
+ *   { status, rocketgateTxnId, amount, currency, raw }
+ * where `status` uses the same internal vocabulary as /callbacks/notify
+ * (paid | authorized | captured | refunded | voided | chargeback | declined | error | unknown).
+ *
+ * Credentials
+ * -----------
+ * Callers pass { merchantId, merchantKey } or { shop }; the latter loads the
+ * per-shop pair from rg_settings. With neither, we fall back to the single-tenant
+ * env pair (ROCKETGATE_MERCHANT_ID / ROCKETGATE_MERCHANT_PASSWORD).
+ *
+ * Test/live
+ * ---------
+ * Per-shop credentials carry the mode ('test' | 'live') they belong to, and the
+ * request goes to ROCKETGATE_API_BASE_URL_TEST / _LIVE for that mode (falling
+ * back to ROCKETGATE_API_BASE_URL). Pass { shop, mode } to act on a payment made
+ * in the other mode than the shop's current one.
+ */
+
+/**
+ * RocketGate gateway status words -> internal status.
+ */
+const STATUS_MAP = {
+  approved: 'paid',
+  captured: 'captured',
+  settled: 'paid',
+  paid: 'paid',
+  authorized: 'authorized',
+  auth: 'authorized',
+  refunded: 'refunded',
+  credited: 'refunded',
+  voided: 'voided',
+  chargeback: 'chargeback',
+  disputed: 'chargeback',
+  decline: 'declined',
+  declined: 'declined',
+  failed: 'declined',
+  error: 'error',
+};
+
+/**
+ * RocketGate transaction types (when no explicit status word is returned).
+ */
+const TXN_TYPE_MAP = {
+  CC_PURCHASE: 'paid',
+  CC_TICKET: 'captured',
+  CC_AUTH: 'authorized',
+  CC_AUTH_ONLY: 'authorized',
+  CC_CREDIT: 'refunded',
+  CC_VOID: 'voided',
+};
+
+function getApiBase(mode) {
+  const base =
+    (mode && process.env[`ROCKETGATE_API_BASE_URL_${String(mode).toUpperCase()}`]) ||
+    process.env.ROCKETGATE_API_BASE_URL;
+  if (!base) throw new Error('RocketGate gateway not configured. Set ROCKETGATE_API_BASE_URL.');
+  return base.replace(/\/+$/, '');
+}
+
+function gatewayError(message, { status = 502, code = 'RG_GATEWAY_ERROR', raw = null } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.raw = raw;
+  return err;
+}
+
+/**
+ * Resolve gateway credentials: explicit pair > per-shop rg_settings > env.
+ * For a shop, `mode` picks the credential set (default: the shop's mode) and is
+ * returned with the pair. rg_settings is imported lazily so Hosted Page utilities
+ * stay DB-free.
+ */
+export async function resolveGatewayCredentials({ shop, merchantId, merchantKey, mode } = {}) {
+  if (merchantId && merchantKey) return { merchantId, merchantKey, mode };
+
+  if (shop) {
+    const { credentialsForMode, getRgSettings } = await import('../db/rgSettings.js');
+    const settings = await getRgSettings(shop);
+    const creds = settings ? credentialsForMode(settings, mode ?? settings.mode) : null;
+    if (!creds?.merchantId || !creds?.merchantKey) {
+      throw gatewayError(`RocketGate settings not configured for ${shop}.`, {
+        status: 412,
+        code: 'RG_SETTINGS_MISSING',
+      });
+    }
+    return creds;
+  }
+
+  const { ROCKETGATE_MERCHANT_ID, ROCKETGATE_MERCHANT_PASSWORD } = process.env;
+  if (!ROCKETGATE_MERCHANT_ID || !ROCKETGATE_MERCHANT_PASSWORD) {
+    throw gatewayError('RocketGate merchant credentials missing.', {
+      status: 500,
+      code: 'MISCONFIGURED_ENV',
+    });
+  }
+  return { merchantId: ROCKETGATE_MERCHANT_ID, merchantKey: ROCKETGATE_MERCHANT_PASSWORD };
+}
+
+/**
+ * Low-level POST to the gateway. Returns the parsed JSON body, or null on 404.
+ * Throws on transport errors, non-2xx responses and non-JSON bodies.
+ */
+export async function gatewayRequest(operation, params, { merchantId, merchantKey, mode }) {
+  const url = `${getApiBase(mode)}/${operation}`;
+  const timeoutMs = Number(process.env.REQUEST_TIMEOUT_MS || 15000);
+
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        merchantID: String(merchantId),
+        merchantPassword: String(merchantKey),
+        ...params,
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    throw gatewayError(`RocketGate ${operation} network error: ${err.message}`, {
+      code: 'RG_GATEWAY_UNREACHABLE',
+    });
+  }
+
+  if (resp.status === 404) return null;
+
+  const text = await resp.text().catch(() => '');
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // handled below
+  }
+
+  if (!resp.ok) {
+    throw gatewayError(`RocketGate ${operation} failed: HTTP ${resp.status}`, {
+      code: resp.status === 401 || resp.status === 403 ? 'RG_GATEWAY_AUTH' : 'RG_GATEWAY_HTTP',
+      raw: json ?? text.slice(0, 500),
+    });
+  }
+  if (!json || typeof json !== 'object') {
+    throw gatewayError(`RocketGate ${operation} returned a non-JSON body`, {
+      raw: text.slice(0, 500),
+    });
+  }
+  return json;
+}
+
+/**
+ * Normalize a gateway transaction record (multiple shapes tolerated).
+ */
+export function normalizeGatewayTransaction(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const rocketgateTxnId =
+    raw.transactID || raw.transactId || raw.transaction_id || raw.guidNo || null;
+
+  const amountRaw = raw.approvedAmount ?? raw.amount ?? null;
+  const amount = amountRaw == null || amountRaw === '' ? null : String(amountRaw);
+
+  const currencyRaw = raw.approvedCurrency ?? raw.currency ?? null;
+  const currency = currencyRaw ? String(currencyRaw).toUpperCase() : null;
+
+  return { status: deriveStatus(raw), rocketgateTxnId, amount, currency, raw };
+}
+
+function deriveStatus(raw) {
+  const word = (raw.status ?? raw.transactionState)?.toString().toLowerCase();
+  if (word && STATUS_MAP[word]) return STATUS_MAP[word];
+
+  const code = raw.responseCode == null ? null : String(raw.responseCode);
+  if (code === '1' || code === '2') return 'declined';
+  if (code != null && code !== '0') return 'error';
+
+  const type = raw.transactionType?.toString().toUpperCase();
+  if (code === '0') return TXN_TYPE_MAP[type] || 'paid';
+  return 'unknown';
+}
+
+/**
+ * Look up the latest transaction for an invoice (or a specific transactID).
+ * Returns the normalized shape, or null when the gateway has no record.
+ */
+export async function lookupTransaction({ invoice, transactId } = {}, creds) {
+  if (!invoice && !transactId) {
+    throw new Error('lookupTransaction: invoice or transactId is required');
+  }
+
+  const json = await gatewayRequest(
+    'lookup',
+    {
+      ...(invoice ? { merchantInvoiceID: String(invoice) } : {}),
+      ...(transactId ? { transactID: String(transactId) } : {}),
+    },
+    creds
+  );
+  if (!json) return null;
+
+  // Accept either a single record or { transactions: [...] } (latest last).
+  const record = Array.isArray(json.transactions) ? json.transactions.at(-1) : json;
+  return normalizeGatewayTransaction(record ?? null);
+}
+
+/**
+ * Shape a gateway action response (refund/void/...): normalized fields plus
+ * { ok, reasonCode } so callers can tell an approved action from a decline.
+ */
+function actionResult(json, fallbackStatus) {
+  const normalized = normalizeGatewayTransaction(json ?? {});
+  const code = json?.responseCode == null ? null : String(json.responseCode);
+  const ok = code === '0';
+  return {
+    ...normalized,
+    status: ok ? fallbackStatus : normalized.status,
+    ok,
+    reasonCode: json?.reasonCode == null ? null : String(json.reasonCode),
+  };
+}
+
+/**
+ * Refund (credit) a settled transaction. Omit `amount` for a full refund.
+ * `amount` is a major-unit string (e.g. "5.00"), like the Hosted Page amount.
+ */
+export async function refundTransaction({ transactId, amount, currency, invoice } = {}, creds) {
+  if (!transactId) throw new Error('refundTransaction: transactId is required');
+  const json = await gatewayRequest(
+    'refund',
+    {
+      transactID: String(transactId),
+      ...(amount != null ? { amount: String(amount) } : {}),
+      ...(currency ? { currency: String(currency).toUpperCase() } : {}),
+      ...(invoice ? { merchantInvoiceID: String(invoice) } : {}),
+    },
+    creds
+  );
+  if (!json) throw gatewayError(`RocketGate has no transaction ${transactId}`, { status: 404 });
+  return actionResult(json, 'refunded');
+}
+
+/**
+ * Void a transaction that has not settled yet.
+ */
+export async function voidTransaction({ transactId, invoice } = {}, creds) {
+  if (!transactId) throw new Error('voidTransaction: transactId is required');
+  const json = await gatewayRequest(
+    'void',
+    {
+      transactID: String(transactId),
+      ...(invoice ? { merchantInvoiceID: String(invoice) } : {}),
+    },
+    creds
+  );
+  if (!json) throw gatewayError(`RocketGate has no transaction ${transactId}`, { status: 404 });
+  return actionResult(json, 'voided');
+}
+
+/**
+ * Capture (ticket) an authorization. Omit `amount` to capture the full authorized
+ * amount; a smaller amount settles that much and releases the remainder.
+ */
+export async function captureTransaction({ transactId, amount, currency, invoice } = {}, creds) {
+  if (!transactId) throw new Error('captureTransaction: transactId is required');
+  const json = await gatewayRequest(
+    'capture',
+    {
+      transactID: String(transactId),
+      ...(amount != null ? { amount: String(amount) } : {}),
+      ...(currency ? { currency: String(currency).toUpperCase() } : {}),
+      ...(invoice ? { merchantInvoiceID: String(invoice) } : {}),
+    },
+    creds
+  );
+  if (!json) throw gatewayError(`RocketGate has no transaction ${transactId}`, { status: 404 });
+  return actionResult(json, 'captured');
+}
@@ -0,0 +1,155 @@
+// src/utils/secretBox.js
+/**
+ * Envelope encryption for secrets at rest (RocketGate merchant keys).
+ *
+ * Each secret gets its own random data key (AES-256-GCM). The data key is
+ * wrapped with a master key from SECRETS_MASTER_KEYS, and the master key's id
+ * is stored next to the ciphertext. Rotating the master key only re-wraps data
+ * keys; the secrets themselves are never re-encrypted.
+ *
+ *   SECRETS_MASTER_KEYS=2025-10:<base64 32 bytes>,2025-01:<base64 32 bytes>
+ *
+ * The first key encrypts; every listed key can decrypt. To rotate, put the new
+ * key first (keeping the old one), deploy, run `npm run keys:rotate`, then drop
+ * the old key.
+ *
+ * Ciphertext: "<wrapped data key>.<sealed secret>", each base64url(iv|tag|data).
+ * `aad` (e.g. the shop domain) is bound to both layers, so a ciphertext copied
+ * onto another row won't decrypt.
+ *
+ * API:
+ *   - hasMasterKeys()                                  // SECRETS_MASTER_KEYS is set
+ *   - activeKeyId()                                    // id that encrypts, or null
+ *   - encryptSecret(plaintext, { aad })                // -> { ciphertext, keyId }
+ *   - decryptSecret({ ciphertext, keyId }, { aad })    // -> plaintext
+ *   - rewrapSecret({ ciphertext, keyId }, { aad })     // -> { ciphertext, keyId } under the active key
+ *   - sealForStorage(plaintext, { aad })               // -> { plaintext, ciphertext, keyId } columns
+ *   - openFromStorage({ plaintext, ciphertext, keyId }, { aad })   // -> plaintext or null
+ *
+ * Errors are plain Errors with `.code`: MASTER_KEY_MISSING, MASTER_KEY_INVALID,
+ * UNKNOWN_KEY_ID, DECRYPT_FAILED.
+ */
+
+import crypto from 'node:crypto';
+
+const ALGO = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let warnedPlaintext = false;
+
+function fail(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** Parse SECRETS_MASTER_KEYS into ordered [{ id, key }]; the first entry is active. */
+function masterKeys() {
+  const raw = String(process.env.SECRETS_MASTER_KEYS || '').trim();
+  if (!raw) return [];
+  return raw.split(',').map((entry) => {
+    const [id, b64] = entry.trim().split(':');
+    const key = Buffer.from(String(b64 || ''), 'base64');
+    if (!id || key.length !== 32) {
+      throw fail(
+        'MASTER_KEY_INVALID',
+        'SECRETS_MASTER_KEYS entries must be "<id>:<base64 32 bytes>"'
+      );
+    }
+    return { id, key };
+  });
+}
+
+function masterKey(keyId) {
+  const found = masterKeys().find((k) => k.id === keyId);
+  if (!found) throw fail('UNKNOWN_KEY_ID', `No master key "${keyId}" in SECRETS_MASTER_KEYS`);
+  return found.key;
+}
+
+function activeMasterKey() {
+  const [active] = masterKeys();
+  if (!active) throw fail('MASTER_KEY_MISSING', 'SECRETS_MASTER_KEYS is not set');
+  return active;
+}
+
+function seal(key, data, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const body = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+  const buf = Buffer.from(String(sealed), 'base64url');
+  try {
+    const decipher = crypto.createDecipheriv(ALGO, key, buf.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw fail('DECRYPT_FAILED', 'Secret could not be decrypted (wrong key or tampered data)');
+  }
+}
+
+function splitCiphertext(ciphertext) {
+  const [wrapped, sealed, extra] = String(ciphertext ?? '').split('.');
+  if (!wrapped || !sealed || extra !== undefined) {
+    throw fail('DECRYPT_FAILED', 'Malformed secret ciphertext');
+  }
+  return { wrapped, sealed };
+}
+
+export function hasMasterKeys() {
+  return masterKeys().length > 0;
+}
+
+export function activeKeyId() {
+  return masterKeys()[0]?.id ?? null;
+}
+
+export function encryptSecret(plaintext, { aad = '' } = {}) {
+  const master = activeMasterKey();
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(master.key, dataKey, aad);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), aad);
+  return { ciphertext: `${wrapped}.${sealed}`, keyId: master.id };
+}
+
+export function decryptSecret({ ciphertext, keyId }, { aad = '' } = {}) {
+  const { wrapped, sealed } = splitCiphertext(ciphertext);
+  const dataKey = open(masterKey(keyId), wrapped, aad);
+  return open(dataKey, sealed, aad).toString('utf8');
+}
+
+/** Re-wrap the data key under the active master key; the sealed secret is kept as is. */
+export function rewrapSecret({ ciphertext, keyId }, { aad = '' } = {}) {
+  const { wrapped, sealed } = splitCiphertext(ciphertext);
+  const master = activeMasterKey();
+  if (keyId === master.id) return { ciphertext, keyId };
+  const dataKey = open(masterKey(keyId), wrapped, aad);
+  return { ciphertext: `${seal(master.key, dataKey, aad)}.${sealed}`, keyId: master.id };
+}
+
+/**
+ * Values for a row's secret columns. Outside production a missing master key
+ * falls back to plaintext (warned once) so local setups work without one; in
+ * production it throws MASTER_KEY_MISSING.
+ */
+export function sealForStorage(plaintext, { aad = '' } = {}) {
+  if (!hasMasterKeys() && process.env.NODE_ENV !== 'production') {
+    if (!warnedPlaintext) {
+      console.warn('[secretBox] SECRETS_MASTER_KEYS is not set; storing secrets in plaintext');
+      warnedPlaintext = true;
+    }
+    return { plaintext: String(plaintext), ciphertext: null, keyId: null };
+  }
+  return { plaintext: null, ...encryptSecret(plaintext, { aad }) };
+}
+
+/** A stored secret back in the clear: decrypts ciphertext, else returns the plaintext column. */
+export function openFromStorage({ plaintext, ciphertext, keyId }, { aad = '' } = {}) {
+  if (ciphertext) return decryptSecret({ ciphertext, keyId }, { aad });
+  return plaintext ?? null;
+}
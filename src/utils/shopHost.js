@@ -32,3 +32,14 @@ export function canonicalShopHost(input) {
 
   return host;
 }
+
+// Shop used by the single-merchant flows (/pay/init, /app-proxy/init) and by RocketGate
+// callbacks that don't name one: SHOPLAZZA_DEFAULT_SHOP, canonicalized (null if unset)
+export function defaultShopHost() {
+  return canonicalShopHost(process.env.SHOPLAZZA_DEFAULT_SHOP);
+}
+
+// An explicit shop wins (null if its shape is invalid); without one, the default shop
+export function shopOrDefault(input) {
+  return input ? canonicalShopHost(input) : defaultShopHost();
+}
@@ -0,0 +1,95 @@
+// src/utils/shoplazzaApps.js
+/**
+ * Which Shoplazza app listing (client id/secret, redirect URL, scopes, API
+ * version) a shop uses. Launch HMACs, webhook signatures and signed calls to
+ * Shoplazza all use the shop's own app secret.
+ *
+ * Priority:
+ *  1) The registered app the shop installed through (shops.client_id -> shoplazza_apps)
+ *  2) SHOPLAZZA_APP_MAP entry for the shop (legacy env JSON:
+ *     {"rg-demo.myshoplazza.com":{"client_id":"...","client_secret":"..."}})
+ *  3) Single-tenant env (SHOPLAZZA_CLIENT_ID / SHOPLAZZA_CLIENT_SECRET)
+ * Registered apps without a redirect URL, scopes or API version use the env ones.
+ *
+ * Every resolver returns { appKey, clientId, clientSecret, redirectUrl, scopes, apiVersion };
+ * appKey is null for env credentials.
+ */
+
+import { getShoplazzaApp, getShoplazzaAppByClientId } from '../db/shoplazzaApps.js';
+import { getShop } from '../db/shops.js';
+
+function envDefaults() {
+  return {
+    redirectUrl: process.env.SHOPLAZZA_REDIRECT_URL || null,
+    scopes: process.env.SHOPLAZZA_SCOPES || null,
+    apiVersion: process.env.SHOPLAZZA_API_VERSION || '2022-01',
+  };
+}
+
+function fromRegistry(app) {
+  const defaults = envDefaults();
+  return {
+    appKey: app.appKey,
+    clientId: app.clientId,
+    clientSecret: app.clientSecret || null,
+    redirectUrl: app.redirectUrl || defaults.redirectUrl,
+    scopes: app.scopes || defaults.scopes,
+    apiVersion: app.apiVersion || defaults.apiVersion,
+  };
+}
+
+/** Env credentials for a shop (SHOPLAZZA_APP_MAP entry, else the single-tenant app). */
+export function envShopApp(shopHost) {
+  let fromMap;
+  if (process.env.SHOPLAZZA_APP_MAP) {
+    try {
+      const map = JSON.parse(process.env.SHOPLAZZA_APP_MAP);
+      fromMap = shopHost ? map?.[shopHost] : undefined;
+    } catch (e) {
+      console.warn('Invalid SHOPLAZZA_APP_MAP JSON; falling back to single-tenant env.', e);
+    }
+  }
+
+  return {
+    appKey: null,
+    clientId: fromMap?.client_id || process.env.SHOPLAZZA_CLIENT_ID || null,
+    clientSecret: fromMap?.client_secret || process.env.SHOPLAZZA_CLIENT_SECRET || null,
+    ...envDefaults(),
+  };
+}
+
+/** The app a shop installed through, else its env credentials. */
+export async function resolveShopApp(shop) {
+  const shopHost = String(shop ?? '')
+    .trim()
+    .toLowerCase();
+  const clientId = shopHost ? (await getShop(shopHost))?.clientId : null;
+  const app = clientId ? await getShoplazzaAppByClientId(clientId) : null;
+  return app ? fromRegistry(app) : envShopApp(shopHost);
+}
+
+/**
+ * The app a new install goes through: the listing named by `appKey` (null if it
+ * isn't registered), else the shop's current app, else SHOPLAZZA_DEFAULT_APP,
+ * else env credentials.
+ */
+export async function resolveInstallApp(shop, { appKey } = {}) {
+  if (appKey) {
+    const app = await getShoplazzaApp(appKey);
+    return app ? fromRegistry(app) : null;
+  }
+
+  const current = await resolveShopApp(shop);
+  if (current.appKey) return current;
+
+  const fallback = process.env.SHOPLAZZA_DEFAULT_APP
+    ? await getShoplazzaApp(process.env.SHOPLAZZA_DEFAULT_APP)
+    : null;
+  return fallback ? fromRegistry(fallback) : current;
+}
+
+/** A registered app by client id (as recorded on an OAuth state), else env credentials. */
+export async function resolveAppByClientId(clientId, { shop } = {}) {
+  const app = clientId ? await getShoplazzaAppByClientId(clientId) : null;
+  return app ? fromRegistry(app) : envShopApp(shop);
+}
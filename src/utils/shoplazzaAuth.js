@@ -1,6 +1,8 @@
 // src/utils/shoplazzaAuth.js
 import crypto from 'crypto';
 
+import { resolveShopApp } from './shoplazzaApps.js';
+
 function timingSafeEqualStr(a, b) {
   const ab = Buffer.from(a || '', 'utf8');
   const bb = Buffer.from(b || '', 'utf8');
@@ -8,16 +10,30 @@ function timingSafeEqualStr(a, b) {
   return crypto.timingSafeEqual(ab, bb);
 }
 
-export function verifyShoplazzaSignature(req) {
+/** The shop a Shoplazza request is for, from its shop-domain header. */
+export function shoplazzaRequestShop(req) {
+  return req.header('Shoplazza-Shop-Domain') || req.header('X-Shoplazza-Shop-Domain') || null;
+}
+
+/**
+ * Secret a shop's Shoplazza requests are signed with: the client secret of the
+ * registered app it installed through, else SHOPLAZZA_WEBHOOK_SECRET.
+ */
+export async function shoplazzaSigningSecret(shop) {
+  const shopApp = shop ? await resolveShopApp(shop) : null;
+  return (shopApp?.appKey && shopApp.clientSecret) || process.env.SHOPLAZZA_WEBHOOK_SECRET || '';
+}
+
+export async function verifyShoplazzaSignature(req) {
   const {
-    SHOPLAZZA_WEBHOOK_SECRET,
     SHOPLAZZA_SIGNATURE_HEADER = 'X-Shoplazza-Signature',
     SHOPLAZZA_TIMESTAMP_HEADER = 'X-Shoplazza-Timestamp',
     SHOPLAZZA_SIGNATURE_ENCODING = 'base64',
     SHOPLAZZA_TS_TOLERANCE_SECONDS = '300',
   } = process.env;
 
-  if (!SHOPLAZZA_WEBHOOK_SECRET) throw new Error('Missing SHOPLAZZA_WEBHOOK_SECRET');
+  const secret = await shoplazzaSigningSecret(shoplazzaRequestShop(req));
+  if (!secret) throw new Error('Missing SHOPLAZZA_WEBHOOK_SECRET');
 
   const sigHeader = req.header(SHOPLAZZA_SIGNATURE_HEADER) || '';
   const tsHeader = req.header(SHOPLAZZA_TIMESTAMP_HEADER) || '';
@@ -31,14 +47,14 @@ export function verifyShoplazzaSignature(req) {
 
   const raw = req.rawBody ?? Buffer.from('');
   const digest = crypto
-    .createHmac('sha256', SHOPLAZZA_WEBHOOK_SECRET)
+    .createHmac('sha256', secret)
     .update(raw)
     .digest(SHOPLAZZA_SIGNATURE_ENCODING);
 
   return timingSafeEqualStr(digest, sigHeader);
 }
 
-export function maybeVerifyShoplazzaSignature(req, res, next) {
+export async function maybeVerifyShoplazzaSignature(req, res, next) {
   // Prefer runtime flag set by tests; fallback to env
   const runtimeFlag = req.app?.locals?.verifySignatures;
   const envFlag =
@@ -46,9 +62,16 @@ export function maybeVerifyShoplazzaSignature(req, res, next) {
   const on = runtimeFlag ?? envFlag;
 
   if (!on) return next();
+  return requireShoplazzaSignature(req, res, next);
+}
 
+/**
+ * Always verifies, whatever VERIFY_SHOPLAZZA_SIGNATURE says: for webhooks whose
+ * effects can't be undone by a retry (e.g. app/uninstalled revokes the token).
+ */
+export async function requireShoplazzaSignature(req, res, next) {
   try {
-    if (!verifyShoplazzaSignature(req)) {
+    if (!(await verifyShoplazzaSignature(req))) {
       return res.status(401).json({ error: { code: 'INVALID_SIGNATURE' } });
     }
     return next();
@@ -0,0 +1,142 @@
+// src/utils/shoplazzaPayments.js
+/**
+ * Outbound calls to Shoplazza's payments-app endpoints.
+ *
+ * Both the sync Complete Payment (complete_callbacks) and the async Notify Payment
+ * (the `callback_url` handed to /payments/session) are JSON POSTs that carry:
+ *   - Access-Token            the shop's OAuth token
+ *   - Shoplazza-Shop-Domain   the shop host
+ *   - Shoplazza-Hmac-Sha256   hex HMAC-SHA256 of the raw JSON body with the client secret of
+ *                             the app the shop installed through (src/utils/shoplazzaApps.js)
+ */
+import crypto from 'crypto';
+
+import { getShop } from '../db/shops.js';
+
+import { formatMinorUnits } from './money.js';
+import { resolveShopApp } from './shoplazzaApps.js';
+
+/**
+ * Internal payment status -> Shoplazza Notify Payment { status, type }.
+ * Statuses not listed here (pending, returned_*, ...) are not forwarded.
+ */
+const NOTIFY_STATUS = {
+  paid: { status: 'success', type: 'sale' },
+  authorized: { status: 'success', type: 'authorization' },
+  captured: { status: 'success', type: 'capture' },
+  declined: { status: 'failed', type: 'sale' },
+  error: { status: 'failed', type: 'sale' },
+  voided: { status: 'cancelled', type: 'void' },
+  partially_refunded: { status: 'refunded', type: 'refund' },
+  refunded: { status: 'refunded', type: 'refund' },
+};
+
+export function signShoplazzaBody(bodyJson, secret = process.env.SHOPLAZZA_CLIENT_SECRET || '') {
+  return crypto.createHmac('sha256', secret).update(bodyJson).digest('hex');
+}
+
+/**
+ * Best-effort token lookup: a missing/unreadable shop row still lets the call go
+ * out (Shoplazza will answer 401, which the caller records).
+ */
+export async function loadShopAccessToken(shop) {
+  try {
+    return (await getShop(String(shop)))?.accessToken || null;
+  } catch (err) {
+    console.warn(`[shoplazza] access token lookup failed for ${shop}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Signed JSON POST to a Shoplazza payments-app endpoint.
+ * Never throws on HTTP errors; returns { ok, status, resText, sent }.
+ * Network errors propagate to the caller.
+ */
+export async function postShoplazzaPaymentCallback({ url, shop, body }) {
+  const bodyJson = JSON.stringify(body);
+  const accessToken = await loadShopAccessToken(shop);
+  const { clientSecret } = await resolveShopApp(shop);
+
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Token': accessToken || '',
+      'Shoplazza-Shop-Domain': String(shop),
+      'Shoplazza-Hmac-Sha256': signShoplazzaBody(bodyJson, clientSecret || ''),
+    },
+    body: bodyJson,
+    signal: AbortSignal.timeout(Number(process.env.REQUEST_TIMEOUT_MS || 15000)),
+  });
+
+  let resText = '';
+  try {
+    resText = (await resp.text()).slice(0, 400);
+  } catch (err) {
+    console.warn('Error reading Shoplazza response text', err);
+  }
+  return { ok: resp.ok, status: resp.status, resText, sent: body };
+}
+
+/**
+ * Build the Notify Payment body for a payments row, or null when the row's
+ * status is not something Shoplazza needs to hear about. `appId` is the client
+ * id of the shop's app (defaults to SHOPLAZZA_CLIENT_ID). For a refund or capture
+ * status, `entry` (the payment_ledger entry behind it) gives the refunded/captured
+ * amount and transaction.
+ */
+export function buildNotifyPaymentBody(
+  payment,
+  { appId = process.env.SHOPLAZZA_CLIENT_ID, entry: ledgerEntry = null } = {}
+) {
+  const mapped = NOTIFY_STATUS[payment?.status];
+  if (!mapped) return null;
+
+  const entry = ['refund', 'capture'].includes(mapped.type) ? ledgerEntry : null;
+  return {
+    app_id: String(appId || ''),
+    payment_id: String(payment.payment_id),
+    amount: Number(
+      formatMinorUnits((entry ?? payment).amount_minor ?? 0, entry?.currency ?? payment.currency)
+    ),
+    currency: String(payment.currency || 'USD'),
+    transaction_no: String(entry?.rocketgate_txn || payment.rocketgate_txn || ''),
+    type: mapped.type,
+    test: Boolean(Number(payment.test_mode ?? 0)),
+    status: mapped.status,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Where and what to send for a payment's current result: { shop, url, body, dedupeKey }
+ * aimed at its stored callback_url, or { skipped: reason } when there is nothing to send.
+ * `entry` is the payment_ledger entry behind an app action (refund, void, capture,
+ * release); each refund is its own notify with its own dedupe key.
+ * Dedupe keys start with the shop: payment ids are only unique per shop.
+ * Delivery (and retries) go through the outbox; see src/utils/outbox.js.
+ */
+export async function buildNotifyPaymentRequest(payment, { entry = null } = {}) {
+  if (!payment?.callback_url) return { skipped: 'no_callback_url' };
+  if (!NOTIFY_STATUS[payment.status]) return { skipped: `status_${payment.status}_not_forwarded` };
+
+  let shop = payment.shop_domain;
+  if (!shop) {
+    try {
+      shop = new URL(payment.callback_url).hostname;
+    } catch {
+      return { skipped: 'invalid_callback_url' };
+    }
+  }
+
+  const { clientId } = await resolveShopApp(shop);
+  const dedupeKey = `${shop}:notify:${payment.payment_id}:${payment.status}`;
+  const isRefund = entry && NOTIFY_STATUS[payment.status].type === 'refund';
+  return {
+    shop,
+    url: payment.callback_url,
+    body: buildNotifyPaymentBody(payment, { appId: clientId, entry }),
+    dedupeKey: isRefund ? `${dedupeKey}:ledger:${entry.id}` : dedupeKey,
+  };
+}
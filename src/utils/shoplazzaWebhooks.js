@@ -0,0 +1,159 @@
+// src/utils/shoplazzaWebhooks.js
+/**
+ * Shoplazza webhook subscriptions (Open API `/openapi/{version}/webhooks`).
+ *
+ * WEBHOOK_MANIFEST is the declarative list of topics every installed shop is
+ * subscribed to, and the receiver route each is delivered to (handled by
+ * src/routes/webhooks.js). syncShopWebhooks diffs it against the shop's
+ * existing subscriptions: missing ones are created, and stale ones pointing at
+ * this app (old topics, old addresses, duplicates) are deleted.
+ *
+ * Creations are queued through the outbox (kind `webhook_register`) so a failed
+ * call is retried instead of lost. Resync every installed shop with
+ * `npm run webhooks:sync` or POST /admin/webhooks/sync.
+ */
+import { listInstalledShops } from '../db/shops.js';
+
+import { deliverViaOutbox } from './outbox.js';
+import { resolveShopApp } from './shoplazzaApps.js';
+import { loadShopAccessToken } from './shoplazzaPayments.js';
+
+/** topic -> receiver route (relative to APP_BASE_URL) */
+export const WEBHOOK_MANIFEST = Object.freeze({
+  'app/uninstalled': '/webhooks/shoplazza/app/uninstalled',
+  'orders/paid': '/webhooks/shoplazza/orders/paid',
+});
+
+/** Shoplazza Open API base for a shop (SHOPLAZZA_API_BASE overrides, e.g. a mock). */
+function apiBase(shop) {
+  const override = process.env.SHOPLAZZA_API_BASE;
+  return override ? override.replace(/\/+$/, '') : `https://${shop}`;
+}
+
+export function webhooksEndpoint(shop, version = process.env.SHOPLAZZA_API_VERSION || '2022-01') {
+  return `${apiBase(shop)}/openapi/${version}/webhooks`;
+}
+
+/** The subscriptions a shop should have: [{ topic, address }] */
+export function desiredWebhooks(base = process.env.APP_BASE_URL) {
+  const origin = String(base || '').replace(/\/+$/, '');
+  return Object.entries(WEBHOOK_MANIFEST).map(([topic, route]) => ({
+    topic,
+    address: `${origin}${route}`,
+  }));
+}
+
+async function shoplazzaRequest(shop, url, { method = 'GET', body } = {}) {
+  const accessToken = await loadShopAccessToken(shop);
+  return await fetch(url, {
+    method,
+    headers: {
+      'Access-Token': accessToken || '',
+      'Content-Type': 'application/json',
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(Number(process.env.REQUEST_TIMEOUT_MS || 15000)),
+  });
+}
+
+/**
+ * Create one webhook subscription. The access token is read from the shops table
+ * at send time, so queued retries pick up a reinstall's fresh token.
+ * Never throws on HTTP errors; returns { ok, status, resText, sent }.
+ */
+export async function postShoplazzaWebhook({ url, shop, body }) {
+  const resp = await shoplazzaRequest(shop, url, { method: 'POST', body });
+  const resText = (await resp.text().catch(() => '')).slice(0, 400);
+  return { ok: resp.ok, status: resp.status, resText, sent: body };
+}
+
+/**
+ * The shop's current subscriptions for our app: [{ id, topic, address }].
+ * Throws (err.status set) when Shoplazza doesn't answer 2xx.
+ */
+export async function listShoplazzaWebhooks({ shop, apiVersion }) {
+  const resp = await shoplazzaRequest(shop, webhooksEndpoint(shop, apiVersion));
+  if (!resp.ok) {
+    const err = new Error(`Webhook list failed for ${shop}: ${resp.status}`);
+    err.status = resp.status;
+    throw err;
+  }
+  const json = await resp.json().catch(() => ({}));
+  const list = json?.webhooks ?? json?.data?.webhooks ?? [];
+  return list.map((w) => ({ id: String(w.id), topic: w.topic, address: w.address }));
+}
+
+/** Delete one subscription. Never throws on HTTP errors; returns { ok, status }. */
+export async function deleteShoplazzaWebhook({ shop, apiVersion, id }) {
+  const url = `${webhooksEndpoint(shop, apiVersion)}/${encodeURIComponent(id)}`;
+  const resp = await shoplazzaRequest(shop, url, { method: 'DELETE' });
+  return { ok: resp.ok, status: resp.status };
+}
+
+/**
+ * Bring one shop's subscriptions in line with WEBHOOK_MANIFEST.
+ * `existing` skips the list call (e.g. [] when it can't be listed at install time;
+ * a later sync removes any duplicate that creates).
+ * Subscriptions pointing outside APP_BASE_URL are left alone.
+ * Returns { shop, created, queued, deleted, unchanged, failed }.
+ */
+export async function syncShopWebhooks({ shop, apiVersion, existing } = {}) {
+  const version = apiVersion || (await resolveShopApp(shop)).apiVersion;
+  const current = existing ?? (await listShoplazzaWebhooks({ shop, apiVersion: version }));
+  const desired = desiredWebhooks();
+  const ours = (address) => {
+    try {
+      return new URL(address).origin === new URL(process.env.APP_BASE_URL).origin;
+    } catch {
+      return false;
+    }
+  };
+
+  const result = { shop, created: [], queued: [], deleted: [], unchanged: [], failed: [] };
+  const kept = new Set();
+  const stale = [];
+  for (const sub of current) {
+    const key = `${sub.topic} ${sub.address}`;
+    const wanted = desired.some((d) => d.topic === sub.topic && d.address === sub.address);
+    if (wanted && !kept.has(key)) {
+      kept.add(key);
+      result.unchanged.push(sub.topic);
+    } else if (ours(sub.address)) {
+      stale.push(sub);
+    }
+  }
+
+  for (const { topic, address } of desired) {
+    if (kept.has(`${topic} ${address}`)) continue;
+    const sent = await deliverViaOutbox({
+      kind: 'webhook_register',
+      shop,
+      url: webhooksEndpoint(shop, version),
+      body: { topic, address, format: 'json' },
+    });
+    if (sent.ok) result.created.push(topic);
+    else if (sent.outboxStatus === 'dead') result.failed.push({ topic, status: sent.status });
+    else result.queued.push({ topic, outboxId: sent.outboxId });
+  }
+
+  for (const sub of stale) {
+    const removed = await deleteShoplazzaWebhook({ shop, apiVersion: version, id: sub.id });
+    if (removed.ok) result.deleted.push(sub);
+    else result.failed.push({ ...sub, status: removed.status });
+  }
+
+  return result;
+}
+
+/** Resync every installed shop; one shop's failure doesn't stop the others. */
+export async function syncAllShopWebhooks() {
+  const results = [];
+  for (const shop of await listInstalledShops()) {
+    try {
+      results.push(await syncShopWebhooks({ shop }));
+    } catch (err) {
+      results.push({ shop, error: err.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,138 @@
+/**
+ * Tests the authorization-then-capture mode.
+ * - Shops with payment_type=authorization get Hosted Page links signed with purchase=false.
+ * - /app-api/payments/:orderId/capture settles all or part of an authorization.
+ * - /app-api/payments/:orderId/release voids an authorization instead.
+ * - Refunds after a partial capture are capped at the captured amount.
+ * - A capture racing a release (or another capture) reaches the gateway once.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { createOrUpdatePayment, runMigrations, upsertRgSettings } from '../src/db/index.js';
+import { app } from '../src/index.js';
+import { toMinorUnits } from '../src/utils/money.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+import { startRocketGateStub } from './fixtures/rocketgateStub.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-capture.myshoplazza.com';
+
+async function seedAuthorizedPayment(stub, orderId, amount) {
+  const tx = stub.addTransaction({
+    merchantID: '4004',
+    merchantInvoiceID: orderId,
+    transactionType: 'CC_AUTH',
+    approvedAmount: amount,
+    approvedCurrency: 'USD',
+  });
+  await createOrUpdatePayment({
+    shopDomain: SHOP,
+    orderId,
+    paymentId: `P-${orderId}`,
+    amountMinor: toMinorUnits(amount, 'USD'),
+    currency: 'USD',
+    status: 'authorized',
+    rocketgateTxnId: tx.transactID,
+  });
+  return tx;
+}
+
+describe('authorization-then-capture', () => {
+  let stub;
+  let cookie;
+
+  beforeAll(async () => {
+    await runMigrations();
+    stub = await startRocketGateStub({ merchants: { 4004: 'capture_key' } });
+    process.env.ROCKETGATE_API_BASE_URL = stub.baseUrl;
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    cookie = sessionCookie(SHOP);
+    await upsertRgSettings({
+      shop: SHOP,
+      merchantId: '4004',
+      merchantKey: 'capture_key',
+      paymentType: 'authorization',
+    });
+  });
+
+  afterAll(async () => {
+    await stub.close();
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('signs auth-only Hosted Page links for authorization shops', async () => {
+    const res = await request(app)
+      .post('/app-api/test-hosted-page')
+      .set('Cookie', cookie)
+      .send({ amount: 10, currency: 'USD' });
+    expect(res.status).toBe(200);
+    expect(new URL(res.body.url).searchParams.get('purchase')).toBe('false');
+  });
+
+  it('captures part of an authorization and caps refunds at the captured amount', async () => {
+    const orderId = 'O-CAP-1';
+    await seedAuthorizedPayment(stub, orderId, '50.00');
+
+    const cap = await request(app)
+      .post(`/app-api/payments/${orderId}/capture`)
+      .set('Cookie', cookie)
+      .send({ amount: '30.00' });
+    expect(cap.status).toBe(200);
+    expect(cap.body.payment.status).toBe('captured');
+    expect(cap.body.released).toBe('20.00');
+    expect(cap.body.entry).toMatchObject({ kind: 'capture', status: 'succeeded' });
+
+    const twice = await request(app)
+      .post(`/app-api/payments/${orderId}/capture`)
+      .set('Cookie', cookie)
+      .send({});
+    expect(twice.status).toBe(409);
+
+    const refunds = await request(app)
+      .get(`/app-api/payments/${orderId}/refunds`)
+      .set('Cookie', cookie);
+    expect(refunds.body.refundable).toBe('30.00');
+  });
+
+  it('rejects captures above the authorized amount', async () => {
+    await seedAuthorizedPayment(stub, 'O-CAP-2', '10.00');
+    const res = await request(app)
+      .post('/app-api/payments/O-CAP-2/capture')
+      .set('Cookie', cookie)
+      .send({ amount: '10.01' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_AMOUNT');
+  });
+
+  it('releases an authorization', async () => {
+    const orderId = 'O-CAP-3';
+    await seedAuthorizedPayment(stub, orderId, '15.00');
+
+    const res = await request(app)
+      .post(`/app-api/payments/${orderId}/release`)
+      .set('Cookie', cookie)
+      .send({ reason: 'out of stock' });
+    expect(res.status).toBe(200);
+    expect(res.body.payment.status).toBe('voided');
+    expect(res.body.entry).toMatchObject({ kind: 'release', status: 'succeeded' });
+    expect(stub.calls.at(-1).op).toBe('void');
+  });
+
+  it('calls the gateway once when a capture and a release race', async () => {
+    const orderId = 'O-CAP-4';
+    const tx = await seedAuthorizedPayment(stub, orderId, '12.00');
+    const post = (action) =>
+      request(app).post(`/app-api/payments/${orderId}/${action}`).set('Cookie', cookie).send({});
+
+    const [capture, release] = await Promise.all([post('capture'), post('release')]);
+    expect([capture.status, release.status].sort()).toEqual([200, 409]);
+    const lost = capture.status === 409 ? capture : release;
+    expect(lost.body.code).toBe(capture.status === 409 ? 'NOT_CAPTURABLE' : 'NOT_RELEASABLE');
+    expect(stub.calls.filter((c) => c.body.transactID === tx.transactID)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests refund/void from the embedded app (/app-api/payments).
+ * - Partial then full refunds against the RocketGate stand-in, each recorded in payment_ledger.
+ * - Payment state moves paid -> partially_refunded -> refunded; voids move paid -> voided.
+ * - Over-refunds, wrong states and other shops' orders are rejected.
+ * - Concurrent and in-flight (pending) refunds count against the refundable amount.
+ * - Racing voids reach the gateway once; the other gets 409 NOT_VOIDABLE.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  createOrUpdatePayment,
+  getPayment,
+  insertLedgerEntry,
+  runMigrations,
+  upsertRgSettings,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+import { toMinorUnits } from '../src/utils/money.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+import { startRocketGateStub } from './fixtures/rocketgateStub.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-refunds.myshoplazza.com';
+
+async function seedPaidPayment(stub, orderId, amount) {
+  const tx = stub.addTransaction({
+    merchantID: '3003',
+    merchantInvoiceID: orderId,
+    transactionType: 'CC_PURCHASE',
+    approvedAmount: amount,
+    approvedCurrency: 'USD',
+  });
+  await createOrUpdatePayment({
+    shopDomain: SHOP,
+    orderId,
+    paymentId: `P-${orderId}`,
+    amountMinor: toMinorUnits(amount, 'USD'),
+    currency: 'USD',
+    status: 'paid',
+    rocketgateTxnId: tx.transactID,
+  });
+  return tx;
+}
+
+describe('/app-api/payments refunds & voids', () => {
+  let stub;
+  let cookie;
+
+  beforeAll(async () => {
+    await runMigrations();
+    stub = await startRocketGateStub({ merchants: { 3003: 'refund_key' } });
+    process.env.ROCKETGATE_API_BASE_URL = stub.baseUrl;
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    cookie = sessionCookie(SHOP);
+    await upsertRgSettings({ shop: SHOP, merchantId: '3003', merchantKey: 'refund_key' });
+  });
+
+  afterAll(async () => {
+    await stub.close();
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('requires an app session', async () => {
+    const res = await request(app).post('/app-api/payments/O-RF-0/refunds').send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('refunds partially, then the remainder, recording ledger entries', async () => {
+    const orderId = 'O-RF-1';
+    const tx = await seedPaidPayment(stub, orderId, '20.00');
+
+    const partial = await request(app)
+      .post(`/app-api/payments/${orderId}/refunds`)
+      .set('Cookie', cookie)
+      .send({ amount: '5.00', reason: 'damaged item' });
+    expect(partial.status).toBe(201);
+    expect(partial.body.payment.status).toBe('partially_refunded');
+    expect(partial.body.refundable).toBe('15.00');
+    expect(partial.body.entry).toMatchObject({ kind: 'refund', status: 'succeeded' });
+    expect(stub.calls.at(-1)).toMatchObject({
+      op: 'refund',
+      body: { transactID: tx.transactID, amount: '5.00', currency: 'USD' },
+    });
+
+    const tooMuch = await request(app)
+      .post(`/app-api/payments/${orderId}/refunds`)
+      .set('Cookie', cookie)
+      .send({ amount: '15.01' });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.code).toBe('INVALID_AMOUNT');
+
+    const rest = await request(app)
+      .post(`/app-api/payments/${orderId}/refunds`)
+      .set('Cookie', cookie)
+      .send({});
+    expect(rest.status).toBe(201);
+    expect(rest.body.payment.status).toBe('refunded');
+    expect(rest.body.entry.amount_minor).toBe(1500);
+
+    const list = await request(app)
+      .get(`/app-api/payments/${orderId}/refunds`)
+      .set('Cookie', cookie);
+    expect(list.status).toBe(200);
+    expect(list.body.entries).toHaveLength(2);
+    expect(list.body.refundable).toBe('0.00');
+
+    const again = await request(app)
+      .post(`/app-api/payments/${orderId}/refunds`)
+      .set('Cookie', cookie)
+      .send({});
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('NOT_REFUNDABLE');
+  });
+
+  it('never refunds more than was paid when refunds race or are in flight', async () => {
+    const orderId = 'O-RF-4';
+    await seedPaidPayment(stub, orderId, '25.00');
+    const refund = (body) =>
+      request(app).post(`/app-api/payments/${orderId}/refunds`).set('Cookie', cookie).send(body);
+
+    // 15.00 + 15.00 > 25.00: only one of two simultaneous refunds may go through
+    const results = await Promise.all([refund({ amount: '15.00' }), refund({ amount: '15.00' })]);
+    expect(results.map((r) => r.status).sort()).toEqual([201, 400]);
+    expect(results.find((r) => r.status === 400).body).toMatchObject({
+      code: 'INVALID_AMOUNT',
+      error: 'Refund amount must be between 0.01 and 10.00.',
+    });
+
+    // A refund whose gateway call never settled still holds its amount
+    const payment = await getPayment(orderId, { shop: SHOP });
+    await insertLedgerEntry({ payment, kind: 'refund', amountMinor: 600, currency: 'USD' });
+    const rest = await refund({});
+    expect(rest.status).toBe(201);
+    expect(rest.body.entry.amount_minor).toBe(400);
+    expect(rest.body.refundable).toBe('0.00');
+    expect(rest.body.payment.status).toBe('refunded');
+  });
+
+  it('voids a paid payment and refuses to void it twice', async () => {
+    const orderId = 'O-RF-2';
+    await seedPaidPayment(stub, orderId, '9.99');
+
+    const res = await request(app)
+      .post(`/app-api/payments/${orderId}/void`)
+      .set('Cookie', cookie)
+      .send({ reason: 'duplicate order' });
+    expect(res.status).toBe(200);
+    expect(res.body.payment.status).toBe('voided');
+    expect(res.body.entry).toMatchObject({ kind: 'void', status: 'succeeded' });
+
+    const second = await request(app)
+      .post(`/app-api/payments/${orderId}/void`)
+      .set('Cookie', cookie)
+      .send({});
+    expect(second.status).toBe(409);
+  });
+
+  it('calls the gateway once when two voids race', async () => {
+    const orderId = 'O-RF-5';
+    const tx = await seedPaidPayment(stub, orderId, '7.00');
+    const voidIt = () =>
+      request(app).post(`/app-api/payments/${orderId}/void`).set('Cookie', cookie).send({});
+
+    const results = await Promise.all([voidIt(), voidIt()]);
+    expect(results.map((r) => r.status).sort()).toEqual([200, 409]);
+    expect(results.find((r) => r.status === 409).body.code).toBe('NOT_VOIDABLE');
+    expect(
+      stub.calls.filter((c) => c.op === 'void' && c.body.transactID === tx.transactID)
+    ).toHaveLength(1);
+  });
+
+  it('hides payments that belong to another shop', async () => {
+    await seedPaidPayment(stub, 'O-RF-3', '3.00');
+    const res = await request(app)
+      .post('/app-api/payments/O-RF-3/refunds')
+      .set('Cookie', sessionCookie('someone-else.myshoplazza.com'))
+      .send({});
+    expect(res.status).toBe(404);
+  });
+});
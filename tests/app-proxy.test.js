@@ -0,0 +1,137 @@
+/**
+ * Tests the storefront App Proxy routes (/app-proxy/init, /app-proxy/status), multi-tenant:
+ * - Hosted Page links are signed with the proxied shop's own RocketGate credentials.
+ * - The shop's test/live mode picks the RocketGate environment and is recorded on the payment,
+ *   as is the signing profile the link was signed with.
+ * - A RocketGate notify echoing the buyer's customer id settles the order's payment.
+ * - A shop without RocketGate settings gets a storefront "payment unavailable" page.
+ * - /app-proxy/status shows state, masked txn id and timeline; it refreshes while unsettled.
+ */
+
+import crypto from 'node:crypto';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { getPayment, runMigrations, setPaymentStatus } from '../src/db/index.js';
+import { upsertRgSettings } from '../src/db/rgSettings.js';
+import { app } from '../src/index.js';
+import { verifyHostedPageHash } from '../src/utils/rocketgate.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP_A = 'rg-proxy-a.myshoplazza.com';
+const SHOP_B = 'rg-proxy-b.myshoplazza.com';
+
+/** Sign a proxy query the way Shoplazza's App Proxy does. */
+const signed = (query) => {
+  const msg = Object.keys(query)
+    .sort()
+    .map((k) => `${encodeURIComponent(k)}=${encodeURIComponent(String(query[k]))}`)
+    .join('&');
+  const signature = crypto.createHmac('sha256', 'proxy_secret').update(msg).digest('hex');
+  return { ...query, signature };
+};
+
+const init = (shop, orderId) =>
+  request(app)
+    .get('/app-proxy/init')
+    .query(signed({ shop, orderId, amount: '19.99', currency: 'USD', customerId: 'C-1' }));
+
+describe('storefront app proxy', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.SHOPLAZZA_PROXY_SHARED_SECRET = 'proxy_secret';
+    process.env.ROCKETGATE_MERCHANT_ID = 'env_merchant'; // must not be used
+    process.env.ROCKETGATE_HASH_SECRET = 'env_secret';
+    delete process.env.ROCKETGATE_EXPECTED_HOST;
+    await upsertRgSettings({
+      shop: SHOP_A,
+      merchantId: '5005',
+      merchantKey: 'key_a',
+      mode: 'live',
+    });
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it("signs the Hosted Page with the shop's credentials and mode", async () => {
+    const res = await init(SHOP_A, 'O-PROXY-1').expect(302);
+    const url = new URL(res.headers.location);
+    const params = Object.fromEntries(url.searchParams);
+    expect(url.host).toBe('secure.rocketgate.com');
+    expect(params).toMatchObject({ merch: '5005', invoice: 'O-PROXY-1' });
+    expect(verifyHostedPageHash(params, 'key_a', params.hash)).toBe(true);
+
+    expect(await getPayment('O-PROXY-1', { shop: SHOP_A })).toMatchObject({
+      amount_minor: 1999,
+      test_mode: 0,
+      signing_profile: 'default',
+    });
+  });
+
+  it('settles the payment when the notify echoes the customer id', async () => {
+    await init(SHOP_A, 'O-PROXY-3').expect(302);
+    const res = await request(app)
+      .post('/callbacks/notify')
+      .send({
+        invoice: 'O-PROXY-3',
+        customerID: 'C-1',
+        status: 'approved',
+        transactId: 'RG-PROXY-3',
+        shop: SHOP_A,
+      })
+      .expect(200);
+    expect(res.body.state).toMatchObject({ payment_id: 'O-PROXY-3', status: 'paid' });
+    expect((await getPayment('O-PROXY-3', { shop: SHOP_A })).status).toBe('paid');
+  });
+
+  it('shows a storefront error page when the shop has no settings', async () => {
+    const res = await init(SHOP_B, 'O-PROXY-2').set('Accept-Language', 'fr').expect(503);
+    expect(res.headers['content-type']).toContain('text/html');
+    expect(res.headers['x-rg-error']).toBe('RG_SETTINGS_MISSING');
+    expect(res.text).toContain('Paiement indisponible');
+    expect(res.text).toContain(`https://${SHOP_B}`);
+    expect(await getPayment('O-PROXY-2', { shop: SHOP_B })).toBeNull();
+  });
+
+  it('serves the order status page and refreshes it until the payment settles', async () => {
+    const status = () =>
+      request(app)
+        .get('/app-proxy/status')
+        .query(signed({ shop: SHOP_A, orderId: 'O-PROXY-1' }));
+
+    const pending = await status().expect(200);
+    expect(pending.text).toContain('Payment processing');
+    expect(pending.text).toContain('http-equiv="refresh" content="5"');
+
+    await setPaymentStatus({
+      shopDomain: SHOP_A,
+      orderId: 'O-PROXY-1',
+      status: 'paid',
+      rocketgateTxnId: 'RG-TXN-987654',
+      source: 'notify',
+    });
+
+    const paid = await status().expect(200);
+    expect(paid.text).toContain('Payment received');
+    expect(paid.text).toContain('•••• 7654');
+    expect(paid.text).not.toContain('RG-TXN-987654');
+    expect(paid.text).not.toContain('http-equiv="refresh"');
+
+    const json = await status().set('Accept', 'application/json').expect(200);
+    expect(json.body).toMatchObject({ status: 'paid', outcome: 'success', polling: false });
+    expect(json.body.timeline.map((e) => e.status)).toEqual(['pending', 'paid']);
+
+    await request(app)
+      .get('/app-proxy/status')
+      .query({ shop: SHOP_A, orderId: 'O-PROXY-1', signature: 'bad' })
+      .expect(401);
+    await request(app)
+      .get('/app-proxy/status')
+      .query(signed({ shop: SHOP_A, orderId: 'O-NOPE' }))
+      .expect(404);
+  });
+});
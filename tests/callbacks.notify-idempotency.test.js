@@ -0,0 +1,126 @@
+/**
+ * Tests idempotent processing of /callbacks/notify:
+ * - Each delivery is logged in webhook_logs under a txn id + status key.
+ * - A gateway retry replays the original response (Idempotent-Replay: true)
+ *   without appending to payment_events again.
+ * - The raw notify body lands in payments.rg_raw_notify.
+ * - A delivery still being processed gets 409; one whose claim lease ran out
+ *   unanswered (crash mid-delivery) is processed again on retry.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  claimWebhookLog,
+  createOrUpdatePayment,
+  getPayment,
+  getWebhookLogByKey,
+  listPaymentEvents,
+  runMigrations,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-idem.myshoplazza.com';
+
+describe('/callbacks/notify idempotency', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+    process.env.SHOPLAZZA_DEFAULT_SHOP = SHOP; // these notifies name no shop
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-IDEM-1',
+      paymentId: 'P-IDEM-1',
+      amountMinor: 700,
+      currency: 'USD',
+      status: 'pending',
+    });
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('replays the first response for a retried notify', async () => {
+    const payload = { invoice: 'O-IDEM-1', status: 'approved', transactId: 'RG-IDEM-1' };
+
+    const first = await request(app).post('/callbacks/notify').send(payload);
+    expect(first.status).toBe(200);
+    expect(first.headers['idempotent-replay']).toBeUndefined();
+    const { id } = await getPayment('O-IDEM-1', { shop: SHOP });
+    const eventsAfterFirst = await listPaymentEvents(id);
+
+    const retry = await request(app).post('/callbacks/notify').send(payload);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replay']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+
+    const row = await getPayment('O-IDEM-1', { shop: SHOP });
+    expect(row.status).toBe('paid');
+    expect(await listPaymentEvents(id)).toHaveLength(eventsAfterFirst.length);
+    expect(JSON.parse(row.rg_raw_notify)).toEqual(payload);
+
+    const logged = await getWebhookLogByKey('rocketgate', 'txn:RG-IDEM-1:paid');
+    expect(logged).toMatchObject({ topic: 'notify', response_status: 200 });
+    expect(JSON.parse(logged.response_json)).toEqual(first.body);
+  });
+
+  it('treats a new status for the same transaction as a new delivery', async () => {
+    const res = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-IDEM-1', status: 'refunded', transactId: 'RG-IDEM-1' });
+
+    expect(res.headers['idempotent-replay']).toBeUndefined();
+    expect(res.body.state.status).toBe('refunded');
+    expect(await getWebhookLogByKey('rocketgate', 'txn:RG-IDEM-1:refunded')).not.toBeNull();
+  });
+
+  it('asks for a retry while another delivery holds the claim', async () => {
+    await claimWebhookLog({
+      source: 'rocketgate',
+      topic: 'notify',
+      idempotencyKey: 'txn:RG-IDEM-3:paid',
+    });
+    const busy = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-IDEM-1', status: 'approved', transactId: 'RG-IDEM-3' });
+    expect(busy.status).toBe(409);
+    expect(busy.body.error.code).toBe('NOTIFY_IN_PROGRESS');
+  });
+
+  it('re-processes a notify whose earlier claim expired without a response', async () => {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-IDEM-2',
+      paymentId: 'P-IDEM-2',
+      amountMinor: 900,
+      currency: 'USD',
+      status: 'pending',
+    });
+    const claim = (now) =>
+      claimWebhookLog(
+        { source: 'rocketgate', topic: 'notify', idempotencyKey: 'txn:RG-IDEM-2:paid' },
+        { now }
+      );
+
+    // A delivery claimed it a while ago and died before answering
+    expect(await claim(new Date(Date.now() - 5 * 60_000))).not.toBeNull();
+    expect(await claim(new Date(Date.now() - 270_000))).toBeNull(); // lease still running then
+
+    // The gateway's retry takes the key over and processes it
+    const retry = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-IDEM-2', status: 'approved', transactId: 'RG-IDEM-2' });
+    expect(retry.status).toBe(200);
+    expect(retry.body.state).toMatchObject({ payment_id: 'P-IDEM-2', status: 'paid' });
+    expect(await getWebhookLogByKey('rocketgate', 'txn:RG-IDEM-2:paid')).toMatchObject({
+      response_status: 200,
+    });
+
+    // Answered keys are never taken over, however old
+    expect(await claim(new Date(Date.now() + 60 * 60_000))).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests the buyer-facing response of /callbacks/complete-payment:
+ * - Redirects to Shoplazza's spz_complete / spz_cancel (Shoplazza hosts only).
+ * - Falls back to the shop's rg_settings return_url / cancel_url.
+ * - Otherwise renders a localized status page; debug details only with RETURN_PAGE_DEBUG.
+ * - The page links back to the store only when the return names a valid shop.
+ * - Settings and the Complete Payment call use the canonical shop, not the raw `shop` param.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+
+import { createOrUpdatePayment, runMigrations } from '../src/db/index.js';
+import { upsertRgSettings } from '../src/db/rgSettings.js';
+import { app } from '../src/index.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-pages.myshoplazza.com';
+const BARE_SHOP = 'rg-pages-bare.myshoplazza.com';
+
+describe('/callbacks/complete-payment buyer pages', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false'; // signatures: callbacks.return-signature.test.js
+    delete process.env.SHOPLAZZA_CLIENT_ID;
+    await upsertRgSettings({
+      shop: SHOP,
+      merchantId: '5005',
+      merchantKey: 'pages_key',
+      returnUrl: 'https://merchant.example/thanks',
+      cancelUrl: 'https://merchant.example/cart',
+    });
+    for (const [orderId, shopDomain] of [
+      ['O-PAGE-1', SHOP],
+      ['O-PAGE-2', BARE_SHOP],
+    ]) {
+      await createOrUpdatePayment({
+        shopDomain,
+        orderId,
+        paymentId: `P-${orderId}`,
+        amountMinor: 300,
+        currency: 'USD',
+        status: 'pending',
+      });
+    }
+  });
+
+  beforeEach(() => {
+    delete process.env.RETURN_PAGE_DEBUG;
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  const ret = (query) => request(app).get('/callbacks/complete-payment').query(query);
+
+  it("redirects to Shoplazza's spz_complete on success", async () => {
+    const completeUrl = `https://${SHOP}/checkout/complete/abc`;
+    const res = await ret({
+      orderId: 'O-PAGE-1',
+      status: 'success',
+      shop: SHOP,
+      spz_complete: completeUrl,
+    });
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(completeUrl);
+  });
+
+  it("ignores non-Shoplazza spz_* URLs and uses the shop's return_url", async () => {
+    const res = await ret({
+      orderId: 'O-PAGE-1',
+      status: 'success',
+      shop: SHOP,
+      spz_complete: 'https://evil.example/phish',
+    });
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://merchant.example/thanks');
+  });
+
+  it("sends failed payments to the shop's cancel_url", async () => {
+    const res = await ret({ orderId: 'O-PAGE-1', status: 'fail', shop: SHOP });
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://merchant.example/cart');
+  });
+
+  it('uses the canonical shop for settings and the Complete Payment call', async () => {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-PAGE-3',
+      paymentId: 'P-O-PAGE-3',
+      amountMinor: 300,
+      currency: 'USD',
+      status: 'pending',
+      callbackUrl: `https://${SHOP}/openapi/2022-01/payments/notify`,
+    });
+    process.env.SHOPLAZZA_CLIENT_ID = 'pages_app';
+    const fetchSpy = vi
+      .spyOn(globalThis, 'fetch')
+      .mockResolvedValue(new Response('{}', { status: 200 }));
+    try {
+      const res = await ret({
+        orderId: 'O-PAGE-3',
+        status: 'fail',
+        shop: 'RG-Pages.MyShoplaza.com',
+      });
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('https://merchant.example/cart');
+      expect(fetchSpy.mock.calls.map(([url]) => String(url))).toEqual([
+        `https://${SHOP}/openapi/2022-01/payments_apps/complete_callbacks`,
+      ]);
+    } finally {
+      fetchSpy.mockRestore();
+      delete process.env.SHOPLAZZA_CLIENT_ID;
+    }
+  });
+
+  it('renders a localized page when there is nowhere to redirect', async () => {
+    const fr = await ret({ orderId: 'O-PAGE-2', status: 'success', shop: BARE_SHOP, lang: 'fr' });
+    expect(fr.status).toBe(200);
+    expect(fr.headers['content-type']).toContain('text/html');
+    expect(fr.text).toContain('Paiement reçu');
+    expect(fr.text).toContain('O-PAGE-2');
+    expect(fr.text).not.toContain('<pre>');
+
+    const es = await ret({ orderId: 'O-PAGE-2', status: 'fail', shop: BARE_SHOP }).set(
+      'Accept-Language',
+      'es-MX,es;q=0.9'
+    );
+    expect(es.text).toContain('Pago no completado');
+  });
+
+  it('links back to the store only for a valid shop', async () => {
+    const bare = await ret({ orderId: 'O-PAGE-2', status: 'success', shop: BARE_SHOP });
+    expect(bare.text).toContain(`href="https://${BARE_SHOP}"`);
+
+    delete process.env.SHOPLAZZA_DEFAULT_SHOP;
+    for (const query of [
+      { orderId: 'O-PAGE-2', status: 'success', shop: 'not a shop!' },
+      { orderId: 'O-PAGE-2', status: 'success' },
+    ]) {
+      const res = await ret(query);
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('O-PAGE-2');
+      expect(res.text).not.toContain('class="button"');
+      expect(res.text).not.toMatch(/https:\/\/(null|undefined)/);
+    }
+  });
+
+  it('shows debug details only with RETURN_PAGE_DEBUG', async () => {
+    const quiet = await ret({ orderId: 'O-PAGE-1', status: 'success', shop: SHOP }).set(
+      'Accept',
+      'application/json'
+    );
+    expect(quiet.body).toMatchObject({ ok: true, outcome: 'success' });
+    expect(quiet.body.debug).toBeUndefined();
+
+    process.env.RETURN_PAGE_DEBUG = 'true';
+    const page = await ret({ orderId: 'O-PAGE-1', status: 'success', shop: SHOP });
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('<pre>');
+    expect(page.text).toContain('completeDebug');
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests Hosted Page return verification on /callbacks/complete-payment:
+ * - A return signed with the shop's merchant key is accepted once RocketGate's gateway
+ *   confirms the payment; the gateway's transaction id is recorded, not the return's.
+ * - The outbound link's own params with result=success swapped in get 401.
+ * - A success the gateway can't be asked about shows as pending and changes nothing.
+ * - Unsigned, tampered, expired and other-order returns get 401 and leave the payment alone.
+ * - Under the shop's `extended` signing profile, invoice/currency are signed too.
+ * - A return is checked against the profile its payment's link was signed with, even after
+ *   the shop switches profiles.
+ * - Rejections are logged to webhook_logs (topic return_rejected).
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+
+import { createOrUpdatePayment, db, getPayment, runMigrations } from '../src/db/index.js';
+import { upsertRgSettings } from '../src/db/rgSettings.js';
+import { app } from '../src/index.js';
+import { buildHostedPageUrlDetailed } from '../src/utils/rocketgate.js';
+
+import { startRocketGateStub } from './fixtures/rocketgateStub.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-return.myshoplazza.com';
+const ORDER = 'O-RET-1';
+
+/** Signed fields as RocketGate echoes them back on the return URL. */
+function signedReturn({
+  id = 'P-RET-1',
+  amount = '10.00',
+  secret = 'ret_key',
+  signingProfile,
+  extra,
+} = {}) {
+  const { signedParams, hash } = buildHostedPageUrlDetailed({
+    id,
+    merch: '4004',
+    amount,
+    hashSecret: secret,
+    signingProfile,
+    extra,
+  });
+  return { ...signedParams, hash };
+}
+
+function completePayment(query) {
+  return request(app)
+    .get('/callbacks/complete-payment')
+    .set('Accept', 'application/json')
+    .query({ orderId: ORDER, status: 'success', shop: SHOP, ...query });
+}
+
+describe('/callbacks/complete-payment return signature', () => {
+  let stub;
+
+  beforeAll(async () => {
+    await runMigrations();
+    stub = await startRocketGateStub({ merchants: { 4004: 'ret_key' } });
+    process.env.ROCKETGATE_API_BASE_URL = stub.baseUrl;
+    delete process.env.VERIFY_ROCKETGATE_RETURN_HASH; // default: on
+    delete process.env.SHOPLAZZA_CLIENT_ID; // no Shoplazza complete call in these tests
+    await upsertRgSettings({ shop: SHOP, merchantId: '4004', merchantKey: 'ret_key' });
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: ORDER,
+      paymentId: 'P-RET-1',
+      customerId: 'P-RET-1',
+      amountMinor: 1000,
+      currency: 'USD',
+      status: 'pending',
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await stub.close();
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  async function expectRejected(res, reason) {
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatchObject({ code: 'INVALID_RETURN_SIGNATURE' });
+    expect(res.body.error.message).toContain(reason);
+    expect((await getPayment(ORDER, { shop: SHOP })).status).toBe('pending');
+  }
+
+  it('rejects a bare ?result=success and logs it', async () => {
+    await expectRejected(await completePayment({}), 'signature_missing');
+
+    const logged = await db
+      .selectFrom('webhook_logs')
+      .selectAll()
+      .where('topic', '=', 'return_rejected')
+      .execute();
+    expect(logged.length).toBeGreaterThan(0);
+    expect(JSON.parse(logged.at(-1).payload_json).reason).toBe('signature_missing');
+  });
+
+  it('rejects tampered signed fields', async () => {
+    const params = signedReturn();
+    await expectRejected(await completePayment({ ...params, amount: '0.01' }), 'bad_hash');
+  });
+
+  it('rejects a return signed with another key', async () => {
+    await expectRejected(await completePayment(signedReturn({ secret: 'not_it' })), 'bad_hash');
+  });
+
+  it('rejects a valid signature that belongs to another payment', async () => {
+    await expectRejected(await completePayment(signedReturn({ id: 'P-OTHER' })), 'order_mismatch');
+  });
+
+  it('rejects returns outside the replay window', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() - 2 * 3600 * 1000);
+    const stale = signedReturn();
+    vi.restoreAllMocks();
+
+    await expectRejected(await completePayment(stale), 'expired');
+  });
+
+  it("checks the extra fields of the shop's signing profile", async () => {
+    const settings = { shop: SHOP, merchantId: '4004', merchantKey: 'ret_key' };
+    await upsertRgSettings({ ...settings, signingProfile: 'extended' });
+    const extended = signedReturn({
+      signingProfile: 'extended',
+      extra: { invoice: ORDER, currency: 'USD' },
+    });
+
+    await expectRejected(await completePayment({ ...extended, invoice: 'O-OTHER' }), 'bad_hash');
+    await expectRejected(await completePayment(signedReturn()), 'bad_hash'); // default-signed
+    await expectRejected(
+      await completePayment(
+        signedReturn({ signingProfile: 'extended', extra: { invoice: 'O-OTHER', currency: 'USD' } })
+      ),
+      'order_mismatch'
+    );
+
+    await upsertRgSettings({ ...settings, signingProfile: 'default' });
+  });
+
+  it('verifies a return with the signing profile its link was signed with', async () => {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-RET-2',
+      paymentId: 'P-RET-2',
+      customerId: 'P-RET-2',
+      amountMinor: 1000,
+      currency: 'USD',
+      status: 'pending',
+      signingProfile: 'extended',
+    });
+    // The shop is back on `default` by the time the buyer returns
+    const extended = signedReturn({
+      id: 'P-RET-2',
+      signingProfile: 'extended',
+      extra: { invoice: 'O-RET-2', currency: 'USD' },
+    });
+
+    const res = await completePayment({ ...extended, orderId: 'O-RET-2', status: 'fail' });
+    expect(res.status).toBe(200);
+    expect(res.body.state).toMatchObject({ order_id: 'O-RET-2', status: 'returned_fail' });
+  });
+
+  it('rejects the outbound link params with result=success swapped in', async () => {
+    // What the buyer holds after abandoning the Hosted Page: our own signed link
+    const { redirectUrl } = buildHostedPageUrlDetailed({
+      id: 'P-RET-1',
+      merch: '4004',
+      amount: '10.00',
+      hashSecret: 'ret_key',
+      extra: { invoice: ORDER, currency: 'USD' },
+    });
+    const link = Object.fromEntries(new URL(redirectUrl).searchParams);
+    const replay = { ...link, result: 'success', transactId: 'RG-FAKE' };
+
+    await expectRejected(await completePayment(replay), 'not_confirmed');
+    stub.addTransaction({
+      merchantID: '4004',
+      merchantInvoiceID: ORDER,
+      responseCode: '1',
+      reasonCode: '105',
+    });
+    await expectRejected(await completePayment(replay), 'not_confirmed');
+  });
+
+  it('leaves the payment pending when the gateway cannot be reached', async () => {
+    delete process.env.ROCKETGATE_API_BASE_URL;
+    try {
+      const res = await completePayment(signedReturn());
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ outcome: 'pending', state: { status: 'pending' } });
+    } finally {
+      process.env.ROCKETGATE_API_BASE_URL = stub.baseUrl;
+    }
+  });
+
+  it('accepts a signed return the gateway confirms, recording its transaction', async () => {
+    const tx = stub.addTransaction({
+      merchantID: '4004',
+      merchantInvoiceID: ORDER,
+      transactionType: 'CC_PURCHASE',
+      approvedAmount: '10.00',
+      approvedCurrency: 'USD',
+    });
+    const res = await completePayment({ ...signedReturn(), transactId: 'RG-FAKE' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, outcome: 'success' });
+    expect(res.body.state).toMatchObject({
+      status: 'returned_success',
+      rocketgate_txn: tx.transactID,
+    });
+  });
+});
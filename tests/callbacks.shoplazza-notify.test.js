@@ -0,0 +1,210 @@
+/**
+ * Tests forwarding of final results to Shoplazza's async callback_url:
+ * - /callbacks/notify POSTs the Notify Payment body to the stored callback_url.
+ * - The request carries Shoplazza-Hmac-Sha256 over the raw body (client secret).
+ * - Approved -> success, declined -> failed; notifies that don't change state aren't forwarded.
+ * - Each refund from the embedded app is forwarded with its own amount and dedupe key.
+ * - Voids, captures and releases from the embedded app are forwarded too.
+ */
+
+import crypto from 'crypto';
+import http from 'node:http';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+
+import { createOrUpdatePayment, runMigrations, upsertRgSettings } from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+import { startRocketGateStub } from './fixtures/rocketgateStub.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-notify.myshoplazza.com';
+
+describe('/callbacks/notify -> Shoplazza callback_url', () => {
+  let server;
+  let stub;
+  let callbackUrl;
+  const received = [];
+
+  beforeAll(async () => {
+    await runMigrations();
+
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', (chunk) => (raw += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"code":"Success"}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    callbackUrl = `http://127.0.0.1:${server.address().port}/payments/notify`;
+
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+    process.env.SHOPLAZZA_CLIENT_ID = 'app_notify_id';
+    process.env.SHOPLAZZA_CLIENT_SECRET = 'notify_secret';
+
+    stub = await startRocketGateStub({ merchants: { 4004: 'notify_key' } });
+    process.env.ROCKETGATE_API_BASE_URL = stub.baseUrl;
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    await upsertRgSettings({ shop: SHOP, merchantId: '4004', merchantKey: 'notify_key' });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await stub.close();
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+  });
+
+  async function seed(orderId) {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId,
+      paymentId: `P-${orderId}`,
+      amountMinor: 1250,
+      currency: 'EUR',
+      status: 'pending',
+      callbackUrl,
+      testMode: true,
+    });
+  }
+
+  it('forwards an approved notify as a signed success', async () => {
+    await seed('O-NOTIFY-1');
+
+    const res = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-NOTIFY-1', status: 'approved', transactId: 'RG-N-1', shop: SHOP });
+
+    expect(res.status).toBe(200);
+    expect(res.body.forwarded?.ok).toBe(true);
+    expect(received).toHaveLength(1);
+
+    const [{ headers, raw, body }] = received;
+    expect(body).toMatchObject({
+      app_id: 'app_notify_id',
+      payment_id: 'P-O-NOTIFY-1',
+      amount: 12.5,
+      currency: 'EUR',
+      transaction_no: 'RG-N-1',
+      type: 'sale',
+      status: 'success',
+      test: true,
+    });
+    expect(headers['shoplazza-shop-domain']).toBe(SHOP);
+    const expected = crypto.createHmac('sha256', 'notify_secret').update(raw).digest('hex');
+    expect(headers['shoplazza-hmac-sha256']).toBe(expected);
+  });
+
+  it('forwards a decline as failed', async () => {
+    await seed('O-NOTIFY-2');
+
+    await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-NOTIFY-2', status: 'declined', shop: SHOP })
+      .expect(200);
+
+    expect(received).toHaveLength(1);
+    expect(received[0].body.status).toBe('failed');
+  });
+
+  it('does not re-forward a new notify for an unchanged status', async () => {
+    await seed('O-NOTIFY-3');
+
+    await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-NOTIFY-3', status: 'approved', transactId: 'RG-N-3', shop: SHOP })
+      .expect(200);
+    const again = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-NOTIFY-3', status: 'settled', transactId: 'RG-N-3b', shop: SHOP })
+      .expect(200);
+
+    expect(again.body.forwarded).toEqual({ skipped: 'unchanged' });
+    expect(received).toHaveLength(1);
+  });
+
+  it('forwards each partial refund with its own amount', async () => {
+    const tx = stub.addTransaction({
+      merchantID: '4004',
+      merchantInvoiceID: 'O-NOTIFY-4',
+      transactionType: 'CC_PURCHASE',
+      approvedAmount: '12.50',
+      approvedCurrency: 'EUR',
+    });
+    await seed('O-NOTIFY-4');
+    await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-NOTIFY-4', status: 'approved', transactId: tx.transactID, shop: SHOP })
+      .expect(200);
+
+    const refund = (amount) =>
+      request(app)
+        .post('/app-api/payments/O-NOTIFY-4/refunds')
+        .set('Cookie', sessionCookie(SHOP))
+        .send({ amount })
+        .expect(201);
+    const first = await refund('2.00');
+    const second = await refund('3.50');
+
+    expect(first.body.forwarded?.ok).toBe(true);
+    expect(second.body.forwarded?.ok).toBe(true);
+    expect(received.map((r) => [r.body.status, r.body.type, r.body.amount])).toEqual([
+      ['success', 'sale', 12.5],
+      ['refunded', 'refund', 2],
+      ['refunded', 'refund', 3.5],
+    ]);
+    expect(received[1].body.transaction_no).toBe(first.body.entry.rocketgate_txn);
+    expect(received[2].body.transaction_no).toBe(second.body.entry.rocketgate_txn);
+  });
+
+  it('forwards voids, captures and releases made from the app', async () => {
+    const settle = async (orderId, transactionType, status) => {
+      const tx = stub.addTransaction({
+        merchantID: '4004',
+        merchantInvoiceID: orderId,
+        transactionType,
+        approvedAmount: '12.50',
+        approvedCurrency: 'EUR',
+      });
+      await seed(orderId);
+      await request(app)
+        .post('/callbacks/notify')
+        .send({ invoice: orderId, status, transactId: tx.transactID, shop: SHOP })
+        .expect(200);
+    };
+    const act = (orderId, action, body = {}) =>
+      request(app)
+        .post(`/app-api/payments/${orderId}/${action}`)
+        .set('Cookie', sessionCookie(SHOP))
+        .send(body)
+        .expect(200);
+
+    await settle('O-NOTIFY-5', 'CC_PURCHASE', 'approved');
+    expect((await act('O-NOTIFY-5', 'void')).body.forwarded?.ok).toBe(true);
+    await settle('O-NOTIFY-6', 'CC_AUTH', 'authorized');
+    expect((await act('O-NOTIFY-6', 'capture', { amount: '10.00' })).body.forwarded?.ok).toBe(true);
+    await settle('O-NOTIFY-7', 'CC_AUTH', 'authorized');
+    expect((await act('O-NOTIFY-7', 'release')).body.forwarded?.ok).toBe(true);
+
+    expect(
+      received.map((r) => [r.body.payment_id, r.body.status, r.body.type, r.body.amount])
+    ).toEqual([
+      ['P-O-NOTIFY-5', 'success', 'sale', 12.5],
+      ['P-O-NOTIFY-5', 'cancelled', 'void', 12.5],
+      ['P-O-NOTIFY-6', 'success', 'authorization', 12.5],
+      ['P-O-NOTIFY-6', 'success', 'capture', 10],
+      ['P-O-NOTIFY-7', 'success', 'authorization', 12.5],
+      ['P-O-NOTIFY-7', 'cancelled', 'void', 12.5],
+    ]);
+  });
+});
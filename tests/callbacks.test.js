@@ -7,13 +7,18 @@
 import crypto from 'crypto';
 
 import request from 'supertest';
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
 
+import { runMigrations } from '../src/db/index.js';
 import { app } from '../src/index.js';
 
 const ORIGINAL_ENV = { ...process.env };
 
 describe('callbacks', () => {
+  beforeAll(async () => {
+    await runMigrations();
+  });
+
   beforeEach(() => {
     // default: signature verification OFF
     process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
@@ -21,11 +26,15 @@ describe('callbacks', () => {
     delete process.env.ROCKETGATE_NOTIFY_SIGNATURE_SECRET;
     delete process.env.ROCKETGATE_NOTIFY_SIGNATURE_ENCODING;
 
+    // buyer returns in these tests are unsigned (see callbacks.return-signature.test.js)
+    process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false';
+
     // Ensure pay/init can run to seed rows when needed
     process.env.ROCKETGATE_MERCHANT_ID = '1483462469';
     process.env.ROCKETGATE_HASH_SECRET = 'test_hash_secret';
     process.env.ROCKETGATE_ENV = 'dev-secure';
     process.env.APP_BASE_URL = 'https://example.test';
+    process.env.SHOPLAZZA_DEFAULT_SHOP = 'rg-legacy.myshoplazza.com'; // /pay/init's shop
   });
 
   afterEach(() => {
@@ -49,6 +58,7 @@ describe('callbacks', () => {
     // Simulate buyer return from Hosted Page
     const ret = await request(app)
       .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
       .query({ orderId, result: 'success', transactId: 'RG-TXN-abc123' });
 
     expect(ret.status).toBe(200);
@@ -78,6 +88,7 @@ describe('callbacks', () => {
       });
     await request(app)
       .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
       .query({ orderId, result: 'success', transactId: 'RG-TXN-seed' });
 
     // Async notify from RocketGate (no signature enforcement)
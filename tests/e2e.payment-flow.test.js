@@ -7,7 +7,11 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { app } from '../src/index.js';
 import { resetOrders, getOrder } from '../src/routes/order.js';
 
-beforeEach(() => resetOrders());
+beforeEach(() => {
+  resetOrders();
+  // buyer returns below are unsigned (see callbacks.return-signature.test.js)
+  process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false';
+});
 
 describe('Payment flow updates order status', () => {
   it('moves from pending -> returned_success -> paid', async () => {
@@ -25,6 +29,7 @@ describe('Payment flow updates order status', () => {
     // 2) Simulate buyer return from Hosted Page (success)
     const ret = await request(app)
       .post('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
       .send({ orderId: 'O-E2E-1', status: 'success' });
     expect(ret.status).toBe(200);
     expect(ret.body.state.status).toBe('returned_success');
@@ -44,6 +49,7 @@ describe('Payment flow updates order status', () => {
     // 5) Ensure forward-only (paid should not regress)
     const failReturn = await request(app)
       .post('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
       .send({ orderId: 'O-E2E-1', status: 'fail' });
     expect(failReturn.status).toBe(200);
     const final = getOrder('O-E2E-1');
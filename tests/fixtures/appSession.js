@@ -0,0 +1,13 @@
+/**
+ * Mint an rg_app_session cookie the same way src/utils/appSession.js does,
+ * so tests can call /app-api routes as a given shop.
+ * Requires process.env.APP_SESSION_SECRET to be set by the test.
+ */
+import crypto from 'node:crypto';
+
+export function sessionCookie(shop, { ttlMs = 60_000 } = {}) {
+  const payload = JSON.stringify({ shop, storeId: null, exp: Date.now() + ttlMs });
+  const b = Buffer.from(payload, 'utf8').toString('base64url');
+  const sig = crypto.createHmac('sha256', process.env.APP_SESSION_SECRET).update(b).digest('hex');
+  return `rg_app_session=${b}.${sig}`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Local stand-in for the RocketGate gateway (see src/utils/rocketgateGateway.js).
+ * - Listens on an ephemeral 127.0.0.1 port; point ROCKETGATE_API_BASE_URL at `baseUrl`.
+ * - Rejects unknown merchant credentials with HTTP 401.
+ * - Keeps an in-memory transaction list per merchant; seed it with `addTransaction`.
+ * - Implements lookup, refund (partial/full, declines over-refunds), void and capture.
+ * - Records every request in `calls` so tests can assert on what was sent.
+ */
+import http from 'node:http';
+
+export async function startRocketGateStub({ merchants = {} } = {}) {
+  const transactions = [];
+  const calls = [];
+  let seq = 1000;
+
+  const handlers = {
+    lookup(body) {
+      const matches = transactions.filter(
+        (t) =>
+          t.merchantID === body.merchantID &&
+          (body.transactID
+            ? t.transactID === body.transactID
+            : t.merchantInvoiceID === body.merchantInvoiceID)
+      );
+      if (matches.length === 0) return [404, { responseCode: '3', reasonCode: '404' }];
+      return [200, { transactions: matches }];
+    },
+
+    refund(body) {
+      const original = findByTransactId(body);
+      if (!original) return [404, { responseCode: '3', reasonCode: '404' }];
+
+      const refunded = transactions
+        .filter((t) => t.parentTransactID === original.transactID && t.responseCode === '0')
+        .reduce((acc, t) => acc + Number(t.approvedAmount), 0);
+      const amount = Number(body.amount ?? Number(original.approvedAmount) - refunded);
+      if (refunded + amount > Number(original.approvedAmount) + 1e-9) {
+        return [200, { responseCode: '1', reasonCode: '105', transactID: original.transactID }];
+      }
+      const credit = addTransaction({
+        merchantID: body.merchantID,
+        merchantInvoiceID: original.merchantInvoiceID,
+        parentTransactID: original.transactID,
+        transactionType: 'CC_CREDIT',
+        approvedAmount: amount.toFixed(2),
+        approvedCurrency: body.currency ?? original.approvedCurrency,
+      });
+      return [200, credit];
+    },
+
+    capture(body) {
+      const auth = findByTransactId(body);
+      if (!auth) return [404, { responseCode: '3', reasonCode: '404' }];
+      const amount = Number(body.amount ?? auth.approvedAmount);
+      if (auth.transactionType !== 'CC_AUTH' || auth.voided || auth.captured) {
+        return [200, { responseCode: '2', reasonCode: '206', transactID: auth.transactID }];
+      }
+      if (amount > Number(auth.approvedAmount) + 1e-9) {
+        return [200, { responseCode: '1', reasonCode: '105', transactID: auth.transactID }];
+      }
+      auth.captured = true;
+      return [
+        200,
+        {
+          responseCode: '0',
+          transactionType: 'CC_TICKET',
+          transactID: auth.transactID,
+          approvedAmount: amount.toFixed(2),
+          approvedCurrency: auth.approvedCurrency,
+        },
+      ];
+    },
+
+    void(body) {
+      const original = findByTransactId(body);
+      if (!original) return [404, { responseCode: '3', reasonCode: '404' }];
+      if (original.voided) {
+        return [200, { responseCode: '2', reasonCode: '204', transactID: original.transactID }];
+      }
+      original.voided = true;
+      return [
+        200,
+        { responseCode: '0', transactionType: 'CC_VOID', transactID: original.transactID },
+      ];
+    },
+  };
+
+  function findByTransactId(body) {
+    return transactions.find(
+      (t) => t.merchantID === body.merchantID && t.transactID === body.transactID
+    );
+  }
+
+  function addTransaction(tx) {
+    const row = { transactID: `RG-STUB-${++seq}`, responseCode: '0', ...tx };
+    transactions.push(row);
+    return row;
+  }
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => {
+      const op = req.url.replace(/^\/+/, '');
+      let body = {};
+      try {
+        body = data ? JSON.parse(data) : {};
+      } catch {
+        // leave body empty; handler will 400
+      }
+      calls.push({ op, body });
+
+      let status;
+      let payload;
+      if (merchants[body.merchantID] !== body.merchantPassword) {
+        [status, payload] = [401, { responseCode: '4', reasonCode: '411' }];
+      } else if (!handlers[op]) {
+        [status, payload] = [400, { responseCode: '4', reasonCode: '400' }];
+      } else {
+        [status, payload] = handlers[op](body);
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    transactions,
+    calls,
+    handlers,
+    addTransaction,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Tests first-class Hosted Page options (src/utils/hostedPageOptions.js):
+ * - Per-shop descriptor/locale/style are validated, saved from the embedded app and
+ *   put on the Hosted Page link (descriptor signed under the extended profile).
+ * - /payments/session prefills the buyer's email, name and billing address from the
+ *   Shoplazza payload, unless the shop turned prefill off; bad buyer data is dropped.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { getRgSettings, runMigrations, upsertRgSettings } from '../src/db/index.js';
+import { app } from '../src/index.js';
+import {
+  buyerFromShoplazzaPayload,
+  normalizeHostedPageOptions,
+} from '../src/utils/hostedPageOptions.js';
+import { verifyHostedPageHash } from '../src/utils/rocketgate.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-options.myshoplazza.com';
+
+const session = (orderId, fields = {}) =>
+  request(app)
+    .post('/payments/session')
+    .type('form')
+    .send({
+      id: `P-${orderId}`,
+      shoplazza_order_id: orderId,
+      amount: '8.00',
+      currency: 'USD',
+      complete_url: `https://${SHOP}/openapi/complete`,
+      callback_url: `https://${SHOP}/openapi/callback`,
+      ...fields,
+    })
+    .expect(200)
+    .then((res) => Object.fromEntries(new URL(res.body.redirect_url).searchParams));
+
+const saveSettings = (body) =>
+  request(app).post('/app-api/rg-settings').set('Cookie', sessionCookie(SHOP)).send(body);
+
+describe('Hosted Page options', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    delete process.env.ROCKETGATE_EXPECTED_HOST;
+    await upsertRgSettings({ shop: SHOP, merchantId: '8008', merchantKey: 'opt_key' });
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('validates per-shop options', () => {
+    expect(normalizeHostedPageOptions({ descriptor: ' MYSHOP.COM ', locale: 'pt_br' })).toEqual({
+      descriptor: 'MYSHOP.COM',
+      locale: 'pt-BR',
+      style: null,
+    });
+    for (const [field, value] of [
+      ['descriptor', 'A descriptor that is far too long'],
+      ['descriptor', 'SHOP<script>'],
+      ['locale', 'french'],
+      ['style', 'bad style!'],
+    ]) {
+      expect(() => normalizeHostedPageOptions({ [field]: value })).toThrow(
+        expect.objectContaining({ code: 'INVALID_HOSTED_PAGE_OPTION', field })
+      );
+    }
+  });
+
+  it('reads the buyer from nested or flattened payload fields', () => {
+    expect(
+      buyerFromShoplazzaPayload({
+        customer: { email: 'ana@example.com', first_name: 'Ana' },
+        billing_address: { last_name: 'Silva', city: 'Lisbon', country_code: 'pt' },
+      })
+    ).toEqual({
+      email: 'ana@example.com',
+      firstName: 'Ana',
+      lastName: 'Silva',
+      address: { line1: null, line2: null, city: 'Lisbon', state: null, zip: null, country: 'PT' },
+    });
+    expect(
+      buyerFromShoplazzaPayload({ email: 'not-an-email', 'billing_address[zip]': '1000-001' })
+    ).toMatchObject({ email: null, address: { zip: '1000-001' } });
+    expect(buyerFromShoplazzaPayload({})).toBeNull();
+  });
+
+  it('saves options from the embedded app and rejects bad ones', async () => {
+    const bad = await saveSettings({ merchantId: '8008', locale: 'klingon' }).expect(400);
+    expect(bad.body).toMatchObject({
+      ok: false,
+      code: 'INVALID_HOSTED_PAGE_OPTION',
+      field: 'locale',
+    });
+
+    const res = await saveSettings({
+      merchantId: '8008',
+      signingProfile: 'extended',
+      descriptor: 'OPTIONS SHOP',
+      locale: 'fr',
+      pageStyle: 'dark-v2',
+    }).expect(200);
+    expect(res.body.saved).toMatchObject({
+      descriptor: 'OPTIONS SHOP',
+      locale: 'fr',
+      pageStyle: 'dark-v2',
+      prefillBuyer: true,
+    });
+  });
+
+  it('puts the options and the prefilled buyer on the Hosted Page link', async () => {
+    const params = await session('O-OPT-1', {
+      email: 'buyer@example.com',
+      'billing_address[first_name]': 'Jean',
+      'billing_address[last_name]': 'Dupont',
+      'billing_address[address1]': '1 Rue de Rivoli',
+      'billing_address[city]': 'Paris',
+      'billing_address[zip]': '75001',
+      'billing_address[country_code]': 'FR',
+    });
+    expect(params).toMatchObject({
+      descriptor: 'OPTIONS SHOP',
+      lang: 'fr',
+      style: 'dark-v2',
+      email: 'buyer@example.com',
+      fname: 'Jean',
+      lname: 'Dupont',
+      address: '1 Rue de Rivoli',
+      city: 'Paris',
+      zip: '75001',
+      country: 'FR',
+    });
+    // The descriptor is covered by the extended profile's hash
+    const opts = { signingProfile: 'extended' };
+    expect(verifyHostedPageHash(params, 'opt_key', params.hash, opts)).toBe(true);
+    expect(
+      verifyHostedPageHash({ ...params, descriptor: 'SCAM' }, 'opt_key', params.hash, opts)
+    ).toBe(false);
+  });
+
+  it('leaves the buyer off when the shop turns prefill off', async () => {
+    await saveSettings({ merchantId: '8008', prefillBuyer: '0' }).expect(200);
+    expect((await getRgSettings(SHOP)).prefillBuyer).toBe(false);
+
+    const params = await session('O-OPT-2', { email: 'buyer@example.com' });
+    expect(params).not.toHaveProperty('email');
+    expect(params).toMatchObject({ descriptor: 'OPTIONS SHOP', lang: 'fr' });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Tests the versioned migrations in src/db/migrations/:
+ * - A fresh database gets every migration, recorded in schema_migrations.
+ * - A database bootstrapped by the old ad-hoc schema code upgrades in place
+ *   (legacy shops rows survive the reshape to shop_domain/scopes).
+ * - Rollback undoes the latest migrations and they can be re-applied.
+ * - payment_events is backfilled from the legacy status_history JSON.
+ * - payments.shop_domain is backfilled to canonical hosts from the rows' Shoplazza URLs;
+ *   rows with none go to SHOPLAZZA_DEFAULT_SHOP, or the migration fails and lists them.
+ * - A row whose shop already has its attempt fails the backfill instead of being moved.
+ * - Decimal amounts become integer minor units using each row's currency exponent.
+ * - Plaintext merchant keys are encrypted when SECRETS_MASTER_KEYS is set.
+ * - Shops already marked uninstalled get the `uninstalled` lifecycle status.
+ */
+
+import crypto from 'node:crypto';
+
+import Database from 'better-sqlite3';
+import { Kysely, SqliteDialect } from 'kysely';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { migrationStatus, rollbackMigrations, runMigrations } from '../src/db/index.js';
+import { MIGRATIONS } from '../src/db/migrations/index.js';
+import { decryptSecret } from '../src/utils/secretBox.js';
+
+const NAMES = Object.keys(MIGRATIONS);
+
+/** Rollback steps that leave `name` as the latest applied migration. */
+const stepsAfter = (name) => NAMES.length - NAMES.indexOf(name) - 1;
+
+describe('schema migrations', () => {
+  let native;
+  let db;
+
+  beforeEach(() => {
+    native = new Database(':memory:');
+    db = new Kysely({ dialect: new SqliteDialect({ database: native }) });
+  });
+
+  afterEach(async () => {
+    await db.destroy();
+  });
+
+  const columnsOf = (table) =>
+    native
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((c) => c.name);
+
+  it('applies every migration to a fresh database and records it', async () => {
+    const { applied } = await runMigrations({ db });
+    expect(applied).toEqual(NAMES);
+
+    const status = await migrationStatus({ db });
+    expect(status.every((m) => m.executedAt instanceof Date)).toBe(true);
+    expect(columnsOf('shops')).toEqual(
+      expect.arrayContaining(['id', 'shop_domain', 'scopes', 'uninstalled_at'])
+    );
+    expect(columnsOf('orders')).toContain('order_id');
+
+    expect((await runMigrations({ db })).applied).toEqual([]);
+  });
+
+  it('upgrades a database created by the old bootstrap in place', async () => {
+    native.exec(`
+      CREATE TABLE shops (shop varchar(191) PRIMARY KEY, access_token text, scope text,
+        installed_at text DEFAULT CURRENT_TIMESTAMP, updated_at text DEFAULT CURRENT_TIMESTAMP);
+      INSERT INTO shops (shop, access_token, scope) VALUES ('old.myshoplazza.com', 'tok', 'read_order');
+      CREATE TABLE webhook_logs (id integer PRIMARY KEY AUTOINCREMENT, source varchar(32),
+        topic varchar(128), idempotency_key varchar(191), headers text, payload_json text,
+        received_at text);
+      INSERT INTO webhook_logs (source, topic, idempotency_key) VALUES ('rocketgate', 'notify', '');
+      CREATE TABLE orders (order_id varchar(191) PRIMARY KEY, amount real);
+      INSERT INTO orders (order_id, amount) VALUES ('O-LEGACY', 4.5);
+    `);
+
+    await runMigrations({ db });
+
+    expect(native.prepare('SELECT * FROM shops').get()).toMatchObject({
+      id: 1,
+      shop_domain: 'old.myshoplazza.com',
+      access_token: 'tok',
+      scopes: 'read_order',
+      uninstalled_at: null,
+    });
+    expect(columnsOf('webhook_logs')).toEqual(
+      expect.arrayContaining(['response_status', 'response_json'])
+    );
+    expect(native.prepare('SELECT idempotency_key FROM webhook_logs').get()).toEqual({
+      idempotency_key: null,
+    });
+    expect(native.prepare('SELECT order_id, amount_minor FROM orders').all()).toEqual([
+      { order_id: 'O-LEGACY', amount_minor: 450 },
+    ]);
+  });
+
+  it('rolls back the latest migrations and re-applies them', async () => {
+    await runMigrations({ db });
+    native.exec(`INSERT INTO shops (shop_domain, scopes) VALUES ('kept.myshoplazza.com', 'x')`);
+
+    const { rolledBack } = await rollbackMigrations({ db, steps: stepsAfter('0001_baseline') });
+    expect(rolledBack).toEqual(NAMES.slice(1).reverse());
+    expect(columnsOf('orders')).toEqual([]);
+    expect(native.prepare('SELECT shop, scope FROM shops').get()).toEqual({
+      shop: 'kept.myshoplazza.com',
+      scope: 'x',
+    });
+
+    const status = await migrationStatus({ db });
+    expect(status.filter((m) => m.executedAt === null).map((m) => m.name)).toEqual(
+      rolledBack.reverse()
+    );
+
+    expect((await runMigrations({ db })).applied).toEqual(NAMES.slice(1));
+    expect(native.prepare('SELECT shop_domain FROM shops').get()).toEqual({
+      shop_domain: 'kept.myshoplazza.com',
+    });
+  });
+
+  it('backfills payment_events from status_history', async () => {
+    await runMigrations({ db });
+    await rollbackMigrations({ db, steps: stepsAfter('0003_orders') });
+    const history = [
+      { ts: '2025-01-01T00:00:00.000Z', status: 'pending', source: 'createOrUpdate' },
+      { ts: '2025-01-01T00:00:01.000Z', status: 'pending', source: 'createOrUpdate' },
+      { ts: '2025-01-01T00:01:00.000Z', status: 'paid', source: 'setStatus' },
+    ];
+    native
+      .prepare(
+        `INSERT INTO payments (shop_domain, order_id, payment_id, status, status_history)
+         VALUES ('s.myshoplazza.com', 'O-BF', 'P-BF', 'paid', ?)`
+      )
+      .run(JSON.stringify(history));
+
+    await runMigrations({ db });
+
+    const events = native.prepare('SELECT * FROM payment_events ORDER BY id').all();
+    expect(events.map((e) => [e.from_status, e.to_status, e.created_at])).toEqual([
+      [null, 'pending', '2025-01-01T00:00:00.000Z'],
+      ['pending', 'paid', '2025-01-01T00:01:00.000Z'],
+    ]);
+    expect(events[0]).toMatchObject({ source: 'reconcile', actor: 'backfill', order_id: 'O-BF' });
+  });
+
+  it('backfills payments.shop_domain from Shoplazza URLs, else the default shop', async () => {
+    await runMigrations({ db });
+    await rollbackMigrations({ db, steps: stepsAfter('0006_payment_attempts') });
+    const insert = native.prepare(
+      `INSERT INTO payments (shop_domain, order_id, payment_id, status, callback_url)
+       VALUES (?, ?, ?, 'pending', ?)`
+    );
+    insert.run('Legacy.MyShoplaza.com', 'O-S1', 'P-S1', null);
+    insert.run('', 'O-S2', 'P-S2', 'https://from-url.myshoplazza.com/openapi/2022-01/notify');
+    insert.run('', 'O-S3', 'P-S3', null);
+    const event = native.prepare(
+      `INSERT INTO payment_events (payment_row_id, shop_domain, order_id, source, to_status)
+       VALUES (?, NULL, ?, 'init', 'pending')`
+    );
+    event.run(2, 'O-S2');
+    event.run(3, 'O-S3');
+
+    const original = process.env.SHOPLAZZA_DEFAULT_SHOP;
+    try {
+      // Nothing to go on for O-S3 and no default shop: stop and name the row
+      delete process.env.SHOPLAZZA_DEFAULT_SHOP;
+      await expect(runMigrations({ db })).rejects.toThrow(
+        /0007_payments_shop_scope.*#3 \(order O-S3, shop_domain ""\)/
+      );
+      expect(native.prepare('SELECT shop_domain FROM payments ORDER BY id').all()).toEqual([
+        { shop_domain: 'Legacy.MyShoplaza.com' },
+        { shop_domain: '' },
+        { shop_domain: '' },
+      ]);
+
+      process.env.SHOPLAZZA_DEFAULT_SHOP = 'Default.MyShoplazza.com';
+      expect((await runMigrations({ db })).applied[0]).toBe('0007_payments_shop_scope');
+    } finally {
+      if (original === undefined) delete process.env.SHOPLAZZA_DEFAULT_SHOP;
+      else process.env.SHOPLAZZA_DEFAULT_SHOP = original;
+    }
+
+    expect(native.prepare('SELECT shop_domain FROM payments ORDER BY id').all()).toEqual([
+      { shop_domain: 'legacy.myshoplazza.com' },
+      { shop_domain: 'from-url.myshoplazza.com' },
+      { shop_domain: 'default.myshoplazza.com' },
+    ]);
+    expect(native.prepare('SELECT shop_domain FROM payment_events ORDER BY id').all()).toEqual([
+      { shop_domain: 'from-url.myshoplazza.com' },
+      { shop_domain: 'default.myshoplazza.com' },
+    ]);
+  });
+
+  it('fails the backfill rather than moving a row its shop already has', async () => {
+    await runMigrations({ db });
+    await rollbackMigrations({ db, steps: stepsAfter('0006_payment_attempts') });
+    const insert = native.prepare(
+      `INSERT INTO payments (shop_domain, order_id, payment_id, status) VALUES (?, ?, ?, 'pending')`
+    );
+    insert.run('dup.myshoplazza.com', 'O-D1', 'P-D1');
+    insert.run('Dup.MyShoplaza.com', 'O-D1', 'P-D1');
+
+    const original = process.env.SHOPLAZZA_DEFAULT_SHOP;
+    try {
+      process.env.SHOPLAZZA_DEFAULT_SHOP = 'default.myshoplazza.com';
+      await expect(runMigrations({ db })).rejects.toThrow(
+        /0007_payments_shop_scope.*#2 \(order O-D1, shop_domain "Dup\.MyShoplaza\.com"\)/
+      );
+    } finally {
+      if (original === undefined) delete process.env.SHOPLAZZA_DEFAULT_SHOP;
+      else process.env.SHOPLAZZA_DEFAULT_SHOP = original;
+    }
+    expect(native.prepare('SELECT shop_domain FROM payments ORDER BY id').all()).toEqual([
+      { shop_domain: 'dup.myshoplazza.com' },
+      { shop_domain: 'Dup.MyShoplaza.com' },
+    ]);
+  });
+
+  it('converts decimal amounts to minor units per currency', async () => {
+    await runMigrations({ db });
+    await rollbackMigrations({ db, steps: stepsAfter('0007_payments_shop_scope') });
+    const insert = native.prepare(
+      `INSERT INTO payments (shop_domain, order_id, payment_id, status, amount, currency)
+       VALUES ('m.myshoplazza.com', ?, ?, 'paid', ?, ?)`
+    );
+    insert.run('O-M1', 'P-M1', 9.990000000000002, 'USD');
+    insert.run('O-M2', 'P-M2', 1500, 'JPY');
+    insert.run('O-M3', 'P-M3', 1.234, 'KWD');
+
+    await runMigrations({ db });
+
+    expect(columnsOf('payments')).not.toContain('amount');
+    expect(native.prepare('SELECT amount_minor FROM payments ORDER BY id').all()).toEqual([
+      { amount_minor: 999 },
+      { amount_minor: 1500 },
+      { amount_minor: 1234 },
+    ]);
+
+    await rollbackMigrations({ db, steps: stepsAfter('0007_payments_shop_scope') });
+    expect(native.prepare('SELECT amount FROM payments ORDER BY id').all()).toEqual([
+      { amount: 9.99 },
+      { amount: 1500 },
+      { amount: 1.234 },
+    ]);
+  });
+
+  it('encrypts plaintext merchant keys when a master key is set', async () => {
+    const original = process.env.SECRETS_MASTER_KEYS;
+    process.env.SECRETS_MASTER_KEYS = `m1:${crypto.randomBytes(32).toString('base64')}`;
+    try {
+      await runMigrations({ db });
+      await rollbackMigrations({ db, steps: stepsAfter('0008_money_minor_units') });
+      native.exec(`INSERT INTO rg_settings (shop_domain, merchant_id, merchant_key)
+        VALUES ('k.myshoplazza.com', '1', 'plain_key'), ('n.myshoplazza.com', '2', NULL)`);
+
+      await runMigrations({ db });
+
+      const rows = native.prepare('SELECT * FROM rg_settings ORDER BY shop_domain').all();
+      expect(rows.map((r) => [r.merchant_key, r.merchant_key_kid])).toEqual([
+        [null, 'm1'],
+        [null, null],
+      ]);
+      const { merchant_key_enc: ciphertext } = rows[0];
+      expect(decryptSecret({ ciphertext, keyId: 'm1' }, { aad: 'k.myshoplazza.com' })).toBe(
+        'plain_key'
+      );
+
+      await rollbackMigrations({ db, steps: stepsAfter('0008_money_minor_units') });
+      expect(
+        native.prepare('SELECT merchant_key FROM rg_settings ORDER BY shop_domain').all()
+      ).toEqual([{ merchant_key: 'plain_key' }, { merchant_key: null }]);
+    } finally {
+      if (original === undefined) delete process.env.SECRETS_MASTER_KEYS;
+      else process.env.SECRETS_MASTER_KEYS = original;
+    }
+  });
+
+  it('backfills the shop lifecycle status from uninstalled_at', async () => {
+    await runMigrations({ db });
+    await rollbackMigrations({ db, steps: stepsAfter('0011_shoplazza_apps') });
+    native.exec(`INSERT INTO shops (shop_domain, access_token, uninstalled_at)
+      VALUES ('live.myshoplazza.com', 't1', NULL), ('gone.myshoplazza.com', NULL, '2024-01-01')`);
+
+    await runMigrations({ db });
+
+    expect(
+      native.prepare('SELECT shop_domain, status, purge_after FROM shops ORDER BY id').all()
+    ).toEqual([
+      { shop_domain: 'live.myshoplazza.com', status: 'installed', purge_after: null },
+      { shop_domain: 'gone.myshoplazza.com', status: 'uninstalled', purge_after: null },
+    ]);
+
+    await rollbackMigrations({ db, steps: stepsAfter('0011_shoplazza_apps') });
+    expect(columnsOf('shops')).not.toContain('status');
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for money helpers (money.js).
+ * - Major amounts parse to integer minor units by currency exponent (JPY 0, USD 2, KWD 3).
+ * - Too many decimals, negatives and junk are rejected rather than rounded.
+ * - Minor units format back with the currency's decimals.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+  currencyExponent,
+  formatMinorUnits,
+  parseMinorUnits,
+  toMinorUnits,
+} from '../src/utils/money.js';
+
+describe('toMinorUnits', () => {
+  it('scales by the currency exponent', () => {
+    expect(toMinorUnits('12.99', 'USD')).toBe(1299);
+    expect(toMinorUnits(10, 'usd')).toBe(1000);
+    expect(toMinorUnits('1,234.5', 'EUR')).toBe(123450);
+    expect(toMinorUnits('500', 'JPY')).toBe(500);
+    expect(toMinorUnits('1.234', 'KWD')).toBe(1234);
+    expect(currencyExponent('XYZ')).toBe(2);
+  });
+
+  it('parses exactly, without float error', () => {
+    expect(toMinorUnits('0.29', 'USD')).toBe(29);
+    expect(toMinorUnits('1.10', 'USD')).toBe(110);
+    expect(toMinorUnits('500.00', 'JPY')).toBe(500);
+  });
+
+  it('rejects amounts it cannot represent', () => {
+    expect(toMinorUnits('12.999', 'USD')).toBeNull();
+    expect(toMinorUnits('500.5', 'JPY')).toBeNull();
+    expect(toMinorUnits('-1.00', 'USD')).toBeNull();
+    expect(toMinorUnits('abc', 'USD')).toBeNull();
+    expect(toMinorUnits('', 'USD')).toBeNull();
+  });
+});
+
+describe('parseMinorUnits / formatMinorUnits', () => {
+  it('accepts integers and digit strings only', () => {
+    expect(parseMinorUnits(1299)).toBe(1299);
+    expect(parseMinorUnits('1299')).toBe(1299);
+    expect(parseMinorUnits(12.5)).toBeNull();
+    expect(parseMinorUnits(-1)).toBeNull();
+    expect(parseMinorUnits('12.50')).toBeNull();
+  });
+
+  it('formats with the currency decimals', () => {
+    expect(formatMinorUnits(1299, 'USD')).toBe('12.99');
+    expect(formatMinorUnits(5, 'USD')).toBe('0.05');
+    expect(formatMinorUnits(500, 'JPY')).toBe('500');
+    expect(formatMinorUnits('1234', 'KWD')).toBe('1.234');
+    expect(formatMinorUnits(null, 'USD')).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests the DB-backed OAuth state store (src/db/oauthStates.js) and /auth/start|callback:
+ * - /auth/start stores the state with its shop and sets the verifier cookie.
+ * - A state is consumed once; a wrong shop or a replay fails the callback.
+ * - Verifier binding, expiry and the sweep of expired states.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  consumeOAuthState,
+  createOAuthState,
+  db,
+  pruneOAuthStates,
+  runMigrations,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-oauth.myshoplazza.com';
+
+describe('OAuth state', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.SHOPLAZZA_CLIENT_ID = 'client_1';
+    process.env.SHOPLAZZA_REDIRECT_URL = 'https://app.example.com/auth/callback';
+    delete process.env.SHOPLAZZA_APP_MAP;
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('persists the state issued by /auth/start and consumes it once', async () => {
+    const start = await request(app).get('/auth/start').query({ shop: SHOP }).expect(302);
+    const state = new URL(start.headers.location).searchParams.get('state');
+    expect(start.headers['set-cookie'].join(';')).toContain('oauth_state=');
+
+    const row = await db
+      .selectFrom('oauth_states')
+      .selectAll()
+      .where('state', '=', state)
+      .executeTakeFirst();
+    expect(row).toMatchObject({ shop_domain: SHOP });
+    expect(row.verifier_hash).toMatch(/^[0-9a-f]{64}$/);
+
+    // Wrong shop burns the state; the right shop can't reuse it afterwards
+    await request(app)
+      .get('/auth/callback')
+      .query({ shop: 'other.myshoplazza.com', state, code: 'c' })
+      .expect(400);
+    const replay = await request(app)
+      .get('/auth/callback')
+      .query({ shop: SHOP, state, code: 'c' })
+      .expect(400);
+    expect(replay.text).toContain('Invalid or missing state');
+  });
+
+  it('checks the bound verifier when one is presented or required', async () => {
+    const a = await createOAuthState({ shop: SHOP, verifier: 'v-1' });
+    expect(await consumeOAuthState(a.state, { shop: SHOP, verifier: 'v-2' })).toBeNull();
+
+    const b = await createOAuthState({ shop: SHOP, verifier: 'v-1' });
+    expect(await consumeOAuthState(b.state, { shop: SHOP, requireVerifier: true })).toBeNull();
+
+    const c = await createOAuthState({ shop: SHOP, verifier: 'v-1' });
+    expect(await consumeOAuthState(c.state, { shop: SHOP, verifier: 'v-1' })).toEqual({
+      shop: SHOP,
+      clientId: null,
+    });
+    expect(await consumeOAuthState(c.state, { shop: SHOP, verifier: 'v-1' })).toBeNull();
+  });
+
+  it('expires states and sweeps them', async () => {
+    const { state } = await createOAuthState({ shop: SHOP, ttlSeconds: -1 });
+    expect(await consumeOAuthState(state, { shop: SHOP })).toBeNull();
+
+    const live = await createOAuthState({ shop: SHOP });
+    expect(await pruneOAuthStates()).toBeGreaterThanOrEqual(1);
+    expect(await consumeOAuthState(live.state, { shop: SHOP })).toMatchObject({ shop: SHOP });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests the outbox for outbound Shoplazza calls:
+ * - Backoff grows exponentially with jitter and is capped.
+ * - Concurrent enqueues of one dedupe key share a single row.
+ * - Retryable failures (5xx) stay pending until the dispatcher delivers them.
+ * - Permanent failures (4xx) and exhausted attempts are dead-lettered.
+ * - /admin/outbox lists rows and re-drives dead ones.
+ */
+
+import http from 'node:http';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+
+import {
+  enqueueOutbox,
+  getOutboxItem,
+  listOutbox,
+  resetOutbox,
+  runMigrations,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+import { computeBackoffMs, deliverViaOutbox, processOutboxOnce } from '../src/utils/outbox.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-outbox.myshoplazza.com';
+const LATER = new Date(Date.now() + 24 * 3600_000);
+
+describe('outbox', () => {
+  let server;
+  let url;
+  const replies = []; // status codes to answer with, in order (default 200)
+  let hits = 0;
+
+  beforeAll(async () => {
+    await runMigrations();
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        hits += 1;
+        res.writeHead(replies.shift() ?? 200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/notify`;
+    process.env.SHOPLAZZA_CLIENT_SECRET = 'outbox_secret';
+    delete process.env.ADMIN_TOKEN;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  beforeEach(async () => {
+    await resetOutbox();
+    replies.length = 0;
+    hits = 0;
+    delete process.env.OUTBOX_MAX_ATTEMPTS;
+  });
+
+  const send = (n) =>
+    deliverViaOutbox({ kind: 'notify', shop: SHOP, url, body: { n }, dedupeKey: `t:${n}` });
+
+  it('computes capped exponential backoff with jitter', () => {
+    const opts = { baseMs: 1000, maxMs: 10_000 };
+    expect(computeBackoffMs(1, { ...opts, random: () => 0 })).toBe(500);
+    expect(computeBackoffMs(1, { ...opts, random: () => 1 })).toBe(1000);
+    expect(computeBackoffMs(3, { ...opts, random: () => 1 })).toBe(4000);
+    expect(computeBackoffMs(20, { ...opts, random: () => 1 })).toBe(10_000);
+  });
+
+  it('delivers on the first try and dedupes repeats', async () => {
+    const first = await send(1);
+    expect(first).toMatchObject({ ok: true, outboxStatus: 'delivered' });
+
+    const again = await send(1);
+    expect(again).toMatchObject({ ok: true, deduped: true, outboxId: first.outboxId });
+    expect(hits).toBe(1);
+  });
+
+  it('queues one row when the same dedupe key is enqueued concurrently', async () => {
+    const enqueue = () =>
+      enqueueOutbox({ shopDomain: SHOP, kind: 'notify', url, body: {}, dedupeKey: 'race' });
+    const [a, b] = await Promise.all([enqueue(), enqueue()]);
+    expect(a.id).toBe(b.id);
+    expect(await listOutbox({ shop: SHOP })).toHaveLength(1);
+  });
+
+  it('retries a 5xx in the background until delivered', async () => {
+    replies.push(503);
+    const first = await send(2);
+    expect(first).toMatchObject({ ok: false, status: 503, outboxStatus: 'pending' });
+
+    const row = await getOutboxItem(first.outboxId);
+    expect(row.attempts).toBe(1);
+    expect(new Date(row.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect((await processOutboxOnce()).claimed).toBe(0);
+
+    const pass = await processOutboxOnce({ now: LATER });
+    expect(pass).toMatchObject({ claimed: 1, delivered: 1 });
+    expect((await getOutboxItem(first.outboxId)).status).toBe('delivered');
+  });
+
+  it('dead-letters permanent failures and exhausted retries', async () => {
+    replies.push(400);
+    const rejected = await send(3);
+    expect(rejected.outboxStatus).toBe('dead');
+
+    process.env.OUTBOX_MAX_ATTEMPTS = '2';
+    replies.push(500, 500);
+    const flaky = await send(4);
+    expect(flaky.outboxStatus).toBe('pending');
+    expect(await processOutboxOnce({ now: LATER })).toMatchObject({ dead: 1 });
+
+    const row = await getOutboxItem(flaky.outboxId);
+    expect(row).toMatchObject({ status: 'dead', attempts: 2, last_http_status: 500 });
+  });
+
+  it('lists and re-drives dead rows from /admin/outbox', async () => {
+    replies.push(400);
+    const { outboxId } = await send(5);
+
+    const list = await request(app).get('/admin/outbox').query({ status: 'dead' });
+    expect(list.status).toBe(200);
+    expect(list.body.rows.map((r) => r.id)).toContain(outboxId);
+
+    const redriven = await request(app).post(`/admin/outbox/${outboxId}/redrive`);
+    expect(redriven.body.row).toMatchObject({ status: 'pending', attempts: 0 });
+
+    const delivered = await request(app)
+      .post(`/admin/outbox/${outboxId}/redrive`)
+      .query({ deliver: 'true' });
+    expect(delivered.body.row.status).toBe('delivered');
+
+    const again = await request(app).post(`/admin/outbox/${outboxId}/redrive`);
+    expect(again.status).toBe(409);
+  });
+});
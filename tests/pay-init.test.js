@@ -9,13 +9,18 @@
 import { URL } from 'node:url';
 
 import request from 'supertest';
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
 
+import { runMigrations } from '../src/db/index.js';
 import { app } from '../src/index.js';
 
 const ORIGINAL_ENV = { ...process.env };
 
 describe('/pay/init', () => {
+  beforeAll(async () => {
+    await runMigrations();
+  });
+
   beforeEach(() => {
     // Minimal env for the route to work
     process.env.ROCKETGATE_MERCHANT_ID = '1483462469';
@@ -25,6 +30,7 @@ describe('/pay/init', () => {
     delete process.env.ROCKETGATE_HOSTED_PATH;
 
     process.env.APP_BASE_URL = 'https://example.test';
+    process.env.SHOPLAZZA_DEFAULT_SHOP = 'rg-legacy.myshoplazza.com'; // /pay/init's shop
     process.env.PORT = '3000';
   });
 
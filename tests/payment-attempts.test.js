@@ -0,0 +1,137 @@
+/**
+ * Tests multiple payment attempts (Shoplazza payment_ids) for one order:
+ * - A retry is its own row; the earlier attempt is marked superseded, not overwritten.
+ * - Returns (spz_payment_id) and notifies (customerID) update the attempt they belong to.
+ * - A notify echoing the buyer's customer id (/pay/init links) settles the order's payment.
+ * - GET /app-api/payments/:orderId/attempts lists every attempt for the session's shop.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  createOrUpdatePayment,
+  getPayment,
+  listPaymentAttempts,
+  runMigrations,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-attempts.myshoplazza.com';
+const ORDER = 'O-ATT-1';
+
+const startAttempt = (paymentId) =>
+  createOrUpdatePayment({
+    shopDomain: SHOP,
+    orderId: ORDER,
+    paymentId,
+    customerId: paymentId,
+    amountMinor: 2500,
+    currency: 'USD',
+    status: 'pending',
+  });
+
+describe('payment attempts', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+    process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false'; // signatures: callbacks.return-signature.test.js
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    delete process.env.SHOPLAZZA_CLIENT_ID;
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('keeps a failed attempt and supersedes it when the buyer retries', async () => {
+    await startAttempt('P-ATT-1');
+    await request(app)
+      .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
+      .query({ orderId: ORDER, status: 'fail', shop: SHOP, spz_payment_id: 'P-ATT-1' })
+      .expect(200);
+
+    const retry = await startAttempt('P-ATT-2');
+    expect(retry).toMatchObject({ payment_id: 'P-ATT-2', status: 'pending' });
+
+    const [first, second] = await listPaymentAttempts(ORDER, { shop: SHOP });
+    expect(first).toMatchObject({ payment_id: 'P-ATT-1', status: 'returned_fail' });
+    expect(first.superseded_by).toBe('P-ATT-2');
+    expect(first.superseded_at).not.toBeNull();
+    expect(second.superseded_at).toBeNull();
+    expect((await getPayment(ORDER, { shop: SHOP })).payment_id).toBe('P-ATT-2');
+  });
+
+  it('routes returns and notifies to their own attempt', async () => {
+    const ret = await request(app)
+      .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
+      .query({ orderId: ORDER, status: 'success', shop: SHOP, spz_payment_id: 'P-ATT-2' });
+    expect(ret.body.state).toMatchObject({ payment_id: 'P-ATT-2', status: 'returned_success' });
+
+    // A late decline for the first attempt must not touch the retry
+    await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: ORDER, customerID: 'P-ATT-1', status: 'declined', shop: SHOP })
+      .expect(200);
+    const paid = await request(app)
+      .post('/callbacks/notify')
+      .send({
+        invoice: ORDER,
+        customerID: 'P-ATT-2',
+        status: 'approved',
+        transactId: 'RG-ATT-2',
+        shop: SHOP,
+      })
+      .expect(200);
+    expect(paid.body.state).toMatchObject({ payment_id: 'P-ATT-2', status: 'paid' });
+
+    expect((await getPayment(ORDER, { shop: SHOP, paymentId: 'P-ATT-1' })).status).toBe('declined');
+    expect((await getPayment(ORDER, { shop: SHOP, paymentId: 'P-ATT-2' })).status).toBe('paid');
+  });
+
+  it('settles the payment when the notify echoes the customer id', async () => {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-ATT-2',
+      paymentId: 'O-ATT-2',
+      customerId: 'C-ATT-2',
+      amountMinor: 2500,
+      currency: 'USD',
+      status: 'pending',
+    });
+    const res = await request(app)
+      .post('/callbacks/notify')
+      .send({
+        invoice: 'O-ATT-2',
+        customerID: 'C-ATT-2',
+        status: 'approved',
+        transactId: 'RG-ATT-3',
+        shop: SHOP,
+      })
+      .expect(200);
+    expect(res.body.state).toMatchObject({ payment_id: 'O-ATT-2', status: 'paid' });
+  });
+
+  it('lists attempts over the app API', async () => {
+    const res = await request(app)
+      .get(`/app-api/payments/${ORDER}/attempts`)
+      .set('Cookie', sessionCookie(SHOP));
+    expect(res.status).toBe(200);
+    expect(res.body.attempts.map((a) => [a.payment_id, a.status])).toEqual([
+      ['P-ATT-1', 'declined'],
+      ['P-ATT-2', 'paid'],
+    ]);
+
+    const other = await request(app)
+      .get(`/app-api/payments/${ORDER}/attempts`)
+      .set('Cookie', sessionCookie('someone-else.myshoplazza.com'));
+    expect(other.status).toBe(404);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests the append-only payment_events log behind payments.status:
+ * - Creating a payment records its first event; returns and notifies append
+ *   transitions with their source, actor and payload reference.
+ * - Same-status updates append nothing; refused transitions are kept as rejected events.
+ * - GET /app-api/payments/:orderId/timeline lists the events for the session's shop.
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  createOrUpdatePayment,
+  listPaymentEvents,
+  runMigrations,
+  setPaymentStatus,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-events.myshoplazza.com';
+
+describe('payment_events', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+    process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false'; // signatures: callbacks.return-signature.test.js
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    delete process.env.SHOPLAZZA_CLIENT_ID;
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  const seed = (orderId) =>
+    createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId,
+      paymentId: `P-${orderId}`,
+      amountMinor: 900,
+      currency: 'USD',
+      status: 'pending',
+      actor: 'shoplazza',
+    });
+
+  it('records init, return and notify transitions in order', async () => {
+    const payment = await seed('O-EV-1');
+
+    await request(app)
+      .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
+      .query({ orderId: 'O-EV-1', status: 'success', shop: SHOP })
+      .expect(200);
+    await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-EV-1', status: 'approved', transactId: 'RG-EV-1', shop: SHOP })
+      .expect(200);
+
+    const events = await listPaymentEvents(payment.id);
+    expect(events.map((e) => [e.source, e.from_status, e.to_status])).toEqual([
+      ['init', null, 'pending'],
+      ['return', 'pending', 'returned_success'],
+      ['notify', 'returned_success', 'paid'],
+    ]);
+    expect(events[0].actor).toBe('shoplazza');
+    expect(events[2]).toMatchObject({ actor: 'rocketgate', rocketgate_txn: 'RG-EV-1' });
+    expect(events[2].payload_ref).toMatch(/^webhook_logs:\d+$/);
+  });
+
+  it('records refused transitions as rejected and skips repeated statuses', async () => {
+    const EV2 = { shopDomain: SHOP, orderId: 'O-EV-2' };
+    const payment = await seed('O-EV-2');
+    await setPaymentStatus({ ...EV2, status: 'paid', source: 'notify' });
+
+    const downgraded = await setPaymentStatus({ ...EV2, status: 'pending' });
+    const repeated = await setPaymentStatus({
+      ...EV2,
+      status: 'paid',
+      rocketgateTxnId: 'RG-EV-2b',
+    });
+
+    expect(downgraded.status).toBe('paid');
+    expect(repeated.rocketgate_txn).toBe('RG-EV-2b');
+    const events = await listPaymentEvents(payment.id);
+    expect(events.map((e) => [e.to_status, e.rejected])).toEqual([
+      ['pending', 0],
+      ['paid', 0],
+      ['pending', 1],
+    ]);
+    expect(events[2].reason).toBe('illegal_transition');
+  });
+
+  it('serves the timeline to the owning shop only', async () => {
+    await seed('O-EV-3');
+    await setPaymentStatus({
+      shopDomain: SHOP,
+      orderId: 'O-EV-3',
+      status: 'declined',
+      source: 'notify',
+    });
+
+    const res = await request(app)
+      .get('/app-api/payments/O-EV-3/timeline')
+      .set('Cookie', sessionCookie(SHOP));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, orderId: 'O-EV-3', status: 'declined' });
+    expect(res.body.events.map((e) => e.to_status)).toEqual(['pending', 'declined']);
+
+    const other = await request(app)
+      .get('/app-api/payments/O-EV-3/timeline')
+      .set('Cookie', sessionCookie('someone-else.myshoplazza.com'));
+    expect(other.status).toBe(404);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests tenant scoping of payments by shop_domain:
+ * - Two shops can use the same order id; returns and notifies only touch the named shop's row.
+ * - Their Shoplazza notifies for the same payment id are queued separately (shop-scoped dedupe).
+ * - The app API only sees the session shop's payment, never another shop's same order id.
+ * - Payment reads and writes without a valid shop are refused (SHOP_REQUIRED).
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { createOrUpdatePayment, getPayment, listOutbox, runMigrations } from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP_A = 'rg-scope-a.myshoplazza.com';
+const SHOP_B = 'rg-scope-b.myshoplazza.com';
+const ORDER = 'O-SCOPE-1';
+
+const seed = (shopDomain, amountMinor) =>
+  createOrUpdatePayment({
+    shopDomain,
+    orderId: ORDER,
+    paymentId: 'P-SCOPE-1',
+    amountMinor,
+    currency: 'USD',
+    status: 'pending',
+  });
+
+describe('payment tenant scoping', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+    process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false'; // signatures: callbacks.return-signature.test.js
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    delete process.env.SHOPLAZZA_CLIENT_ID;
+    delete process.env.SHOPLAZZA_DEFAULT_SHOP;
+    await seed(SHOP_A, 1000);
+    await seed('RG-Scope-B.myshoplaza.com', 2000); // stored canonical
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('keeps the same order id apart per shop', async () => {
+    await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: ORDER, status: 'approved', transactId: 'RG-SCOPE-A', shop: SHOP_A })
+      .expect(200);
+    await request(app)
+      .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
+      .query({ orderId: ORDER, status: 'fail', shop: SHOP_B })
+      .expect(200);
+
+    expect(await getPayment(ORDER, { shop: SHOP_A })).toMatchObject({
+      status: 'paid',
+      amount_minor: 1000,
+    });
+    expect(await getPayment(ORDER, { shop: SHOP_B })).toMatchObject({
+      shop_domain: SHOP_B,
+      status: 'returned_fail',
+      amount_minor: 2000,
+    });
+  });
+
+  it("queues each shop's Shoplazza notify for the same payment id", async () => {
+    const callbackUrl = 'http://127.0.0.1:9/scope-notify'; // nothing listens; rows stay queued
+    for (const shopDomain of [SHOP_A, SHOP_B]) {
+      await createOrUpdatePayment({
+        shopDomain,
+        orderId: 'O-SCOPE-2',
+        paymentId: 'O-SCOPE-2',
+        amountMinor: 500,
+        currency: 'USD',
+        status: 'pending',
+        callbackUrl,
+      });
+      await request(app)
+        .post('/callbacks/notify')
+        .send({ invoice: 'O-SCOPE-2', status: 'approved', shop: shopDomain })
+        .expect(200);
+    }
+
+    const queued = (await listOutbox({ kind: 'notify' })).filter((r) => r.url === callbackUrl);
+    expect(queued.map((r) => r.shop_domain).sort()).toEqual([SHOP_A, SHOP_B]);
+  });
+
+  it('ignores a notify that names no shop when there is no default shop', async () => {
+    const res = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: ORDER, status: 'declined' })
+      .expect(200);
+    expect(res.body.forwarded).toEqual({ skipped: 'unknown_shop' });
+    expect((await getPayment(ORDER, { shop: SHOP_B })).status).toBe('returned_fail');
+  });
+
+  it('serves each shop only its own payment over the app API', async () => {
+    const a = await request(app)
+      .get(`/app-api/payments/${ORDER}/timeline`)
+      .set('Cookie', sessionCookie(SHOP_A));
+    const b = await request(app)
+      .get(`/app-api/payments/${ORDER}/timeline`)
+      .set('Cookie', sessionCookie(SHOP_B));
+    expect(a.body.status).toBe('paid');
+    expect(b.body.status).toBe('returned_fail');
+
+    const other = await request(app)
+      .get(`/app-api/payments/${ORDER}/attempts`)
+      .set('Cookie', sessionCookie('rg-scope-c.myshoplazza.com'));
+    expect(other.status).toBe(404);
+  });
+
+  it('refuses unscoped reads and writes', async () => {
+    await expect(getPayment(ORDER)).rejects.toMatchObject({ code: 'SHOP_REQUIRED', status: 400 });
+    await expect(
+      createOrUpdatePayment({ shopDomain: 'example.com', orderId: 'O-SCOPE-2', paymentId: 'P' })
+    ).rejects.toMatchObject({ code: 'SHOP_REQUIRED' });
+  });
+});
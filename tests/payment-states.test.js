@@ -0,0 +1,136 @@
+/**
+ * Tests the payment state machine (src/utils/paymentStates.js):
+ * - A late decline can't overwrite a settled payment; a refund after a chargeback can.
+ * - Terminal states refuse every move; refused notifies are recorded as rejected events.
+ * - An ambiguous buyer return (no success/fail result) leaves the payment and its events alone.
+ * - GET /app-api/payments/:orderId/transitions answers "can this payment move to X?".
+ */
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  canPaymentTransition,
+  createOrUpdatePayment,
+  getPayment,
+  listPaymentEvents,
+  runMigrations,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+import {
+  allowedTransitions,
+  checkTransition,
+  TERMINAL_STATUSES,
+} from '../src/utils/paymentStates.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-states.myshoplazza.com';
+
+describe('payment state machine', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+    process.env.VERIFY_ROCKETGATE_RETURN_HASH = 'false'; // unsigned returns below
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    delete process.env.SHOPLAZZA_CLIENT_ID;
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  const seed = (orderId, status) =>
+    createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId,
+      paymentId: `P-${orderId}`,
+      amountMinor: 1500,
+      currency: 'USD',
+      status,
+    });
+
+  const notify = (invoice, status) =>
+    request(app).post('/callbacks/notify').send({ invoice, status, shop: SHOP }).expect(200);
+
+  it('declares the legal moves', () => {
+    expect(checkTransition('paid', 'declined')).toEqual({
+      ok: false,
+      reason: 'illegal_transition',
+    });
+    expect(checkTransition('chargeback', 'refunded')).toEqual({ ok: true });
+    expect(checkTransition('refunded', 'paid')).toEqual({ ok: false, reason: 'terminal_state' });
+    expect(checkTransition('pending', 'bogus')).toEqual({ ok: false, reason: 'unknown_status' });
+    expect(checkTransition(null, 'pending')).toEqual({ ok: true });
+    expect(TERMINAL_STATUSES).toEqual(expect.arrayContaining(['refunded', 'voided', 'declined']));
+    expect(allowedTransitions('declined')).toEqual([]);
+  });
+
+  it('keeps a paid payment when a late decline arrives, and records the attempt', async () => {
+    const payment = await seed('O-SM-1', 'pending');
+    await notify('O-SM-1', 'approved');
+    await notify('O-SM-1', 'declined');
+
+    expect((await getPayment('O-SM-1', { shop: SHOP })).status).toBe('paid');
+    const last = (await listPaymentEvents(payment.id)).at(-1);
+    expect(last).toMatchObject({
+      source: 'notify',
+      from_status: 'paid',
+      to_status: 'declined',
+      rejected: 1,
+      reason: 'illegal_transition',
+    });
+  });
+
+  it('applies a refund notify after a chargeback', async () => {
+    await seed('O-SM-2', 'paid');
+    await notify('O-SM-2', 'chargeback');
+    await notify('O-SM-2', 'refunded');
+
+    expect((await getPayment('O-SM-2', { shop: SHOP })).status).toBe('refunded');
+    expect(await canPaymentTransition('O-SM-2', 'paid', { shop: SHOP })).toEqual({
+      ok: false,
+      from: 'refunded',
+      to: 'paid',
+      reason: 'terminal_state',
+    });
+    expect(await canPaymentTransition('O-SM-MISSING', 'paid', { shop: SHOP })).toBeNull();
+  });
+
+  it('leaves the payment alone on an ambiguous buyer return', async () => {
+    const payment = await seed('O-SM-4', 'pending');
+    const res = await request(app)
+      .get('/callbacks/complete-payment')
+      .set('Accept', 'application/json')
+      .query({ orderId: 'O-SM-4', result: 'cancelled', shop: SHOP })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ outcome: 'pending', state: { status: 'pending' } });
+    expect((await listPaymentEvents(payment.id)).map((e) => e.to_status)).toEqual(['pending']);
+  });
+
+  it('answers transition questions over the app API', async () => {
+    await seed('O-SM-3', 'paid');
+    const cookie = sessionCookie(SHOP);
+
+    const list = await request(app)
+      .get('/app-api/payments/O-SM-3/transitions')
+      .set('Cookie', cookie);
+    expect(list.status).toBe(200);
+    expect(list.body).toMatchObject({ ok: true, status: 'paid', terminal: false });
+    expect(list.body.allowed).toEqual(expect.arrayContaining(['refunded', 'chargeback']));
+
+    const ask = await request(app)
+      .get('/app-api/payments/O-SM-3/transitions')
+      .query({ to: 'declined' })
+      .set('Cookie', cookie);
+    expect(ask.body).toMatchObject({
+      to: 'declined',
+      canTransition: false,
+      reason: 'illegal_transition',
+    });
+  });
+});
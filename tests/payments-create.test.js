@@ -0,0 +1,124 @@
+/**
+ * Tests POST /payments/create (Shoplazza create-payment capture):
+ * - With signature verification on, unsigned or mis-signed requests are rejected (401).
+ * - A signed request runs the payment session flow: pending payment + Hosted Page redirect_url.
+ * - Retries with the same X-Shoplazza-Request-Id replay the first response.
+ * - A request id whose first delivery died unanswered is run again once its claim expires.
+ */
+
+import crypto from 'node:crypto';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { claimWebhookLog, db, getPayment, runMigrations } from '../src/db/index.js';
+import { upsertRgSettings } from '../src/db/rgSettings.js';
+import { app } from '../src/index.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-create.myshoplazza.com';
+
+const payload = JSON.stringify({
+  id: 'P-CREATE-1',
+  shoplazza_order_id: 'O-CREATE-1',
+  amount: '12.50',
+  currency: 'USD',
+  complete_url: `https://${SHOP}/openapi/2022-01/payments/complete`,
+  callback_url: `https://${SHOP}/openapi/2022-01/payments/callback`,
+});
+
+const create = ({ secret = 'create_secret', requestId = 'req-1', body = payload } = {}) =>
+  request(app)
+    .post('/payments/create')
+    .set('Content-Type', 'application/json')
+    .set('X-Shoplazza-Request-Id', requestId)
+    .set(
+      'X-Shoplazza-Hmac-Sha256',
+      crypto.createHmac('sha256', secret).update(body).digest('base64')
+    )
+    .send(body);
+
+describe('POST /payments/create', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    delete process.env.SHOPLAZZA_APP_MAP;
+    process.env.SHOPLAZZA_CLIENT_SECRET = 'create_secret';
+    process.env.APP_BASE_URL = 'https://rg-app.example.com';
+    await upsertRgSettings({ shop: SHOP, merchantId: '4004', merchantKey: 'create_key' });
+    app.locals.verifySignatures = true;
+  });
+
+  afterAll(() => {
+    app.locals.verifySignatures = false;
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('rejects requests that fail verification', async () => {
+    const res = await create({ secret: 'wrong_secret', requestId: 'req-bad' }).expect(401);
+    expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+    expect(await getPayment('O-CREATE-1', { shop: SHOP })).toBeNull();
+  });
+
+  it('starts a payment session from the payload', async () => {
+    const res = await create().expect(200);
+    const url = new URL(res.body.redirect_url);
+    expect(url.searchParams.get('merch')).toBe('4004');
+    expect(url.searchParams.get('invoice')).toBe('O-CREATE-1');
+
+    expect(await getPayment('O-CREATE-1', { shop: SHOP })).toMatchObject({
+      payment_id: 'P-CREATE-1',
+      amount_minor: 1250,
+      status: 'pending',
+    });
+  });
+
+  it('replays the first response for a repeated request id', async () => {
+    const first = await db
+      .selectFrom('webhook_logs')
+      .selectAll()
+      .where('idempotency_key', '=', 'req-1')
+      .executeTakeFirst();
+
+    const res = await create().expect(200);
+    expect(res.headers['idempotent-replay']).toBe('true');
+    expect(res.body).toEqual(JSON.parse(first.response_json));
+
+    const logs = await db
+      .selectFrom('webhook_logs')
+      .select('id')
+      .where('topic', '=', 'payments/create')
+      .where('idempotency_key', '=', 'req-1')
+      .execute();
+    expect(logs).toHaveLength(1);
+  });
+
+  it('runs a request again once an unanswered claim on its id has expired', async () => {
+    const claim = (now) =>
+      claimWebhookLog(
+        { source: 'shoplazza', topic: 'payments/create', idempotencyKey: 'req-2' },
+        { now }
+      );
+    // A first delivery that is still running: the retry is asked to come back later
+    expect(await claim(new Date())).not.toBeNull();
+    const busy = await create({ requestId: 'req-2' }).expect(409);
+    expect(busy.body.error.code).toBe('CREATE_IN_PROGRESS');
+
+    // The same claim from a delivery that died an hour ago: the retry takes it over
+    await db
+      .updateTable('webhook_logs')
+      .set({ claim_expires_at: new Date(Date.now() - 3_600_000).toISOString() })
+      .where('idempotency_key', '=', 'req-2')
+      .execute();
+    const res = await create({ requestId: 'req-2' }).expect(200);
+    expect(res.headers['idempotent-replay']).toBeUndefined();
+    expect(new URL(res.body.redirect_url).searchParams.get('invoice')).toBe('O-CREATE-1');
+
+    const [log] = await db
+      .selectFrom('webhook_logs')
+      .selectAll()
+      .where('idempotency_key', '=', 'req-2')
+      .execute();
+    expect(log.response_status).toBe(200);
+  });
+});
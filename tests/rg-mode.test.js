@@ -0,0 +1,205 @@
+/**
+ * Tests per-shop RocketGate test/live mode (rg_settings.mode):
+ * - The mode picks the Hosted Page environment (dev-secure vs secure) and the credential
+ *   set: test mode signs with the test pair when saved, else with the live pair.
+ * - Payments are tagged test_mode from the shop's mode, and re-tagged after a switch.
+ * - Gateway calls for a payment use the environment and credentials it was made with.
+ * - Test-mode payments are left out of the payment summary unless asked for.
+ * - Saving only new credentials keeps the shop's mode, payment type and return URLs.
+ */
+
+import crypto from 'node:crypto';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  createOrUpdatePayment,
+  getPayment,
+  getRgSettings,
+  runMigrations,
+  setPaymentStatus,
+  upsertRgSettings,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+import { toMinorUnits } from '../src/utils/money.js';
+import { verifyHostedPageHash } from '../src/utils/rocketgate.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+import { startRocketGateStub } from './fixtures/rocketgateStub.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-mode.myshoplazza.com';
+const LIVE_HOST = 'secure.rocketgate.com';
+const TEST_HOST = 'dev-secure.rocketgate.com';
+
+/** Sign a proxy query the way Shoplazza's App Proxy does. */
+const signed = (query) => {
+  const msg = Object.keys(query)
+    .sort()
+    .map((k) => `${encodeURIComponent(k)}=${encodeURIComponent(String(query[k]))}`)
+    .join('&');
+  const signature = crypto.createHmac('sha256', 'proxy_secret').update(msg).digest('hex');
+  return { ...query, signature };
+};
+
+const init = async (orderId) => {
+  const res = await request(app)
+    .get('/app-proxy/init')
+    .query(signed({ shop: SHOP, orderId, amount: '10.00', currency: 'USD', customerId: 'C-1' }))
+    .expect(302);
+  const url = new URL(res.headers.location);
+  return { host: url.host, params: Object.fromEntries(url.searchParams) };
+};
+
+const saveMode = (mode) =>
+  upsertRgSettings({ shop: SHOP, merchantId: '7001', merchantKey: 'live_key', mode });
+
+describe('per-shop test/live mode', () => {
+  let stub;
+
+  beforeAll(async () => {
+    await runMigrations();
+    stub = await startRocketGateStub({ merchants: { 7002: 'test_key' } });
+    process.env.SHOPLAZZA_PROXY_SHARED_SECRET = 'proxy_secret';
+    process.env.ROCKETGATE_ENV = 'dev-secure'; // must not decide a shop's environment
+    process.env.ROCKETGATE_API_BASE_URL_TEST = stub.baseUrl;
+    process.env.ROCKETGATE_API_BASE_URL = 'http://127.0.0.1:9'; // live: unreachable
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    for (const k of ['ROCKETGATE_HOSTED_BASE_URL', 'ROCKETGATE_EXPECTED_HOST']) {
+      delete process.env[k];
+    }
+  });
+
+  afterAll(async () => {
+    await stub.close();
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('falls back to the live pair in test mode until a test pair is saved', async () => {
+    await saveMode('test');
+    const { host, params } = await init('O-MODE-0');
+    expect(host).toBe(TEST_HOST);
+    expect(params.merch).toBe('7001');
+    expect(params).not.toHaveProperty('mode');
+  });
+
+  it('signs test-mode links with the test pair on dev-secure', async () => {
+    await upsertRgSettings({
+      shop: SHOP,
+      merchantId: '7001',
+      testMerchantId: '7002',
+      testMerchantKey: 'test_key',
+      mode: 'test',
+    });
+    const settings = await getRgSettings(SHOP);
+    expect(settings).toMatchObject({ merchantId: '7002', merchantKey: 'test_key' });
+    expect(settings.credentials.live).toEqual({ merchantId: '7001', merchantKey: 'live_key' });
+
+    const { host, params } = await init('O-MODE-1');
+    expect(host).toBe(TEST_HOST);
+    expect(params.merch).toBe('7002');
+    expect(verifyHostedPageHash(params, 'test_key', params.hash)).toBe(true);
+    expect(await getPayment('O-MODE-1', { shop: SHOP })).toMatchObject({ test_mode: 1 });
+  });
+
+  it('switches to secure and the live pair in live mode', async () => {
+    await saveMode('live');
+    expect((await getRgSettings(SHOP)).testMerchantId).toBe('7002'); // test pair kept
+
+    const { host, params } = await init('O-MODE-2');
+    expect(host).toBe(LIVE_HOST);
+    expect(params.merch).toBe('7001');
+    expect(verifyHostedPageHash(params, 'live_key', params.hash)).toBe(true);
+    expect(await getPayment('O-MODE-2', { shop: SHOP })).toMatchObject({ test_mode: 0 });
+
+    // Re-initializing a test-mode order after the switch re-tags it
+    await init('O-MODE-0');
+    expect(await getPayment('O-MODE-0', { shop: SHOP })).toMatchObject({ test_mode: 0 });
+  });
+
+  it("refunds a test payment in the test environment, whatever the shop's mode", async () => {
+    const tx = stub.addTransaction({
+      merchantID: '7002',
+      merchantInvoiceID: 'O-MODE-1',
+      transactionType: 'CC_PURCHASE',
+      approvedAmount: '10.00',
+      approvedCurrency: 'USD',
+    });
+    await setPaymentStatus({
+      shopDomain: SHOP,
+      orderId: 'O-MODE-1',
+      status: 'paid',
+      rocketgateTxnId: tx.transactID,
+    });
+
+    const res = await request(app)
+      .post('/app-api/payments/O-MODE-1/refunds')
+      .set('Cookie', sessionCookie(SHOP))
+      .send({});
+    expect(res.status).toBe(201);
+    expect(stub.calls.at(-1)).toMatchObject({
+      op: 'refund',
+      body: { merchantID: '7002', merchantPassword: 'test_key' },
+    });
+  });
+
+  it('leaves test payments out of the summary unless asked', async () => {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-MODE-3',
+      paymentId: 'P-MODE-3',
+      amountMinor: toMinorUnits('5.00', 'USD'),
+      currency: 'USD',
+      status: 'pending',
+      testMode: true,
+    });
+
+    const summary = (query = {}) =>
+      request(app)
+        .get('/app-api/payments/summary')
+        .query(query)
+        .set('Cookie', sessionCookie(SHOP))
+        .expect(200);
+
+    const live = await summary();
+    expect(live.body.totals).toEqual([
+      { status: 'pending', currency: 'USD', count: 2, amountMinor: 2000, amount: '20.00' },
+    ]);
+
+    const all = await summary({ includeTest: 'true' });
+    expect(all.body.totals).toEqual([
+      { status: 'pending', currency: 'USD', count: 3, amountMinor: 2500, amount: '25.00' },
+      { status: 'refunded', currency: 'USD', count: 1, amountMinor: 1000, amount: '10.00' },
+    ]);
+  });
+
+  it('keeps the mode and other settings when only new credentials are posted', async () => {
+    await upsertRgSettings({
+      shop: SHOP,
+      mode: 'live',
+      paymentType: 'authorization',
+      returnUrl: `https://${SHOP}/thanks`,
+      cancelUrl: `https://${SHOP}/cart`,
+    });
+
+    const res = await request(app)
+      .post('/app-api/rg-settings')
+      .set('Cookie', sessionCookie(SHOP))
+      .send({ merchantId: '7003', merchantKey: 'rotated_key' })
+      .expect(200);
+    expect(res.body.saved).toMatchObject({
+      merchantId: '7003',
+      mode: 'live',
+      paymentType: 'authorization',
+      returnUrl: `https://${SHOP}/thanks`,
+      cancelUrl: `https://${SHOP}/cart`,
+    });
+    expect(await getRgSettings(SHOP)).toMatchObject({
+      merchantKey: 'rotated_key',
+      testMerchantId: '7002',
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests encryption of RocketGate merchant keys at rest (src/utils/secretBox.js):
+ * - rg_settings stores only ciphertext + key id; getRgSettings decrypts transparently.
+ * - Ciphertext is bound to its shop and its master key id.
+ * - reencryptMerchantKeys re-wraps rows under a new master key and encrypts plaintext rows.
+ * - Production refuses to store a key without SECRETS_MASTER_KEYS.
+ */
+
+import crypto from 'node:crypto';
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+
+import {
+  db,
+  getRgSettings,
+  reencryptMerchantKeys,
+  runMigrations,
+  upsertRgSettings,
+} from '../src/db/index.js';
+import { decryptSecret, encryptSecret } from '../src/utils/secretBox.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-crypt.myshoplazza.com';
+const KEY_1 = `k1:${crypto.randomBytes(32).toString('base64')}`;
+const KEY_2 = `k2:${crypto.randomBytes(32).toString('base64')}`;
+
+const storedRow = (shop) =>
+  db
+    .selectFrom('rg_settings')
+    .select(['merchant_key', 'merchant_key_enc', 'merchant_key_kid'])
+    .where('shop_domain', '=', shop)
+    .executeTakeFirst();
+
+describe('merchant key encryption', () => {
+  beforeAll(runMigrations);
+
+  beforeEach(() => {
+    process.env.SECRETS_MASTER_KEYS = KEY_1;
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('stores ciphertext and decrypts on read', async () => {
+    const saved = await upsertRgSettings({ shop: SHOP, merchantId: '77', merchantKey: 'sekret' });
+    expect(saved).toMatchObject({ shop: SHOP, merchantId: '77', merchantKey: 'sekret' });
+
+    const row = await storedRow(SHOP);
+    expect(row.merchant_key).toBeNull();
+    expect(row.merchant_key_kid).toBe('k1');
+    expect(row.merchant_key_enc).not.toContain('sekret');
+
+    // Blank key on update keeps the stored ciphertext
+    await upsertRgSettings({ shop: SHOP, merchantId: '78' });
+    expect(await storedRow(SHOP)).toEqual(row);
+    expect((await getRgSettings(SHOP)).merchantKey).toBe('sekret');
+  });
+
+  it('binds ciphertext to its shop and master key', () => {
+    const sealed = encryptSecret('sekret', { aad: SHOP });
+    expect(decryptSecret(sealed, { aad: SHOP })).toBe('sekret');
+    expect(() => decryptSecret(sealed, { aad: 'other.myshoplazza.com' })).toThrow(
+      expect.objectContaining({ code: 'DECRYPT_FAILED' })
+    );
+    expect(() => decryptSecret({ ...sealed, keyId: 'k9' }, { aad: SHOP })).toThrow(
+      expect.objectContaining({ code: 'UNKNOWN_KEY_ID' })
+    );
+  });
+
+  it('re-encrypts every row under a rotated master key', async () => {
+    await db
+      .insertInto('rg_settings')
+      .values({ shop_domain: 'rg-plain.myshoplazza.com', merchant_id: '5', merchant_key: 'plain' })
+      .execute();
+
+    process.env.SECRETS_MASTER_KEYS = `${KEY_2},${KEY_1}`;
+    expect(await reencryptMerchantKeys()).toEqual({ rewrapped: 1, encrypted: 1, unchanged: 0 });
+    expect(await reencryptMerchantKeys()).toEqual({ rewrapped: 0, encrypted: 0, unchanged: 2 });
+
+    process.env.SECRETS_MASTER_KEYS = KEY_2; // old key retired
+    expect((await storedRow(SHOP)).merchant_key_kid).toBe('k2');
+    expect((await getRgSettings(SHOP)).merchantKey).toBe('sekret');
+    expect(await storedRow('rg-plain.myshoplazza.com')).toMatchObject({
+      merchant_key: null,
+      merchant_key_kid: 'k2',
+    });
+    expect((await getRgSettings('rg-plain.myshoplazza.com')).merchantKey).toBe('plain');
+  });
+
+  it('refuses to store a plaintext key in production', async () => {
+    delete process.env.SECRETS_MASTER_KEYS;
+    process.env.NODE_ENV = 'production';
+    await expect(
+      upsertRgSettings({ shop: 'rg-prod.myshoplazza.com', merchantKey: 'nope' })
+    ).rejects.toMatchObject({ code: 'MASTER_KEY_MISSING' });
+    process.env.NODE_ENV = ORIGINAL_ENV.NODE_ENV;
+  });
+});
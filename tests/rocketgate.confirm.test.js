@@ -0,0 +1,92 @@
+/**
+ * Tests the server-to-server lookup behind confirmWithServerByInvoice.
+ * - Runs against the local RocketGate stand-in (tests/fixtures/rocketgateStub.js).
+ * - Normalizes gateway records to { status, rocketgateTxnId, amount, currency, raw }.
+ * - Resolves credentials explicitly or per shop from rg_settings.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { runMigrations } from '../src/db/index.js';
+import { upsertRgSettings } from '../src/db/rgSettings.js';
+import { confirmWithServerByInvoice } from '../src/utils/rocketgate.js';
+
+import { startRocketGateStub } from './fixtures/rocketgateStub.js';
+
+const ORIGINAL_ENV = { ...process.env };
+
+describe('confirmWithServerByInvoice', () => {
+  let stub;
+
+  beforeAll(async () => {
+    await runMigrations();
+    stub = await startRocketGateStub({ merchants: { 1001: 'shop_key', 2002: 'env_pw' } });
+    process.env.ROCKETGATE_API_BASE_URL = stub.baseUrl;
+
+    stub.addTransaction({
+      merchantID: '1001',
+      merchantInvoiceID: 'O-CONF-1',
+      transactionType: 'CC_PURCHASE',
+      approvedAmount: '12.34',
+      approvedCurrency: 'usd',
+    });
+    stub.addTransaction({
+      merchantID: '1001',
+      merchantInvoiceID: 'O-CONF-2',
+      responseCode: '1',
+      reasonCode: '105',
+    });
+    stub.addTransaction({ merchantID: '2002', merchantInvoiceID: 'O-CONF-3', status: 'settled' });
+  });
+
+  afterAll(async () => {
+    await stub.close();
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('normalizes an approved purchase using explicit credentials', async () => {
+    const res = await confirmWithServerByInvoice('O-CONF-1', {
+      merchantId: '1001',
+      merchantKey: 'shop_key',
+    });
+
+    expect(res).toMatchObject({
+      status: 'paid',
+      amount: '12.34',
+      currency: 'USD',
+    });
+    expect(res.rocketgateTxnId).toMatch(/^RG-STUB-/);
+    expect(res.raw.merchantInvoiceID).toBe('O-CONF-1');
+    expect(stub.calls.at(-1)).toMatchObject({
+      op: 'lookup',
+      body: { merchantID: '1001', merchantInvoiceID: 'O-CONF-1' },
+    });
+  });
+
+  it('maps bank declines and returns null for unknown invoices', async () => {
+    const creds = { merchantId: '1001', merchantKey: 'shop_key' };
+    expect((await confirmWithServerByInvoice('O-CONF-2', creds)).status).toBe('declined');
+    expect(await confirmWithServerByInvoice('O-MISSING', creds)).toBeNull();
+  });
+
+  it('loads per-shop credentials from rg_settings', async () => {
+    await upsertRgSettings({ shop: 'rg-confirm', merchantId: '1001', merchantKey: 'shop_key' });
+    const res = await confirmWithServerByInvoice('O-CONF-1', { shop: 'rg-confirm' });
+    expect(res.status).toBe('paid');
+
+    await expect(confirmWithServerByInvoice('O-CONF-1', { shop: 'rg-unknown' })).rejects.toThrow(
+      /not configured/
+    );
+  });
+
+  it('falls back to env credentials and surfaces gateway auth failures', async () => {
+    process.env.ROCKETGATE_MERCHANT_ID = '2002';
+    process.env.ROCKETGATE_MERCHANT_PASSWORD = 'env_pw';
+    expect((await confirmWithServerByInvoice('O-CONF-3')).status).toBe('paid');
+
+    await expect(
+      confirmWithServerByInvoice('O-CONF-1', { merchantId: '1001', merchantKey: 'wrong' })
+    ).rejects.toMatchObject({ code: 'RG_GATEWAY_AUTH' });
+  });
+});
@@ -1,5 +1,6 @@
 /**
- * Ensures buildHostedPageUrl picks the correct RocketGate base depending on ROCKETGATE_ENV.
+ * Ensures buildHostedPageUrl picks the correct RocketGate base depending on ROCKETGATE_ENV,
+ * or on a shop's test/live `mode` when one is given.
  * Also freezes time so the generated hash is deterministic.
  */
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
@@ -73,4 +74,22 @@ describe('buildHostedPageUrl: environment base selection', () => {
     );
     expect(q.get('hash')).toBeTruthy();
   });
+
+  it("uses the shop's mode over ROCKETGATE_ENV, with per-mode overrides", () => {
+    process.env.ROCKETGATE_ENV = 'dev-secure';
+    delete process.env.ROCKETGATE_HOSTED_BASE_URL;
+    expect(baseOf(buildHostedPageUrl({ ...commonArgs, mode: 'live' }))).toBe(
+      'https://secure.rocketgate.com/hostedpage/servlet/HostedPagePurchase'
+    );
+
+    process.env.ROCKETGATE_ENV = 'prod-secure';
+    expect(baseOf(buildHostedPageUrl({ ...commonArgs, mode: 'test' }))).toBe(
+      'https://dev-secure.rocketgate.com/hostedpage/servlet/HostedPagePurchase'
+    );
+
+    process.env.ROCKETGATE_HOSTED_BASE_URL_TEST = 'https://hp-sandbox.example.com/';
+    expect(baseOf(buildHostedPageUrl({ ...commonArgs, mode: 'test' }))).toBe(
+      'https://hp-sandbox.example.com'
+    );
+  });
 });
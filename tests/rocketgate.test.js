@@ -1,6 +1,7 @@
 /**
  * Unit tests for RocketGate utility functions (rocketgate.js).
  * - Validates HostedPage URL builder, hash generation, and querystring encoding.
+ * - Signing profiles: extra signed fields, per-profile algorithm/encoding, verification.
  */
 
 import crypto from 'crypto';
@@ -8,7 +9,13 @@ import { URL } from 'node:url';
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
-import { buildHostedPageUrl } from '../src/utils/rocketgate.js';
+import { registerSigningProfile } from '../src/utils/hostedPageSigning.js';
+import {
+  buildHostedPageUrl,
+  buildHostedPageUrlDetailed,
+  checkHostedPageReturn,
+  verifyHostedPageHash,
+} from '../src/utils/rocketgate.js';
 
 describe('buildHostedPageUrl', () => {
   // freeze time so time + hash are deterministic
@@ -48,4 +55,107 @@ describe('buildHostedPageUrl', () => {
 
     expect(decodeURIComponent(u.searchParams.get('hash'))).toBe(expectedB64);
   });
+
+  it('signs purchase=false for auth-only links', () => {
+    const url = buildHostedPageUrl({
+      id: 'CUST001',
+      merch: '1483462469',
+      amount: '14.34',
+      hashSecret: 'test_hash_secret',
+      authOnly: true,
+      extra: { invoice: 'O-123', purchase: 'true' }, // signed fields cannot be overridden
+    });
+
+    const u = new URL(url);
+    expect(u.searchParams.get('purchase')).toBe('false');
+
+    const stringToHash = `id=CUST001&merch=1483462469&amount=14.34&purchase=false&time=${fixedTime}`;
+    const expectedB64 = crypto
+      .createHmac('sha256', 'test_hash_secret')
+      .update(stringToHash, 'utf8')
+      .digest('base64');
+    expect(u.searchParams.get('hash')).toBe(expectedB64);
+  });
+});
+
+describe('Hosted Page signing profiles', () => {
+  const fixedTime = 1_757_514_470;
+  const link = (signingProfile) =>
+    buildHostedPageUrlDetailed({
+      id: 'CUST001',
+      merch: '1483462469',
+      amount: '14.34',
+      hashSecret: 'test_hash_secret',
+      signingProfile,
+      extra: {
+        invoice: 'O-123',
+        currency: 'USD',
+        success: 'https://app.example.com/ok',
+        lang: 'fr',
+      },
+    });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(fixedTime * 1000));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('signs the extra fields of the extended profile', () => {
+    const { redirectUrl, signedParams, hash, signingProfile } = link('extended');
+    expect(signingProfile).toBe('extended');
+    expect(signedParams).toMatchObject({ invoice: 'O-123', currency: 'USD' });
+    expect(signedParams).not.toHaveProperty('lang'); // not in the profile: rides along unsigned
+    expect(new URL(redirectUrl).searchParams.get('lang')).toBe('fr');
+
+    const stringToHash =
+      `id=CUST001&merch=1483462469&amount=14.34&purchase=true&time=${fixedTime}` +
+      '&invoice=O-123&currency=USD&success=https://app.example.com/ok&fail=&descriptor=';
+    expect(hash).toBe(
+      crypto.createHmac('sha256', 'test_hash_secret').update(stringToHash).digest('base64')
+    );
+
+    const opts = { signingProfile: 'extended' };
+    expect(verifyHostedPageHash(signedParams, 'test_hash_secret', hash, opts)).toBe(true);
+    expect(
+      verifyHostedPageHash({ ...signedParams, invoice: 'O-999' }, 'test_hash_secret', hash, opts)
+    ).toBe(false);
+    expect(verifyHostedPageHash(signedParams, 'test_hash_secret', hash)).toBe(false);
+  });
+
+  it("uses each profile's algorithm and encoding", () => {
+    const { hash } = link('strict');
+    expect(hash).toMatch(/^[0-9a-f]{128}$/); // sha512, hex
+
+    registerSigningProfile('sha384-b64url', {
+      fields: ['id', 'merch', 'amount', 'purchase', 'time', 'invoice'],
+      algorithm: 'sha384',
+      encoding: 'base64url',
+    });
+    const custom = link('sha384-b64url');
+    expect(custom.hash).toMatch(/^[\w-]{64}$/);
+    expect(
+      checkHostedPageReturn(
+        { ...custom.signedParams, hash: custom.hash },
+        { hashSecret: 'test_hash_secret', signingProfile: 'sha384-b64url', nowSeconds: fixedTime }
+      )
+    ).toEqual({ ok: true });
+  });
+
+  it('rejects unknown profiles and profiles that drop the base fields', () => {
+    expect(() => link('nope')).toThrow(
+      expect.objectContaining({ code: 'INVALID_SIGNING_PROFILE' })
+    );
+    expect(() => registerSigningProfile('weak', { fields: ['id', 'amount'] })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SIGNING_PROFILE' })
+    );
+    expect(
+      checkHostedPageReturn(
+        { ...link().signedParams, hash: 'x' },
+        { hashSecret: 's', signingProfile: 'nope' }
+      )
+    ).toEqual({ ok: false, reason: 'unknown_signing_profile' });
+  });
 });
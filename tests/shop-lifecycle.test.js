@@ -0,0 +1,131 @@
+/**
+ * Tests the shop lifecycle driven by the Shoplazza app/uninstalled webhook:
+ * - The webhook is always signature-verified; it revokes the token and schedules a purge.
+ * - Hosted Page generation is refused for an uninstalled shop (SHOP_UNINSTALLED).
+ * - Payment history survives the retention period, then is purged.
+ * - Reinstalling restores the shop.
+ */
+
+import crypto from 'node:crypto';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  createOrUpdatePayment,
+  getPayment,
+  getShop,
+  purgeUninstalledShops,
+  runMigrations,
+  upsertShop,
+} from '../src/db/index.js';
+import { app } from '../src/index.js';
+
+import { sessionCookie } from './fixtures/appSession.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-life.myshoplazza.com';
+const DAY_MS = 24 * 3600_000;
+
+const uninstall = (shop, secret = 'hook_secret') => {
+  const raw = JSON.stringify({ domain: shop });
+  return request(app)
+    .post('/webhooks/shoplazza/app/uninstalled')
+    .set('Content-Type', 'application/json')
+    .set('Shoplazza-Shop-Domain', shop)
+    .set('X-Shoplazza-Signature', crypto.createHmac('sha256', secret).update(raw).digest('base64'))
+    .send(raw);
+};
+
+const session = () =>
+  request(app)
+    .post('/payments/session')
+    .type('form')
+    .send({
+      id: 'P-LIFE-2',
+      shoplazza_order_id: 'O-LIFE-2',
+      amount: '5.00',
+      currency: 'USD',
+      complete_url: `https://${SHOP}/openapi/complete`,
+      callback_url: `https://${SHOP}/openapi/callback`,
+    });
+
+describe('shop lifecycle', () => {
+  beforeAll(async () => {
+    await runMigrations();
+    delete process.env.SHOPLAZZA_APP_MAP;
+    process.env.SHOPLAZZA_WEBHOOK_SECRET = 'hook_secret';
+    process.env.SHOP_DATA_RETENTION_DAYS = '30';
+    process.env.APP_SESSION_SECRET = 'test_session_secret';
+    process.env.REQUIRE_APP_SESSION = 'true';
+    app.locals.verifySignatures = false; // the uninstall webhook verifies regardless
+
+    await upsertShop({ shop: SHOP, accessToken: 'tok_life' });
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-LIFE-1',
+      paymentId: 'P-LIFE-1',
+      amountMinor: 1000,
+      currency: 'USD',
+      status: 'pending',
+    });
+  });
+
+  afterAll(() => {
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('verifies the uninstall webhook and revokes the token', async () => {
+    await uninstall(SHOP, 'wrong_secret').expect(401);
+    expect((await getShop(SHOP)).status).toBe('installed');
+
+    const res = await uninstall(SHOP).expect(200);
+    expect(res.body).toMatchObject({ ok: true, shop: SHOP, status: 'uninstalled' });
+
+    const shop = await getShop(SHOP);
+    expect(shop).toMatchObject({ accessToken: null, status: 'uninstalled' });
+    const days = (Date.parse(shop.purgeAfter) - Date.now()) / DAY_MS;
+    expect(days).toBeGreaterThan(29.9);
+    expect(days).toBeLessThanOrEqual(30);
+
+    // A redelivery keeps the original purge date
+    await uninstall(SHOP).expect(200);
+    expect((await getShop(SHOP)).purgeAfter).toBe(shop.purgeAfter);
+  });
+
+  it('refuses Hosted Pages for the uninstalled shop', async () => {
+    const res = await session().expect(403);
+    expect(res.body.code).toBe('SHOP_UNINSTALLED');
+
+    const test = await request(app)
+      .post('/app-api/test-hosted-page')
+      .set('Cookie', sessionCookie(SHOP))
+      .send({ amount: '1.00', currency: 'USD' })
+      .expect(403);
+    expect(test.body.code).toBe('SHOP_UNINSTALLED');
+  });
+
+  it('keeps payment history until the retention period ends, then purges it', async () => {
+    expect(await purgeUninstalledShops()).toBe(0);
+    expect(await getPayment('O-LIFE-1', { shop: SHOP })).toBeTruthy();
+
+    expect(await purgeUninstalledShops({ now: new Date(Date.now() + 31 * DAY_MS) })).toBe(1);
+    expect(await getPayment('O-LIFE-1', { shop: SHOP })).toBeNull();
+    expect((await getShop(SHOP)).status).toBe('purged');
+  });
+
+  it('restores the shop on reinstall', async () => {
+    await upsertShop({ shop: SHOP, accessToken: 'tok_life_2' });
+    expect(await getShop(SHOP)).toMatchObject({
+      accessToken: 'tok_life_2',
+      status: 'installed',
+      uninstalledAt: null,
+      purgeAfter: null,
+    });
+
+    // Past the lifecycle gate: now it only lacks RocketGate settings
+    const res = await session().expect(400);
+    expect(res.body.code).toBe('RG_SETTINGS_MISSING');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests the multi-app Shoplazza credential registry (shoplazza_apps):
+ * - Apps are registered over /admin/apps; secrets are stored encrypted, rotatable and never listed.
+ * - /auth/start?app= installs through that app's client id, redirect URL and scopes.
+ * - A shop bound to an app has its launch HMAC and outbound notify signed with that app's secret.
+ * - Unbound shops keep using the env credentials.
+ */
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import {
+  createOrUpdatePayment,
+  db,
+  getShoplazzaApp,
+  reencryptAppSecrets,
+  runMigrations,
+} from '../src/db/index.js';
+import { upsertShop } from '../src/db/shops.js';
+import { app } from '../src/index.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const SHOP = 'rg-private.myshoplazza.com';
+const KEY_1 = `a1:${crypto.randomBytes(32).toString('base64')}`;
+const KEY_2 = `a2:${crypto.randomBytes(32).toString('base64')}`;
+
+const launchQuery = (shop, secret) => {
+  const query = { shop, store_id: '42', timestamp: '1700000000' };
+  const pairs = Object.keys(query)
+    .sort()
+    .map((k) => `${k}=${query[k]}`)
+    .join('&');
+  return { ...query, hmac: crypto.createHmac('sha256', secret).update(pairs).digest('hex') };
+};
+
+describe('Shoplazza app registry', () => {
+  let server;
+  const received = [];
+
+  beforeAll(async () => {
+    await runMigrations();
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', (chunk) => (raw += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, raw });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"code":"Success"}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    delete process.env.ADMIN_TOKEN;
+    delete process.env.SHOPLAZZA_APP_MAP;
+    delete process.env.SHOPLAZZA_DEFAULT_APP;
+    process.env.SHOPLAZZA_CLIENT_ID = 'env_client';
+    process.env.SHOPLAZZA_CLIENT_SECRET = 'env_secret';
+    process.env.SHOPLAZZA_REDIRECT_URL = 'https://app.example.com/auth/callback';
+    process.env.SECRETS_MASTER_KEYS = KEY_1;
+    process.env.VERIFY_EMBED_HMAC = 'true';
+    process.env.VERIFY_ROCKETGATE_NOTIFY_SIGNATURE = 'false';
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('registers apps with encrypted secrets', async () => {
+    const res = await request(app).post('/admin/apps').send({
+      appKey: 'private',
+      clientId: 'private_client',
+      clientSecret: 'private_secret',
+      redirectUrl: 'https://private.example.com/auth/callback',
+      scopes: 'read_order write_payment_info',
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.app).toMatchObject({ appKey: 'private', hasSecret: true });
+    expect(res.body.app.clientSecret).toBeUndefined();
+
+    const row = await db
+      .selectFrom('shoplazza_apps')
+      .selectAll()
+      .where('app_key', '=', 'private')
+      .executeTakeFirst();
+    expect(row).toMatchObject({ client_secret: null, client_secret_kid: 'a1' });
+
+    const list = await request(app).get('/admin/apps').expect(200);
+    expect(list.body.apps).toEqual([
+      expect.objectContaining({ appKey: 'private', clientId: 'private_client', hasSecret: true }),
+    ]);
+    expect(JSON.stringify(list.body)).not.toContain('private_secret');
+
+    process.env.SECRETS_MASTER_KEYS = `${KEY_2},${KEY_1}`;
+    expect(await reencryptAppSecrets()).toEqual({ rewrapped: 1, encrypted: 0, unchanged: 0 });
+    process.env.SECRETS_MASTER_KEYS = KEY_2;
+    expect((await getShoplazzaApp('private')).clientSecret).toBe('private_secret');
+  });
+
+  it('starts an install through the requested app', async () => {
+    const res = await request(app)
+      .get('/auth/start')
+      .query({ shop: SHOP, app: 'private' })
+      .expect(302);
+    const url = new URL(res.headers.location);
+    expect(url.searchParams.get('client_id')).toBe('private_client');
+    expect(url.searchParams.get('redirect_uri')).toBe('https://private.example.com/auth/callback');
+    expect(url.searchParams.get('scope')).toBe('read_order write_payment_info');
+
+    const state = await db
+      .selectFrom('oauth_states')
+      .select('client_id')
+      .where('state', '=', url.searchParams.get('state'))
+      .executeTakeFirst();
+    expect(state.client_id).toBe('private_client');
+
+    await request(app).get('/auth/start').query({ shop: SHOP, app: 'nope' }).expect(400);
+  });
+
+  it("verifies launch HMACs with the shop's app secret", async () => {
+    await upsertShop({ shop: SHOP, accessToken: 'tok', clientId: 'private_client' });
+
+    await request(app).get('/app-start').query(launchQuery(SHOP, 'private_secret')).expect(302);
+    await request(app).get('/app-start').query(launchQuery(SHOP, 'env_secret')).expect(401);
+
+    // Unbound shops still use the env app
+    await request(app)
+      .get('/app-start')
+      .query(launchQuery('rg-unbound.myshoplazza.com', 'env_secret'))
+      .expect(302);
+  });
+
+  it("signs notifies to Shoplazza as the shop's app", async () => {
+    await createOrUpdatePayment({
+      shopDomain: SHOP,
+      orderId: 'O-APP-1',
+      paymentId: 'P-APP-1',
+      amountMinor: 500,
+      currency: 'USD',
+      status: 'pending',
+      callbackUrl: `http://127.0.0.1:${server.address().port}/payments/notify`,
+    });
+
+    const res = await request(app)
+      .post('/callbacks/notify')
+      .send({ invoice: 'O-APP-1', status: 'approved', transactId: 'RG-APP-1', shop: SHOP })
+      .expect(200);
+    expect(res.body.forwarded?.ok).toBe(true);
+
+    const [{ headers, raw }] = received;
+    expect(JSON.parse(raw).app_id).toBe('private_client');
+    expect(headers['shoplazza-hmac-sha256']).toBe(
+      crypto.createHmac('sha256', 'private_secret').update(raw).digest('hex')
+    );
+  });
+});
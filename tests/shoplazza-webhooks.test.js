@@ -0,0 +1,133 @@
+/**
+ * Tests the Shoplazza webhook manifest (src/utils/shoplazzaWebhooks.js) and receiver:
+ * - A sync creates missing manifest topics and deletes stale/duplicate ones on our host.
+ * - Subscriptions pointing elsewhere are left alone; a re-sync is a no-op.
+ * - /admin/webhooks/sync resyncs every installed shop.
+ * - /webhooks/shoplazza/:topic verifies signatures, logs deliveries and 404s unknown topics.
+ */
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+import request from 'supertest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { db, markShopUninstalled, runMigrations, upsertShop } from '../src/db/index.js';
+import { app } from '../src/index.js';
+import { syncShopWebhooks } from '../src/utils/shoplazzaWebhooks.js';
+
+const ORIGINAL_ENV = { ...process.env };
+const BASE = 'https://rg-app.example.com';
+const SHOP = 'rg-hooks.myshoplazza.com';
+
+describe('Shoplazza webhook manifest', () => {
+  let server;
+  const subs = {}; // access token -> [{ id, topic, address }]
+  let nextId = 1;
+
+  beforeAll(async () => {
+    await runMigrations();
+    // Minimal Shoplazza webhooks API, one subscription list per access token
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', (chunk) => (raw += chunk));
+      req.on('end', () => {
+        const token = req.headers['access-token'];
+        const list = (subs[token] ??= []);
+        const id = req.url.match(/\/webhooks\/([^/]+)$/)?.[1];
+        let reply = {};
+        if (req.method === 'GET') reply = { webhooks: list };
+        if (req.method === 'POST') {
+          reply = { id: String(nextId++), ...JSON.parse(raw) };
+          list.push(reply);
+        }
+        if (req.method === 'DELETE') subs[token] = list.filter((w) => w.id !== id);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    delete process.env.ADMIN_TOKEN;
+    delete process.env.SHOPLAZZA_APP_MAP;
+    process.env.APP_BASE_URL = BASE;
+    process.env.SHOPLAZZA_API_BASE = `http://127.0.0.1:${server.address().port}`;
+    process.env.SHOPLAZZA_WEBHOOK_SECRET = 'hook_secret';
+    process.env.SHOPLAZZA_CLIENT_SECRET = 'env_secret';
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    for (const k of Object.keys(process.env)) delete process.env[k];
+    Object.assign(process.env, ORIGINAL_ENV);
+  });
+
+  it('creates missing topics and deletes stale ones on our host', async () => {
+    await upsertShop({ shop: SHOP, accessToken: 'tok_hooks' });
+    subs.tok_hooks = [
+      { id: 's1', topic: 'orders/paid', address: `${BASE}/callbacks/notify` }, // old target
+      { id: 's2', topic: 'app/uninstalled', address: `${BASE}/webhooks/shoplazza/app/uninstalled` },
+      { id: 's3', topic: 'app/uninstalled', address: `${BASE}/webhooks/shoplazza/app/uninstalled` },
+      { id: 's4', topic: 'orders/paid', address: 'https://erp.example.com/hooks' }, // not ours
+    ];
+
+    const result = await syncShopWebhooks({ shop: SHOP });
+    expect(result).toMatchObject({
+      created: ['orders/paid'],
+      unchanged: ['app/uninstalled'],
+      queued: [],
+      failed: [],
+    });
+    expect(result.deleted.map((d) => d.id)).toEqual(['s1', 's3']);
+    expect(subs.tok_hooks.map((w) => [w.topic, w.address])).toEqual([
+      ['app/uninstalled', `${BASE}/webhooks/shoplazza/app/uninstalled`],
+      ['orders/paid', 'https://erp.example.com/hooks'],
+      ['orders/paid', `${BASE}/webhooks/shoplazza/orders/paid`],
+    ]);
+
+    const again = await syncShopWebhooks({ shop: SHOP });
+    expect(again).toMatchObject({ created: [], deleted: [], unchanged: expect.any(Array) });
+    expect(again.unchanged.sort()).toEqual(['app/uninstalled', 'orders/paid']);
+  });
+
+  it('resyncs every installed shop from the admin API', async () => {
+    await upsertShop({ shop: 'rg-hooks-2.myshoplazza.com', accessToken: 'tok_hooks_2' });
+    await upsertShop({ shop: 'rg-hooks-3.myshoplazza.com', accessToken: 'tok_hooks_3' });
+    await markShopUninstalled('rg-hooks-3.myshoplazza.com');
+
+    const res = await request(app).post('/admin/webhooks/sync').expect(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.results.map((r) => r.shop)).toEqual([SHOP, 'rg-hooks-2.myshoplazza.com']);
+    expect(subs.tok_hooks_2.map((w) => w.topic).sort()).toEqual(['app/uninstalled', 'orders/paid']);
+    expect(subs.tok_hooks_3).toBeUndefined();
+  });
+
+  it('receives manifest topics with verified signatures', async () => {
+    const raw = JSON.stringify({ id: 'SPZ-ORDER-1' });
+    const post = (topic, secret) =>
+      request(app)
+        .post(`/webhooks/shoplazza/${topic}`)
+        .set('Content-Type', 'application/json')
+        .set('Shoplazza-Shop-Domain', SHOP)
+        .set(
+          'X-Shoplazza-Signature',
+          crypto.createHmac('sha256', secret).update(raw).digest('base64')
+        )
+        .send(raw);
+
+    await post('orders/paid', 'wrong_secret').expect(401);
+    const res = await post('orders/paid', 'hook_secret').expect(200);
+    expect(res.body).toMatchObject({ ok: true, shop: SHOP, orderId: 'SPZ-ORDER-1' });
+
+    const logged = await db
+      .selectFrom('webhook_logs')
+      .selectAll()
+      .where('topic', '=', 'orders/paid')
+      .execute();
+    expect(logged).toHaveLength(1);
+    expect(logged[0]).toMatchObject({ source: 'shoplazza', payload_json: raw });
+
+    const unknown = await post('products/create', 'hook_secret').expect(404);
+    expect(unknown.body.error.code).toBe('UNKNOWN_TOPIC');
+  });
+});